@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * JavaScript AST
+ * acorn parsing (with the TypeScript plugin for .ts) and a depth-first walk,
+ * shared by the quality handler and the static security scanner
+ */
+
+import { Parser } from 'acorn';
+import { tsPlugin } from '@sveltejs/acorn-typescript';
+
+const TypeScriptParser = Parser.extend(tsPlugin());
+
+/**
+ * Parse source, trying ES modules first and falling back to scripts
+ * @param {string} content
+ * @param {boolean} typescript
+ * @returns {{ast: object, comments: Array<object>}}
+ */
+export function parse(content, typescript = false) {
+  const parser = typescript ? TypeScriptParser : Parser;
+  const attempt = sourceType => {
+    const comments = [];
+    const ast = parser.parse(content, {
+      ecmaVersion: 'latest',
+      sourceType,
+      locations: true,
+      allowHashBang: true,
+      allowReturnOutsideFunction: sourceType === 'script',
+      allowAwaitOutsideFunction: true,
+      onComment: comments
+    });
+    return { ast, comments };
+  };
+
+  try {
+    return attempt('module');
+  } catch (moduleError) {
+    try {
+      return attempt('script');
+    } catch {
+      throw moduleError;
+    }
+  }
+}
+
+/**
+ * Visit every node depth-first
+ * Returning false from the visitor skips the node's children.
+ * @param {object} node
+ * @param {Function} visit - (node, parent) => boolean|void
+ * @param {object|null} parent
+ */
+export function walk(node, visit, parent = null) {
+  if (visit(node, parent) === false) return;
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => {
+        if (child && typeof child.type === 'string') walk(child, visit, node);
+      });
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit, node);
+    }
+  }
+}
+
+export default { parse, walk };
@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+/**
+ * Capability Manifest
+ * Infers what a skill can do (network, filesystem, subprocesses, env vars,
+ * binaries) and compares it with the permissions declared in SKILL.md
+ *
+ * Declared permissions live in the SKILL.md frontmatter (or under
+ * metadata.openclaw.permissions):
+ *
+ *   permissions:
+ *     network: [api.weather.gov, "*.googleapis.com"]   # "*" = any host
+ *     filesystem: { read: [~/.config/weather], write: [~/.cache/weather] }
+ *     exec: [curl, jq]
+ *     env: [WEATHER_API_KEY]
+ *
+ * `requires.bins` / `requires.anyBins` / `install[].bins` also declare exec,
+ * and `requires.env` / `primaryEnv` also declare env.
+ */
+
+import { readFile } from 'fs/promises';
+import { basename, relative } from 'path';
+import { getAllFiles, languageOf } from './code.js';
+import { parseFrontmatter, openclawMetadata } from './frontmatter.js';
+
+// Binaries any shell script may use without declaring them
+const IMPLICIT_BINS = new Set([
+  'awk', 'basename', 'cat', 'chmod', 'cp', 'cut', 'date', 'dirname', 'echo', 'env',
+  'find', 'grep', 'head', 'ls', 'mkdir', 'mktemp', 'mv', 'printf', 'pwd', 'rm',
+  'sed', 'sleep', 'sort', 'tail', 'tee', 'test', 'touch', 'tr', 'uniq', 'wc', 'xargs'
+]);
+
+// Shell words that are not external commands
+const SHELL_BUILTINS = new Set([
+  '.', ':', '[', '[[', ']]', 'alias', 'break', 'case', 'cd', 'command', 'continue',
+  'declare', 'do', 'done', 'elif', 'else', 'esac', 'eval', 'exec', 'exit', 'export',
+  'false', 'fi', 'for', 'function', 'getopts', 'if', 'in', 'let', 'local', 'read',
+  'readonly', 'return', 'select', 'set', 'shift', 'source', 'then', 'time', 'trap',
+  'true', 'type', 'ulimit', 'umask', 'unset', 'until', 'wait', 'while', '{', '}', '!'
+]);
+
+// Environment variables every process has
+const IMPLICIT_ENV = new Set([
+  'HOME', 'PATH', 'PWD', 'OLDPWD', 'USER', 'LOGNAME', 'SHELL', 'TMPDIR', 'TEMP', 'TMP',
+  'LANG', 'LC_ALL', 'TERM', 'HOSTNAME', 'OSTYPE', 'RANDOM', 'SECONDS', 'LINENO', 'IFS',
+  'BASH_SOURCE', 'NODE_ENV', 'XDG_CONFIG_HOME', 'XDG_CACHE_HOME', 'XDG_DATA_HOME', 'CI'
+]);
+
+const URL_PATTERN = /\b(?:https?|wss?):\/\/([a-z0-9](?:[a-z0-9.-]*[a-z0-9])?)(?::\d+)?/gi;
+
+// Absolute paths outside the skill worth declaring; relative paths are the skill's own files
+const PATH_LITERAL = /(['"`])((?:~|\$HOME|\$\{HOME\})(?:\/[^'"`\s]*)?|\/(?:etc|home|root|Users|var|tmp|usr|opt|dev|proc|private|Library)(?:\/[^'"`\s]*)?)\1/g;
+// Device files every script may use
+const IMPLICIT_PATHS = new Set(['/dev/null', '/dev/stdin', '/dev/stdout', '/dev/stderr', '/dev/tty']);
+const SHELL_PATH = /(?:^|[\s=>"'])((?:~|\$HOME|\$\{HOME\})(?:\/[^\s"';|&)]*)?|\/(?:etc|home|root|Users|var|tmp|usr|opt|dev|proc|private|Library)(?:\/[^\s"';|&)]*)?)/g;
+
+const LANGUAGES = {
+  js: {
+    comment: /^\s*(?:\/\/|\/?\*)/,
+    networkCall: /(?<![.\w])fetch\s*\(|\bhttps?\.(?:request|get)\s*\(|\baxios(?:\.\w+)?\s*\(|\bnew\s+WebSocket\s*\(|\bnet\.(?:connect|createConnection)\s*\(|\bXMLHttpRequest\b/,
+    fsWrite: /\b(?:writeFile|writeFileSync|appendFile|appendFileSync|createWriteStream|mkdir|mkdirSync|rm|rmSync|unlink|unlinkSync|rename|renameSync|copyFile|copyFileSync|chmod|chmodSync)\s*\(/,
+    fsRead: /\b(?:readFile|readFileSync|createReadStream|readdir|readdirSync|existsSync|access|accessSync|stat|statSync|open|openSync)\s*\(/,
+    homePath: [
+      /\bhomedir\(\)\s*,\s*(['"`])([^'"`]+)\1/g,
+      /process\.env\.HOME\s*[+,]\s*(['"`])\/?([^'"`]+)\1/g
+    ],
+    command: /\b(?:exec|execSync|spawn|spawnSync|execFile|execFileSync)\s*\(\s*(['"`])\s*([^\s'"`]+)/g,
+    dynamicCommand: /\b(?:exec|execSync|spawn|spawnSync|execFile|execFileSync|fork)\s*\(/,
+    subprocessModule: /\bchild_process\b/,
+    env: [
+      /\bprocess\.env\.([A-Za-z_][A-Za-z0-9_]*)/g,
+      /\bprocess\.env\[\s*['"]([A-Za-z_][A-Za-z0-9_]*)['"]\s*\]/g
+    ]
+  },
+  py: {
+    comment: /^\s*#/,
+    networkCall: /\brequests\.(?:get|post|put|patch|delete|head|request)\s*\(|\burllib\.request\.\w+\s*\(|\burlopen\s*\(|\bhttpx\.\w+\s*\(|\bsocket\.socket\s*\(|\baiohttp\.\w+/,
+    fsWrite: /\bopen\s*\([^)]*,\s*['"][wax]b?\+?['"]|\.write_(?:text|bytes)\s*\(|\bos\.(?:remove|unlink|makedirs|mkdir|rename|rmdir|chmod)\s*\(|\bshutil\.\w+\s*\(/,
+    fsRead: /\bopen\s*\(|\bPath\s*\(|\bos\.(?:listdir|scandir|stat)\s*\(|\bos\.path\.(?:exists|isfile|isdir)\s*\(|\.read_(?:text|bytes)\s*\(/,
+    homePath: [
+      /os\.environ\[\s*['"]HOME['"]\s*\]\s*[+,]\s*(['"])\/?([^'"]+)\1/g
+    ],
+    command: /\b(?:subprocess\.(?:run|call|Popen|check_output|check_call)\s*\(\s*\[?\s*|os\.(?:system|popen)\s*\(\s*f?)(['"])\s*([^\s'"]+)/g,
+    dynamicCommand: /\bsubprocess\.(?:run|call|Popen|check_output|check_call)\s*\(|\bos\.(?:system|popen|exec\w*)\s*\(/,
+    subprocessModule: /\b(?:subprocess|os\.system|os\.popen)\b/,
+    env: [
+      /\bos\.environ(?:\.get)?\s*[[(]\s*['"]([A-Za-z_][A-Za-z0-9_]*)['"]/g,
+      /\bos\.getenv\s*\(\s*['"]([A-Za-z_][A-Za-z0-9_]*)['"]/g
+    ]
+  }
+};
+
+/**
+ * Normalize home-relative paths to ~
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  return path.replace(/^(?:\$HOME|\$\{HOME\})(?=\/|$)/, '~').replace(/\/+$/, '') || '/';
+}
+
+/**
+ * All capture-group matches of a global pattern
+ * @param {RegExp} pattern
+ * @param {string} text
+ * @param {number} group
+ * @returns {Array<{value: string, index: number}>}
+ */
+function matchAll(pattern, text, group = 1) {
+  return [...text.matchAll(pattern)].map(match => ({ value: match[group], index: match.index }));
+}
+
+/**
+ * Commands run by one line of shell
+ * @param {string} line
+ * @returns {Array<{value: string, index: number}>}
+ */
+function shellCommands(line) {
+  const commands = [];
+  const segment = /(?:^|[;&|]|\$\(|`)\s*((?:[A-Za-z_][A-Za-z0-9_]*=\S*\s+)*)(sudo\s+)?([A-Za-z0-9_./{}-]+)/g;
+  for (const match of line.matchAll(segment)) {
+    const word = match[3];
+    const assignment = line[match.index + match[0].length] === '=';
+    if (assignment || word.includes('{') || word.startsWith('./')) continue;
+    commands.push({ value: basename(word), index: match.index + match[0].length - word.length });
+  }
+  return commands;
+}
+
+/**
+ * Scan one code file
+ * @param {string} content
+ * @param {string} language
+ * @param {string} file - Path relative to the skill root
+ * @returns {Array<object>} Evidence entries
+ */
+function scanFile(content, language, file) {
+  const evidence = [];
+  const lines = content.split('\n');
+  const add = (type, value, index, line, extra = {}) => {
+    if (type === 'filesystem' && IMPLICIT_PATHS.has(value)) return;
+    evidence.push({
+      type, value, ...extra, file, line: index + 1, column: line.indexOf(line.trim()) + 1,
+      snippet: line.trim().slice(0, 120)
+    });
+  };
+
+  if (language === 'sh') {
+    // Skip variables and functions the script defines itself
+    const defined = new Set(matchAll(/^\s*(?:export\s+|local\s+)?([A-Za-z_][A-Za-z0-9_]*)=/gm, content).map(m => m.value));
+    const functions = new Set(matchAll(/^\s*(?:function\s+)?([A-Za-z_][\w-]*)\s*\(\s*\)/gm, content).map(m => m.value));
+
+    lines.forEach((line, index) => {
+      if (/^\s*#/.test(line) || line.trim() === '') return;
+      const hosts = matchAll(URL_PATTERN, line).map(m => m.value.toLowerCase());
+
+      shellCommands(line).forEach(({ value }) => {
+        if (SHELL_BUILTINS.has(value) || functions.has(value)) return;
+        add('subprocess', value, index, line);
+        if (/^(?:curl|wget|nc|ncat|ssh|scp|rsync)$/.test(value) && hosts.length === 0) {
+          add('network', '*', index, line);
+        }
+      });
+      hosts.forEach(host => add('network', host, index, line));
+
+      const writes = /(?:^|[^<>2&])>>?\s*\S|\btee\b|\b(?:rm|mkdir|touch|cp|mv|chmod|ln)\s/.test(line);
+      matchAll(SHELL_PATH, line).forEach(({ value }) => {
+        add('filesystem', normalizePath(value), index, line, { access: writes ? 'write' : 'read' });
+      });
+
+      matchAll(/\$\{?([A-Z_][A-Z0-9_]*)/g, line).forEach(({ value }) => {
+        if (!defined.has(value)) add('env', value, index, line);
+      });
+    });
+    return evidence;
+  }
+
+  const rules = LANGUAGES[language];
+  const usesSubprocess = rules.subprocessModule.test(content);
+  const fileHasUrls = content.search(URL_PATTERN) !== -1;
+
+  lines.forEach((line, index) => {
+    if (rules.comment.test(line) || line.trim() === '') return;
+
+    matchAll(URL_PATTERN, line).forEach(({ value }) => add('network', value.toLowerCase(), index, line));
+    // A call with no host anywhere in the file goes to a computed address
+    if (rules.networkCall.test(line) && !fileHasUrls) {
+      add('network', '*', index, line);
+    }
+
+    const access = rules.fsWrite.test(line) ? 'write' : rules.fsRead.test(line) ? 'read' : null;
+    if (access) {
+      matchAll(PATH_LITERAL, line, 2).forEach(({ value }) => {
+        add('filesystem', normalizePath(value), index, line, { access });
+      });
+      rules.homePath.forEach(pattern => matchAll(pattern, line, 2).forEach(({ value }) => {
+        add('filesystem', normalizePath(`~/${value.replace(/^\/+/, '')}`), index, line, { access });
+      }));
+    }
+
+    if (usesSubprocess) {
+      const commands = matchAll(rules.command, line, 2);
+      commands.forEach(({ value }) => add('subprocess', basename(value), index, line));
+      if (commands.length === 0 && rules.dynamicCommand.test(line)) {
+        add('subprocess', '*', index, line);
+      }
+    }
+
+    rules.env.forEach(pattern => matchAll(pattern, line).forEach(({ value }) => add('env', value, index, line)));
+  });
+
+  // const { A, B } = process.env
+  if (language === 'js') {
+    for (const match of content.matchAll(/\{([^}]+)\}\s*=\s*process\.env\b/g)) {
+      const line = content.slice(0, match.index).split('\n').length - 1;
+      match[1].split(',').map(name => name.split(':')[0].split('=')[0].trim())
+        .filter(name => /^[A-Za-z_]\w*$/.test(name))
+        .forEach(name => add('env', name, line, lines[line]));
+    }
+  }
+
+  return evidence;
+}
+
+/**
+ * Binaries SKILL.md tells the agent to run (shell code blocks)
+ * @param {string} body - SKILL.md without frontmatter
+ * @param {number} bodyLine - Line number the body starts on
+ * @returns {Array<object>} Evidence entries
+ */
+function scanSkillMdBins(body, bodyLine) {
+  const evidence = [];
+  const lines = body.split('\n');
+  let inShellBlock = false;
+  let inBlock = false;
+
+  lines.forEach((line, index) => {
+    const fence = /^\s*(```|~~~)\s*([\w-]*)/.exec(line);
+    if (fence) {
+      inShellBlock = !inBlock && /^(?:bash|sh|shell|zsh|console|terminal)$/i.test(fence[2]);
+      inBlock = !inBlock;
+      return;
+    }
+    if (!inShellBlock || /^\s*#/.test(line) || line.trim() === '') return;
+
+    const command = line.replace(/^\s*[$>]\s+/, '');
+    shellCommands(command).forEach(({ value }) => {
+      if (SHELL_BUILTINS.has(value)) return;
+      evidence.push({
+        type: 'bin', value, file: 'SKILL.md', line: bodyLine + index,
+        column: line.indexOf(line.trim()) + 1, snippet: line.trim().slice(0, 120)
+      });
+    });
+  });
+
+  return evidence;
+}
+
+/**
+ * Infer the capability manifest of a skill
+ * @param {string} skillPath
+ * @param {Array<string>} ignore
+ * @returns {Promise<{manifest: object, evidence: Array<object>, frontmatter: object|null}>}
+ */
+export async function inferCapabilities(skillPath, ignore) {
+  const files = await getAllFiles(skillPath, ignore);
+  const evidence = [];
+  let frontmatter = null;
+
+  for (const filePath of files) {
+    const file = relative(skillPath, filePath);
+    let content;
+    try {
+      content = await readFile(filePath, 'utf-8');
+    } catch {
+      continue;
+    }
+
+    if (file === 'SKILL.md') {
+      frontmatter = parseFrontmatter(content);
+      evidence.push(...scanSkillMdBins(frontmatter.body, frontmatter.bodyLine));
+      continue;
+    }
+
+    const language = languageOf(filePath);
+    if (language) {
+      evidence.push(...scanFile(content, language, file));
+    }
+  }
+
+  const unique = (type, access) => [...new Set(evidence
+    .filter(item => item.type === type && (!access || item.access === access))
+    .map(item => item.value))].sort();
+
+  // Required binaries are the declared ones plus those the instructions run
+  const requires = openclawMetadata(frontmatter?.data).requires || {};
+  const requiredBins = [...(requires.bins || []), ...(requires.anyBins || [])].map(String);
+
+  return {
+    manifest: {
+      network: unique('network'),
+      filesystem: { read: unique('filesystem', 'read'), write: unique('filesystem', 'write') },
+      subprocess: unique('subprocess'),
+      env: unique('env'),
+      bins: [...new Set([...requiredBins, ...unique('bin')])].sort()
+    },
+    evidence,
+    frontmatter
+  };
+}
+
+/**
+ * Normalize the declared permissions from parsed frontmatter
+ * @param {object} [data] - Parsed frontmatter
+ * @returns {{block: boolean, network: Array<string>, filesystem: object, exec: Array<string>, env: Array<string>}}
+ */
+export function declaredPermissions(data = {}) {
+  const metadata = openclawMetadata(data);
+  const block = data.permissions ?? metadata.permissions ?? null;
+  const permissions = block && typeof block === 'object' ? block : {};
+  const list = value => (Array.isArray(value) ? value : value ? [value] : []).map(String);
+
+  const fs = permissions.filesystem ?? permissions.fs;
+  const filesystem = fs && typeof fs === 'object' && !Array.isArray(fs) ?
+    { read: list(fs.read).map(normalizePath), write: list(fs.write).map(normalizePath) } :
+    { read: list(fs).map(normalizePath), write: list(fs).map(normalizePath) };
+
+  const requires = metadata.requires || {};
+  const installBins = (Array.isArray(metadata.install) ? metadata.install : []).flatMap(step => list(step?.bins));
+
+  return {
+    block: block !== null,
+    network: list(permissions.network).map(host => host.toLowerCase()),
+    filesystem,
+    exec: [...new Set([
+      ...list(permissions.exec ?? permissions.subprocess ?? permissions.bins),
+      ...list(requires.bins), ...list(requires.anyBins), ...installBins
+    ])],
+    env: [...new Set([...list(permissions.env), ...list(requires.env), ...list(metadata.primaryEnv)])]
+  };
+}
+
+/**
+ * Whether a host is covered by a declared host pattern
+ * "example.com" covers its subdomains; "*.example.com" covers only subdomains.
+ * @param {string} host
+ * @param {Array<string>} declared
+ * @returns {boolean}
+ */
+export function hostAllowed(host, declared) {
+  if (declared.includes('*')) return true;
+  if (host === '*') return declared.length > 0;
+  return declared.some(pattern => pattern.startsWith('*.') ?
+    host.endsWith(pattern.slice(1)) :
+    host === pattern || host.endsWith(`.${pattern}`));
+}
+
+/**
+ * Whether a path is inside a declared path
+ * @param {string} path
+ * @param {Array<string>} declared
+ * @returns {boolean}
+ */
+function pathAllowed(path, declared) {
+  return declared.some(prefix => prefix === '*' || path === prefix || path.startsWith(`${prefix}/`));
+}
+
+// Severity per undeclared capability, with and without a permissions block
+const SEVERITIES = {
+  network: { block: 'high' },
+  'filesystem-write': { block: 'high' },
+  'filesystem-read': { block: 'medium' },
+  subprocess: { block: 'high', requires: 'medium' },
+  bin: { block: 'high', requires: 'medium' },
+  env: { block: 'medium', requires: 'medium' }
+};
+
+/**
+ * Compare inferred capabilities with the declared permissions
+ * Without a permissions block, network and filesystem use is summarized in
+ * one low-severity finding, while subprocesses and env vars are still checked
+ * against `requires`.
+ * @param {{manifest: object, evidence: Array<object>}} inferred
+ * @param {object} declared - declaredPermissions() result
+ * @returns {Array<object>} Findings
+ */
+export function compareCapabilities(inferred, declared) {
+  const findings = [];
+  const reported = new Set();
+  const mode = declared.block ? 'block' : 'requires';
+
+  for (const item of inferred.evidence) {
+    let allowed;
+    let kind = item.type;
+    if (item.type === 'network') {
+      allowed = hostAllowed(item.value, declared.network);
+    } else if (item.type === 'filesystem') {
+      kind = `filesystem-${item.access}`;
+      allowed = pathAllowed(item.value, item.access === 'write' ?
+        declared.filesystem.write :
+        [...declared.filesystem.read, ...declared.filesystem.write]);
+    } else if (item.type === 'subprocess' || item.type === 'bin') {
+      allowed = IMPLICIT_BINS.has(item.value) ||
+        (item.value === '*' ? declared.exec.length > 0 : declared.exec.includes(item.value));
+    } else {
+      allowed = IMPLICIT_ENV.has(item.value) || declared.env.includes('*') || declared.env.includes(item.value);
+    }
+
+    const severity = SEVERITIES[kind][mode];
+    const rule = `undeclared-${{ subprocess: 'exec', bin: 'exec' }[item.type] || item.type}`;
+    const key = `${rule}:${item.access || ''}:${item.value}`;
+    if (allowed || !severity || reported.has(key)) continue;
+    reported.add(key);
+
+    const what = {
+      network: item.value === '*' ? 'Network call to a computed address' : `Contacts ${item.value}`,
+      'filesystem-write': `Writes ${item.value}`,
+      'filesystem-read': `Reads ${item.value}`,
+      subprocess: item.value === '*' ? 'Runs a computed command' : `Runs ${item.value}`,
+      bin: `SKILL.md runs ${item.value}`,
+      env: `Reads $${item.value}`
+    }[kind];
+    const where = declared.block ? 'the permissions block' : 'requires';
+
+    findings.push({
+      rule,
+      severity,
+      message: `${what} but does not declare it in ${where}`,
+      file: item.file,
+      line: item.line,
+      column: item.column,
+      snippet: item.snippet
+    });
+  }
+
+  const { network, filesystem } = inferred.manifest;
+  const touched = filesystem.read.length + filesystem.write.length;
+  if (!declared.block && (network.length > 0 || touched > 0)) {
+    findings.push({
+      rule: 'permissions-missing',
+      severity: 'low',
+      message: `No permissions block in SKILL.md; the skill uses ${network.length} network host(s) and ${touched} path(s) outside its directory`,
+      file: 'SKILL.md',
+      line: 1,
+      column: null
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Infer capabilities and check them against the declared permissions
+ * @param {string} skillPath
+ * @param {Array<string>} ignore
+ * @returns {Promise<{manifest: object, declared: object, evidence: Array<object>, issues: object, findings: Array<object>}>}
+ */
+export async function analyzeCapabilities(skillPath, ignore) {
+  const inferred = await inferCapabilities(skillPath, ignore);
+  const declared = declaredPermissions(inferred.frontmatter?.data);
+  const findings = compareCapabilities(inferred, declared);
+
+  const issues = { critical: 0, high: 0, medium: 0, low: 0 };
+  findings.forEach(finding => {
+    issues[finding.severity]++;
+  });
+
+  return {
+    manifest: inferred.manifest,
+    declared,
+    evidence: inferred.evidence,
+    issues,
+    findings
+  };
+}
+
+export default { analyzeCapabilities, inferCapabilities, declaredPermissions, compareCapabilities, hostAllowed };
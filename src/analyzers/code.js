@@ -1,35 +1,87 @@
 #!/usr/bin/env node
 /**
  * Code Quality Analyzer
- * Evaluates code quality through static analysis
+ * Evaluates code quality through static analysis: JS/TS files are parsed
+ * into an AST, shell and Python get their own language-aware handlers
  */
 
 import { readdir, readFile } from 'fs/promises';
-import { join } from 'path';
+import { join, relative, sep } from 'path';
+import { analyzeFile as analyzeJavaScript } from './quality/javascript.js';
+import { analyzeFile as analyzeShell } from './quality/shell.js';
+import { analyzeFile as analyzePython } from './quality/python.js';
+import { scanSecrets } from './secrets.js';
+import { recommend, highestSeverity, remediationFor } from '../recommendations.js';
+
+// Common non-code directories
+const DEFAULT_IGNORE = ['node_modules', '.git', '.vscode', 'dist', 'build'];
+const CODE_FILE = /\.(js|mjs|cjs|ts|sh|py|md)$/i;
+
+/**
+ * Language handlers by file extension. Each analyzeFile(content, options) returns:
+ *   parsed            false when the file could not be parsed (then only findings are set)
+ *   lines             { code, comment, total }
+ *   functions         [{ name, line, complexity, documentable, documented }]
+ *   identifiers       { total, poor: [{ name, line, reason }] }
+ *   findings          [{ rule, severity, message, line, column }]
+ *   unusedCandidates  [{ name, line, kind }] - unused within the file; reported only
+ *                     when no other file of the same language mentions them either
+ */
+const HANDLERS = [
+  { language: 'javascript', pattern: /\.(js|mjs|cjs)$/i, analyze: analyzeJavaScript },
+  { language: 'typescript', pattern: /\.ts$/i, analyze: (content, options) => analyzeJavaScript(content, { ...options, typescript: true }) },
+  { language: 'shell', pattern: /\.sh$/i, analyze: analyzeShell },
+  { language: 'python', pattern: /\.py$/i, analyze: analyzePython }
+];
+
+const ERROR_HANDLING_RULES = ['empty-catch', 'unhandled-promise', 'bare-except', 'missing-errexit', 'unhandled-background-job'];
+const DEAD_CODE_RULES = ['unreachable-code', 'unused-declaration'];
+// Secret findings at these severities are treated as real credentials
+const CONFIRMED_SEVERITIES = ['critical', 'high'];
+
+// How many examples (poor names, undocumented functions) to keep in the report
+const SAMPLE_LIMIT = 10;
 
 /**
- * Recursively get all files in directory
+ * Check whether a path should be skipped
+ * Entries match a file/directory name or a path relative to the skill root
+ * @param {string} relativePath
+ * @param {string} name
+ * @param {Array<string>} ignore
+ * @returns {boolean}
+ */
+export function isIgnored(relativePath, name, ignore) {
+  return ignore.some(entry => {
+    const pattern = entry.replace(/\/+$/, '');
+    return pattern === name ||
+           pattern === relativePath ||
+           relativePath.startsWith(pattern + '/');
+  });
+}
+
+/**
+ * Recursively list files in a directory
  * @param {string} dir
+ * @param {Array<string>} ignore - Names or relative paths to skip
+ * @param {RegExp} include - Files to keep, tested against the relative path
  * @param {Array} fileList
+ * @param {string} root - Skill root that ignore paths are relative to
  * @returns {Promise<Array<string>>}
  */
-async function getAllFiles(dir, fileList = []) {
+export async function listFiles(dir, ignore = DEFAULT_IGNORE, include = CODE_FILE, fileList = [], root = dir) {
   try {
     const files = await readdir(dir, { withFileTypes: true });
     
     for (const file of files) {
       const filePath = join(dir, file.name);
+      const relativePath = relative(root, filePath).split(sep).join('/');
+
+      if (isIgnored(relativePath, file.name, ignore)) continue;
       
-      // Skip common non-code directories
       if (file.isDirectory()) {
-        if (!['node_modules', '.git', '.vscode', 'dist', 'build'].includes(file.name)) {
-          await getAllFiles(filePath, fileList);
-        }
-      } else {
-        // Only analyze code files
-        if (/\.(js|mjs|cjs|ts|sh|py|md)$/i.test(file.name)) {
-          fileList.push(filePath);
-        }
+        await listFiles(filePath, ignore, include, fileList, root);
+      } else if (include.test(relativePath)) {
+        fileList.push(filePath);
       }
     }
   } catch (error) {
@@ -40,182 +92,327 @@ async function getAllFiles(dir, fileList = []) {
 }
 
 /**
- * Check for hardcoded secrets/tokens
- * @param {string} content
- * @returns {Array<string>}
+ * Recursively get all code and markdown files in directory
+ * @param {string} dir
+ * @param {Array<string>} ignore - Names or relative paths to skip
+ * @returns {Promise<Array<string>>}
  */
-function findHardcodedSecrets(content) {
-  const patterns = [
-    /(?:api[_-]?key|apikey|access[_-]?token|auth[_-]?token|secret[_-]?key)\s*[=:]\s*['"][a-zA-Z0-9_-]{20,}['"]/gi,
-    /sk-[a-zA-Z0-9]{32,}/g,  // OpenAI-style keys
-    /ghp_[a-zA-Z0-9]{36}/g,   // GitHub tokens
-    /xox[baprs]-[a-zA-Z0-9-]+/g  // Slack tokens
-  ];
-  
-  const findings = [];
-  patterns.forEach(pattern => {
-    const matches = content.match(pattern);
-    if (matches) {
-      findings.push(...matches);
-    }
-  });
-  
-  return findings;
+export async function getAllFiles(dir, ignore = DEFAULT_IGNORE) {
+  return listFiles(dir, ignore, CODE_FILE);
 }
 
 /**
- * Check for error handling patterns
- * @param {string} content
- * @returns {boolean}
+ * Script language of a file for the security scanners: js (JS and TS), sh or py
+ * @param {string} filePath
+ * @returns {string|null}
  */
-function hasErrorHandling(content) {
-  const patterns = [
-    /try\s*{/,
-    /catch\s*\(/,
-    /\.catch\(/,
-    /if\s*\([^)]*error/i,
-    /throw\s+new\s+Error/
-  ];
-  
-  return patterns.some(pattern => pattern.test(content));
+export function languageOf(filePath) {
+  if (/\.(js|mjs|cjs|ts)$/i.test(filePath)) return 'js';
+  if (/\.sh$/i.test(filePath)) return 'sh';
+  if (/\.py$/i.test(filePath)) return 'py';
+  return null;
 }
 
 /**
- * Check for comments/documentation
- * @param {string} content
- * @returns {number} Percentage of lines with comments
+ * Mark unused candidates that no other file of the same language mentions
+ * @param {Array<object>} analyzed - [{ file, language, content, metrics }]
+ * @returns {Array<object>} unused-declaration findings
  */
-function calculateCommentDensity(content) {
-  const lines = content.split('\n');
-  const commentLines = lines.filter(line => {
-    const trimmed = line.trim();
-    return trimmed.startsWith('//') || 
-           trimmed.startsWith('/*') || 
-           trimmed.startsWith('*') ||
-           trimmed.startsWith('#');
+function confirmUnused(analyzed) {
+  const findings = [];
+  analyzed.forEach(({ file, language, metrics }) => {
+    (metrics.unusedCandidates || []).forEach(candidate => {
+      const pattern = new RegExp(`(?:^|[^\\w-])${candidate.name.replace(/[.:]/g, '\\$&')}(?![\\w-])`);
+      const usedElsewhere = analyzed.some(other =>
+        other.file !== file && other.language === language && pattern.test(other.content));
+      if (!usedElsewhere) {
+        findings.push({
+          rule: 'unused-declaration',
+          severity: 'low',
+          message: `${candidate.kind === 'class' ? 'Class' : 'Function'} '${candidate.name}' is never used`,
+          file,
+          line: candidate.line,
+          column: null
+        });
+      }
+    });
   });
-  
-  return lines.length > 0 ? (commentLines.length / lines.length) * 100 : 0;
+  return findings;
 }
 
 /**
- * Check naming conventions
- * @param {string} content
- * @returns {boolean}
+ * Recommendations for the code quality result
+ * @param {object} details - analyzeCode details
+ * @param {object} thresholds - Effective commentDensity, docCoverage, namingRatio (percent)
+ * @param {boolean} measured - Whether any code could be parsed (metrics only score then)
+ * @returns {Array<object>}
  */
-function followsNamingConventions(content) {
-  // Basic check: Look for camelCase functions and variables
-  const hasCamelCase = /(?:const|let|var|function)\s+[a-z][a-zA-Z0-9]*/.test(content);
-  
-  // Check for excessive use of single-letter variables (poor naming)
-  const singleLetterVars = content.match(/(?:const|let|var)\s+[a-z]\s*=/g) || [];
-  const totalVars = content.match(/(?:const|let|var)\s+/g) || [];
-  
-  const singleLetterRatio = totalVars.length > 0 ? 
-    singleLetterVars.length / totalVars.length : 0;
-  
-  return hasCamelCase && singleLetterRatio < 0.5; // Less than 50% single-letter vars
+function codeRecommendations(details, thresholds, measured) {
+  const recommendations = [];
+  const { secrets, errorHandling, complexity, comments, naming, deadCode } = details;
+  const metricPoints = points => measured ? points : 0;
+
+  const confirmed = secrets.findings.filter(finding => CONFIRMED_SEVERITIES.includes(finding.severity));
+  const possible = secrets.findings.filter(finding => !CONFIRMED_SEVERITIES.includes(finding.severity));
+  if (confirmed.length > 0) {
+    recommendations.push(recommend({
+      id: 'hardcoded-secrets',
+      severity: highestSeverity(confirmed),
+      message: `Remove and rotate ${confirmed.length} hardcoded secret(s)`,
+      points: Math.max(0, 10 - 2 * possible.length),
+      findings: confirmed,
+      remediation: `${remediationFor(confirmed[0])} Read it at runtime instead, e.g. process.env.API_KEY or os.environ["API_KEY"], and declare the variable under requires.env.`
+    }));
+  }
+  if (possible.length > 0) {
+    recommendations.push(recommend({
+      id: 'possible-secrets',
+      severity: highestSeverity(possible),
+      message: `Review ${possible.length} possible secret(s); allowlist false positives with "scorecard:allow-secret" or secrets.allowlist`,
+      points: Math.min(10, 2 * possible.length),
+      findings: possible,
+      remediation: 'Move real secrets out of the code. For false positives, add a "scorecard:allow-secret" comment on the line or list the value under secrets.allowlist in the config.'
+    }));
+  }
+
+  if (errorHandling.findings.length > 0) {
+    const other = errorHandling.findings.length - errorHandling.emptyCatches - errorHandling.unhandledPromises;
+    const parts = [
+      [errorHandling.emptyCatches, 'empty catch block(s)'],
+      [errorHandling.unhandledPromises, 'unhandled promise(s)'],
+      [other, 'other error handling issue(s)']
+    ].filter(([count]) => count > 0).map(([count, what]) => `${count} ${what}`);
+    recommendations.push(recommend({
+      id: 'error-handling',
+      severity: 'medium',
+      message: `Fix error handling: ${parts.join(', ')}`,
+      points: metricPoints(4 - errorHandling.score),
+      findings: errorHandling.findings,
+      remediation: 'Log or rethrow in catch blocks, add .catch() or await in try/catch for promises, ' +
+        'catch specific exceptions in Python, and start shell scripts with "set -euo pipefail".'
+    }));
+  }
+
+  if (complexity.findings.length > 0) {
+    recommendations.push(recommend({
+      id: 'complex-function',
+      severity: 'low',
+      message: `Simplify ${complexity.findings.length} function(s) with cyclomatic complexity above ${complexity.threshold}`,
+      points: metricPoints(2 - complexity.score),
+      findings: complexity.findings,
+      remediation: 'Split long functions into smaller helpers, return early instead of nesting, and replace long if/else chains with lookup tables.'
+    }));
+  }
+
+  if (measured && comments.averageDensity < thresholds.commentDensity) {
+    recommendations.push(recommend({
+      id: 'comment-density',
+      severity: 'low',
+      message: 'Add more code comments and documentation',
+      points: metricPoints(1),
+      remediation: `Comment the non-obvious parts of the code; files average ${comments.averageDensity}% comment lines against a target of ${thresholds.commentDensity}%.`
+    }));
+  }
+
+  if (measured && comments.docCoverage < thresholds.docCoverage) {
+    const { documentableFunctions, documentedFunctions, undocumented } = comments;
+    recommendations.push(recommend({
+      id: 'doc-coverage',
+      severity: 'low',
+      message: `Add doc comments to ${documentableFunctions - documentedFunctions} of ${documentableFunctions} functions`,
+      points: metricPoints(1),
+      findings: undocumented.map(fn => ({ rule: 'undocumented-function', severity: 'low', file: fn.file, line: fn.line })),
+      remediation: 'Add a doc comment (JSDoc /** */, a Python docstring or a # comment above shell functions) saying what each function does, its parameters and what it returns.'
+    }));
+  }
+
+  if (naming.ratio < thresholds.namingRatio) {
+    recommendations.push(recommend({
+      id: 'naming',
+      severity: 'low',
+      message: `Rename ${naming.poorlyNamed} poorly named identifier(s)`,
+      points: metricPoints(1),
+      findings: naming.samples.map(item => ({ rule: 'poor-name', severity: 'low', file: item.file, line: item.line })),
+      remediation: 'Use descriptive names in the language\'s convention (camelCase in JavaScript, snake_case in Python and shell) instead of single letters or abbreviations.'
+    }));
+  }
+
+  if (deadCode.findings.length > 0) {
+    recommendations.push(recommend({
+      id: 'dead-code',
+      severity: 'low',
+      message: `Remove ${deadCode.findings.length} piece(s) of dead code`,
+      points: metricPoints(1 - deadCode.score),
+      findings: deadCode.findings,
+      remediation: 'Delete unreachable statements and functions nothing calls; git keeps them if they are needed again.'
+    }));
+  }
+
+  return recommendations;
 }
 
 /**
  * Analyze code quality
  * @param {string} skillPath
- * @returns {Promise<{score: number, max: number, details: object}>}
+ * @param {object} [options]
+ * @param {object} [options.thresholds] - maxComplexity, commentDensity, docCoverage, namingRatio (percent)
+ * @param {Array<string>} [options.ignore] - Paths to skip
+ * @param {object} [options.secrets] - entropyThreshold, minLength and allowlist for the secret scan
+ * @returns {Promise<{score: number, max: number, details: object, recommendations: Array<object>}>}
  */
-export async function analyzeCode(skillPath) {
-  const files = await getAllFiles(skillPath);
-  
-  let totalSecretFindings = [];
-  let filesWithErrorHandling = 0;
-  let totalCommentDensity = 0;
-  let filesWithGoodNaming = 0;
-  let analyzedFiles = 0;
+export async function analyzeCode(skillPath, options = {}) {
+  const {
+    maxComplexity = 10,
+    commentDensity: minCommentDensity = 10,
+    docCoverage: minDocCoverage = 50,
+    namingRatio: minNaming = 80
+  } = options.thresholds || {};
+  const files = await getAllFiles(skillPath, options.ignore);
+
+  const analyzed = [];
+  const languages = {};
 
   for (const filePath of files) {
+    let content;
     try {
-      const content = await readFile(filePath, 'utf-8');
-      
-      // Skip markdown files for code analysis
-      if (filePath.endsWith('.md')) continue;
-      
-      analyzedFiles++;
-      
-      // Check for secrets
-      const secrets = findHardcodedSecrets(content);
-      totalSecretFindings.push(...secrets);
-      
-      // Check error handling
-      if (hasErrorHandling(content)) {
-        filesWithErrorHandling++;
-      }
-      
-      // Calculate comment density
-      totalCommentDensity += calculateCommentDensity(content);
-      
-      // Check naming
-      if (followsNamingConventions(content)) {
-        filesWithGoodNaming++;
-      }
+      content = await readFile(filePath, 'utf-8');
     } catch (error) {
       // Skip files we can't read
+      continue;
     }
+
+    // Skip markdown files for code analysis
+    if (filePath.endsWith('.md')) continue;
+    const handler = HANDLERS.find(({ pattern }) => pattern.test(filePath));
+    if (!handler) continue;
+
+    const file = relative(skillPath, filePath).split(sep).join('/');
+    languages[handler.language] = (languages[handler.language] || 0) + 1;
+    const metrics = handler.analyze(content, { maxComplexity });
+    analyzed.push({ file, language: handler.language === 'typescript' ? 'javascript' : handler.language, content, metrics });
   }
 
+  const parsed = analyzed.filter(entry => entry.metrics.parsed);
+  const withFile = entry => finding => ({ ...finding, file: entry.file });
+  const findings = [
+    ...analyzed.flatMap(entry => entry.metrics.findings.map(withFile(entry))),
+    ...confirmUnused(parsed)
+  ];
+  const byRule = rules => findings.filter(finding => rules.includes(finding.rule));
+
   let score = 0;
   const details = {
-    analyzedFiles,
-    totalFiles: files.length
+    analyzedFiles: analyzed.length,
+    totalFiles: files.length,
+    languages
   };
 
-  // No hardcoded secrets (10 pts)
-  if (totalSecretFindings.length === 0) {
-    score += 10;
-    details.secrets = { found: 0, clean: true };
-  } else {
-    details.secrets = { 
-      found: totalSecretFindings.length, 
-      clean: false,
-      samples: totalSecretFindings.slice(0, 3) // Show first 3
-    };
-  }
+  // No hardcoded secrets (10 pts): any confirmed secret zeroes it, -2 per possible one
+  const secrets = await scanSecrets(skillPath, { ...options.secrets, ignore: options.ignore });
+  const confirmed = secrets.findings.filter(finding => CONFIRMED_SEVERITIES.includes(finding.severity));
+  const possible = secrets.findings.length - confirmed.length;
+  score += confirmed.length > 0 ? 0 : Math.max(0, 10 - 2 * possible);
+  details.secrets = {
+    found: secrets.findings.length,
+    confirmed: confirmed.length,
+    possible,
+    clean: secrets.findings.length === 0,
+    filesScanned: secrets.filesScanned,
+    allowlisted: secrets.allowlisted,
+    samples: secrets.findings.slice(0, 3).map(finding => `${finding.file}:${finding.line} ${finding.secret}`),
+    findings: secrets.findings
+  };
 
-  // Error handling (5 pts) - at least 30% of files should have error handling
-  const errorHandlingRatio = analyzedFiles > 0 ? 
-    filesWithErrorHandling / analyzedFiles : 0;
-  if (errorHandlingRatio >= 0.3) {
-    score += 5;
-  }
+  // Metrics are only credited when some code could be measured
+  const measured = parsed.length > 0;
+  const functions = parsed.flatMap(entry => entry.metrics.functions.map(fn => ({ ...fn, file: entry.file })));
+
+  // Error handling (4 pts): -1 per empty catch, unhandled promise or unchecked script
+  const errorFindings = byRule(ERROR_HANDLING_RULES);
+  const errorScore = measured ? Math.max(0, 4 - errorFindings.length) : 0;
+  score += errorScore;
   details.errorHandling = {
-    filesWithHandling: filesWithErrorHandling,
-    ratio: Math.round(errorHandlingRatio * 100)
+    score: errorScore,
+    emptyCatches: errorFindings.filter(finding => finding.rule === 'empty-catch').length,
+    unhandledPromises: errorFindings.filter(finding => finding.rule === 'unhandled-promise').length,
+    findings: errorFindings
   };
 
-  // Comments (3 pts) - average 10%+ comment density
-  const avgCommentDensity = analyzedFiles > 0 ? 
-    totalCommentDensity / analyzedFiles : 0;
-  if (avgCommentDensity >= 10) {
-    score += 3;
+  // Complexity (2 pts): -1 per function above the threshold
+  const complexFindings = byRule(['complex-function']);
+  const complexityScore = measured ? Math.max(0, 2 - complexFindings.length) : 0;
+  score += complexityScore;
+  const complexities = functions.map(fn => fn.complexity);
+  details.complexity = {
+    score: complexityScore,
+    functions: functions.length,
+    average: complexities.length > 0 ?
+      Math.round(complexities.reduce((sum, value) => sum + value, 0) / complexities.length * 10) / 10 : 0,
+    max: complexities.length > 0 ? Math.max(...complexities) : 0,
+    threshold: maxComplexity,
+    findings: complexFindings
+  };
+
+  // Comments (2 pts): 1 for comment density, 1 for doc comment coverage
+  const densities = parsed.map(({ metrics }) => {
+    const counted = metrics.lines.code + metrics.lines.comment;
+    return counted > 0 ? (metrics.lines.comment / counted) * 100 : 0;
+  });
+  const avgCommentDensity = densities.length > 0 ?
+    densities.reduce((sum, value) => sum + value, 0) / densities.length : 0;
+  const documentable = functions.filter(fn => fn.documentable);
+  const documented = documentable.filter(fn => fn.documented);
+  const docCoverage = documentable.length > 0 ? (documented.length / documentable.length) * 100 : 100;
+  if (measured && avgCommentDensity >= minCommentDensity) {
+    score += 1;
+  }
+  if (measured && docCoverage >= minDocCoverage) {
+    score += 1;
   }
   details.comments = {
-    averageDensity: Math.round(avgCommentDensity * 10) / 10
+    averageDensity: Math.round(avgCommentDensity * 10) / 10,
+    docCoverage: Math.round(docCoverage),
+    documentedFunctions: documented.length,
+    documentableFunctions: documentable.length,
+    undocumented: documentable.filter(fn => !fn.documented).slice(0, SAMPLE_LIMIT)
+      .map(fn => ({ name: fn.name, file: fn.file, line: fn.line }))
   };
 
-  // Naming conventions (2 pts) - at least 50% of files follow conventions
-  const namingRatio = analyzedFiles > 0 ? 
-    filesWithGoodNaming / analyzedFiles : 0;
-  if (namingRatio >= 0.5) {
-    score += 2;
+  // Naming (1 pt): share of declared identifiers that follow the language's conventions
+  const identifiers = parsed.reduce((sum, entry) => sum + entry.metrics.identifiers.total, 0);
+  const poor = parsed.flatMap(entry => entry.metrics.identifiers.poor.map(item => ({ ...item, file: entry.file })));
+  const namingRatio = identifiers > 0 ? (identifiers - poor.length) / identifiers : 1;
+  if (measured && namingRatio * 100 >= minNaming) {
+    score += 1;
   }
   details.naming = {
-    filesWithGoodNaming,
-    ratio: Math.round(namingRatio * 100)
+    identifiers,
+    poorlyNamed: poor.length,
+    ratio: Math.round(namingRatio * 100),
+    samples: poor.slice(0, SAMPLE_LIMIT)
   };
 
+  // Dead code (1 pt): no unreachable statements or unused declarations
+  const deadFindings = byRule(DEAD_CODE_RULES);
+  const deadCodeScore = measured && deadFindings.length === 0 ? 1 : 0;
+  score += deadCodeScore;
+  details.deadCode = { score: deadCodeScore, findings: deadFindings };
+
+  const parseErrors = byRule(['parse-error']);
+  if (parseErrors.length > 0) {
+    details.parseErrors = { files: parseErrors.length, findings: parseErrors };
+  }
+
   return {
     score,
     max: 20,
-    details
+    details,
+    recommendations: codeRecommendations(details, {
+      commentDensity: minCommentDensity,
+      docCoverage: minDocCoverage,
+      namingRatio: minNaming
+    }, measured)
   };
 }
 
-export default { analyzeCode };
+export default { analyzeCode, getAllFiles, listFiles, isIgnored, languageOf };
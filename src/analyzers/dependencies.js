@@ -0,0 +1,678 @@
+#!/usr/bin/env node
+/**
+ * Dependency Analyzer
+ * Reads package.json / lockfiles and requirements.txt / pyproject.toml from
+ * the skill and flags install scripts, git/URL/tarball dependencies,
+ * unpinned versions, likely typosquats of popular packages and versions
+ * listed in an optional offline advisory database.
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, relative, sep } from 'path';
+import { listFiles } from './code.js';
+import { recommendPerRule } from '../recommendations.js';
+
+const MANIFEST_FILE = /(?:^|\/)(?:package\.json|package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb?|requirements[\w.-]*\.txt|pyproject\.toml|poetry\.lock|uv\.lock|pdm\.lock|Pipfile\.lock)$/;
+const NPM_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock', 'bun.lockb'];
+
+// Lifecycle scripts npm runs on install, with the skill's permissions
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+const NPM_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Frequently typosquatted targets: the most depended-upon packages of each registry
+const POPULAR_PACKAGES = {
+  npm: [
+    'react', 'react-dom', 'lodash', 'express', 'axios', 'chalk', 'commander', 'debug', 'moment', 'request',
+    'async', 'underscore', 'uuid', 'yargs', 'glob', 'minimist', 'dotenv', 'typescript', 'webpack', 'eslint',
+    'prettier', 'jest', 'mocha', 'vue', 'jquery', 'next', 'bluebird', 'colors', 'color', 'cross-env',
+    'body-parser', 'cors', 'mongoose', 'mongodb', 'mysql', 'mysql2', 'redis', 'socket.io', 'node-fetch',
+    'superagent', 'inquirer', 'semver', 'rimraf', 'mkdirp', 'fs-extra', 'classnames', 'prop-types', 'tslib',
+    'rxjs', 'core-js', 'cheerio', 'puppeteer', 'playwright', 'openai', 'zod', 'dayjs', 'date-fns',
+    'nodemailer', 'jsonwebtoken', 'bcrypt', 'bcryptjs', 'crypto-js', 'sharp', 'electron', 'nodemon',
+    'concurrently', 'husky', 'ethers', 'web3', 'discord.js', 'telegraf', 'twilio', 'stripe', 'aws-sdk',
+    'firebase', 'graphql', 'koa', 'fastify', 'passport', 'multer', 'winston', 'morgan', 'chokidar', 'xml2js',
+    'js-yaml', 'marked', 'markdown-it', 'handlebars', 'sqlite3', 'sequelize', 'prisma', 'knex', 'typeorm',
+    'node-cron', 'ioredis', 'kafkajs', 'amqplib', 'form-data', 'formidable', 'busboy', 'mime-types',
+    'picocolors', 'execa', 'shelljs', 'cross-spawn', 'event-stream', 'ua-parser-js', 'nanoid', 'ws'
+  ],
+  pypi: [
+    'requests', 'numpy', 'pandas', 'urllib3', 'boto3', 'botocore', 'setuptools', 'six', 'python-dateutil',
+    'certifi', 'idna', 'charset-normalizer', 'pyyaml', 'typing-extensions', 'cryptography', 'packaging',
+    'attrs', 'wheel', 'jinja2', 'markupsafe', 'click', 'flask', 'django', 'fastapi', 'uvicorn', 'pydantic',
+    'sqlalchemy', 'psycopg2', 'psycopg2-binary', 'pymysql', 'redis', 'celery', 'scipy', 'matplotlib',
+    'scikit-learn', 'tensorflow', 'torch', 'keras', 'pillow', 'beautifulsoup4', 'lxml', 'selenium', 'scrapy',
+    'pytest', 'black', 'flake8', 'mypy', 'pylint', 'httpx', 'aiohttp', 'websockets', 'openai', 'anthropic',
+    'langchain', 'tiktoken', 'transformers', 'colorama', 'tqdm', 'rich', 'paramiko', 'pyjwt', 'bcrypt',
+    'pycryptodome', 'protobuf', 'grpcio', 'google-api-python-client', 'docker', 'kubernetes', 'pymongo',
+    'elasticsearch', 'openpyxl', 'pyopenssl', 'python-dotenv', 'simplejson', 'ujson', 'toml', 'tomli',
+    'markdown', 'nltk', 'opencv-python', 'discord-py', 'telethon', 'tweepy', 'slack-sdk', 'twilio',
+    'stripe', 'pyinstaller', 'virtualenv', 'gunicorn', 'werkzeug', 'dnspython', 'pysocks', 'pycurl'
+  ]
+};
+
+// Established packages one edit away from a popular name (preact/react, args/yargs)
+const KNOWN_LOOKALIKES = {
+  npm: ['preact', 'args', 'mssql', 'exec', 'colour'],
+  pypi: ['scapy', 'boto', 'pyaml', 'markdown2', 'attr']
+};
+
+/**
+ * Normalize a package name for comparison (PyPI names are case- and separator-insensitive)
+ * @param {string} name
+ * @param {string} ecosystem - npm or pypi
+ * @returns {string}
+ */
+function normalizeName(name, ecosystem) {
+  const lower = name.toLowerCase();
+  return ecosystem === 'pypi' ? lower.replace(/[-_.]+/g, '-') : lower;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * The popular package a name imitates, or null
+ * Flags names that only differ from a popular one in separators (crossenv /
+ * cross-env), and one-character edits of names with 5+ characters after the
+ * first character: squats keep the start that readers skim (axois, mongose),
+ * while an edit at the start is a different word (preact, args). Popular and
+ * known lookalike packages are never flagged.
+ * @param {string} name
+ * @param {string} ecosystem
+ * @returns {string|null}
+ */
+export function typosquatTarget(name, ecosystem) {
+  // Scoped npm packages are owned by their scope
+  if (name.startsWith('@')) return null;
+  const popular = POPULAR_PACKAGES[ecosystem] || [];
+  const normalized = normalizeName(name, ecosystem);
+  const known = [...popular, ...(KNOWN_LOOKALIKES[ecosystem] || [])];
+  if (known.some(candidate => normalizeName(candidate, ecosystem) === normalized)) return null;
+
+  const bare = normalized.replace(/[-_.]/g, '');
+  return popular.find(candidate => {
+    const target = normalizeName(candidate, ecosystem);
+    if (target.replace(/[-_.]/g, '') === bare) return true;
+    return target.length >= 5 && Math.abs(target.length - normalized.length) <= 1 &&
+      normalized[0] === target[0] && editDistance(normalized, target) === 1;
+  }) || null;
+}
+
+/**
+ * Compare loose version strings numerically (1.10.0 > 1.9.2; 2.0 == 2.0.0)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+  const parts = version => String(version).replace(/^v/, '').split(/[.+-]/).map(part => /^\d+$/.test(part) ? Number(part) : part);
+  const left = parts(a);
+  const right = parts(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const x = left[i] ?? 0;
+    const y = right[i] ?? 0;
+    if (x === y) continue;
+    // A prerelease tag (1.0.0-beta) sorts before the release
+    if (typeof x !== typeof y) return typeof x === 'number' ? 1 : -1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Whether a version falls in an advisory range
+ * Ranges are space-separated comparators (`>=1.0.0 <1.4.2`), alternatives joined by `||`.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function versionInRange(version, range) {
+  return String(range).split('||').some(alternative =>
+    alternative.trim().split(/\s+/).filter(Boolean).every(comparator => {
+      const match = /^(<=|>=|<|>|==?)?\s*v?(.+)$/.exec(comparator);
+      if (!match) return false;
+      const order = compareVersions(version, match[2]);
+      switch (match[1]) {
+        case '<': return order < 0;
+        case '<=': return order <= 0;
+        case '>': return order > 0;
+        case '>=': return order >= 0;
+        default: return order === 0;
+      }
+    }));
+}
+
+/**
+ * Load an offline advisory database
+ * A JSON array (or `{ advisories: [...] }`) of
+ * { ecosystem, package, range | versions, id, severity, summary }.
+ * @param {string} dbPath
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadAdvisories(dbPath) {
+  let content;
+  try {
+    content = await readFile(dbPath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Cannot read advisory database ${dbPath}: ${error.message}`);
+  }
+
+  let entries;
+  try {
+    const data = JSON.parse(content);
+    entries = Array.isArray(data) ? data : data.advisories;
+    if (!Array.isArray(entries)) throw new Error('expected an array of advisories');
+    entries.forEach((entry, index) => {
+      if (!entry?.package || (!entry.range && !Array.isArray(entry.versions))) {
+        throw new Error(`advisory ${index} needs "package" and "range" or "versions"`);
+      }
+    });
+  } catch (error) {
+    throw new Error(`Invalid advisory database ${dbPath}: ${error.message}`);
+  }
+
+  return entries.map(entry => ({
+    ...entry,
+    ecosystem: String(entry.ecosystem || 'npm').toLowerCase(),
+    severity: ['critical', 'high', 'medium', 'low'].includes(entry.severity) ? entry.severity : 'high'
+  }));
+}
+
+/**
+ * Line number of the first line matching a pattern
+ * @param {Array<string>} lines
+ * @param {RegExp} pattern
+ * @returns {number|null}
+ */
+function lineOf(lines, pattern) {
+  const index = lines.findIndex(line => pattern.test(line));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Classify an npm version spec
+ * @param {string} spec
+ * @returns {{kind: string, version: string|null}} kind is remote, local, alias, unpinned, range or exact
+ */
+function classifyNpmSpec(spec) {
+  const value = String(spec).trim();
+  if (/^(?:git\+|git:|github:|gitlab:|bitbucket:|gist:|https?:|ssh:|git@)/.test(value) ||
+      /^[\w.-]+\/[\w.-]+(?:#.*)?$/.test(value)) {
+    return { kind: 'remote', version: null };
+  }
+  if (/^(?:file:|link:|workspace:|portal:)/.test(value)) return { kind: 'local', version: null };
+  if (value.startsWith('npm:')) return { kind: 'alias', version: null };
+  if (/^=?v?\d+\.\d+\.\d+(?:[-+][\w.-]+)?$/.test(value)) return { kind: 'exact', version: value.replace(/^=?v?/, '') };
+  if (value === '' || value === '*' || /^[xX]$/.test(value) || /^[a-z][\w-]*$/i.test(value) ||
+      (/>/.test(value) && !/</.test(value) && !/\|\|/.test(value))) {
+    return { kind: 'unpinned', version: null };
+  }
+  return { kind: 'range', version: null };
+}
+
+/**
+ * Parse a PEP 508 requirement (`name[extra]>=1.0; marker` or `name @ url`)
+ * @param {string} text
+ * @returns {{name: string, spec: string, url: string|null}|null}
+ */
+function parseRequirement(text) {
+  const match = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(?:@\s*(\S+)|([^;]*))?/.exec(text.trim());
+  if (!match) return null;
+  return { name: match[1], spec: (match[3] || '').trim(), url: match[2] || null };
+}
+
+/**
+ * Classify a Python version specifier
+ * @param {string} spec
+ * @returns {{kind: string, version: string|null}} kind is unpinned, lower-bound, range or exact
+ */
+function classifyPythonSpec(spec) {
+  const value = spec.replace(/\s+/g, '');
+  const exact = /^===?([^,*]+)$/.exec(value);
+  if (exact) return { kind: 'exact', version: exact[1] };
+  if (value === '' || value === '*') return { kind: 'unpinned', version: null };
+  if (/^(?:>=?|!=)[^,]*(?:,(?:>=?|!=)[^,]*)*$/.test(value)) return { kind: 'lower-bound', version: null };
+  return { kind: 'range', version: null };
+}
+
+/**
+ * Classify a Poetry dependency value (`"^1.2"` or `{ version = "...", git = "..." }`)
+ * @param {string} value - Raw TOML value
+ * @returns {{kind: string, version: string|null}}
+ */
+function classifyPoetrySpec(value) {
+  if (/^\{/.test(value)) {
+    if (/\b(?:git|url)\s*=/.test(value)) return { kind: 'remote', version: null };
+    if (/\bpath\s*=/.test(value)) return { kind: 'local', version: null };
+    const version = /\bversion\s*=\s*["']([^"']*)["']/.exec(value);
+    return version ? classifyPoetrySpec(`"${version[1]}"`) : { kind: 'unpinned', version: null };
+  }
+  const spec = /^["']([^"']*)["']/.exec(value)?.[1] ?? '';
+  if (spec === '' || spec === '*') return { kind: 'unpinned', version: null };
+  if (/^=?=?\d[\w.]*$/.test(spec)) return { kind: 'exact', version: spec.replace(/^=+/, '') };
+  if (/^>=?[^,<]*$/.test(spec)) return { kind: 'lower-bound', version: null };
+  return { kind: 'range', version: null };
+}
+
+/**
+ * Read npm dependencies and install scripts from a package.json
+ * @param {string} content
+ * @param {string} file
+ * @returns {{dependencies: Array<object>, findings: Array<object>}}
+ */
+function readPackageJson(content, file) {
+  let pkg;
+  try {
+    pkg = JSON.parse(content);
+  } catch (error) {
+    return {
+      dependencies: [],
+      findings: [{ rule: 'manifest-invalid', severity: 'low', message: `package.json is not valid JSON: ${error.message}`, file, line: 1, column: null }]
+    };
+  }
+  const lines = content.split('\n');
+  const findings = [];
+
+  INSTALL_SCRIPTS.forEach(script => {
+    const command = pkg.scripts?.[script];
+    if (typeof command !== 'string') return;
+    findings.push({
+      rule: 'install-script',
+      severity: 'high',
+      message: `"${script}" script runs on install: ${command.slice(0, 100)}`,
+      file,
+      line: lineOf(lines, new RegExp(`"${script}"\\s*:`)),
+      column: null
+    });
+  });
+
+  const dependencies = [];
+  NPM_DEPENDENCY_FIELDS.forEach(field => {
+    Object.entries(pkg[field] || {}).forEach(([name, spec]) => {
+      const classified = classifyNpmSpec(spec);
+      // npm:real-name@1.0.0 installs real-name under another name
+      const alias = classified.kind === 'alias' ? /^npm:((?:@[^/]+\/)?[^@]+)(?:@(.*))?$/.exec(spec) : null;
+      dependencies.push({
+        ecosystem: 'npm',
+        name: alias ? alias[1] : name,
+        spec: alias ? alias[2] || '' : String(spec),
+        ...(alias ? classifyNpmSpec(alias[2] || '') : classified),
+        dev: field === 'devDependencies',
+        file,
+        line: lineOf(lines, new RegExp(`"${escapeRegExp(name)}"\\s*:`))
+      });
+    });
+  });
+
+  return { dependencies, findings };
+}
+
+/**
+ * Resolved versions from an npm or yarn lockfile
+ * @param {string} content
+ * @param {string} name - Lockfile name
+ * @returns {Array<{name: string, version: string, installScript: boolean}>}
+ */
+function readNpmLockfile(content, name) {
+  if (name === 'yarn.lock') {
+    // Blocks start with `"name@range", name@range:` and have an indented `version "x"`
+    const packages = [];
+    let current = null;
+    content.split('\n').forEach(line => {
+      const header = /^"?((?:@[^@/"]+\/)?[^@"\s]+)@/.exec(line);
+      if (header && !line.startsWith(' ')) current = header[1];
+      const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+      if (current && version) {
+        packages.push({ name: current, version: version[1], installScript: false });
+        current = null;
+      }
+    });
+    return packages;
+  }
+
+  if (!/\.json$/.test(name)) return [];
+  let lock;
+  try {
+    lock = JSON.parse(content);
+  } catch {
+    return [];
+  }
+  if (lock.packages) {
+    return Object.entries(lock.packages)
+      .filter(([path, entry]) => path.includes('node_modules/') && entry.version && !entry.link)
+      .map(([path, entry]) => ({
+        name: path.slice(path.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: entry.version,
+        installScript: Boolean(entry.hasInstallScript)
+      }));
+  }
+  // lockfileVersion 1: nested `dependencies`
+  const packages = [];
+  const visit = dependencies => Object.entries(dependencies || {}).forEach(([dependency, entry]) => {
+    if (entry.version) packages.push({ name: dependency, version: entry.version, installScript: false });
+    visit(entry.dependencies);
+  });
+  visit(lock.dependencies);
+  return packages;
+}
+
+/**
+ * Resolved versions from poetry.lock (and other `[[package]]` TOML lockfiles)
+ * @param {string} content
+ * @returns {Array<{name: string, version: string, installScript: boolean}>}
+ */
+function readPythonLockfile(content) {
+  const packages = [];
+  content.split(/^\[\[package\]\]\s*$/m).slice(1).forEach(block => {
+    const name = /^name\s*=\s*"([^"]+)"/m.exec(block)?.[1];
+    const version = /^version\s*=\s*"([^"]+)"/m.exec(block)?.[1];
+    if (name && version) packages.push({ name, version, installScript: false });
+  });
+  return packages;
+}
+
+/**
+ * Read Python dependencies from a requirements file
+ * @param {string} content
+ * @param {string} file
+ * @returns {{dependencies: Array<object>, findings: Array<object>}}
+ */
+function readRequirements(content, file) {
+  const dependencies = [];
+  const findings = [];
+
+  content.split('\n').forEach((raw, index) => {
+    const line = index + 1;
+    const text = raw.replace(/(?:^|\s)#.*$/, '').trim();
+    if (!text) return;
+
+    const source = /^(?:-i|--index-url|--extra-index-url|-f|--find-links|--trusted-host)[\s=]+(\S+)/.exec(text);
+    if (source) {
+      if (!/^https:\/\/(?:pypi\.org|files\.pythonhosted\.org)\b/.test(source[1])) {
+        findings.push({ rule: 'custom-index', severity: 'medium', message: `Packages may come from outside PyPI: ${text}`, file, line, column: null });
+      }
+      return;
+    }
+    if (/^-(?:r|c)\s|^--(?:requirement|constraint)\b/.test(text) || /^--/.test(text)) return;
+
+    const editable = text.replace(/^(?:-e|--editable)\s+/, '');
+    if (/^(?:git\+|hg\+|svn\+|bzr\+|https?:|file:)/.test(editable) || /^[./]/.test(editable)) {
+      const name = /#egg=([\w.-]+)/.exec(editable)?.[1] || editable;
+      const local = /^(?:file:|[./])/.test(editable);
+      dependencies.push({ ecosystem: 'pypi', name, spec: editable, kind: local ? 'local' : 'remote', version: null, file, line });
+      return;
+    }
+
+    const requirement = parseRequirement(text.replace(/\s--hash[=\s]\S+/g, ''));
+    if (!requirement) return;
+    const classified = requirement.url ? { kind: 'remote', version: null } : classifyPythonSpec(requirement.spec);
+    dependencies.push({ ecosystem: 'pypi', name: requirement.name, spec: requirement.url || requirement.spec, ...classified, file, line });
+  });
+
+  return { dependencies, findings };
+}
+
+/**
+ * Read Python dependencies from pyproject.toml ([project] and Poetry tables)
+ * @param {string} content
+ * @param {string} file
+ * @returns {{dependencies: Array<object>, findings: Array<object>}}
+ */
+function readPyproject(content, file) {
+  const dependencies = [];
+  let table = '';
+  // Inside a multi-line `dependencies = [` array
+  let inArray = false;
+
+  const addRequirement = (text, line) => {
+    const requirement = parseRequirement(text);
+    if (!requirement) return;
+    const classified = requirement.url ? { kind: 'remote', version: null } : classifyPythonSpec(requirement.spec);
+    dependencies.push({ ecosystem: 'pypi', name: requirement.name, spec: requirement.url || requirement.spec, ...classified, file, line });
+  };
+  const addStrings = (text, line) => {
+    for (const match of text.matchAll(/"([^"]*)"|'([^']*)'/g)) addRequirement(match[1] ?? match[2], line);
+  };
+
+  content.split('\n').forEach((raw, index) => {
+    const line = index + 1;
+    const text = raw.replace(/\s#.*$/, '').trim();
+    const header = /^\[([^\]]+)\]$/.exec(text);
+    if (header && !inArray) {
+      table = header[1].trim();
+      return;
+    }
+
+    if (inArray) {
+      addStrings(text, line);
+      if (text.includes(']')) inArray = false;
+      return;
+    }
+
+    const pep621 = (table === 'project' && /^dependencies\s*=/.test(text)) ||
+      (table === 'project.optional-dependencies' && /^[\w.-]+\s*=\s*\[/.test(text)) ||
+      (table === 'build-system' && /^requires\s*=/.test(text));
+    if (pep621) {
+      const value = text.slice(text.indexOf('=') + 1);
+      addStrings(value, line);
+      inArray = value.includes('[') && !value.includes(']');
+      return;
+    }
+
+    const poetry = /^tool\.poetry\.(?:(?:group\.[\w-]+\.)?dependencies|dev-dependencies)$/.test(table) &&
+      /^([A-Za-z0-9][\w.-]*)\s*=\s*(.+)$/.exec(text);
+    if (poetry && poetry[1].toLowerCase() !== 'python') {
+      dependencies.push({ ecosystem: 'pypi', name: poetry[1], spec: poetry[2], ...classifyPoetrySpec(poetry[2]), file, line });
+    }
+  });
+
+  return { dependencies, findings: [] };
+}
+
+// Dependency advice, one recommendation per rule
+const DEPENDENCY_ADVICE = {
+  'typosquat': matches => `Check ${matches.length} dependency name(s) that look like typosquats of popular packages`,
+  'vulnerable-dependency': matches => `Upgrade ${matches.length} dependency version(s) with known advisories`,
+  'install-script': () => 'Remove install scripts (preinstall/install/postinstall) from package.json',
+  'remote-dependency': matches => `Replace ${matches.length} git/URL/tarball dependency(ies) with registry versions`,
+  'custom-index': () => 'Install Python packages from PyPI instead of a custom index',
+  'unpinned-dependency': matches => `Pin ${matches.length} unpinned dependency version(s)`,
+  'lockfile-missing': () => 'Commit a lockfile for dependencies with version ranges',
+  'dependency-install-script': matches => `Review ${matches.length} dependency(ies) that run install scripts`
+};
+
+/**
+ * Points deducted for findings: -10 critical, -5 high, -2 medium, -1 low
+ * @param {Array<object>} findings
+ * @returns {number}
+ */
+function deductionFor(findings) {
+  const points = { critical: 10, high: 5, medium: 2, low: 1 };
+  return findings.reduce((total, finding) => total + (points[finding.severity] || 0), 0);
+}
+
+/**
+ * Analyze the dependencies a skill declares
+ * Starts at 10 and deducts per finding: -10 critical, -5 high, -2 medium, -1 low.
+ * @param {string} skillPath
+ * @param {object} [options]
+ * @param {Array<string>} [options.ignore] - Paths to skip
+ * @param {string|null} [options.advisoryDb] - Offline advisory database file
+ * @param {Array<string>} [options.allowlist] - Package names never reported as typosquats
+ * @returns {Promise<{score: number, max: number, details: object, recommendations: Array<object>}>}
+ */
+export async function analyzeDependencies(skillPath, options = {}) {
+  const { advisoryDb = null, allowlist = [] } = options;
+  const advisories = advisoryDb ? await loadAdvisories(advisoryDb) : [];
+  const files = await listFiles(skillPath, options.ignore, MANIFEST_FILE);
+
+  const manifests = [];
+  const dependencies = [];
+  const findings = [];
+  const lockfiles = [];
+  const locked = [];
+
+  for (const filePath of files) {
+    const file = relative(skillPath, filePath).split(sep).join('/');
+    const name = file.split('/').pop();
+    const dir = dirname(file);
+    let content;
+    try {
+      content = name.endsWith('.lockb') ? '' : await readFile(filePath, 'utf-8');
+    } catch {
+      // Skip files we can't read
+      continue;
+    }
+
+    let result = { dependencies: [], findings: [] };
+    if (name === 'package.json') {
+      result = readPackageJson(content, file);
+    } else if (/^requirements[\w.-]*\.txt$/.test(name)) {
+      result = readRequirements(content, file);
+    } else if (name === 'pyproject.toml') {
+      result = readPyproject(content, file);
+    } else {
+      const ecosystem = NPM_LOCKFILES.includes(name) ? 'npm' : 'pypi';
+      lockfiles.push({ file, dir, ecosystem });
+      const packages = ecosystem === 'npm' ? readNpmLockfile(content, name) : readPythonLockfile(content);
+      locked.push(...packages.map(entry => ({ ...entry, ecosystem, file })));
+    }
+    if (!lockfiles.some(lock => lock.file === file)) manifests.push(file);
+    dependencies.push(...result.dependencies);
+    findings.push(...result.findings);
+  }
+
+  const add = (rule, severity, message, dependency, extra = {}) => findings.push({
+    rule, severity, message, file: dependency.file, line: dependency.line ?? null, column: null,
+    package: dependency.name, ecosystem: dependency.ecosystem, ...extra
+  });
+  const hasLockfile = (dependency, ecosystem) =>
+    lockfiles.some(lock => lock.ecosystem === ecosystem && lock.dir === dirname(dependency.file));
+
+  const allowed = new Set(allowlist.map(name => name.toLowerCase()));
+  dependencies.forEach(dependency => {
+    const { ecosystem, name, spec, kind } = dependency;
+    if (kind === 'remote') {
+      add('remote-dependency', 'high', `${name} is installed from ${spec} instead of the registry, bypassing its checks`, dependency);
+    } else if (kind === 'unpinned') {
+      add('unpinned-dependency', 'medium', `${name} has no version constraint (${spec || 'any version'})`, dependency);
+    } else if (kind === 'lower-bound' && !hasLockfile(dependency, ecosystem)) {
+      add('unpinned-dependency', 'low', `${name} has only a lower bound (${spec}); any future release will be installed`, dependency);
+    }
+
+    const target = kind !== 'local' && !allowed.has(name.toLowerCase()) && typosquatTarget(name, ecosystem);
+    if (target) {
+      add('typosquat', 'high', `${name} looks like the popular package ${target}; check it is not a typosquat`, dependency, { target });
+    }
+  });
+
+  // Manifests with ranges but no lockfile install whatever is newest at install time
+  const ranged = new Map();
+  dependencies.filter(dependency => dependency.kind === 'range' || dependency.kind === 'lower-bound')
+    .forEach(dependency => ranged.set(dependency.file, dependency));
+  ranged.forEach(dependency => {
+    const name = dependency.file.split('/').pop();
+    if (name.startsWith('requirements') || hasLockfile(dependency, dependency.ecosystem)) return;
+    const expected = dependency.ecosystem === 'npm' ? 'package-lock.json' : 'poetry.lock or uv.lock';
+    findings.push({
+      rule: 'lockfile-missing',
+      severity: 'low',
+      message: `${name} uses version ranges but there is no ${expected} next to it`,
+      file: dependency.file,
+      line: null,
+      column: null
+    });
+  });
+
+  // Install scripts in the dependency tree (package-lock.json records them)
+  locked.filter(entry => entry.installScript && !allowed.has(entry.name.toLowerCase())).forEach(entry => {
+    findings.push({
+      rule: 'dependency-install-script',
+      severity: 'medium',
+      message: `Dependency ${entry.name}@${entry.version} runs an install script`,
+      file: entry.file,
+      line: null,
+      column: null,
+      package: entry.name,
+      ecosystem: entry.ecosystem
+    });
+  });
+
+  // Known-vulnerable versions: lockfile versions, then exact pins
+  const installed = [...locked, ...dependencies.filter(dependency => dependency.version)];
+  const matched = new Set();
+  installed.forEach(entry => {
+    advisories.filter(advisory => advisory.ecosystem === entry.ecosystem &&
+        normalizeName(advisory.package, advisory.ecosystem) === normalizeName(entry.name, entry.ecosystem))
+      .forEach(advisory => {
+        const vulnerable = advisory.versions ?
+          advisory.versions.some(version => compareVersions(version, entry.version) === 0) :
+          versionInRange(entry.version, advisory.range);
+        const key = `${advisory.id || advisory.package}:${entry.name}@${entry.version}`;
+        if (!vulnerable || matched.has(key)) return;
+        matched.add(key);
+        findings.push({
+          rule: 'vulnerable-dependency',
+          severity: advisory.severity,
+          message: `${entry.name}@${entry.version} is affected by ${advisory.id || 'a known advisory'}` +
+            (advisory.summary ? `: ${advisory.summary}` : ''),
+          file: entry.file,
+          line: entry.line ?? null,
+          column: null,
+          package: entry.name,
+          ecosystem: entry.ecosystem,
+          advisory: advisory.id || null
+        });
+      });
+  });
+
+  const issues = { critical: 0, high: 0, medium: 0, low: 0 };
+  findings.forEach(finding => {
+    issues[finding.severity]++;
+  });
+  const deduction = deductionFor(findings);
+
+  const count = ecosystem => dependencies.filter(dependency => dependency.ecosystem === ecosystem).length;
+  return {
+    score: Math.max(0, 10 - deduction),
+    max: 10,
+    details: {
+      manifests,
+      lockfiles: lockfiles.map(lock => lock.file),
+      dependencies: { npm: count('npm'), pypi: count('pypi'), locked: locked.length },
+      advisories: { database: advisoryDb, entries: advisories.length, matched: matched.size },
+      issues,
+      findings
+    },
+    recommendations: recommendPerRule(findings, DEPENDENCY_ADVICE, deductionFor)
+  };
+}
+
+export default { analyzeDependencies, typosquatTarget, versionInRange, loadAdvisories };
@@ -6,6 +6,30 @@
 
 import { readFile, access } from 'fs/promises';
 import { join } from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+import { recommend, highestSeverity, remediationFor } from '../recommendations.js';
+
+// Points deducted from the SKILL.md score per frontmatter finding
+const DEDUCTIONS = { high: 5, medium: 2, low: 1 };
+
+// AgentSkills naming: lowercase letters, digits and single hyphens
+const NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const NAME_MAX_LENGTH = 64;
+const DESCRIPTION_MAX_LENGTH = 1024;
+
+// Descriptions left over from a template
+const PLACEHOLDER_DESCRIPTIONS = [
+  /^(?:todo|tbd|tbc|n\/?a|none|null|wip|xxx+|\.\.\.|-+)\.?$/i,
+  /^(?:a |my |this |the )?(?:skill|description|placeholder|test|example)\.?$/i,
+  /\b(?:TODO|FIXME|TBD)\b/,
+  /\blorem ipsum\b/i,
+  /^(?:add|insert|write|enter|fill in|put|your)\b.*\bdescription\b/i,
+  /^(?:short |brief )?description (?:of|for|goes|here)\b/i,
+  /<[^>]*description[^>]*>|\{\{[^}]*\}\}|\[description\]/i
+];
+
+const INSTALL_KINDS = ['brew', 'node', 'go', 'uv', 'download'];
+const PLATFORMS = ['darwin', 'linux', 'win32'];
 
 /**
  * Check if file exists
@@ -66,12 +90,265 @@ function hasReferences(content) {
   return patterns.some(pattern => pattern.test(content));
 }
 
+/**
+ * Line of a top-level frontmatter key
+ * @param {string} content - SKILL.md content
+ * @param {string} key
+ * @returns {number}
+ */
+function keyLine(content, key) {
+  const lines = content.split(/\r?\n/);
+  const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  const index = lines.slice(0, end === -1 ? lines.length : end)
+    .findIndex(line => line.startsWith(`${key}:`) || line.startsWith(`"${key}":`));
+  return index === -1 ? 1 : index + 1;
+}
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+/**
+ * Type problems in the OpenClaw metadata block
+ * @param {object} metadata - metadata.openclaw (or a legacy namespace)
+ * @param {string} prefix - Key path used in messages
+ * @returns {Array<string>} Messages
+ */
+function metadataProblems(metadata, prefix) {
+  const problems = [];
+  const expect = (path, valid, type) => {
+    if (!valid) problems.push(`${prefix}.${path} must be ${type}`);
+  };
+
+  for (const key of ['emoji', 'homepage', 'primaryEnv', 'skillKey']) {
+    if (metadata[key] !== undefined) expect(key, typeof metadata[key] === 'string', 'a string');
+  }
+  if (metadata.always !== undefined) expect('always', typeof metadata.always === 'boolean', 'true or false');
+  if (metadata.os !== undefined) {
+    expect('os', isStringArray(metadata.os) && metadata.os.every(os => PLATFORMS.includes(os)),
+      `a list of ${PLATFORMS.join(', ')}`);
+  }
+
+  const requires = metadata.requires;
+  if (requires !== undefined) {
+    if (!requires || typeof requires !== 'object' || Array.isArray(requires)) {
+      expect('requires', false, 'a mapping');
+    } else {
+      for (const key of ['bins', 'anyBins', 'env', 'config']) {
+        if (requires[key] !== undefined) expect(`requires.${key}`, isStringArray(requires[key]), 'a list of strings');
+      }
+    }
+  }
+
+  if (metadata.install !== undefined) {
+    if (!Array.isArray(metadata.install)) {
+      expect('install', false, 'a list');
+    } else {
+      metadata.install.forEach((step, index) => {
+        if (!step || typeof step !== 'object' || Array.isArray(step)) {
+          expect(`install[${index}]`, false, 'a mapping');
+          return;
+        }
+        expect(`install[${index}].kind`, INSTALL_KINDS.includes(step.kind), `one of ${INSTALL_KINDS.join(', ')}`);
+        if (step.bins !== undefined) expect(`install[${index}].bins`, isStringArray(step.bins), 'a list of strings');
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate SKILL.md frontmatter against the OpenClaw skill schema
+ * @param {string} content - SKILL.md content
+ * @param {string|null} directoryName - Name of the skill's directory (null skips the name check)
+ * @param {object} [options]
+ * @param {number} [options.descriptionMinLength] - Shorter descriptions are flagged
+ * @returns {{frontmatter: object, findings: Array<object>}}
+ */
+export function validateFrontmatter(content, directoryName, options = {}) {
+  const { descriptionMinLength = 20 } = options;
+  const parsed = parseFrontmatter(content);
+  const findings = [];
+  const add = (rule, severity, message, line = 1) => findings.push({
+    rule, severity, message, file: 'SKILL.md', line, column: null
+  });
+
+  if (!parsed.present) {
+    add('frontmatter-missing', 'high', 'SKILL.md has no frontmatter; add a --- block with name and description');
+  } else if (parsed.error) {
+    add('frontmatter-invalid', 'high', `Frontmatter does not parse: ${parsed.error.message}`, parsed.error.line);
+  }
+
+  const data = parsed.data;
+  if (parsed.present && !parsed.error) {
+    const { name, description } = data;
+    const nameLine = keyLine(content, 'name');
+    if (name === undefined || name === null || name === '') {
+      add('name-missing', 'high', 'Frontmatter has no name');
+    } else if (typeof name !== 'string') {
+      add('name-invalid', 'high', 'Frontmatter name must be a string', nameLine);
+    } else {
+      if (!NAME_PATTERN.test(name) || name.length > NAME_MAX_LENGTH) {
+        add('name-invalid', 'low', `Name "${name}" should be lowercase letters, digits and hyphens (at most ${NAME_MAX_LENGTH} characters)`, nameLine);
+      }
+      if (directoryName && name !== directoryName) {
+        add('name-mismatch', 'medium', `Name "${name}" does not match the skill directory "${directoryName}"`, nameLine);
+      }
+    }
+
+    const descriptionLine = keyLine(content, 'description');
+    if (description === undefined || description === null || description === '') {
+      add('description-missing', 'high', 'Frontmatter has no description; agents use it to decide when to load the skill');
+    } else if (typeof description !== 'string') {
+      add('description-invalid', 'high', 'Frontmatter description must be a string', descriptionLine);
+    } else {
+      const text = description.trim();
+      if (PLACEHOLDER_DESCRIPTIONS.some(pattern => pattern.test(text)) || text.toLowerCase() === String(name).toLowerCase()) {
+        add('description-placeholder', 'medium', `Description "${text.slice(0, 60)}" is a placeholder`, descriptionLine);
+      } else if (text.length < descriptionMinLength) {
+        add('description-short', 'medium', `Description is ${text.length} characters; say what the skill does and when to use it (at least ${descriptionMinLength})`, descriptionLine);
+      }
+      if (text.length > DESCRIPTION_MAX_LENGTH) {
+        add('description-long', 'low', `Description is ${text.length} characters (at most ${DESCRIPTION_MAX_LENGTH})`, descriptionLine);
+      }
+    }
+
+    for (const key of ['user-invocable', 'disable-model-invocation']) {
+      if (data[key] !== undefined && typeof data[key] !== 'boolean') {
+        add('field-invalid', 'low', `Frontmatter ${key} must be true or false`, keyLine(content, key));
+      }
+    }
+    if (data.homepage !== undefined && (typeof data.homepage !== 'string' || !/^https?:\/\//.test(data.homepage))) {
+      add('field-invalid', 'low', 'Frontmatter homepage must be an http(s) URL', keyLine(content, 'homepage'));
+    }
+
+    if (data.metadata !== undefined) {
+      let metadata = data.metadata;
+      if (typeof metadata === 'string') {
+        try {
+          metadata = JSON.parse(metadata);
+        } catch (error) {
+          metadata = null;
+          add('metadata-invalid', 'medium', `metadata is not valid JSON: ${error.message}`, keyLine(content, 'metadata'));
+        }
+      }
+      if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+        add('metadata-invalid', 'medium', 'metadata must be a mapping', keyLine(content, 'metadata'));
+      } else if (metadata) {
+        const namespace = ['openclaw', 'clawdbot', 'clawdis'].find(key => metadata[key] !== undefined);
+        const block = namespace ? metadata[namespace] : undefined;
+        if (namespace && (!block || typeof block !== 'object' || Array.isArray(block))) {
+          add('metadata-invalid', 'medium', `metadata.${namespace} must be a mapping`, keyLine(content, 'metadata'));
+        } else if (block) {
+          metadataProblems(block, `metadata.${namespace}`).forEach(message => {
+            add('metadata-invalid', 'medium', message, keyLine(content, 'metadata'));
+          });
+        }
+      }
+    }
+  }
+
+  // Headings alone don't tell the agent anything
+  const instructions = parsed.body.split('\n').filter(line => line.trim() && !/^\s*#/.test(line));
+  if (instructions.length === 0) {
+    add('body-empty', 'medium', 'SKILL.md has no instructions after the frontmatter', parsed.bodyLine);
+  }
+
+  return {
+    frontmatter: {
+      present: parsed.present,
+      valid: parsed.present && !parsed.error,
+      name: typeof data.name === 'string' ? data.name : null,
+      description: typeof data.description === 'string' ? data.description : null
+    },
+    findings
+  };
+}
+
+/**
+ * Recommendations for the documentation result
+ * @param {object} details - analyzeDocs details
+ * @param {object} thresholds - readmeMinLength
+ * @returns {Array<object>}
+ */
+function docsRecommendations(details, { readmeMinLength }) {
+  const recommendations = [];
+  const { skillMd } = details;
+
+  if (!skillMd.exists) {
+    recommendations.push(recommend({
+      id: 'skill-md-missing',
+      severity: 'high',
+      message: 'Add SKILL.md file with usage documentation',
+      points: 10,
+      remediation: 'Create SKILL.md with frontmatter, then the instructions the agent should follow:\n\n' +
+        '---\nname: my-skill\ndescription: What the skill does and when to use it\n---\n\n# My Skill\n\n## Usage\n...'
+    }));
+  }
+
+  // One recommendation per frontmatter rule; the rule's findings share the fix
+  const rules = [...new Set(skillMd.findings.map(finding => finding.rule))];
+  rules.forEach(rule => {
+    const matches = skillMd.findings.filter(finding => finding.rule === rule);
+    const more = matches.length > 1 ? ` (+${matches.length - 1} more)` : '';
+    recommendations.push(recommend({
+      id: rule,
+      severity: highestSeverity(matches),
+      message: `Fix SKILL.md: ${matches[0].message}${more}`,
+      points: Math.min(matches.reduce((total, finding) => total + DEDUCTIONS[finding.severity], 0), 10 - skillMd.score),
+      findings: matches,
+      remediation: remediationFor({ ...matches[0], category: 'documentation' })
+    }));
+  });
+
+  if (!details.readmeMd.sufficient) {
+    recommendations.push(recommend({
+      id: 'readme-missing',
+      severity: 'low',
+      message: details.readmeMd.exists ?
+        `Expand README.md to more than ${readmeMinLength} characters (now ${details.readmeMd.length})` :
+        'Add a README.md for people browsing the skill',
+      points: 5,
+      remediation: 'Describe what the skill does, what it needs (binaries, API keys) and how to install it.'
+    }));
+  }
+
+  if (!details.examples) {
+    recommendations.push(recommend({
+      id: 'examples-missing',
+      severity: 'low',
+      message: 'Add examples or usage section to documentation',
+      points: 3,
+      remediation: 'Add an "## Examples" or "## Usage" section to SKILL.md or README.md with a few typical requests and commands.'
+    }));
+  }
+
+  if (!details.references) {
+    recommendations.push(recommend({
+      id: 'references-missing',
+      severity: 'low',
+      message: 'Add references section with related links/resources',
+      points: 2,
+      remediation: 'Add a "## References" section linking the upstream tool, API docs or project homepage.'
+    }));
+  }
+
+  return recommendations;
+}
+
 /**
  * Analyze skill documentation
  * @param {string} skillPath - Path to skill directory
- * @returns {Promise<{score: number, max: number, details: object}>}
+ * @param {object} [options]
+ * @param {string|null} [options.directoryName] - Name the frontmatter name should match (the
+ *   skill's directory, not a display name given with --name)
+ * @param {object} [options.thresholds] - descriptionMinLength, readmeMinLength (characters)
+ * @returns {Promise<{score: number, max: number, details: object, recommendations: Array<object>}>}
  */
-export async function analyzeDocs(skillPath) {
+export async function analyzeDocs(skillPath, options = {}) {
+  const {
+    descriptionMinLength = 20,
+    readmeMinLength = 300
+  } = options.thresholds || {};
   const skillMdPath = join(skillPath, 'SKILL.md');
   const readmePath = join(skillPath, 'README.md');
 
@@ -88,22 +365,27 @@ export async function analyzeDocs(skillPath) {
   let score = 0;
   const details = {};
 
-  // SKILL.md exists and > 500 chars (10 pts)
-  if (skillMdExists && skillContent && skillContent.length > 500) {
-    score += 10;
-    details.skillMd = { exists: true, length: skillContent.length };
-  } else {
-    details.skillMd = { 
-      exists: skillMdExists, 
-      length: skillContent?.length || 0,
-      sufficient: false 
+  // SKILL.md with valid frontmatter (10 pts, less per finding)
+  if (skillContent !== null) {
+    const { frontmatter, findings } = validateFrontmatter(skillContent, options.directoryName, { descriptionMinLength });
+    const deduction = findings.reduce((total, finding) => total + DEDUCTIONS[finding.severity], 0);
+    const skillMdScore = Math.max(0, 10 - deduction);
+    score += skillMdScore;
+    details.skillMd = {
+      exists: true,
+      length: skillContent.length,
+      score: skillMdScore,
+      frontmatter,
+      findings
     };
+  } else {
+    details.skillMd = { exists: skillMdExists, length: 0, score: 0, frontmatter: null, findings: [] };
   }
 
   // README.md exists and > 300 chars (5 pts)
-  if (readmeExists && readmeContent && readmeContent.length > 300) {
+  if (readmeExists && readmeContent && readmeContent.length > readmeMinLength) {
     score += 5;
-    details.readmeMd = { exists: true, length: readmeContent.length };
+    details.readmeMd = { exists: true, length: readmeContent.length, sufficient: true };
   } else {
     details.readmeMd = { 
       exists: readmeExists, 
@@ -130,8 +412,9 @@ export async function analyzeDocs(skillPath) {
   return {
     score,
     max: 20,
-    details
+    details,
+    recommendations: docsRecommendations(details, { readmeMinLength })
   };
 }
 
-export default { analyzeDocs };
+export default { analyzeDocs, validateFrontmatter };
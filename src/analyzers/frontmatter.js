@@ -0,0 +1,576 @@
+#!/usr/bin/env node
+/**
+ * SKILL.md Frontmatter
+ * Parses the YAML frontmatter block at the top of SKILL.md
+ *
+ * Supports the YAML subset skills use in practice: nested mappings,
+ * block and flow sequences, multi-line flow collections (the JSON-like
+ * `metadata` blocks, trailing commas allowed), quoted and plain scalars,
+ * and `|` / `>` block scalars. Anchors, tags and multiple documents are not
+ * supported.
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+// Namespaces OpenClaw has used for skill metadata, newest first
+const METADATA_KEYS = ['openclaw', 'clawdbot', 'clawdis'];
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]},-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?=\s|$)/;
+
+/**
+ * Error with the frontmatter line it happened on
+ * @param {string} message
+ * @param {number} line - 1-based line in SKILL.md
+ * @returns {Error}
+ */
+function yamlError(message, line) {
+  return Object.assign(new Error(`${message} (line ${line})`), { line });
+}
+
+const indentOf = text => text.match(/^ */)[0].length;
+const isBlank = text => text.trim() === '' || text.trim().startsWith('#');
+const isSequenceItem = text => text === '-' || text.startsWith('- ');
+
+/**
+ * Remove a trailing " # comment" from a plain (unquoted) value
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+  const index = text.search(/(^|\s)#/);
+  return index === -1 ? text : text.slice(0, index).trimEnd();
+}
+
+/**
+ * Convert a scalar token to a JS value
+ * @param {string} text
+ * @returns {*}
+ */
+function parseScalar(text) {
+  const value = text.trim();
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value === '' || value === '~' || /^null$/i.test(value)) return null;
+  if (/^(true|yes|on)$/i.test(value)) return true;
+  if (/^(false|no|off)$/i.test(value)) return false;
+  if (/^[-+]?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Index of the quote closing a quoted scalar that starts at text[0]
+ * @param {string} text
+ * @returns {number} -1 when the string is not closed
+ */
+function closingQuote(text) {
+  const quote = text[0];
+  for (let i = 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Whether brackets in a flow collection are balanced (ignoring quoted text)
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    }
+  }
+  return depth <= 0 && quote === null;
+}
+
+/**
+ * Parse a flow collection ({...} or [...]), possibly spanning lines
+ * @param {string} text
+ * @param {number} line - Line the collection starts on, for errors
+ * @returns {*}
+ */
+function parseFlow(text, line) {
+  let pos = 0;
+
+  const fail = message => {
+    const offset = text.slice(0, pos).split('\n').length - 1;
+    return yamlError(message, line + offset);
+  };
+
+  const skipSpace = () => {
+    while (pos < text.length) {
+      if (/\s/.test(text[pos])) {
+        pos++;
+      } else if (text[pos] === '#' && (pos === 0 || /\s/.test(text[pos - 1]))) {
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readQuoted = () => {
+    const quote = text[pos];
+    let end = pos + 1;
+    while (end < text.length) {
+      if (quote === '"' && text[end] === '\\') {
+        end += 2;
+      } else if (text[end] === quote) {
+        if (quote === "'" && text[end + 1] === "'") {
+          end += 2;
+        } else {
+          break;
+        }
+      } else {
+        end++;
+      }
+    }
+    if (end >= text.length) throw fail('Unterminated string');
+    const token = text.slice(pos, end + 1).replace(/\n\s*/g, ' ');
+    pos = end + 1;
+    return parseScalar(token);
+  };
+
+  const readPlain = () => {
+    const start = pos;
+    while (pos < text.length && !/[,\]}\n]/.test(text[pos]) &&
+           !(text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] ?? ' '))) {
+      pos++;
+    }
+    return parseScalar(stripComment(text.slice(start, pos)));
+  };
+
+  const readValue = () => {
+    skipSpace();
+    const ch = text[pos];
+    if (ch === '{') return readMap();
+    if (ch === '[') return readSeq();
+    if (ch === '"' || ch === "'") return readQuoted();
+    return readPlain();
+  };
+
+  const readSeq = () => {
+    pos++; // [
+    const items = [];
+    for (;;) {
+      skipSpace();
+      if (text[pos] === ']') {
+        pos++;
+        return items;
+      }
+      items.push(readValue());
+      skipSpace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== ']') {
+        throw fail('Expected "," or "]" in flow sequence');
+      }
+    }
+  };
+
+  const readMap = () => {
+    pos++; // {
+    const map = {};
+    for (;;) {
+      skipSpace();
+      if (text[pos] === '}') {
+        pos++;
+        return map;
+      }
+      const key = readValue();
+      skipSpace();
+      let value = null;
+      if (text[pos] === ':') {
+        pos++;
+        skipSpace();
+        value = text[pos] === ',' || text[pos] === '}' ? null : readValue();
+      }
+      map[String(key)] = value;
+      skipSpace();
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== '}') {
+        throw fail('Expected "," or "}" in flow mapping');
+      }
+    }
+  };
+
+  const value = readValue();
+  skipSpace();
+  if (pos < text.length) throw fail('Unexpected text after flow collection');
+  return value;
+}
+
+/**
+ * Reader state over the frontmatter lines
+ * @param {string} text
+ * @param {number} firstLine - SKILL.md line of the first frontmatter line
+ * @returns {{lines: Array<string>, firstLine: number, index: number}}
+ */
+function createReader(text, firstLine) {
+  return {
+    lines: text.split(/\r?\n/).map(line => line.replace(/\t/g, '  ')),
+    firstLine,
+    index: 0
+  };
+}
+
+/**
+ * SKILL.md line number of a reader line
+ * @param {object} reader
+ * @param {number} index - Defaults to the current line
+ * @returns {number}
+ */
+function lineNumber(reader, index = reader.index) {
+  return reader.firstLine + index;
+}
+
+/**
+ * Advance past blank and comment lines
+ * @param {object} reader
+ * @returns {boolean} false at end of input
+ */
+function skipBlank(reader) {
+  while (reader.index < reader.lines.length && isBlank(reader.lines[reader.index])) {
+    reader.index++;
+  }
+  return reader.index < reader.lines.length;
+}
+
+/**
+ * Parse whatever node starts at the current line
+ * @param {object} reader
+ * @param {number} minIndent - Node must be indented at least this much
+ * @returns {*}
+ */
+function parseNode(reader, minIndent) {
+  if (!skipBlank(reader)) return null;
+  const raw = reader.lines[reader.index];
+  const indent = indentOf(raw);
+  if (indent < minIndent) return null;
+
+  const text = raw.trim();
+  if (isSequenceItem(text)) return parseSequence(reader, indent);
+  if (text.startsWith('{') || text.startsWith('[')) return parseFlowFrom(reader, text);
+  if (KEY_PATTERN.test(text)) return parseMapping(reader, indent);
+
+  reader.index++;
+  return parseInlineValue(reader, text, indent);
+}
+
+/**
+ * Parse a flow collection starting with `text` on the current line
+ * @param {object} reader
+ * @param {string} text
+ * @returns {*}
+ */
+function parseFlowFrom(reader, text) {
+  const start = reader.index;
+  let collected = text;
+  reader.index++;
+  while (!isBalanced(collected) && reader.index < reader.lines.length) {
+    collected += '\n' + reader.lines[reader.index];
+    reader.index++;
+  }
+  if (!isBalanced(collected)) {
+    throw yamlError('Unclosed flow collection', lineNumber(reader, start));
+  }
+  return parseFlow(collected, lineNumber(reader, start));
+}
+
+/**
+ * Parse a value that follows "key:" or "- " on the current (already consumed) line
+ * Handles quoted strings and plain scalars continued on more-indented lines.
+ * @param {object} reader
+ * @param {string} text
+ * @param {number} indent - Indent of the owning key / item
+ * @returns {*}
+ */
+function parseInlineValue(reader, text, indent) {
+  let value = text;
+
+  // Quoted strings may continue over several lines
+  if (value.startsWith('"') || value.startsWith("'")) {
+    const start = reader.index - 1;
+    while (closingQuote(value) === -1 && reader.index < reader.lines.length) {
+      value += ' ' + reader.lines[reader.index].trim();
+      reader.index++;
+    }
+    const end = closingQuote(value);
+    if (end === -1) {
+      throw yamlError('Unterminated string', lineNumber(reader, start));
+    }
+    return parseScalar(value.slice(0, end + 1));
+  }
+
+  // Plain scalars fold continuation lines into spaces
+  value = stripComment(value);
+  while (reader.index < reader.lines.length) {
+    const next = reader.lines[reader.index];
+    if (isBlank(next) || indentOf(next) <= indent || KEY_PATTERN.test(next.trim())) break;
+    value += ' ' + stripComment(next.trim());
+    reader.index++;
+  }
+  return parseScalar(value);
+}
+
+/**
+ * Parse a `|` or `>` block scalar whose header was on the previous line
+ * @param {object} reader
+ * @param {string} header - Indicator, e.g. "|", ">-"
+ * @param {number} indent - Indent of the owning key
+ * @returns {string}
+ */
+function parseBlockScalar(reader, header, indent) {
+  const lines = [];
+  let blockIndent = null;
+
+  while (reader.index < reader.lines.length) {
+    const raw = reader.lines[reader.index];
+    if (raw.trim() === '') {
+      lines.push('');
+      reader.index++;
+      continue;
+    }
+    const lineIndent = indentOf(raw);
+    if (lineIndent <= indent) break;
+    if (blockIndent === null) blockIndent = lineIndent;
+    lines.push(raw.slice(Math.min(blockIndent, lineIndent)));
+    reader.index++;
+  }
+
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+  const text = header.startsWith('>') ?
+    lines.reduce((out, line, i) => {
+      if (i === 0) return line;
+      if (line === '') return out + '\n';
+      return out + (out.endsWith('\n') ? '' : ' ') + line;
+    }, '') :
+    lines.join('\n');
+
+  return header.includes('-') ? text : `${text}\n`;
+}
+
+/**
+ * Parse the value after "key:" (rest of line already extracted)
+ * @param {object} reader
+ * @param {string} rest - Text after the colon
+ * @param {number} indent - Indent of the key
+ * @returns {*}
+ */
+function parseValueAfterKey(reader, rest, indent) {
+  if (rest === '') {
+    if (!skipBlank(reader)) return null;
+    const next = reader.lines[reader.index];
+    const nextIndent = indentOf(next);
+    if (nextIndent > indent) return parseNode(reader, nextIndent);
+    // "key:" followed by "- item" at the same indent is a sequence
+    if (nextIndent === indent && isSequenceItem(next.trim())) return parseSequence(reader, indent);
+    return null;
+  }
+  if (/^[|>][-+]?\d*$/.test(rest)) return parseBlockScalar(reader, rest, indent);
+  if (rest.startsWith('{') || rest.startsWith('[')) {
+    reader.index--; // parseFlowFrom consumes the key's line itself
+    return parseFlowFrom(reader, rest);
+  }
+  return parseInlineValue(reader, rest, indent);
+}
+
+/**
+ * Parse a block mapping whose keys sit at `indent`
+ * @param {object} reader
+ * @param {number} indent
+ * @returns {object}
+ */
+function parseMapping(reader, indent) {
+  const map = {};
+
+  while (skipBlank(reader)) {
+    const raw = reader.lines[reader.index];
+    const lineIndent = indentOf(raw);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) {
+      throw yamlError('Unexpected indentation', lineNumber(reader));
+    }
+
+    const text = raw.trim();
+    if (isSequenceItem(text)) break;
+    const match = KEY_PATTERN.exec(text);
+    if (!match) {
+      throw yamlError(`Expected "key: value" but found "${text.slice(0, 40)}"`, lineNumber(reader));
+    }
+
+    const key = String(parseScalar(match[1]));
+    if (Object.prototype.hasOwnProperty.call(map, key)) {
+      throw yamlError(`Duplicate key "${key}"`, lineNumber(reader));
+    }
+    const rest = text.slice(match[0].length).trim();
+    reader.index++;
+    map[key] = parseValueAfterKey(reader, rest.startsWith('#') ? '' : rest, indent);
+  }
+
+  return map;
+}
+
+/**
+ * Parse a block sequence whose "-" markers sit at `indent`
+ * @param {object} reader
+ * @param {number} indent
+ * @returns {Array}
+ */
+function parseSequence(reader, indent) {
+  const items = [];
+
+  while (skipBlank(reader)) {
+    const raw = reader.lines[reader.index];
+    const lineIndent = indentOf(raw);
+    if (lineIndent < indent) break;
+    if (lineIndent > indent) {
+      throw yamlError('Unexpected indentation', lineNumber(reader));
+    }
+
+    const text = raw.trim();
+    if (!isSequenceItem(text)) break;
+    const rest = text.slice(1).trim();
+
+    if (rest === '' || rest.startsWith('#')) {
+      reader.index++;
+      items.push(skipBlank(reader) && indentOf(reader.lines[reader.index]) > indent ?
+        parseNode(reader, indent + 1) : null);
+    } else if (KEY_PATTERN.test(rest) && !rest.startsWith('{') && !rest.startsWith('[')) {
+      // "- key: value" starts a mapping indented to where "key" begins
+      const childIndent = lineIndent + text.indexOf(rest);
+      reader.lines[reader.index] = ' '.repeat(childIndent) + rest;
+      items.push(parseMapping(reader, childIndent));
+    } else if (rest.startsWith('{') || rest.startsWith('[')) {
+      items.push(parseFlowFrom(reader, rest));
+    } else {
+      reader.index++;
+      items.push(parseInlineValue(reader, rest, indent));
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text
+ * @param {number} firstLine - Line number of the first line, for errors
+ * @returns {*}
+ */
+export function parseYaml(text, firstLine = 1) {
+  const reader = createReader(text, firstLine);
+  const value = parseNode(reader, 0);
+  if (skipBlank(reader)) {
+    throw yamlError('Unexpected content', lineNumber(reader));
+  }
+  return value;
+}
+
+/**
+ * Split SKILL.md into frontmatter and body, and parse the frontmatter
+ * @param {string} content
+ * @returns {{present: boolean, data: object, error: object|null, body: string, bodyLine: number}}
+ *   error is { message, line } when the YAML is invalid
+ */
+export function parseFrontmatter(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  if (lines[0]?.trim() !== '---') {
+    return { present: false, data: {}, error: null, body: lines.join('\n'), bodyLine: 1 };
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (end === -1) {
+    return {
+      present: true,
+      data: {},
+      error: { message: 'Frontmatter is not closed with "---"', line: 1 },
+      body: lines.join('\n'),
+      bodyLine: 1
+    };
+  }
+
+  const body = lines.slice(end + 1).join('\n');
+  const bodyLine = end + 2;
+
+  try {
+    const data = parseYaml(lines.slice(1, end).join('\n'), 2) ?? {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { present: true, data: {}, error: { message: 'Frontmatter must be a mapping of keys to values', line: 2 }, body, bodyLine };
+    }
+    return { present: true, data, error: null, body, bodyLine };
+  } catch (error) {
+    return { present: true, data: {}, error: { message: error.message, line: error.line ?? 2 }, body, bodyLine };
+  }
+}
+
+/**
+ * Read and parse the frontmatter of a skill's SKILL.md
+ * @param {string} skillPath
+ * @returns {Promise<object|null>} parseFrontmatter result plus `content`, or null without SKILL.md
+ */
+export async function readFrontmatter(skillPath) {
+  let content;
+  try {
+    content = await readFile(join(skillPath, 'SKILL.md'), 'utf-8');
+  } catch {
+    return null;
+  }
+  return { ...parseFrontmatter(content), content };
+}
+
+/**
+ * The OpenClaw metadata object (metadata.openclaw or a legacy alias)
+ * `metadata` may also be a JSON string.
+ * @param {object} data - Parsed frontmatter
+ * @returns {object}
+ */
+export function openclawMetadata(data) {
+  let metadata = data?.metadata;
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch {
+      return {};
+    }
+  }
+  if (!metadata || typeof metadata !== 'object') return {};
+
+  const key = METADATA_KEYS.find(name => metadata[name] && typeof metadata[name] === 'object');
+  return key ? metadata[key] : {};
+}
+
+export default { parseFrontmatter, parseYaml, readFrontmatter, openclawMetadata };
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * SKILL.md Injection Scanner
+ * Flags prompt-injection and instruction hijacking in skill markdown
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+import { declaredPermissions, hostAllowed } from './capabilities.js';
+
+// Things worth stealing: credential words, secret-looking env vars, key files
+const CREDENTIAL = String.raw`(?:environment\s+variables?|env\s+vars?|process\.env|\$\{?[A-Z][A-Z0-9_]*(?:KEY|TOKEN|SECRET|PASSWORD)\}?|api[\s_-]?keys?|credentials?|passwords?|access\s+tokens?|secrets|tokens|id_rsa|~?\/?\.ssh\b|\.env\b)`;
+
+// Where something can be sent: a URL, an email address or a named remote
+const DESTINATION = String.raw`(?:https?:\/\/[^\s)>"'\x60]+|[\w.+-]+@[\w-]+\.[\w.]+|(?:an?\s+|the\s+|this\s+|our\s+|my\s+)?(?:remote\s+|external\s+|third[- ]party\s+|following\s+)?(?:server|endpoint|webhook|url|address|host|domain|inbox|pastebin|gist|discord|telegram)\b)`;
+
+// Secret env var references and credential files in a command line
+const COMMAND_ENV_REF = /\$\{?([A-Z][A-Z0-9_]*(?:KEY|TOKEN|SECRET|PASSWORD|PASS|AUTH|CREDENTIALS?))\}?/g;
+const COMMAND_CREDENTIAL_FILE = /\.ssh\/|id_rsa|\.aws\/credentials|@\.env\b|\$\(\s*(?:env|printenv)\s*\)/;
+
+// A hidden comment only matters when it tells the agent to do something
+const INSTRUCTION_LIKE = /(?<![\w-])(?:ignore|disregard|forget|override|pretend|act\s+as|you\s+(?:must|should|will|are\s+now)|always|never|do\s+not|don't|secretly|silently|without\s+(?:asking|telling)|instead|execute|send|upload|exfiltrate|curl|wget)\b|https?:\/\//i;
+
+// "Never send your API key to a remote server" is advice, not an instruction
+const NEGATED = /\b(?:never|not|don't|dont|no)\s+(?:\w+\s+){0,2}$/i;
+
+// A zero-width joiner between two emoji builds one glyph (👩‍💻); the first may
+// carry a variation selector or skin tone
+const EMOJI_BEFORE = /\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?$/u;
+const EMOJI_AFTER = /^\p{Extended_Pictographic}/u;
+
+/**
+ * Hosts of the URLs in a piece of text
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function urlHosts(text) {
+  return [...text.matchAll(/https?:\/\/[^\s)>"'`]+/g)].flatMap(([url]) => {
+    try {
+      return [new URL(url).hostname.toLowerCase()];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Whether a prose instruction sends credentials somewhere the skill did not declare
+ * @param {RegExpMatchArray} match - Regex match; group 1 is the destination
+ * @param {string} content - Whole document, to check for a preceding negation
+ * @param {object} declared - declaredPermissions() of the SKILL.md frontmatter
+ * @returns {boolean}
+ */
+function sendsToUndeclared(match, content, declared) {
+  const before = content.slice(Math.max(0, match.index - 40), match.index).split('\n').pop();
+  if (NEGATED.test(before)) return false;
+  const hosts = urlHosts(match[1]);
+  // Emails and "a remote server" can never be declared
+  return hosts.length === 0 || hosts.some(host => !hostAllowed(host, declared.network));
+}
+
+/**
+ * Whether a curl/wget command line sends credentials to an undeclared host
+ * Env vars the skill declares may go to any host when it declares no network
+ * access at all; credential files and whole environments never may.
+ * @param {Array<string>} match - Regex match of the command line
+ * @param {string} content
+ * @param {object} declared
+ * @returns {boolean}
+ */
+function commandSendsToUndeclared(match, content, declared) {
+  const [line] = match;
+  if (COMMAND_CREDENTIAL_FILE.test(line)) return true;
+  const vars = [...line.matchAll(COMMAND_ENV_REF)].map(ref => ref[1]);
+  if (vars.length === 0) return false;
+  const hosts = urlHosts(line);
+  if (hosts.length > 0 && hosts.every(host => hostAllowed(host, declared.network))) return false;
+  return !(declared.network.length === 0 && vars.every(name => declared.env.includes(name)));
+}
+
+/**
+ * Whether a run of invisible characters is hiding something
+ * A byte order mark opening the file and a joiner inside an emoji sequence
+ * are ordinary text.
+ * @param {RegExpMatchArray} match - Regex match of the run
+ * @param {string} content
+ * @returns {boolean}
+ */
+function hidesCharacters(match, content) {
+  const [run] = match;
+  if (run === '\uFEFF' && match.index === 0) return false;
+  if (run === '\u200D') {
+    const before = content.slice(Math.max(0, match.index - 4), match.index);
+    return !(EMOJI_BEFORE.test(before) && EMOJI_AFTER.test(content.slice(match.index + 1, match.index + 3)));
+  }
+  return true;
+}
+
+// Rules run against the whole document so multi-line constructs are caught;
+// `check` (match, content, declared) can drop a match after the fact
+const RULES = [
+  {
+    id: 'instruction-override',
+    severity: 'high',
+    pattern: /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier|system|original)\s+(?:instructions?|prompts?|rules|guidelines)/gi,
+    message: 'Attempts to override previous instructions'
+  },
+  {
+    id: 'instruction-override',
+    severity: 'high',
+    pattern: /\b(?:do\s+not|don't|never)\s+(?:tell|inform|notify|alert|mention\s+(?:this\s+)?to)\s+the\s+user\b|\bwithout\s+(?:asking|telling|informing|notifying)\s+the\s+user\b/gi,
+    message: 'Instructs the agent to hide actions from the user'
+  },
+  {
+    id: 'hidden-comment',
+    severity: 'medium',
+    pattern: /<!--[\s\S]*?-->/g,
+    check: match => INSTRUCTION_LIKE.test(match[0]),
+    message: 'Hides instructions in an HTML comment'
+  },
+  {
+    id: 'hidden-unicode',
+    severity: 'critical',
+    pattern: /[\u{E0000}-\u{E007F}]+/gu,
+    message: 'Contains invisible Unicode tag characters'
+  },
+  {
+    id: 'hidden-unicode',
+    severity: 'high',
+    pattern: /[\u200B-\u200D\u2060\u2062-\u2064\uFEFF\u202A-\u202E\u2066-\u2069]+/gu,
+    check: hidesCharacters,
+    message: 'Contains zero-width or bidirectional control characters'
+  },
+  {
+    id: 'credential-exfiltration',
+    severity: 'critical',
+    // The verb must act on the credential, and the credential must go somewhere
+    pattern: new RegExp(String.raw`\b(?:send|upload|post|transmit|exfiltrate|forward|share|leak|email|copy)\s+(?:(?:the|all|any|every|your|their|its|these|those|contents?|values?|of|user's)\s+)*${CREDENTIAL}[^\n.;]{0,80}?\b(?:to|into|via|at)\s+(${DESTINATION})`, 'gi'),
+    check: sendsToUndeclared,
+    message: 'Instructs the agent to send credentials or environment variables to an undeclared destination'
+  },
+  {
+    id: 'credential-exfiltration',
+    severity: 'critical',
+    // Follows backslash line continuations
+    pattern: /\b(?:curl|wget)\b(?:[^\n]*\\\n)*[^\n]*/g,
+    check: commandSendsToUndeclared,
+    message: 'Sends credentials or environment variables to an undeclared host'
+  },
+  {
+    id: 'credential-exfiltration',
+    severity: 'critical',
+    pattern: /\b(?:printenv|env|cat\s+[^\n|]*(?:\.env|id_rsa|credentials))\s*\|\s*(?:curl|wget|nc)\b/gi,
+    message: 'Pipes environment or credential files to a network command'
+  },
+  {
+    id: 'remote-script',
+    severity: 'critical',
+    pattern: /\b(?:curl|wget)\b[^\n|]*\|\s*(?:sudo\s+)?(?:ba|z)?sh\b/gi,
+    message: 'Downloads a remote script and pipes it into a shell'
+  },
+  {
+    id: 'remote-script',
+    severity: 'critical',
+    pattern: /\bdownload\s+and\s+(?:run|execute)\b|\b(?:run|execute)\s+(?:the\s+)?(?:script|binary|file)\s+(?:from|at)\s+https?:\/\//gi,
+    message: 'Instructs the agent to download and run a remote script'
+  },
+  {
+    id: 'suspicious-link',
+    severity: 'high',
+    pattern: /https?:\/\/(?:www\.)?(?:pastebin\.com|paste\.ee|hastebin\.com|ghostbin\.\w+|rentry\.(?:co|org)|termbin\.com|transfer\.sh|pastie\.org|dpaste\.\w+|controlc\.com)\b[^\s)]*/gi,
+    message: 'Links to a paste site'
+  },
+  {
+    id: 'suspicious-link',
+    severity: 'high',
+    pattern: /\b(?:https?|ftp):\/\/\d{1,3}(?:\.\d{1,3}){3}\b[^\s)]*/gi,
+    message: 'Links to a raw IP address'
+  }
+];
+
+/**
+ * Convert a string offset to a 1-based line and column
+ * @param {string} content
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+function positionOf(content, offset) {
+  const before = content.slice(0, offset);
+  const line = before.split('\n').length;
+  const column = offset - before.lastIndexOf('\n');
+  return { line, column };
+}
+
+/**
+ * Scan SKILL.md content for injection patterns
+ * Credentials may go to the hosts and env vars declared in the frontmatter.
+ * @param {string} content
+ * @returns {Array<object>}
+ */
+export function scanSkillMarkdown(content) {
+  const findings = [];
+  const declared = declaredPermissions(parseFrontmatter(content).data);
+
+  for (const rule of RULES) {
+    for (const match of content.matchAll(rule.pattern)) {
+      if (rule.check && !rule.check(match, content, declared)) continue;
+      const { line, column } = positionOf(content, match.index);
+      findings.push({
+        rule: rule.id,
+        severity: rule.severity,
+        message: rule.message,
+        file: 'SKILL.md',
+        line,
+        column,
+        // Escape invisible characters so they show up in reports
+        snippet: match[0]
+          .slice(0, 120)
+          .replace(/[^\x20-\x7E\n]/gu, ch => `\\u{${ch.codePointAt(0).toString(16)}}`)
+      });
+    }
+  }
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Scan a skill's SKILL.md for injection patterns
+ * @param {string} skillPath - Path to skill directory
+ * @returns {Promise<{scanned: boolean, issues: object, findings: Array<object>}>}
+ */
+export async function scanSkillDoc(skillPath) {
+  const issues = { critical: 0, high: 0, medium: 0, low: 0 };
+
+  let content;
+  try {
+    content = await readFile(join(skillPath, 'SKILL.md'), 'utf-8');
+  } catch {
+    return { scanned: false, issues, findings: [] };
+  }
+
+  const findings = scanSkillMarkdown(content);
+  findings.forEach(finding => {
+    issues[finding.severity]++;
+  });
+
+  return { scanned: true, issues, findings };
+}
+
+export default { scanSkillDoc, scanSkillMarkdown };
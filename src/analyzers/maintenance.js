@@ -1,18 +1,55 @@
 #!/usr/bin/env node
 /**
  * Maintenance Analyzer
- * Evaluates skill maintenance and activity
+ * Mines git metadata for graduated maintenance signals: recency, commit
+ * cadence, contributors (bus factor), semver tags, changelog health and
+ * signed commits. Each signal reports its score and an explanation.
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { access, readFile } from 'fs/promises';
-import { join } from 'path';
+import { basename, join } from 'path';
+import { readFrontmatter } from './frontmatter.js';
+import { recommend } from '../recommendations.js';
+import { git as runGit } from '../git.js';
 
-const execAsync = promisify(exec);
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const CHANGELOG_FILES = ['CHANGELOG.md', 'CHANGELOG', 'HISTORY.md', 'RELEASES.md', 'CHANGES.md'];
+
+// Recent commits checked for signatures
+const SIGNATURE_SAMPLE = 50;
+
+// Signature header of a commit in --format=raw output (message lines are indented)
+const SIGNATURE_HEADER = /^gpgsig(?:-sha256)? /m;
+
+// Recency points by age, as a share of staleDays
+const RECENCY_TIERS = [[1 / 6, 4], [1 / 2, 3], [1, 2], [2, 1]];
+
+// Automated committers (dependabot[bot], renovate[bot]...) don't count as contributors
+const BOT_AUTHOR = /\[bot\]/i;
+
+// Changelog lines that can start an entry: headings, [x.y.z] links, bold or bare versions
+const ENTRY_LINE = /^\s*(?:#{1,6}\s|\[|\*\*|v?\d+\.\d+)/;
+
+const SEMVER = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Run a git command in the skill directory
+ * @param {string} skillPath
+ * @param {Array<string>} args - Arguments after `git`
+ * @returns {Promise<string|null>} stdout, or null when git fails
+ */
+async function git(skillPath, args) {
+  try {
+    const { stdout } = await runGit(args, { cwd: skillPath, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+  } catch {
+    return null;
+  }
+}
 
 /**
- * Check if directory is a git repo
+ * Check if directory is inside a git work tree (the skill may be a subdirectory)
  * @param {string} skillPath
  * @returns {Promise<boolean>}
  */
@@ -21,30 +58,70 @@ async function isGitRepo(skillPath) {
     await access(join(skillPath, '.git'));
     return true;
   } catch {
-    return false;
+    return (await git(skillPath, ['rev-parse', '--is-inside-work-tree']))?.trim() === 'true';
   }
 }
 
 /**
- * Get last commit date
+ * Commits that touched the skill, newest first
  * @param {string} skillPath
- * @returns {Promise<Date|null>}
+ * @returns {Promise<Array<{hash: string, time: number, email: string, name: string}>>}
  */
-async function getLastCommitDate(skillPath) {
-  try {
-    const { stdout } = await execAsync(
-      'git log -1 --format=%ct',
-      { cwd: skillPath }
-    );
-    const timestamp = parseInt(stdout.trim(), 10);
-    return new Date(timestamp * 1000);
-  } catch {
-    return null;
-  }
+async function getCommits(skillPath) {
+  const stdout = await git(skillPath, ['log', '--format=%H%x09%ct%x09%aE%x09%aN', '--', '.']);
+  if (!stdout) return [];
+  return stdout.trim().split('\n').filter(Boolean).map(line => {
+    const [hash, time, email, name] = line.split('\t');
+    return { hash, time: parseInt(time, 10) * 1000, email: email.toLowerCase(), name };
+  });
+}
+
+/**
+ * Parse a semver version
+ * @param {string} version
+ * @returns {{major: number, minor: number, patch: number, prerelease: string|null}|null}
+ */
+function parseSemver(version) {
+  const match = SEMVER.exec(String(version).trim());
+  if (!match) return null;
+  return { major: +match[1], minor: +match[2], patch: +match[3], prerelease: match[4] || null };
+}
+
+/**
+ * Compare two parsed semver versions (prereleases sort before their release)
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+function compareSemver(a, b) {
+  return a.major - b.major || a.minor - b.minor || a.patch - b.patch ||
+    (a.prerelease === b.prerelease ? 0 : a.prerelease === null ? 1 : b.prerelease === null ? -1 :
+      a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true }));
+}
+
+/**
+ * Semver tags for the skill, newest version first
+ * Accepts `v1.2.3` / `1.2.3`, and `<skill>@1.2.3`, `<skill>-v1.2.3` or
+ * `<skill>/v1.2.3` for skills that share a repo.
+ * @param {string} skillPath
+ * @returns {Promise<Array<{tag: string, version: string, semver: object}>>}
+ */
+async function getSemverTags(skillPath) {
+  const stdout = await git(skillPath, ['tag', '--list']);
+  if (!stdout) return [];
+  const prefix = new RegExp(`^${basename(skillPath).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[@/-]`);
+  return stdout.trim().split('\n').filter(Boolean)
+    .map(tag => {
+      const version = tag.replace(prefix, '');
+      const semver = parseSemver(version);
+      return semver && { tag, version: version.replace(/^v/, ''), semver };
+    })
+    .filter(Boolean)
+    .sort((a, b) => compareSemver(b.semver, a.semver));
 }
 
 /**
- * Check if skill has version info
+ * Find the skill's declared version
  * @param {string} skillPath
  * @returns {Promise<{hasVersion: boolean, version: string|null, source: string|null}>}
  */
@@ -59,85 +136,277 @@ async function checkVersionInfo(skillPath) {
     }
   } catch {}
 
-  // Check CHANGELOG
-  const changelogFiles = ['CHANGELOG.md', 'CHANGELOG', 'HISTORY.md', 'RELEASES.md'];
-  for (const file of changelogFiles) {
-    try {
-      await access(join(skillPath, file));
-      return { hasVersion: true, version: null, source: file };
-    } catch {}
-  }
-
   // Check VERSION file
   try {
     const versionPath = join(skillPath, 'VERSION');
     const version = await readFile(versionPath, 'utf-8');
-    return { hasVersion: true, version: version.trim(), source: 'VERSION' };
+    if (version.trim()) {
+      return { hasVersion: true, version: version.trim(), source: 'VERSION' };
+    }
   } catch {}
 
+  // Check SKILL.md frontmatter
+  const frontmatter = await readFrontmatter(skillPath);
+  const declared = frontmatter?.data?.version;
+  if (typeof declared === 'string' || typeof declared === 'number') {
+    return { hasVersion: true, version: String(declared), source: 'SKILL.md' };
+  }
+
   return { hasVersion: false, version: null, source: null };
 }
 
+/**
+ * Find the changelog and whether it has an entry for a version
+ * An entry is a heading (or Keep a Changelog `[x.y.z]` line) naming the version.
+ * @param {string} skillPath
+ * @param {string|null} version
+ * @returns {Promise<{file: string|null, hasEntry: boolean}>}
+ */
+async function checkChangelog(skillPath, version) {
+  for (const file of CHANGELOG_FILES) {
+    let content;
+    try {
+      content = await readFile(join(skillPath, file), 'utf-8');
+    } catch {
+      continue;
+    }
+    if (!version) return { file, hasEntry: false };
+    // 1.2.0 must not match 11.2.0, 1.2.0-beta or 1.2.0.1
+    const escaped = version.replace(/^v/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const mentions = new RegExp(`(?<![\\w.])v?${escaped}(?![\\w-]|\\.\\d)`);
+    const hasEntry = content.split('\n').some(line => ENTRY_LINE.test(line) && mentions.test(line));
+    return { file, hasEntry };
+  }
+  return { file: null, hasEntry: false };
+}
+
+/**
+ * Graduated points from descending thresholds
+ * @param {number} value
+ * @param {Array<[number, number]>} tiers - [minimum value, points], highest first
+ * @returns {number}
+ */
+function tierScore(value, tiers) {
+  const tier = tiers.find(([minimum]) => value >= minimum);
+  return tier ? tier[1] : 0;
+}
+
+/**
+ * Fewest authors who together made more than half of the commits
+ * @param {Map<string, number>} counts - Commits per author
+ * @returns {number}
+ */
+function busFactor(counts) {
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  let covered = 0;
+  let authors = 0;
+  for (const count of [...counts.values()].sort((a, b) => b - a)) {
+    covered += count;
+    authors++;
+    if (covered * 2 > total) break;
+  }
+  return authors;
+}
+
+/**
+ * Recommendations for the maintenance result, worth the points each signal is missing
+ * @param {object} details - analyzeMaintenance details
+ * @param {number} staleDays
+ * @returns {Array<object>}
+ */
+function maintenanceRecommendations(details, staleDays) {
+  const recommendations = [];
+  const { signals } = details;
+  const add = (id, severity, message, points, remediation) =>
+    recommendations.push(recommend({ id, severity, message, points, remediation }));
+
+  if (!details.git.exists) {
+    add('git-missing', 'medium', 'Initialize git repository for version control', signals.git.max - signals.git.score,
+      'git init && git add -A && git commit -m "Initial commit"');
+  }
+  if (details.lastCommit.daysAgo > staleDays) {
+    add('stale', 'medium', `Update repository (last commit ${details.lastCommit.daysAgo} days ago)`,
+      signals.recency.max - signals.recency.score,
+      'Review the skill against current versions of the tools it uses and commit any fixes; even a dependency bump shows the skill is looked after.');
+  }
+  if (details.git.exists && signals.cadence.score < 2) {
+    add('cadence', 'low', `Commit more regularly (active in ${signals.cadence.activeMonths} of the last 12 months)`,
+      signals.cadence.max - signals.cadence.score,
+      'Small, regular commits score better than rare large ones: 3 active months in the last year earn 2 points, 6 earn all 3.');
+  }
+  if (signals.contributors.count === 1) {
+    add('bus-factor', 'low', 'Add a second maintainer to raise the bus factor above 1',
+      2 - signals.contributors.score,
+      'Invite a co-maintainer with commit access, so the skill is not abandoned if one person moves on.');
+  }
+
+  const { version } = details;
+  if (!version.exists) {
+    add('version-missing', 'low', 'Add version information (package.json, VERSION, or version in SKILL.md)', 1,
+      'Add "version: 1.0.0" to the SKILL.md frontmatter, or a VERSION file, and bump it on every release.');
+  }
+  if (details.git.exists && !signals.versioning.latestTag) {
+    add('tags-missing', 'low', 'Tag releases with semver tags (e.g. v1.0.0)', version.exists ? 2 : 1,
+      `git tag v${version.exists ? version.version : '1.0.0'} && git push --tags`);
+  } else if (signals.versioning.latestTag && version.exists && !signals.versioning.tagMatchesVersion) {
+    add('tag-mismatch', 'low', `Tag version ${version.version} (latest tag is ${signals.versioning.latestTag})`, 1,
+      `git tag v${version.version} && git push --tags`);
+  }
+  if (!signals.changelog.file) {
+    add('changelog-missing', 'low', 'Add a CHANGELOG.md', signals.changelog.version ? 3 : 1,
+      `Add CHANGELOG.md with a section per release, newest first:\n\n## ${signals.changelog.version || '1.0.0'}\n- What changed`);
+  } else if (signals.changelog.version && !signals.changelog.hasCurrentEntry) {
+    add('changelog-entry-missing', 'low', `Add a ${signals.changelog.file} entry for ${signals.changelog.version}`, 2,
+      `Add a "## ${signals.changelog.version}" section to ${signals.changelog.file} listing what changed in the release.`);
+  }
+  if (signals.signing.sampled > 0 && signals.signing.signed === 0) {
+    add('unsigned-commits', 'low', 'Sign commits (git config commit.gpgsign true)',
+      signals.signing.max - signals.signing.score,
+      'git config commit.gpgsign true\nWith an SSH key: git config gpg.format ssh && git config user.signingkey ~/.ssh/id_ed25519.pub');
+  }
+
+  return recommendations;
+}
+
 /**
  * Analyze maintenance signals
+ * Points: git 2, recency 4, cadence 3, contributors 3, versioning 3,
+ * changelog 3, signed commits 2.
  * @param {string} skillPath
- * @returns {Promise<{score: number, max: number, details: object}>}
+ * @param {object} [options]
+ * @param {object} [options.thresholds] - staleDays (days without commits before losing points)
+ * @returns {Promise<{score: number, max: number, details: object, recommendations: Array<object>}>}
  */
-export async function analyzeMaintenance(skillPath) {
+export async function analyzeMaintenance(skillPath, options = {}) {
+  const { staleDays = 180 } = options.thresholds || {};
   const isGit = await isGitRepo(skillPath);
-  const lastCommit = isGit ? await getLastCommitDate(skillPath) : null;
+  const [commits, tags, signatures] = isGit ?
+    await Promise.all([
+      getCommits(skillPath),
+      getSemverTags(skillPath),
+      // Raw headers show whether a commit is signed without running gpg.program
+      git(skillPath, ['log', '-n', String(SIGNATURE_SAMPLE), '--format=raw', '--', '.'])
+    ]) :
+    [[], [], null];
   const versionInfo = await checkVersionInfo(skillPath);
 
-  let score = 0;
-  const details = {};
+  const now = Date.now();
+  const signals = {};
+  const details = { git: { exists: isGit } };
 
-  // Git repo exists (5 pts)
-  if (isGit) {
-    score += 5;
-    details.git = { exists: true };
-  } else {
-    details.git = { exists: false };
-  }
+  // Git repo exists (2 pts)
+  signals.git = {
+    score: isGit ? 2 : 0,
+    max: 2,
+    explanation: isGit ? 'Skill is under version control' : 'Not a git repository, so history-based signals are unavailable'
+  };
 
-  // Recent commits < 6 months (10 pts)
-  if (lastCommit) {
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-    
-    const isRecent = lastCommit > sixMonthsAgo;
-    if (isRecent) {
-      score += 10;
-    }
-    
-    const daysSinceCommit = Math.floor(
-      (Date.now() - lastCommit.getTime()) / (1000 * 60 * 60 * 24)
-    );
-    
-    details.lastCommit = {
-      date: lastCommit.toISOString(),
-      daysAgo: daysSinceCommit,
-      isRecent
+  // Recency (4 pts): graduated against staleDays
+  if (commits.length > 0) {
+    const lastCommit = new Date(commits[0].time);
+    const daysAgo = Math.floor((now - lastCommit.getTime()) / DAY_MS);
+    details.lastCommit = { date: lastCommit.toISOString(), daysAgo, isRecent: daysAgo <= staleDays };
+    const score = RECENCY_TIERS.find(([share]) => daysAgo <= staleDays * share)?.[1] ?? 0;
+    signals.recency = {
+      score,
+      max: 4,
+      daysAgo,
+      explanation: `Last commit ${daysAgo} day(s) ago` +
+        (daysAgo > staleDays ? ` (stale after ${staleDays})` : score < 4 ? ` (full points within ${Math.floor(staleDays / 6)} days)` : '')
     };
   } else {
     details.lastCommit = { exists: false };
+    signals.recency = { score: 0, max: 4, daysAgo: null, explanation: 'No commits found' };
   }
 
-  // Version/changelog present (5 pts)
-  if (versionInfo.hasVersion) {
-    score += 5;
-    details.version = {
-      exists: true,
-      version: versionInfo.version,
-      source: versionInfo.source
-    };
-  } else {
-    details.version = { exists: false };
+  // Cadence (3 pts): months with at least one commit in the last year
+  const lastYear = commits.filter(commit => now - commit.time <= 365 * DAY_MS);
+  const activeMonths = new Set(lastYear.map(commit => new Date(commit.time).toISOString().slice(0, 7))).size;
+  signals.cadence = {
+    score: tierScore(activeMonths, [[6, 3], [3, 2], [1, 1]]),
+    max: 3,
+    commitsLastYear: lastYear.length,
+    activeMonths,
+    explanation: `${lastYear.length} commit(s) in the last year, active in ${activeMonths} of 12 months`
+  };
+
+  // Contributors (3 pts): distinct human authors and bus factor
+  const authors = new Map();
+  commits.filter(commit => !BOT_AUTHOR.test(commit.name) && !BOT_AUTHOR.test(commit.email))
+    .forEach(commit => authors.set(commit.email, (authors.get(commit.email) || 0) + 1));
+  const factor = authors.size > 0 ? busFactor(authors) : 0;
+  signals.contributors = {
+    score: authors.size >= 3 && factor >= 2 ? 3 : tierScore(authors.size, [[2, 2], [1, 1]]),
+    max: 3,
+    count: authors.size,
+    busFactor: factor,
+    explanation: authors.size === 0 ? 'No commit authors found' :
+      `${authors.size} contributor(s); bus factor ${factor} (authors behind more than half the commits)`
+  };
+
+  // Versioning (3 pts): a declared version, semver tags, latest tag matching the version
+  const latestTag = tags[0] || null;
+  const declared = versionInfo.version && parseSemver(versionInfo.version);
+  const tagMatches = Boolean(latestTag && declared && compareSemver(latestTag.semver, declared) === 0);
+  details.version = {
+    exists: versionInfo.hasVersion,
+    version: versionInfo.version,
+    source: versionInfo.source
+  };
+  const versionNotes = [
+    versionInfo.hasVersion ? `version ${versionInfo.version} in ${versionInfo.source}` : 'no version in package.json, VERSION or SKILL.md',
+    latestTag ? `${tags.length} semver tag(s), latest ${latestTag.tag}` : 'no semver tags'
+  ];
+  if (latestTag && versionInfo.hasVersion) {
+    versionNotes.push(tagMatches ? 'latest tag matches the version' : `latest tag ${latestTag.version} does not match ${versionInfo.version}`);
   }
+  signals.versioning = {
+    score: (versionInfo.hasVersion ? 1 : 0) + (latestTag ? 1 : 0) + (tagMatches ? 1 : 0),
+    max: 3,
+    version: versionInfo.version,
+    latestTag: latestTag?.tag || null,
+    tags: tags.length,
+    tagMatchesVersion: tagMatches,
+    explanation: versionNotes.join('; ')
+  };
+
+  // Changelog (3 pts): 1 for having one, 2 for an entry for the current version
+  const currentVersion = versionInfo.version || latestTag?.version || null;
+  const changelog = await checkChangelog(skillPath, currentVersion);
+  signals.changelog = {
+    score: (changelog.file ? 1 : 0) + (changelog.hasEntry ? 2 : 0),
+    max: 3,
+    file: changelog.file,
+    version: currentVersion,
+    hasCurrentEntry: changelog.hasEntry,
+    explanation: !changelog.file ? 'No CHANGELOG.md' :
+      !currentVersion ? `${changelog.file} found, but there is no version to check it against` :
+        changelog.hasEntry ? `${changelog.file} has an entry for ${currentVersion}` :
+          `${changelog.file} has no entry for ${currentVersion}`
+  };
+
+  // Signed commits (2 pts): share of recent commits carrying a signature
+  const sampled = (signatures || '').split(/^commit /m).filter(Boolean);
+  const signed = sampled.filter(raw => SIGNATURE_HEADER.test(raw)).length;
+  const ratio = sampled.length > 0 ? signed / sampled.length : 0;
+  signals.signing = {
+    score: ratio >= 0.8 ? 2 : signed > 0 ? 1 : 0,
+    max: 2,
+    signed,
+    sampled: sampled.length,
+    ratio: Math.round(ratio * 100),
+    explanation: sampled.length === 0 ? 'No commits to check' :
+      `${signed} of the last ${sampled.length} commit(s) are signed`
+  };
+
+  details.signals = signals;
+  const score = Object.values(signals).reduce((sum, signal) => sum + signal.score, 0);
 
   return {
     score,
     max: 20,
-    details
+    details,
+    recommendations: maintenanceRecommendations(details, staleDays)
   };
 }
 
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * JavaScript / TypeScript Quality Handler
+ * Parses a file into an AST (acorn, with the TypeScript plugin for .ts) and
+ * measures complexity, error handling, comments, naming and dead code
+ */
+
+import { parse, walk } from '../ast.js';
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+// Each of these adds a path through a function
+const BRANCH_TYPES = new Set([
+  'IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'WhileStatement', 'DoWhileStatement', 'CatchClause'
+]);
+const BRANCH_OPERATORS = new Set(['&&', '||', '??', '&&=', '||=', '??=']);
+
+const TERMINATORS = new Set(['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement']);
+
+// Loop counters and coordinates are fine as single letters
+const SHORT_NAMES = new Set(['i', 'j', 'k', 'x', 'y', 'z', '_', '$']);
+const CAMEL_CASE = /^[_$]*[a-zA-Z][a-zA-Z0-9]*$/;
+const UPPER_SNAKE = /^[_$]*[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/;
+const MEANINGLESS = /^(?:foo|bar|baz|qux|asdf|tmp\d*|temp\d*|thing|stuff|[a-z]\d+)$/i;
+
+/**
+ * Best name for a function node
+ * @param {object} node
+ * @param {object|null} parent
+ * @returns {string}
+ */
+function functionName(node, parent) {
+  if (node.id?.name) return node.id.name;
+  if (!parent) return '<anonymous>';
+  if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+  if ((parent.type === 'MethodDefinition' || parent.type === 'Property' || parent.type === 'PropertyDefinition') && !parent.computed) {
+    return parent.key.name ?? String(parent.key.value);
+  }
+  if (parent.type === 'AssignmentExpression') {
+    const target = parent.left;
+    if (target.type === 'Identifier') return target.name;
+    if (target.type === 'MemberExpression' && !target.computed) return target.property.name;
+  }
+  if (parent.type === 'CallExpression' && parent.arguments.includes(node)) {
+    const callee = parent.callee.type === 'MemberExpression' && !parent.callee.computed ? parent.callee.property : parent.callee;
+    if (callee.type === 'Identifier') return `<${callee.name} callback>`;
+  }
+  return '<anonymous>';
+}
+
+/**
+ * Cyclomatic complexity of a function, not counting nested functions
+ * @param {object} fn
+ * @returns {number}
+ */
+function complexityOf(fn) {
+  let complexity = 1;
+  walk(fn.body, node => {
+    if (FUNCTION_TYPES.has(node.type)) return false;
+    if (BRANCH_TYPES.has(node.type)) complexity++;
+    else if (node.type === 'SwitchCase' && node.test) complexity++;
+    else if ((node.type === 'LogicalExpression' || node.type === 'AssignmentExpression') && BRANCH_OPERATORS.has(node.operator)) complexity++;
+    return true;
+  });
+  return complexity;
+}
+
+/**
+ * Identifiers bound by a declaration pattern
+ * @param {object} pattern
+ * @returns {Array<object>} Identifier nodes
+ */
+function boundIdentifiers(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier': return [pattern];
+    case 'ObjectPattern': return pattern.properties.flatMap(property =>
+      boundIdentifiers(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern': return pattern.elements.flatMap(boundIdentifiers);
+    case 'AssignmentPattern': return boundIdentifiers(pattern.left);
+    case 'RestElement': return boundIdentifiers(pattern.argument);
+    case 'TSParameterProperty': return boundIdentifiers(pattern.parameter);
+    default: return [];
+  }
+}
+
+/**
+ * Why a declared name reads badly, or null
+ * @param {string} name
+ * @param {boolean} shortAllowed - Parameter of a one-expression arrow callback
+ * @returns {string|null}
+ */
+function namingProblem(name, shortAllowed) {
+  if (name.length === 1) {
+    return shortAllowed || SHORT_NAMES.has(name) ? null : 'single letter';
+  }
+  if (!CAMEL_CASE.test(name) && !UPPER_SNAKE.test(name)) return 'not camelCase';
+  if (MEANINGLESS.test(name)) return 'meaningless';
+  return null;
+}
+
+/**
+ * Whether a function body is empty with no explanatory comment
+ * @param {object} fn
+ * @param {Array<object>} comments
+ * @returns {boolean}
+ */
+function isEmptyHandler(fn, comments) {
+  if (!fn || !FUNCTION_TYPES.has(fn.type) || fn.body.type !== 'BlockStatement') return false;
+  return isSilentBlock(fn.body, comments);
+}
+
+/**
+ * Whether a block has no statements and no comment inside
+ * @param {object} block
+ * @param {Array<object>} comments
+ * @returns {boolean}
+ */
+function isSilentBlock(block, comments) {
+  return block.body.length === 0 &&
+    !comments.some(comment => comment.start > block.start && comment.end < block.end);
+}
+
+/**
+ * Method name of a call like `x.then(...)`
+ * @param {object} node
+ * @returns {string|null}
+ */
+function calledMethod(node) {
+  if (node?.type !== 'CallExpression') return null;
+  const callee = node.callee.type === 'ChainExpression' ? node.callee.expression : node.callee;
+  return callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+}
+
+/**
+ * Analyze one JavaScript or TypeScript file
+ * @param {string} content
+ * @param {object} [options]
+ * @param {boolean} [options.typescript] - Parse TypeScript syntax
+ * @param {number} [options.maxComplexity] - Functions above this are flagged
+ * @returns {object} File metrics (shape documented in analyzers/code.js)
+ */
+export function analyzeFile(content, options = {}) {
+  const { typescript = false, maxComplexity = 10 } = options;
+  const findings = [];
+  const add = (rule, severity, message, node) => findings.push({
+    rule, severity, message, line: node.loc.start.line, column: node.loc.start.column + 1
+  });
+
+  let ast;
+  let comments;
+  try {
+    ({ ast, comments } = parse(content, typescript));
+  } catch (error) {
+    return {
+      parsed: false,
+      findings: [{
+        rule: 'parse-error',
+        severity: 'low',
+        message: `Could not parse file: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`,
+        line: error.loc?.line ?? 1,
+        column: error.loc ? error.loc.column + 1 : null
+      }]
+    };
+  }
+
+  // Comment lines vs code lines, from the parser's comment list
+  const lines = content.split('\n');
+  const commentLines = new Set();
+  let masked = '';
+  let last = 0;
+  comments.forEach(comment => {
+    for (let line = comment.loc.start.line; line <= comment.loc.end.line; line++) commentLines.add(line);
+    masked += content.slice(last, comment.start) + content.slice(comment.start, comment.end).replace(/[^\n]/g, ' ');
+    last = comment.end;
+  });
+  masked += content.slice(last);
+  const codeLines = masked.split('\n')
+    .filter((line, index) => line.trim() !== '' && !(index === 0 && line.startsWith('#!'))).length;
+
+  // JSDoc blocks, for doc coverage
+  const docComments = comments.filter(comment => comment.type === 'Block' && comment.value.startsWith('*'));
+  const hasDocComment = node => docComments.some(comment =>
+    comment.end <= node.start && content.slice(comment.end, node.start).trim() === '');
+
+  const functions = [];
+  const identifiers = { total: 0, poor: [] };
+  const asyncNames = new Set();
+  const topLevel = new Map();
+  const exported = new Set();
+  const references = new Map();
+  const declarationIds = new Set();
+
+  const declare = (node, shortAllowed = false) => {
+    declarationIds.add(node);
+    identifiers.total++;
+    const problem = namingProblem(node.name, shortAllowed);
+    if (problem) identifiers.poor.push({ name: node.name, line: node.loc.start.line, reason: problem });
+  };
+
+  // Module-level names, for dead code
+  ast.body.forEach(statement => {
+    const exportedDeclaration = /^Export(?:Named|Default)Declaration$/.test(statement.type);
+    const declaration = exportedDeclaration ? statement.declaration : statement;
+    if (!declaration) return;
+
+    const names = [];
+    if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+      if (declaration.id) names.push(declaration.id);
+      if (declaration.async) asyncNames.add(declaration.id?.name);
+    } else if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations.forEach(declarator => {
+        names.push(...boundIdentifiers(declarator.id));
+        if (declarator.id.type === 'Identifier' && FUNCTION_TYPES.has(declarator.init?.type) && declarator.init.async) {
+          asyncNames.add(declarator.id.name);
+        }
+      });
+    } else if (declaration.type === 'ImportDeclaration') {
+      declaration.specifiers.forEach(specifier => names.push(specifier.local));
+    }
+
+    names.forEach(id => {
+      if (exportedDeclaration) exported.add(id.name);
+      else topLevel.set(id.name, id);
+    });
+  });
+
+  walk(ast, (node, parent) => {
+    // Declarations: naming, documentation, complexity
+    if (FUNCTION_TYPES.has(node.type)) {
+      const name = functionName(node, parent);
+
+      // Module-level functions and class methods should carry a doc comment;
+      // nested helpers and one-expression arrows don't need one
+      let statement = null;
+      if (node.type === 'FunctionDeclaration') {
+        const wrapper = ast.body.find(top => /^Export/.test(top.type) && top.declaration === node);
+        if (wrapper || ast.body.includes(node)) statement = wrapper || node;
+      } else if (parent?.type === 'MethodDefinition') {
+        statement = parent;
+      } else if (parent?.type === 'VariableDeclarator' && node.body.type === 'BlockStatement') {
+        statement = ast.body.find(top => (top.declaration || top).declarations?.includes(parent)) || null;
+      }
+      const documentable = Boolean(statement);
+      const documented = documentable && hasDocComment(statement);
+
+      const complexity = complexityOf(node);
+      functions.push({ name, line: node.loc.start.line, complexity, documentable, documented });
+      if (complexity > maxComplexity) {
+        const label = name.startsWith('<') ? name : `${name}()`;
+        add('complex-function', 'medium', `${label} has cyclomatic complexity ${complexity} (max ${maxComplexity})`, node);
+      }
+
+      if (node.id) declare(node.id);
+      const shortAllowed = node.type === 'ArrowFunctionExpression' && node.expression;
+      node.params.flatMap(boundIdentifiers).forEach(id => declare(id, shortAllowed));
+    } else if (node.type === 'VariableDeclarator') {
+      boundIdentifiers(node.id).forEach(id => declare(id));
+    } else if (node.type === 'ClassDeclaration' && node.id) {
+      declare(node.id);
+    } else if (/^Import(?:Default|Namespace)?Specifier$/.test(node.type)) {
+      // Imported names are chosen by the other module
+      declarationIds.add(node.local);
+      if (node.imported) declarationIds.add(node.imported);
+    } else if (node.type === 'CatchClause') {
+      if (node.param) boundIdentifiers(node.param).forEach(id => declare(id, true));
+      if (isSilentBlock(node.body, comments)) {
+        add('empty-catch', 'medium', 'Empty catch block silently swallows errors', node);
+      }
+    }
+
+    // Promise handling
+    if (node.type === 'CallExpression') {
+      const method = calledMethod(node);
+      if (method === 'catch' && isEmptyHandler(node.arguments[0], comments)) {
+        add('empty-catch', 'medium', 'Empty .catch() handler silently swallows errors', node);
+      } else if (method === 'then' && isEmptyHandler(node.arguments[1], comments)) {
+        add('empty-catch', 'medium', 'Empty rejection handler in .then() silently swallows errors', node);
+      }
+      if (method === 'forEach' && node.arguments.some(arg => FUNCTION_TYPES.has(arg.type) && arg.async)) {
+        add('unhandled-promise', 'medium', 'async callback passed to forEach(); its promises are never awaited', node);
+      }
+    }
+    if (node.type === 'ExpressionStatement') {
+      const expression = node.expression.type === 'ChainExpression' ? node.expression.expression : node.expression;
+      const method = calledMethod(expression);
+      if (method === 'then' && expression.arguments.length < 2) {
+        add('unhandled-promise', 'medium', 'Promise chain has no .catch(); a rejection goes unhandled', node);
+      } else if (expression.type === 'CallExpression' && expression.callee.type === 'Identifier' &&
+          (asyncNames.has(expression.callee.name) || expression.callee.name === 'fetch')) {
+        add('unhandled-promise', 'medium', `Promise from ${expression.callee.name}() is neither awaited nor handled`, node);
+      }
+    }
+
+    // Dead code: statements after return/throw/break/continue
+    const body = node.type === 'BlockStatement' || node.type === 'Program' ? node.body :
+      node.type === 'SwitchCase' ? node.consequent : null;
+    if (body) {
+      const exit = body.findIndex(statement => TERMINATORS.has(statement.type));
+      const unreachable = exit === -1 ? undefined :
+        body.slice(exit + 1).find(statement => statement.type !== 'FunctionDeclaration' && statement.type !== 'EmptyStatement');
+      if (unreachable) {
+        add('unreachable-code', 'low', `Unreachable code after ${body[exit].type.replace('Statement', '').toLowerCase()}`, unreachable);
+      }
+    }
+
+    // References, for unused module-level names
+    if (node.type === 'Identifier' && !declarationIds.has(node)) {
+      const isPropertyName = (parent?.type === 'MemberExpression' && parent.property === node && !parent.computed) ||
+        ((parent?.type === 'Property' || parent?.type === 'MethodDefinition' || parent?.type === 'PropertyDefinition') &&
+          parent.key === node && !parent.computed && !parent.shorthand);
+      if (!isPropertyName) references.set(node.name, (references.get(node.name) || 0) + 1);
+    }
+    return true;
+  });
+
+  topLevel.forEach((id, name) => {
+    if (!exported.has(name) && !name.startsWith('_') && !references.get(name)) {
+      add('unused-declaration', 'low', `'${name}' is declared but never used`, id);
+    }
+  });
+
+  return {
+    parsed: true,
+    lines: { code: codeLines, comment: commentLines.size, total: lines.length },
+    functions,
+    identifiers,
+    findings,
+    // JS dead code is decided per file: anything used elsewhere must be exported
+    unusedCandidates: []
+  };
+}
+
+export default { analyzeFile };
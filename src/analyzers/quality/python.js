@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+/**
+ * Python Quality Handler
+ * Tokenizes strings, comments and bracket continuations into logical
+ * statements, then uses indentation for blocks: function complexity,
+ * docstrings, except handling, un-awaited coroutines, naming and dead code
+ */
+
+const DEF = /^(async\s+)?def\s+([A-Za-z_]\w*)\s*\((.*)\)\s*(?:->[^:]*)?:(.*)$/;
+const CLASS = /^class\s+([A-Za-z_]\w*)/;
+const EXCEPT = /^except\b([^:]*):(.*)$/;
+const BRANCH = /\b(?:if|elif|for|while|except|and|or|case)\b/g;
+const TERMINATOR = /^(?:return|raise|continue|break)\b/;
+const STRING_ONLY = /^(?:[rRbBuUfF]{0,2}""\s*)+$/;
+const ASSIGNMENT = /^([A-Za-z_][\w\s,]*?)\s*(?::[^=]+)?=(?!=)/;
+
+const SHORT_NAMES = new Set(['i', 'j', 'k', 'n', 'x', 'y', 'z', '_', 'e', 'f']);
+const SNAKE_CASE = /^_{0,2}[a-z][a-z0-9_]*$/;
+const UPPER_SNAKE = /^_?[A-Z][A-Z0-9_]*$/;
+const PASCAL_CASE = /^_?[A-Z][a-zA-Z0-9]*$/;
+
+/**
+ * Split source into logical statements with string contents blanked
+ * @param {string} content
+ * @returns {{statements: Array<object>, commentLines: Set<number>, docLines: Set<number>, codeLines: Set<number>}}
+ */
+function tokenize(content) {
+  const statements = [];
+  const commentLines = new Set();
+  const codeLines = new Set();
+  const stringLines = [];
+
+  let text = '';
+  let start = null;
+  let indent = 0;
+  let depth = 0;
+  let line = 1;
+  let lineStart = true;
+
+  const finish = () => {
+    if (start !== null && text.trim() !== '') {
+      statements.push({ line: start, end: line, indent, text: text.trim().replace(/\s+/g, ' ') });
+    }
+    text = '';
+    start = null;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (lineStart) {
+      const width = content.slice(i).match(/^[ \t]*/)[0];
+      if (depth === 0 && start === null) indent = width.replace(/\t/g, '        ').length;
+      i += width.length - 1;
+      lineStart = false;
+      continue;
+    }
+
+    if (char === '\n') {
+      // A statement continues inside brackets or after a backslash
+      if (depth === 0 && !text.endsWith('\\')) finish();
+      else text = text.replace(/\\$/, '') + ' ';
+      line++;
+      lineStart = true;
+      continue;
+    }
+    if (char === '#') {
+      commentLines.add(line);
+      while (i + 1 < content.length && content[i + 1] !== '\n') i++;
+      continue;
+    }
+
+    if (start === null) start = line;
+    codeLines.add(line);
+
+    if (char === '"' || char === "'") {
+      const triple = content.startsWith(char.repeat(3), i);
+      const quote = triple ? char.repeat(3) : char;
+      const first = line;
+      let j = i + quote.length;
+      while (j < content.length && !content.startsWith(quote, j)) {
+        if (content[j] === '\\') j++;
+        else if (content[j] === '\n') {
+          if (!triple) break;
+          line++;
+        }
+        j++;
+      }
+      stringLines.push({ first, last: line });
+      text += '""';
+      i = j + quote.length - 1;
+      continue;
+    }
+
+    if ('([{'.includes(char)) depth++;
+    else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+    text += char;
+  }
+  finish();
+
+  // Lines of string-only statements (docstrings) count as documentation
+  const docLines = new Set();
+  statements.filter(statement => STRING_ONLY.test(statement.text)).forEach(statement => {
+    for (let n = statement.line; n <= statement.end; n++) docLines.add(n);
+  });
+  stringLines.forEach(({ first, last }) => {
+    for (let n = first; n <= last; n++) {
+      if (!docLines.has(n)) codeLines.add(n);
+    }
+  });
+  docLines.forEach(n => codeLines.delete(n));
+
+  return { statements, commentLines, docLines, codeLines };
+}
+
+/**
+ * Statements in the block opened by statement `index`
+ * @param {Array<object>} statements
+ * @param {number} index
+ * @returns {Array<object>}
+ */
+function blockOf(statements, index) {
+  const header = statements[index];
+  const body = [];
+  for (let i = index + 1; i < statements.length && statements[i].indent > header.indent; i++) {
+    body.push(statements[i]);
+  }
+  return body;
+}
+
+/**
+ * Names bound by a parameter list
+ * @param {string} params - Text between the parentheses of a def
+ * @returns {Array<string>}
+ */
+function parameterNames(params) {
+  const names = [];
+  let depth = 0;
+  let current = '';
+  for (const char of `${params},`) {
+    if ('([{'.includes(char)) depth++;
+    else if (')]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0) {
+      const name = current.replace(/^\s*\*{0,2}/, '').split(/[:=]/)[0].trim();
+      if (/^[A-Za-z_]\w*$/.test(name) && name !== 'self' && name !== 'cls') names.push(name);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return names;
+}
+
+/**
+ * Why a Python name reads badly, or null
+ * @param {string} name
+ * @param {string} kind - function, class or variable
+ * @returns {string|null}
+ */
+function namingProblem(name, kind) {
+  if (/^__\w+__$/.test(name)) return null;
+  if (name.length === 1) return SHORT_NAMES.has(name) ? null : 'single letter';
+  if (kind === 'class') return PASCAL_CASE.test(name) ? null : 'not PascalCase';
+  if (kind === 'variable' && UPPER_SNAKE.test(name)) return null;
+  return SNAKE_CASE.test(name) ? null : 'not snake_case';
+}
+
+/**
+ * Analyze one Python file
+ * @param {string} content
+ * @param {object} [options]
+ * @param {number} [options.maxComplexity] - Functions above this are flagged
+ * @returns {object} File metrics (shape documented in analyzers/code.js)
+ */
+export function analyzeFile(content, options = {}) {
+  const { maxComplexity = 10 } = options;
+  const { statements, commentLines, docLines, codeLines } = tokenize(content);
+  const findings = [];
+  const add = (rule, severity, message, statement) => findings.push({
+    rule, severity, message, line: statement.line, column: statement.indent + 1
+  });
+
+  const identifiers = { total: 0, poor: [] };
+  const seen = new Set();
+  const declare = (name, line, kind) => {
+    if (seen.has(`${kind}:${name}`)) return;
+    seen.add(`${kind}:${name}`);
+    identifiers.total++;
+    const problem = namingProblem(name, kind);
+    if (problem) identifiers.poor.push({ name, line, reason: problem });
+  };
+
+  const asyncNames = new Set(statements.map(statement => DEF.exec(statement.text))
+    .filter(match => match?.[1]).map(match => match[2]));
+  const functions = [];
+  const topLevel = [];
+  // Open def/class blocks, innermost last
+  const scopes = [];
+
+  statements.forEach((statement, index) => {
+    while (scopes.length > 0 && statement.indent <= scopes[scopes.length - 1].indent) scopes.pop();
+    const scope = scopes[scopes.length - 1];
+
+    const def = DEF.exec(statement.text);
+    const cls = CLASS.exec(statement.text);
+    if (def) {
+      const name = def[2];
+      const inline = def[4].trim();
+      const body = inline ? [{ ...statement, text: inline }] : blockOf(statements, index);
+
+      // Nested defs are measured on their own
+      let complexity = 1;
+      let nestedIndent = null;
+      body.forEach(inner => {
+        if (nestedIndent !== null && inner.indent > nestedIndent) return;
+        nestedIndent = DEF.test(inner.text) ? inner.indent : null;
+        if (nestedIndent === null) complexity += (inner.text.match(BRANCH) || []).length;
+      });
+
+      const documentable = !/^__\w+__$/.test(name) && (!scope || scope.kind === 'class');
+      const documented = body.length > 0 && STRING_ONLY.test(body[0].text);
+      functions.push({ name, line: statement.line, complexity, documentable, documented });
+      if (complexity > maxComplexity) {
+        add('complex-function', 'medium', `${name}() has cyclomatic complexity ${complexity} (max ${maxComplexity})`, statement);
+      }
+
+      declare(name, statement.line, 'function');
+      parameterNames(def[3]).forEach(param => declare(param, statement.line, 'variable'));
+      if (!scope) topLevel.push({ name, line: statement.line, kind: 'function' });
+      scopes.push({ kind: 'function', indent: statement.indent });
+      return;
+    }
+    if (cls) {
+      declare(cls[1], statement.line, 'class');
+      if (!scope) topLevel.push({ name: cls[1], line: statement.line, kind: 'class' });
+      scopes.push({ kind: 'class', indent: statement.indent });
+      return;
+    }
+
+    const except = EXCEPT.exec(statement.text);
+    if (except) {
+      if (except[1].trim() === '') {
+        add('bare-except', 'low', 'Bare except: also catches KeyboardInterrupt and SystemExit', statement);
+      }
+      const inline = except[2].trim();
+      const body = inline ? [{ text: inline }] : blockOf(statements, index);
+      const last = body.length > 0 && !inline ? body[body.length - 1].end : statement.end;
+      const explained = [...commentLines].some(n => n >= statement.line && n <= last);
+      if (body.every(inner => /^(?:pass|\.\.\.)$/.test(inner.text)) && !explained) {
+        add('empty-catch', 'medium', 'except block only passes; the error is silently swallowed', statement);
+      }
+    }
+
+    // Coroutines called like functions never run
+    const call = /^(?:self\.|cls\.)?([A-Za-z_]\w*)\s*\(.*\)$/.exec(statement.text);
+    if (call && asyncNames.has(call[1])) {
+      add('unhandled-promise', 'medium', `Coroutine ${call[1]}() is called without await`, statement);
+    } else if (/^asyncio\.(?:create_task|ensure_future)\s*\(/.test(statement.text)) {
+      add('unhandled-promise', 'medium', 'Task from asyncio.create_task() is not kept; it can be garbage-collected before it finishes', statement);
+    }
+
+    const assignment = ASSIGNMENT.exec(statement.text);
+    if (assignment && !/^(?:if|elif|while|for|with|return|assert|lambda)\b/.test(statement.text)) {
+      assignment[1].split(',').map(name => name.trim()).filter(name => /^[A-Za-z_]\w*$/.test(name))
+        .forEach(name => declare(name, statement.line, 'variable'));
+    }
+
+    // Dead code: the next statement in the same block after return/raise/continue/break
+    const next = statements[index + 1];
+    if (TERMINATOR.test(statement.text) && next && next.indent === statement.indent) {
+      const keyword = statement.text.match(TERMINATOR)[0];
+      add('unreachable-code', 'low', `Unreachable code after ${keyword}`, next);
+    }
+  });
+
+  // Module-level names used nowhere else in this file; code.js checks the other files
+  const unusedCandidates = topLevel.filter(({ name, line }) => !/^(?:main|__\w+__)$/.test(name) &&
+    !statements.some(statement => statement.line !== line && new RegExp(`\\b${name}\\b`).test(statement.text)) &&
+    !new RegExp(`__all__[^\\n]*['"]${name}['"]`).test(content));
+
+  return {
+    parsed: true,
+    lines: { code: codeLines.size, comment: new Set([...commentLines, ...docLines]).size, total: content.split('\n').length },
+    functions,
+    identifiers,
+    findings,
+    unusedCandidates
+  };
+}
+
+export default { analyzeFile };
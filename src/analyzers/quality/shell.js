@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Shell Quality Handler
+ * Quote- and heredoc-aware line scanner for sh/bash scripts: function
+ * complexity, error handling (set -e, background jobs), comments, naming
+ * and dead code
+ */
+
+const FUNCTION_DEF = /^\s*(?:function\s+([A-Za-z_][\w:.-]*)\s*(?:\(\s*\))?|([A-Za-z_][\w:.-]*)\s*\(\s*\))\s*(?:[{(]|$)/;
+const BRANCH = /(?:^|[;&|({]|\b(?:then|do|else)\b)\s*(?:if|elif|while|until|for|select)\b|&&|\|\||;;/g;
+const ASSIGNMENT = /(?:^|[;&|]\s*|\b(?:local|declare|typeset|readonly|export)\s+(?:-\w+\s+)*)([A-Za-z_]\w*)(?:\[[^\]]*\])?\+?=/g;
+const LOOP_VARIABLE = /\b(?:for|select)\s+([A-Za-z_]\w*)\s+in\b/g;
+const STRICT_MODE = /\bset\s+(?:-[a-zA-Z]*e[a-zA-Z]*\b|-o\s+errexit\b)/;
+const EXPLICIT_CHECKS = /\|\|\s*(?:exit|return|die|fail\w*|\{)|\bif\s+!|\$\?|\btrap\b.*\bERR\b/;
+const EXIT = /^(?:exit|return)\b[^;&|]*$/;
+// Lines that close a block rather than follow an exit in it
+const CLOSER = /^(?:fi|else|elif|done|esac|then|do|;;|\}|\))/;
+
+const SHORT_NAMES = new Set(['i', 'j', 'k', 'n', 'x', 'y', '_']);
+const SNAKE_CASE = /^[a-z_][a-z0-9_]*$/;
+const UPPER_SNAKE = /^[A-Z_][A-Z0-9_]*$/;
+const FUNCTION_NAME = /^[a-z_][a-z0-9_:.-]*$/;
+
+/**
+ * Split a line into code (quoted text blanked) and whether it has a comment
+ * @param {string} line
+ * @returns {{code: string, comment: boolean}}
+ */
+function splitLine(line) {
+  let code = '';
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote !== "'") {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+        code += char;
+      }
+      continue;
+    }
+    if (char === '\\') {
+      code += line.slice(i, i + 2);
+      i++;
+      continue;
+    }
+    if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+      code += char;
+      continue;
+    }
+    // "#" starts a comment only at the start of a word ($#, ${#x} and a#b don't)
+    if (char === '#' && (i === 0 || /[\s;&|()]/.test(line[i - 1]))) {
+      return { code, comment: true };
+    }
+    code += char;
+  }
+  return { code, comment: false };
+}
+
+/**
+ * Scan a script into per-line code and comment flags, skipping heredoc bodies
+ * @param {string} content
+ * @returns {Array<{number: number, code: string, comment: boolean, heredoc: boolean, indent: number}>}
+ */
+function scanLines(content) {
+  const result = [];
+  let heredoc = null;
+
+  content.split('\n').forEach((line, index) => {
+    const number = index + 1;
+    if (heredoc) {
+      const text = heredoc.stripTabs ? line.replace(/^\t+/, '') : line;
+      if (text.trim() === heredoc.word) heredoc = null;
+      result.push({ number, code: '', comment: false, heredoc: true, indent: 0 });
+      return;
+    }
+    if (index === 0 && line.startsWith('#!')) {
+      result.push({ number, code: '', comment: false, heredoc: false, indent: 0 });
+      return;
+    }
+
+    const { code, comment } = splitLine(line);
+    const start = /<<(?!<)/.test(code) && /<<(-?)\s*(['"]?)([A-Za-z_]\w*)\2/.exec(line);
+    if (start) {
+      heredoc = { stripTabs: start[1] === '-', word: start[3] };
+    }
+    result.push({ number, code, comment, heredoc: false, indent: line.match(/^\s*/)[0].length });
+  });
+
+  return result;
+}
+
+/**
+ * Why a shell name reads badly, or null
+ * @param {string} name
+ * @returns {string|null}
+ */
+function namingProblem(name) {
+  if (name.length === 1) return SHORT_NAMES.has(name) ? null : 'single letter';
+  if (!SNAKE_CASE.test(name) && !UPPER_SNAKE.test(name)) return 'not snake_case';
+  return null;
+}
+
+/**
+ * Analyze one shell script
+ * @param {string} content
+ * @param {object} [options]
+ * @param {number} [options.maxComplexity] - Functions above this are flagged
+ * @returns {object} File metrics (shape documented in analyzers/code.js)
+ */
+export function analyzeFile(content, options = {}) {
+  const { maxComplexity = 10 } = options;
+  const lines = scanLines(content);
+  const code = lines.filter(line => line.code.trim() !== '');
+  const findings = [];
+  const add = (rule, severity, message, line, column = null) => findings.push({ rule, severity, message, line, column });
+
+  // Functions: body runs until the braces opened on or after the definition close
+  const functions = [];
+  for (let index = 0; index < lines.length; index++) {
+    const match = FUNCTION_DEF.exec(lines[index].code);
+    if (!match || lines[index].heredoc) continue;
+
+    const name = match[1] || match[2];
+    let depth = 0;
+    let opened = false;
+    let complexity = 1;
+    let end = index;
+    for (let body = index; body < lines.length; body++) {
+      const text = lines[body].code;
+      for (const char of text) {
+        if (char === '{') depth++;
+        else if (char === '}') depth--;
+      }
+      opened = opened || depth > 0;
+      complexity += (text.match(BRANCH) || []).length;
+      end = body;
+      // One-liners close on the same line; "( ... )" bodies are not followed
+      if (depth <= 0 && (opened || /\}/.test(text) || body > index)) break;
+    }
+
+    const previous = lines[index - 1];
+    const documented = Boolean(previous && previous.comment && previous.code.trim() === '');
+    functions.push({ name, line: lines[index].number, end: lines[end].number, complexity, documentable: true, documented });
+    if (complexity > maxComplexity) {
+      add('complex-function', 'medium', `${name}() has cyclomatic complexity ${complexity} (max ${maxComplexity})`, lines[index].number);
+    }
+  }
+
+  // Naming: function names, assigned variables, loop variables
+  const identifiers = { total: 0, poor: [] };
+  const seen = new Set();
+  const declare = (name, line, problem) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+    identifiers.total++;
+    if (problem) identifiers.poor.push({ name, line, reason: problem });
+  };
+  functions.forEach(fn => declare(fn.name, fn.line, FUNCTION_NAME.test(fn.name) ? null : 'not snake_case'));
+  code.forEach(line => {
+    for (const match of line.code.matchAll(LOOP_VARIABLE)) declare(match[1], line.number, null);
+    for (const match of line.code.matchAll(ASSIGNMENT)) declare(match[1], line.number, namingProblem(match[1]));
+  });
+
+  // Error handling
+  const script = code.map(line => line.code).join('\n');
+  const shebang = content.split('\n')[0];
+  const strict = STRICT_MODE.test(script) || /^#!.*\s-[a-zA-Z]*e/.test(shebang);
+  const commands = code.filter(line => !FUNCTION_DEF.test(line.code) && !/^\s*[{}()]\s*$/.test(line.code));
+  if (!strict && commands.length > 0 && !EXPLICIT_CHECKS.test(script)) {
+    add('missing-errexit', 'low', 'Script neither uses set -e nor checks for failed commands', 1);
+  }
+  if (!/\bwait\b/.test(script)) {
+    const background = code.find(line => /(?:^|[^&|>])&\s*$/.test(line.code.trimEnd()));
+    if (background) {
+      add('unhandled-background-job', 'medium', 'Background job is never waited for; its exit status is lost', background.number);
+    }
+  }
+
+  // Dead code: a statement after a standalone exit/return at the same depth
+  code.forEach((line, index) => {
+    if (!EXIT.test(line.code.trim())) return;
+    const next = code[index + 1];
+    if (next && next.indent === line.indent && !CLOSER.test(next.code.trim()) && !FUNCTION_DEF.test(next.code)) {
+      add('unreachable-code', 'low', `Unreachable code after ${line.code.trim().split(/\s/)[0]}`, next.number, next.indent + 1);
+    }
+  });
+
+  // Functions never called in this file; code.js checks the other scripts
+  const unusedCandidates = functions
+    .filter(fn => code.every(line => line.number === fn.line || !new RegExp(`(?:^|[^\\w-])${fn.name.replace(/[.:]/g, '\\$&')}(?![\\w-])`).test(line.code)))
+    .map(fn => ({ name: fn.name, line: fn.line, kind: 'function' }));
+
+  return {
+    parsed: true,
+    lines: {
+      code: lines.filter(line => line.heredoc || line.code.trim() !== '').length,
+      comment: lines.filter(line => line.comment).length,
+      total: lines.length
+    },
+    functions: functions.map(({ end, ...fn }) => fn),
+    identifiers,
+    findings,
+    unusedCandidates
+  };
+}
+
+export default { analyzeFile };
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Reputation Providers
+ * Clawdex HTTP lookups and local allow/deny lists for air-gapped runs
+ *
+ * A provider is { name, remote?, lookup(skillName) } where lookup resolves to
+ *   { answered: true, status: 'benign'|'unknown'|'malicious' }  or
+ *   { answered: false, error? }  when the provider has no verdict.
+ * Remote providers are network lookups whose answers may be cached.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+
+export const DEFAULT_CLAWDEX_URL = 'https://clawdex.koi.security/api/skill/';
+
+// Scoring: benign=20, unknown=10, malicious=0
+const STATUS_SCORES = {
+  'benign': 20,
+  'unknown': 10,
+  'malicious': 0
+};
+
+// Local list entries map onto Clawdex statuses
+const LIST_STATUSES = {
+  allow: 'benign',
+  allowed: 'benign',
+  benign: 'benign',
+  deny: 'malicious',
+  denied: 'malicious',
+  block: 'malicious',
+  malicious: 'malicious'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create the Clawdex HTTP provider
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Lookup URL prefix; the skill name is appended
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {number} [options.retries] - Extra attempts on network errors, 429 and 5xx
+ * @param {string|null} [options.authHeader] - Authorization header value
+ * @returns {object}
+ */
+export function createClawdexProvider(options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_CLAWDEX_URL;
+  const timeoutMs = options.timeoutMs ?? 5000;
+  const retries = options.retries ?? 2;
+  const authHeader = options.authHeader || process.env.CLAWDEX_AUTH || null;
+
+  return {
+    name: 'clawdex',
+    remote: true,
+
+    async lookup(skillName) {
+      const url = `${baseUrl}${encodeURIComponent(skillName)}`;
+      const headers = authHeader ? { Authorization: authHeader } : {};
+      let lastError = null;
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+          await sleep(250 * 2 ** (attempt - 1));
+        }
+
+        try {
+          const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+
+          // Not in the database is a real answer
+          if (response.status === 404) {
+            return { answered: true, status: 'unknown' };
+          }
+
+          if (response.status === 429 || response.status >= 500) {
+            lastError = `HTTP ${response.status}`;
+            continue;
+          }
+
+          if (!response.ok) {
+            return { answered: false, error: `HTTP ${response.status}` };
+          }
+
+          const data = await response.json();
+          const status = Object.hasOwn(STATUS_SCORES, data.status) ? data.status : 'unknown';
+          return { answered: true, status, details: data };
+        } catch (error) {
+          lastError = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+        }
+      }
+
+      return { answered: false, error: lastError };
+    }
+  };
+}
+
+/**
+ * Parse a CSV list: "name,status" per line, optional header, # comments
+ * @param {string} content
+ * @returns {Map<string, string>}
+ */
+function parseCsvList(content) {
+  const entries = new Map();
+
+  content.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [name, status = 'deny'] = trimmed.split(',').map(part => part.trim());
+    const mapped = LIST_STATUSES[status.toLowerCase()];
+    if (name && mapped && name.toLowerCase() !== 'name') {
+      entries.set(name.toLowerCase(), mapped);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Parse a JSON list: { allow: [...], deny: [...] } or [{ name, status }]
+ * @param {string} content
+ * @returns {Map<string, string>}
+ */
+function parseJsonList(content) {
+  const data = JSON.parse(content);
+  const entries = new Map();
+
+  if (Array.isArray(data)) {
+    data.forEach(entry => {
+      const mapped = LIST_STATUSES[String(entry.status || '').toLowerCase()];
+      if (entry.name && mapped) {
+        entries.set(String(entry.name).toLowerCase(), mapped);
+      }
+    });
+  } else {
+    (data.allow || []).forEach(name => entries.set(String(name).toLowerCase(), 'benign'));
+    // Deny wins if a name appears in both
+    (data.deny || []).forEach(name => entries.set(String(name).toLowerCase(), 'malicious'));
+  }
+
+  return entries;
+}
+
+/**
+ * Create a local allow/deny list provider
+ * @param {string} listPath - JSON or CSV file
+ * @returns {Promise<object>}
+ */
+export async function createListProvider(listPath) {
+  let content;
+  try {
+    content = await readFile(listPath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Cannot read reputation list ${listPath}: ${error.message}`);
+  }
+
+  let entries;
+  try {
+    entries = extname(listPath).toLowerCase() === '.csv' ? parseCsvList(content) : parseJsonList(content);
+  } catch (error) {
+    throw new Error(`Invalid reputation list ${listPath}: ${error.message}`);
+  }
+
+  return {
+    name: `list:${listPath}`,
+
+    async lookup(skillName) {
+      const status = entries.get(skillName.toLowerCase());
+      return status ? { answered: true, status } : { answered: false };
+    }
+  };
+}
+
+/**
+ * Build providers from the reputation config
+ * @param {object} [config] - config.reputation
+ * @returns {Promise<Array<object>>}
+ */
+export async function createProviders(config = {}) {
+  const providers = [];
+
+  // Local lists first so they can answer in air-gapped runs
+  for (const listPath of config.lists || []) {
+    providers.push(await createListProvider(listPath));
+  }
+
+  if (!config.offline && config.clawdex?.enabled !== false) {
+    providers.push(createClawdexProvider(config.clawdex));
+  }
+
+  return providers;
+}
+
+/**
+ * Reuse remote provider answers for a while instead of asking again
+ * Only answers are cached; errors and timeouts are retried next run.
+ * @param {Array<object>} providers
+ * @param {object|null} cache - Cache session from createCache().session()
+ * @param {number} ttlMs - How long an answer stays fresh
+ * @returns {Array<object>}
+ */
+export function cacheProviders(providers, cache, ttlMs) {
+  if (!cache?.enabled || !(ttlMs > 0)) return providers;
+
+  return providers.map(provider => !provider.remote ? provider : {
+    ...provider,
+
+    async lookup(skillName) {
+      const key = skillName.toLowerCase();
+      const cached = await cache.get(`reputation-${provider.name}`, key, { maxAgeMs: ttlMs });
+      if (cached) return { ...cached, cached: true };
+
+      const answer = await provider.lookup(skillName);
+      if (answer.answered) {
+        await cache.set(`reputation-${provider.name}`, key, answer);
+      }
+      return answer;
+    }
+  });
+}
+
+/**
+ * Ask every provider and combine the verdicts
+ * Malicious from any provider wins; otherwise benign beats unknown.
+ * With no answers the reputation is "not assessed" instead of a midpoint.
+ * @param {string} skillName
+ * @param {Array<object>} providers
+ * @returns {Promise<{assessed: boolean, status: string|null, score: number|null, providers: Array<object>}>}
+ */
+export async function checkReputation(skillName, providers) {
+  const answers = await Promise.all(providers.map(async provider => {
+    try {
+      return { provider: provider.name, ...(await provider.lookup(skillName)) };
+    } catch (error) {
+      return { provider: provider.name, answered: false, error: error.message };
+    }
+  }));
+
+  const statuses = answers.filter(answer => answer.answered).map(answer => answer.status);
+  const status = statuses.includes('malicious') ? 'malicious' :
+    statuses.includes('benign') ? 'benign' :
+    statuses.includes('unknown') ? 'unknown' : null;
+
+  return {
+    assessed: status !== null,
+    status,
+    score: status === null ? null : STATUS_SCORES[status],
+    providers: answers.map(({ provider, answered, status: verdict, error, cached }) => ({
+      name: provider,
+      answered,
+      ...(answered ? { status: verdict } : {}),
+      ...(error ? { error } : {}),
+      ...(cached ? { cached } : {})
+    }))
+  };
+}
+
+export default { createProviders, cacheProviders, checkReputation, createClawdexProvider, createListProvider };
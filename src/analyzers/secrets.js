@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+/**
+ * Secret Scanner
+ * Provider-specific rules, sensitive config keys and Shannon-entropy
+ * detection over code, .env, JSON and YAML files. Secrets are redacted in
+ * every finding; known false positives can be allowlisted inline
+ * (`scorecard:allow-secret`, `gitleaks:allow`, `pragma: allowlist secret`
+ * on the same or previous line) or in the config file. Git history can be
+ * scanned too, so secrets that were committed and later deleted still count.
+ */
+
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { relative, sep } from 'path';
+import { listFiles, isIgnored } from './code.js';
+import { git } from '../git.js';
+
+// git log output can be large for long histories
+const GIT_LOG_BUFFER = 256 * 1024 * 1024;
+
+// Files worth scanning: code, docs and config/env files
+export const SECRET_FILE = /(?:\.(?:js|mjs|cjs|ts|sh|py|md|json|ya?ml|toml|ini|cfg|conf|properties)|(?:^|[\\/])\.env(?:\.[\w.-]+)?)$/i;
+// Lockfiles are full of digests and resolved URLs
+const LOCKFILE = /(?:^|\/)(?:package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|poetry\.lock|Pipfile\.lock)$/;
+const CONFIG_FILE = /(?:\.(?:json|ya?ml|toml|ini|cfg|conf|properties)|(?:^|[\\/])\.env(?:\.[\w.-]+)?)$/i;
+
+// Rule catalog; `group` picks the secret out of the match (default: whole match)
+export const SECRET_RULES = [
+  {
+    id: 'secret-private-key',
+    description: 'Private key',
+    severity: 'critical',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----/g
+  },
+  {
+    id: 'secret-aws-access-key',
+    description: 'AWS access key ID',
+    severity: 'high',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'secret-aws-secret-key',
+    description: 'AWS secret access key',
+    severity: 'critical',
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"\s=:]+([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    group: 1
+  },
+  {
+    id: 'secret-anthropic-key',
+    description: 'Anthropic API key',
+    severity: 'critical',
+    pattern: /\bsk-ant-[A-Za-z0-9_-]{32,}/g
+  },
+  {
+    id: 'secret-openai-key',
+    description: 'OpenAI API key',
+    severity: 'high',
+    pattern: /\bsk-(?!ant-)(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{32,}/g
+  },
+  {
+    id: 'secret-stripe-live-key',
+    description: 'Stripe live key',
+    severity: 'critical',
+    pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{24,}\b/g
+  },
+  {
+    id: 'secret-stripe-test-key',
+    description: 'Stripe test key',
+    severity: 'low',
+    pattern: /\b(?:sk|rk)_test_[A-Za-z0-9]{24,}\b/g
+  },
+  {
+    id: 'secret-google-api-key',
+    description: 'Google API key',
+    severity: 'high',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g
+  },
+  {
+    id: 'secret-google-oauth-secret',
+    description: 'Google OAuth client secret',
+    severity: 'high',
+    pattern: /\bGOCSPX-[A-Za-z0-9_-]{28}(?![A-Za-z0-9_-])/g
+  },
+  {
+    id: 'secret-github-token',
+    description: 'GitHub token',
+    severity: 'high',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g
+  },
+  {
+    id: 'secret-slack-token',
+    description: 'Slack token',
+    severity: 'high',
+    pattern: /\bxox[baprs]-[A-Za-z0-9-]{10,}/g
+  },
+  {
+    id: 'secret-slack-webhook',
+    description: 'Slack webhook URL',
+    severity: 'medium',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Za-z0-9]+\/B[A-Za-z0-9]+\/[A-Za-z0-9]+/g
+  },
+  {
+    id: 'secret-jwt',
+    description: 'JSON Web Token',
+    severity: 'high',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    id: 'secret-url-credentials',
+    description: 'Password in URL',
+    severity: 'high',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"`]+:([^\s:@/'"`]{3,})@[^\s'"`]+/gi,
+    group: 1
+  },
+  {
+    id: 'secret-generic-assignment',
+    description: 'Hardcoded credential',
+    severity: 'high',
+    pattern: /(?:api[_-]?key|apikey|access[_-]?token|auth[_-]?token|secret[_-]?key|client[_-]?secret|password|passwd)['"]?\s*[=:]\s*['"`]([^'"`\s]{12,})['"`]/gi,
+    group: 1
+  }
+];
+
+// Provider-specific rules; a history hit on one of these is a real key that was pushed
+const PROVIDER_RULES = new Set(SECRET_RULES.map(rule => rule.id).filter(id => id !== 'secret-generic-assignment'));
+const RAISED_SEVERITY = { low: 'medium', medium: 'high', high: 'critical', critical: 'critical' };
+
+// Key names whose values are credentials in .env / JSON / YAML files
+const SENSITIVE_KEY = /(?:pass(?:word|wd|phrase)?|secret|token|api[_-]?key|apikey|access[_-]?key|private[_-]?key|credential|auth)(?:[_-]?\w*)?$/i;
+
+// Values that are obviously not real secrets
+const PLACEHOLDER = [
+  /^(?:x+|\*+|0+|\.+|-+|_+|#+)$/i,
+  /\b(?:your|my|example|sample|placeholder|changeme|change[_-]?me|dummy|fake|redacted|insert|replace|todo|test)(?:[_-]|\b)/i,
+  /^<[^>]+>$|\$\{[^}]*\}|\{\{[^}]*\}\}|^\$[A-Z_]+$|%\([^)]*\)s|^%[A-Z_]+%$/,
+  /(?:x{6,}|\*{4,}|\.{3,}|0{8,})/i,
+  /^(?:process\.env|os\.environ|env\()/
+];
+
+const INLINE_ALLOW = /scorecard:allow-secret|gitleaks:allow|pragma:\s*allowlist secret/i;
+
+// String literals in code (no template interpolation)
+const STRING_LITERAL = /(['"`])((?:\\.|(?!\1)[^\\\n])*)\1/g;
+const TOKEN_CHARSET = /^[A-Za-z0-9+/=_\-.~]+$/;
+
+/**
+ * Shannon entropy in bits per character
+ * @param {string} text
+ * @returns {number}
+ */
+export function shannonEntropy(text) {
+  if (!text) return 0;
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  counts.forEach(count => {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  });
+  return entropy;
+}
+
+/**
+ * Hide all but the ends of a secret
+ * @param {string} secret
+ * @returns {string}
+ */
+export function redact(secret) {
+  const value = String(secret);
+  if (value.includes('\n')) {
+    return `${value.split('\n')[0]}…[${value.length} chars]`;
+  }
+  if (value.length < 12) return '*'.repeat(value.length);
+  return `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 8, 16))}${value.slice(-4)}`;
+}
+
+/**
+ * Stable id for a secret that doesn't reveal it (used in allowlists)
+ * @param {string} secret
+ * @returns {string}
+ */
+export function fingerprint(secret) {
+  return createHash('sha256').update(secret).digest('hex').slice(0, 16);
+}
+
+/**
+ * Whether a value is a placeholder rather than a credential
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPlaceholder(value) {
+  return PLACEHOLDER.some(pattern => pattern.test(value)) || new Set(value).size <= 3;
+}
+
+/**
+ * Whether a string looks like a random token rather than words, paths or URLs
+ * @param {string} value
+ * @param {number} threshold - Minimum bits per character
+ * @returns {number|null} Entropy when it qualifies
+ */
+function randomToken(value, threshold) {
+  if (!TOKEN_CHARSET.test(value) || !/[A-Za-z]/.test(value) || !/\d/.test(value)) return null;
+  // Hashes and ids are hex (or SRI digests); they only count when assigned to a sensitive key
+  if (/^[0-9a-f]+$/i.test(value) || /^sha(?:1|256|384|512)-/.test(value)) return null;
+  if (/^[a-z]+(?:[._-][a-z0-9]+)+$/i.test(value) || value.includes('/') && !value.endsWith('=')) return null;
+  const entropy = shannonEntropy(value);
+  return entropy >= threshold ? entropy : null;
+}
+
+/**
+ * Whether a finding matches a config allowlist entry
+ * Entries are a fingerprint or regex string, or an object whose given fields
+ * (rule, path, pattern, fingerprint) must all match.
+ * @param {object} finding - Including the raw `secret`
+ * @param {Array<string|object>} allowlist
+ * @returns {boolean}
+ */
+export function isAllowlisted(finding, allowlist = []) {
+  return allowlist.some(entry => {
+    if (typeof entry === 'string') {
+      return entry === finding.fingerprint || new RegExp(entry).test(finding.secret);
+    }
+    const path = entry.path?.replace(/\/+$/, '');
+    return (!entry.rule || entry.rule === finding.rule) &&
+      (!path || finding.file === path || finding.file.startsWith(`${path}/`)) &&
+      (!entry.pattern || new RegExp(entry.pattern).test(finding.secret)) &&
+      (!entry.fingerprint || entry.fingerprint === finding.fingerprint);
+  });
+}
+
+/**
+ * Key/value pairs on one line of a config or env file
+ * @param {string} line
+ * @param {string} file
+ * @returns {Array<{key: string, value: string, index: number}>}
+ */
+function configPairs(line, file) {
+  const pairs = [];
+  if (/\.json$/i.test(file)) {
+    for (const match of line.matchAll(/"([^"]+)"\s*:\s*"((?:[^"\\]|\\.)*)"/g)) {
+      pairs.push({ key: match[1], value: match[2], index: match.index + match[0].lastIndexOf(match[2]) });
+    }
+    return pairs;
+  }
+
+  const match = /^\s*(?:export\s+|-\s+)?["']?([\w.-]+)["']?\s*[=:]\s*(.*)$/.exec(line);
+  if (!match || /^\s*[#;]/.test(line)) return pairs;
+  let value = match[2].trim();
+  const quoted = /^(['"])(.*)\1/.exec(value);
+  value = quoted ? quoted[2] : value.replace(/\s+[#;].*$/, '');
+  if (value) pairs.push({ key: match[1], value, index: line.lastIndexOf(value) });
+  return pairs;
+}
+
+/**
+ * Scan one file's content for secrets
+ * @param {string} content
+ * @param {string} file - Path relative to the skill root
+ * @param {object} [options]
+ * @param {boolean} [options.entropy] - Report high-entropy strings
+ * @param {number} [options.entropyThreshold] - Bits per character
+ * @param {number} [options.minLength] - Shortest string checked for entropy
+ * @param {Array<string|object>} [options.allowlist]
+ * @returns {{findings: Array<object>, allowlisted: number}}
+ */
+export function scanContent(content, file, options = {}) {
+  const { entropy = true, entropyThreshold = 4.5, minLength = 20, allowlist = [] } = options;
+  const lines = content.split('\n');
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  const lineAt = index => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  };
+
+  const candidates = [];
+  const covered = [];
+  const add = (rule, severity, message, secret, start, extra = {}) => {
+    const end = start + secret.length;
+    if (covered.some(([from, to]) => start < to && end > from)) return;
+    covered.push([start, end]);
+    candidates.push({ rule, severity, message, secret, start, ...extra });
+  };
+
+  // 1. Provider rules
+  SECRET_RULES.forEach(rule => {
+    for (const match of content.matchAll(rule.pattern)) {
+      const secret = match[rule.group || 0];
+      const start = match.index + (rule.group ? match[0].lastIndexOf(secret) : 0);
+      if (rule.id !== 'secret-private-key' && isPlaceholder(secret)) continue;
+      add(rule.id, rule.severity, `${rule.description} hardcoded`, secret, start);
+    }
+  });
+
+  const isConfig = CONFIG_FILE.test(file);
+  const isDoc = /\.md$/i.test(file);
+  lines.forEach((line, index) => {
+    const offset = lineStarts[index];
+
+    // 2. Sensitive keys in config and env files
+    if (isConfig) {
+      configPairs(line, file).forEach(({ key, value, index: at }) => {
+        if (SENSITIVE_KEY.test(key) && value.length >= 8 && !isPlaceholder(value) && !/^(?:true|false|null|\d+)$/i.test(value)) {
+          add('secret-sensitive-key', 'high', `Value of ${key} looks like a credential`, value, offset + at);
+        } else if (entropy && value.length >= minLength) {
+          const bits = randomToken(value, entropyThreshold);
+          if (bits !== null && !isPlaceholder(value)) {
+            add('secret-high-entropy', 'medium', `High-entropy value for ${key} (${bits.toFixed(1)} bits/char) may be a secret`,
+              value, offset + at, { entropy: Math.round(bits * 100) / 100 });
+          }
+        }
+      });
+      return;
+    }
+
+    // 3. High-entropy string literals in code (prose in docs is too noisy)
+    if (!entropy || isDoc) return;
+    for (const match of line.matchAll(STRING_LITERAL)) {
+      const value = match[2];
+      if (value.length < minLength || (match[1] === '`' && value.includes('${'))) continue;
+      const bits = randomToken(value, entropyThreshold);
+      if (bits !== null && !isPlaceholder(value)) {
+        add('secret-high-entropy', 'medium', `High-entropy string (${bits.toFixed(1)} bits/char) may be a secret`,
+          value, offset + match.index + 1, { entropy: Math.round(bits * 100) / 100 });
+      }
+    }
+  });
+
+  // Every single-line secret is masked in every snippet, not just its own finding's
+  const masked = candidates.filter(candidate => !candidate.secret.includes('\n'))
+    .reduce((text, { secret }) => text.split(secret).join(redact(secret)), content).split('\n');
+
+  let allowlisted = 0;
+  const findings = [];
+  candidates.sort((a, b) => a.start - b.start).forEach(candidate => {
+    const { secret, start, ...rest } = candidate;
+    const index = lineAt(start);
+    const line = lines[index];
+    const finding = {
+      ...rest,
+      file,
+      line: index + 1,
+      column: start - lineStarts[index] + 1,
+      secret: redact(secret),
+      fingerprint: fingerprint(secret),
+      // A PEM header is safe to show; anything else on the line is masked
+      snippet: masked[index].trim().slice(0, 120)
+    };
+
+    if (INLINE_ALLOW.test(line) || (index > 0 && INLINE_ALLOW.test(lines[index - 1])) ||
+        isAllowlisted({ ...finding, secret }, allowlist)) {
+      allowlisted++;
+      return;
+    }
+    findings.push(finding);
+  });
+
+  return { findings, allowlisted };
+}
+
+/**
+ * Scan every code, doc, env and config file in a skill
+ * @param {string} skillPath
+ * @param {object} [options] - scanContent options, plus `ignore`
+ * @returns {Promise<{findings: Array<object>, allowlisted: number, filesScanned: number}>}
+ */
+export async function scanSecrets(skillPath, options = {}) {
+  const files = await listFiles(skillPath, options.ignore, SECRET_FILE);
+  const findings = [];
+  let allowlisted = 0;
+  let filesScanned = 0;
+
+  for (const filePath of files) {
+    let content;
+    try {
+      content = await readFile(filePath, 'utf-8');
+    } catch {
+      // Unreadable files can't leak anything through us
+      continue;
+    }
+    // Minified bundles and lockfiles: provider rules still apply, entropy would be noise
+    const file = relative(skillPath, filePath).split(sep).join('/');
+    const minified = content.length > 2000 && content.split('\n').length < content.length / 1000;
+    const entropy = options.entropy !== false && !minified && !LOCKFILE.test(file);
+    const result = scanContent(content, file, { ...options, entropy });
+    findings.push(...result.findings);
+    allowlisted += result.allowlisted;
+    filesScanned++;
+  }
+
+  return { findings, allowlisted, filesScanned };
+}
+
+/**
+ * Added lines per commit and file from `git log -p` output
+ * @param {string} log - Output of git log with the %x00%H%x09%aI format and --unified=0
+ * @returns {Array<{commit: string, date: string, file: string, lines: Array<{line: number, text: string}>}>}
+ */
+function parseGitLog(log) {
+  const changes = [];
+  log.split('\0').slice(1).forEach(chunk => {
+    const [header, ...rest] = chunk.split('\n');
+    const [commit, date] = header.split('\t');
+    let change = null;
+    let line = 0;
+    rest.forEach(text => {
+      if (text.startsWith('diff --git ')) {
+        change = null;
+      } else if (text.startsWith('+++ ')) {
+        const path = text.slice(4).replace(/^"(.*)"$/, '$1');
+        change = path === '/dev/null' ? null : { commit, date, file: path.replace(/^b\//, ''), lines: [] };
+        if (change) changes.push(change);
+      } else if (text.startsWith('@@')) {
+        line = Number(/\+(\d+)/.exec(text)?.[1] || 0);
+      } else if (change && text.startsWith('+')) {
+        change.lines.push({ line, text: text.slice(1) });
+        line++;
+      }
+    });
+  });
+  return changes.filter(change => change.lines.length > 0);
+}
+
+/**
+ * Run the secret rules over lines added in each commit of the skill's history
+ * A provider key that was ever pushed must be rotated even when the working
+ * tree no longer has it, so those hits are raised one severity step; generic
+ * and entropy matches keep their own severity.
+ * @param {string} skillPath
+ * @param {object} [options] - scanContent options, plus `ignore` and `depth`
+ * @param {number|null} [options.depth] - Last N commits (null = full history)
+ * @param {Array<string>} [options.ignore] - Paths to skip
+ * @param {boolean} [options.entropy] - false skips high-entropy detection
+ * @returns {Promise<{available: boolean, commitsScanned: number, findings: Array<object>, allowlisted: number}>}
+ */
+export async function scanGitHistory(skillPath, options = {}) {
+  const { depth = null, ignore } = options;
+  let log;
+  try {
+    // --relative keeps paths relative to the skill when it lives inside a larger repo
+    const { stdout } = await git(
+      ['log', '-p', '--relative', '--no-color', '--no-ext-diff', '--no-textconv', '--no-merges', '--unified=0',
+        '--diff-filter=AMR', '--format=%x00%H%x09%aI', ...(depth ? ['-n', String(depth)] : []), '--', '.'],
+      { cwd: skillPath, maxBuffer: GIT_LOG_BUFFER }
+    );
+    log = stdout;
+  } catch {
+    return { available: false, commitsScanned: 0, findings: [], allowlisted: 0 };
+  }
+
+  // Oldest introduction of each secret wins (git log lists newest first)
+  const byFingerprint = new Map();
+  let allowlisted = 0;
+  parseGitLog(log).forEach(change => {
+    const name = change.file.split('/').pop();
+    if (!SECRET_FILE.test(change.file) || (ignore && isIgnored(change.file, name, ignore))) return;
+
+    const content = change.lines.map(({ text }) => text).join('\n');
+    const entropy = options.entropy !== false && !LOCKFILE.test(change.file);
+    const result = scanContent(content, change.file, { ...options, entropy });
+    allowlisted += result.allowlisted;
+    result.findings.forEach(finding => {
+      byFingerprint.set(`${finding.rule}:${finding.fingerprint}`, {
+        ...finding,
+        severity: PROVIDER_RULES.has(finding.rule) ? RAISED_SEVERITY[finding.severity] : finding.severity,
+        message: `${finding.message} in git history (commit ${change.commit.slice(0, 7)})`,
+        line: change.lines[finding.line - 1].line,
+        commit: change.commit,
+        date: change.date
+      });
+    });
+  });
+
+  return {
+    available: true,
+    commitsScanned: (log.match(/\0/g) || []).length,
+    findings: [...byFingerprint.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    allowlisted
+  };
+}
+
+export default { scanSecrets, scanContent, scanGitHistory, shannonEntropy, redact, fingerprint, isAllowlisted, SECRET_RULES };
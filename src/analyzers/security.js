@@ -1,63 +1,83 @@
 #!/usr/bin/env node
 /**
  * Security Analyzer
- * Integrates Clawdex API and Cisco Skill Scanner to evaluate skill security
+ * Integrates reputation providers, Cisco Skill Scanner, SKILL.md injection checks,
+ * undeclared capability checks and (optionally) secrets in git history
  */
 
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
+import { runStaticScanner } from './static.js';
+import { scanSkillDoc } from './injection.js';
+import { createProviders, cacheProviders, checkReputation } from './reputation.js';
+import { analyzeCapabilities } from './capabilities.js';
+import { scanGitHistory, scanSecrets } from './secrets.js';
+import { recommend, recommendPerRule, highestSeverity, remediationFor } from '../recommendations.js';
+import { git } from '../git.js';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
-const CLAWDEX_API = 'https://clawdex.koi.security/api/skill/';
 const CISCO_SCANNER = '/Users/lotbot/.local/bin/skill-scanner';
 
+// Bump when the shape of cached scanner or history results changes
+const SCANNER_CACHE_VERSION = 3;
+
 /**
- * Query Clawdex API for skill reputation
- * @param {string} skillName - Name of the skill
- * @returns {Promise<{status: string, score: number}>}
+ * Points deducted for issues: -10 critical, -5 high, -2 medium, -1 low
+ * @param {{critical: number, high: number, medium: number, low: number}} issues
+ * @returns {number}
  */
-async function checkClawdex(skillName) {
-  try {
-    const response = await fetch(`${CLAWDEX_API}${encodeURIComponent(skillName)}`);
-    
-    if (!response.ok) {
-      return { status: 'unknown', score: 10, error: `HTTP ${response.status}` };
-    }
+function deductionFor(issues) {
+  return issues.critical * 10 +
+         issues.high * 5 +
+         issues.medium * 2 +
+         issues.low * 1;
+}
 
-    const data = await response.json();
-    const status = data.status || 'unknown';
-    
-    // Scoring: benign=20, unknown=10, malicious=0
-    const scoreMap = {
-      'benign': 20,
-      'unknown': 10,
-      'malicious': 0
-    };
-    
-    return {
-      status,
-      score: scoreMap[status] || 10,
-      details: data
-    };
-  } catch (error) {
-    return {
-      status: 'error',
-      score: 10,
-      error: error.message
-    };
+/**
+ * Score scanner issues: start at 20, deduct per issue by severity
+ * @param {{critical: number, high: number, medium: number, low: number}} issues
+ * @returns {number}
+ */
+function scoreIssues(issues) {
+  return Math.max(0, 20 - deductionFor(issues)); // Floor at 0
+}
+
+/**
+ * Map a Cisco scanner finding onto the shared finding shape
+ * @param {object} finding - Raw scanner finding
+ * @param {string} severity - Lower-cased severity
+ * @param {string} skillPath - Skill root, to make file paths relative
+ * @returns {object}
+ */
+function normalizeCiscoFinding(finding, severity, skillPath) {
+  const location = finding.location || {};
+  let file = finding.file || finding.file_path || location.file || location.path || null;
+  if (file && file.startsWith(skillPath)) {
+    file = file.slice(skillPath.length).replace(/^[\\/]+/, '');
   }
+
+  return {
+    rule: String(finding.rule_id || finding.ruleId || finding.id || finding.category || 'cisco-finding'),
+    severity,
+    message: finding.description || finding.message || finding.title || 'Cisco scanner finding',
+    file,
+    line: finding.line || finding.line_number || location.line || null,
+    column: finding.column || location.column || null
+  };
 }
 
 /**
  * Run Cisco skill scanner on local skill path
  * @param {string} skillPath - Path to skill directory
- * @returns {Promise<{score: number, issues: object}>}
+ * @returns {Promise<object>} score and issues, plus findings and rawResults, or error when the scan failed
  */
 async function runCiscoScanner(skillPath) {
   try {
-    const { stdout, stderr } = await execAsync(
-      `${CISCO_SCANNER} scan "${skillPath}" --format json`,
+    // No shell: the path comes from an archive's top-level folder name
+    const { stdout } = await execFileAsync(
+      CISCO_SCANNER,
+      ['scan', skillPath, '--format', 'json'],
       { maxBuffer: 10 * 1024 * 1024 } // 10MB buffer
     );
 
@@ -83,26 +103,21 @@ async function runCiscoScanner(skillPath) {
     };
 
     // Extract findings from scanner output
+    const findings = [];
     if (results.findings && Array.isArray(results.findings)) {
       results.findings.forEach(finding => {
         const severity = (finding.severity || 'low').toLowerCase();
-        if (issues.hasOwnProperty(severity)) {
+        if (Object.hasOwn(issues, severity)) {
           issues[severity]++;
         }
+        findings.push(normalizeCiscoFinding(finding, severity, skillPath));
       });
     }
 
-    // Calculate score: Start at 20, deduct for issues
-    let score = 20;
-    score -= issues.critical * 10;
-    score -= issues.high * 5;
-    score -= issues.medium * 2;
-    score -= issues.low * 1;
-    score = Math.max(0, score); // Floor at 0
-
     return {
-      score,
+      score: scoreIssues(issues),
       issues,
+      findings,
       rawResults: results
     };
   } catch (error) {
@@ -117,37 +132,327 @@ async function runCiscoScanner(skillPath) {
 }
 
 /**
- * Analyze skill security combining Clawdex and Cisco scanner
- * @param {string} skillName - Name of the skill (for Clawdex)
- * @param {string} skillPath - Path to skill directory (for Cisco)
- * @returns {Promise<{score: number, max: number, details: object}>}
+ * Run the code scanners, reusing the previous run's output for an unchanged tree
+ * @param {string} skillPath
+ * @param {Array<string>} ignore
+ * @param {object|null} cache - Cache session
+ * @param {string|null} cacheKey - Tree + config hash, or null to skip the cache
+ * @returns {Promise<Array<object>>} [cisco, static, skillDoc, capabilities] results
  */
-export async function analyzeSecurity(skillName, skillPath) {
-  const [clawdexResult, ciscoResult] = await Promise.all([
-    checkClawdex(skillName),
-    runCiscoScanner(skillPath)
+async function runScanners(skillPath, ignore, cache, cacheKey) {
+  const useCache = Boolean(cache?.enabled && cacheKey);
+  const key = `${cacheKey}:v${SCANNER_CACHE_VERSION}`;
+  const cached = useCache ? await cache.get('security-scanners', key) : undefined;
+  if (cached) {
+    // A missing Cisco result means it was unavailable; it may be installed now
+    const ciscoResult = cached.cisco || await runCiscoScanner(skillPath);
+    return [ciscoResult, cached.static, cached.skillDoc, cached.capabilities];
+  }
+
+  const [ciscoResult, staticResult, skillDocResult, capabilityResult] = await Promise.all([
+    runCiscoScanner(skillPath),
+    runStaticScanner(skillPath, ignore),
+    scanSkillDoc(skillPath),
+    analyzeCapabilities(skillPath, ignore)
   ]);
 
-  const totalScore = clawdexResult.score + ciscoResult.score;
-  
+  if (useCache) {
+    await cache.set('security-scanners', key, {
+      cisco: ciscoResult.scannerAvailable === false ? null : ciscoResult,
+      static: staticResult,
+      skillDoc: skillDocResult,
+      capabilities: capabilityResult
+    });
+  }
+  return [ciscoResult, staticResult, skillDocResult, capabilityResult];
+}
+
+/**
+ * Drop history secrets that are still in the working tree
+ * Code quality already scores those; history only deducts for secrets a
+ * later commit deleted, so the same secret never costs twice.
+ * @param {string} skillPath
+ * @param {object} history - scanGitHistory result
+ * @param {object} secrets - secrets config
+ * @param {Array<string>} ignore
+ * @returns {Promise<object>} history with `findings` filtered and `inWorkingTree` counted
+ */
+async function withoutWorkingTreeSecrets(skillPath, history, secrets, ignore) {
+  if (history.findings.length === 0) return { ...history, inWorkingTree: 0 };
+  const current = await scanSecrets(skillPath, { ...secrets, ignore });
+  const live = new Set(current.findings.map(finding => `${finding.rule}:${finding.fingerprint}`));
+  const findings = history.findings.filter(finding => !live.has(`${finding.rule}:${finding.fingerprint}`));
+  return { ...history, findings, inWorkingTree: history.findings.length - findings.length };
+}
+
+/**
+ * Scan git history for secrets when enabled, cached per HEAD commit
+ * Secrets still in the working tree are left to the code quality scan.
+ * @param {string} skillPath
+ * @param {object} secrets - secrets config; `history` is false, true (all commits) or N
+ * @param {Array<string>} ignore
+ * @param {object} cache
+ * @param {string} cacheKey
+ * @returns {Promise<object>} scanGitHistory result plus `enabled`, `depth` and `inWorkingTree`
+ */
+async function runHistoryScan(skillPath, secrets = {}, ignore, cache, cacheKey) {
+  const history = secrets.history ?? false;
+  if (history === false) {
+    return { enabled: false, available: false, commitsScanned: 0, findings: [], allowlisted: 0, inWorkingTree: 0 };
+  }
+  const depth = history === true ? null : history;
+
+  let head = null;
+  try {
+    head = (await git(['rev-parse', 'HEAD'], { cwd: skillPath })).stdout.trim();
+  } catch {
+    // Not a git repo (or no commits yet): nothing to scan
+  }
+
+  const useCache = Boolean(cache?.enabled && cacheKey && head);
+  const key = `${cacheKey}:v${SCANNER_CACHE_VERSION}:${head}:${depth ?? 'all'}`;
+  const cached = useCache ? await cache.get('git-secrets', key) : undefined;
+  if (cached) return cached;
+
+  const result = head ?
+    { enabled: true, depth, ...await withoutWorkingTreeSecrets(skillPath,
+      await scanGitHistory(skillPath, { ...secrets, ignore, depth }), secrets, ignore) } :
+    { enabled: true, depth, available: false, commitsScanned: 0, findings: [], allowlisted: 0, inWorkingTree: 0 };
+  if (useCache) {
+    await cache.set('git-secrets', key, result);
+  }
+  return result;
+}
+
+/**
+ * Deduction for a list of findings
+ * @param {Array<object>} findings
+ * @returns {number}
+ */
+function deductionForFindings(findings) {
+  const issues = { critical: 0, high: 0, medium: 0, low: 0 };
+  findings.forEach(finding => {
+    if (issues[finding.severity] !== undefined) issues[finding.severity]++;
+  });
+  return deductionFor(issues);
+}
+
+/**
+ * Permissions block covering everything the skill was seen doing
+ * @param {object} manifest - Inferred capability manifest
+ * @returns {string} YAML for the SKILL.md frontmatter
+ */
+function permissionsSnippet(manifest) {
+  const list = values => `[${values.map(value => JSON.stringify(value)).join(', ')}]`;
+  const exec = [...new Set([...manifest.subprocess, ...manifest.bins])].filter(value => value !== '*');
+  return [
+    'permissions:',
+    `  network: ${list(manifest.network)}`,
+    `  filesystem: { read: ${list(manifest.filesystem.read)}, write: ${list(manifest.filesystem.write)} }`,
+    `  exec: ${list(exec)}`,
+    `  env: ${list(manifest.env)}`
+  ].join('\n');
+}
+
+// SKILL.md injection advice, one recommendation per rule
+const INJECTION_ADVICE = {
+  'instruction-override': 'Remove instruction-override phrasing from SKILL.md',
+  'hidden-comment': 'Remove hidden HTML comments from SKILL.md',
+  'hidden-unicode': 'Remove invisible Unicode characters from SKILL.md',
+  'credential-exfiltration': 'Remove instructions that send credentials or env vars from SKILL.md',
+  'remote-script': 'Remove instructions to download and run remote scripts from SKILL.md',
+  'suspicious-link': 'Replace paste-site and raw IP links in SKILL.md'
+};
+
+// Undeclared capability kinds, one recommendation per kind
+const UNDECLARED = {
+  'undeclared-network': 'network host(s)',
+  'undeclared-filesystem': 'filesystem path(s)',
+  'undeclared-exec': 'command(s)',
+  'undeclared-env': 'environment variable(s)'
+};
+
+/**
+ * Recommendations for the security result
+ * Points are capped by what each part can give back: the scanner's 20 and
+ * the reputation's 20; deductions from SKILL.md, capabilities and history
+ * come off the whole score.
+ * @param {object} details - analyzeSecurity details
+ * @returns {Array<object>}
+ */
+function securityRecommendations(details) {
+  const recommendations = [];
+  const { reputation, gitHistory, capabilities } = details;
+
+  if (reputation.status === 'malicious') {
+    const flaggedBy = reputation.providers
+      .filter(provider => provider.status === 'malicious')
+      .map(provider => provider.name)
+      .join(', ');
+    recommendations.push(recommend({
+      id: 'malicious-reputation',
+      severity: 'critical',
+      message: `Skill flagged as malicious by ${flaggedBy} - DO NOT USE`,
+      points: reputation.max - reputation.score,
+      remediation: 'Do not install or run this skill. If you maintain it, find out why it was flagged, remove the offending code and ask the provider for a re-review.'
+    }));
+  }
+
+  const scanner = details[details.scannerSource];
+  const scannerGap = scanner.max - scanner.score;
+  [
+    { severity: 'critical', verb: 'Fix', what: 'critical security issue(s)', perIssue: 10 },
+    { severity: 'high', verb: 'Address', what: 'high-severity issue(s)', perIssue: 5 }
+  ].forEach(({ severity, verb, what, perIssue }) => {
+    const count = scanner.issues[severity];
+    if (!(count > 0)) return;
+    const findings = (scanner.findings || []).filter(finding => finding.severity === severity);
+    recommendations.push(recommend({
+      id: `${severity}-security-issues`,
+      severity,
+      message: `${verb} ${count} ${what}`,
+      points: Math.min(count * perIssue, scannerGap),
+      findings,
+      remediation: findings.length > 0 ?
+        [...new Set(findings.map(finding => remediationFor(finding)))].join('\n') :
+        'Run the scanner locally and fix each reported issue.'
+    }));
+  });
+
+  recommendations.push(...recommendPerRule(details.skillMd.findings, Object.fromEntries(
+    Object.entries(INJECTION_ADVICE).map(([rule, advice]) => [rule, matches => {
+      const lines = [...new Set(matches.map(finding => finding.line))];
+      return `${advice} (${lines.length > 1 ? 'lines' : 'line'} ${lines.join(', ')})`;
+    }])
+  ), deductionForFindings));
+
+  recommendations.push(...recommendPerRule(capabilities.findings, Object.fromEntries(
+    Object.entries(UNDECLARED).map(([rule, what]) => [rule, matches =>
+      `Declare ${matches.length} ${what} used by the skill in SKILL.md`])
+  ), deductionForFindings));
+  const missing = capabilities.findings.filter(finding => finding.rule === 'permissions-missing');
+  if (missing.length > 0) {
+    recommendations.push(recommend({
+      id: 'permissions-missing',
+      severity: highestSeverity(missing),
+      message: 'Add a permissions block to the SKILL.md frontmatter',
+      points: deductionForFindings(missing),
+      findings: missing,
+      remediation: `Add to the SKILL.md frontmatter, trimming anything the skill shouldn't need:\n\n${permissionsSnippet(capabilities.manifest)}`
+    }));
+  }
+
+  if (gitHistory.findings.length > 0) {
+    recommendations.push(recommend({
+      id: 'history-secrets',
+      severity: highestSeverity(gitHistory.findings),
+      message: `Rotate ${gitHistory.findings.length} secret(s) found in git history, then purge them from the history`,
+      points: gitHistory.deduction,
+      findings: gitHistory.findings,
+      remediation: remediationFor(gitHistory.findings[0])
+    }));
+  }
+
+  return recommendations;
+}
+
+/**
+ * Analyze skill security combining reputation and a code scanner
+ * Uses the Cisco scanner when installed, otherwise the built-in static scanner.
+ * When no reputation provider answers, its 20 points are left out of the
+ * maximum instead of awarding a midpoint.
+ * @param {string} skillName - Name of the skill (for reputation lookups)
+ * @param {string} skillPath - Path to skill directory (for scanners)
+ * @param {object} [options]
+ * @param {Array<string>} [options.ignore] - Paths the static scanner skips
+ * @param {object} [options.reputation] - Reputation config (offline, clawdex, lists)
+ * @param {object} [options.cache] - Cache session (optional)
+ * @param {string} [options.cacheKey] - Tree + config hash for scanner results
+ * @param {number} [options.reputationTtlMs] - How long remote reputation answers are reused
+ * @param {object} [options.secrets] - Secrets config (history depth, rules options, allowlist)
+ * @returns {Promise<{score: number, max: number, details: object, recommendations: Array<object>}>}
+ */
+export async function analyzeSecurity(skillName, skillPath, options = {}) {
+  const providers = cacheProviders(
+    await createProviders(options.reputation),
+    options.cache,
+    options.reputationTtlMs
+  );
+  const [reputation, [ciscoResult, staticResult, skillDocResult, capabilityResult], historyResult] = await Promise.all([
+    checkReputation(skillName, providers),
+    runScanners(skillPath, options.ignore, options.cache, options.cacheKey),
+    runHistoryScan(skillPath, options.secrets, options.ignore, options.cache, options.cacheKey)
+  ]);
+
+  const ciscoAvailable = ciscoResult.scannerAvailable !== false;
+  const staticScore = scoreIssues(staticResult.issues);
+  const scannerScore = ciscoAvailable ? ciscoResult.score : staticScore;
+
+  // SKILL.md injection, undeclared capability and git history findings deduct from the whole security score
+  const injectionDeduction = deductionFor(skillDocResult.issues);
+  const capabilityDeduction = deductionFor(capabilityResult.issues);
+  const historyIssues = { critical: 0, high: 0, medium: 0, low: 0 };
+  historyResult.findings.forEach(finding => historyIssues[finding.severity]++);
+  const historyDeduction = deductionFor(historyIssues);
+  const reputationScore = reputation.assessed ? reputation.score : 0;
+  const totalScore = Math.max(0,
+    reputationScore + scannerScore - injectionDeduction - capabilityDeduction - historyDeduction);
+
+  const details = {
+    scannerSource: ciscoAvailable ? 'cisco' : 'static',
+    reputation: {
+      assessed: reputation.assessed,
+      status: reputation.assessed ? reputation.status : 'not assessed',
+      score: reputation.score,
+      max: reputation.assessed ? 20 : 0,
+      providers: reputation.providers
+    },
+    cisco: {
+      score: ciscoResult.score,
+      max: 20,
+      issues: ciscoResult.issues,
+      findings: ciscoResult.findings || [],
+      error: ciscoResult.error,
+      scannerAvailable: ciscoAvailable
+    },
+    static: {
+      score: staticScore,
+      max: 20,
+      issues: staticResult.issues,
+      filesScanned: staticResult.filesScanned,
+      findings: staticResult.findings
+    },
+    skillMd: {
+      scanned: skillDocResult.scanned,
+      deduction: injectionDeduction,
+      issues: skillDocResult.issues,
+      findings: skillDocResult.findings
+    },
+    capabilities: {
+      manifest: capabilityResult.manifest,
+      declared: capabilityResult.declared,
+      deduction: capabilityDeduction,
+      issues: capabilityResult.issues,
+      findings: capabilityResult.findings
+    },
+    gitHistory: {
+      enabled: historyResult.enabled,
+      available: historyResult.available,
+      depth: historyResult.depth ?? null,
+      commitsScanned: historyResult.commitsScanned,
+      deduction: historyDeduction,
+      issues: historyIssues,
+      allowlisted: historyResult.allowlisted,
+      inWorkingTree: historyResult.inWorkingTree ?? 0,
+      findings: historyResult.findings
+    }
+  };
+
   return {
     score: totalScore,
-    max: 40,
-    details: {
-      clawdex: {
-        status: clawdexResult.status,
-        score: clawdexResult.score,
-        max: 20,
-        error: clawdexResult.error
-      },
-      cisco: {
-        score: ciscoResult.score,
-        max: 20,
-        issues: ciscoResult.issues,
-        error: ciscoResult.error,
-        scannerAvailable: ciscoResult.scannerAvailable !== false
-      }
-    }
+    max: reputation.assessed ? 40 : 20,
+    details,
+    recommendations: securityRecommendations(details)
   };
 }
 
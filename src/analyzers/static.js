@@ -0,0 +1,497 @@
+#!/usr/bin/env node
+/**
+ * Static Security Scanner
+ * Native scanner for dangerous code, used when Cisco is unavailable.
+ * JavaScript and TypeScript are walked as an acorn AST, so calls split over
+ * lines, renamed child_process imports and commands built up in variables
+ * are still seen; shell and Python are matched line by line.
+ */
+
+import { readFile } from 'fs/promises';
+import { relative } from 'path';
+import { parse, walk } from './ast.js';
+import { getAllFiles, languageOf } from './code.js';
+
+// Line rules for shell and Python, and for JavaScript that doesn't parse
+const LINE_RULES = [
+  {
+    id: 'remote-script-pipe',
+    severity: 'critical',
+    languages: ['js', 'sh', 'py'],
+    pattern: /\b(?:curl|wget)\b[^\n|]*\|\s*(?:sudo\s+)?(?:ba|z)?sh\b/,
+    message: 'Downloads a remote script and pipes it into a shell'
+  },
+  {
+    id: 'base64-exec',
+    severity: 'critical',
+    languages: ['js'],
+    pattern: /\b(?:eval|Function)\s*\([^\n]*(?:atob\s*\(|['"]base64['"])/,
+    message: 'Executes a base64-decoded payload'
+  },
+  {
+    id: 'base64-exec',
+    severity: 'critical',
+    languages: ['sh'],
+    pattern: /base64\s+(?:-d|--decode)\b[^\n]*\|\s*(?:ba|z)?sh\b/,
+    message: 'Executes a base64-decoded payload'
+  },
+  {
+    id: 'base64-exec',
+    severity: 'critical',
+    languages: ['py'],
+    pattern: /\b(?:exec|eval)\s*\([^\n]*b64decode/,
+    message: 'Executes a base64-decoded payload'
+  },
+  {
+    id: 'dynamic-eval',
+    severity: 'high',
+    languages: ['js'],
+    pattern: /(?<![.\w])eval\s*\(|\bnew\s+Function\s*\(/,
+    message: 'Evaluates dynamically built code (eval / new Function)'
+  },
+  {
+    id: 'dynamic-eval',
+    severity: 'high',
+    languages: ['py'],
+    pattern: /(?<![.\w])(?:eval|exec)\s*\(/,
+    message: 'Evaluates dynamically built code (eval / exec)'
+  },
+  {
+    id: 'dynamic-eval',
+    severity: 'high',
+    languages: ['sh'],
+    pattern: /(?:^|[;&|]\s*)eval\s+["']?\$/,
+    message: 'Evaluates a variable as shell code'
+  },
+  {
+    id: 'shell-injection',
+    severity: 'high',
+    languages: ['js'],
+    pattern: /\b(?:exec|execSync|spawn|spawnSync|execFile|execFileSync)\s*\(\s*(?:`[^`]*\$\{|['"][^'"]*['"]\s*\+)/,
+    message: 'Runs a child_process command built from interpolated strings'
+  },
+  {
+    id: 'shell-injection',
+    severity: 'high',
+    languages: ['py'],
+    pattern: /\bos\.(?:system|popen)\s*\(\s*(?:f['"]|['"][^'"]*['"]\s*(?:\+|%))|\bsubprocess\.\w+\([^\n]*shell\s*=\s*True/,
+    message: 'Runs a shell command built from interpolated strings'
+  },
+  {
+    id: 'sensitive-file-write',
+    severity: 'high',
+    languages: ['js', 'sh', 'py'],
+    pattern: /(?:>>?|\bwriteFile\w*|\bappendFile\w*|\bopen\s*\(|\btee\b)[^\n]*(?:\.ssh\/|\.(?:bashrc|zshrc|bash_profile|profile)\b)/,
+    message: 'Writes to ~/.ssh or a shell startup file'
+  },
+  {
+    id: 'obfuscated-string',
+    severity: 'medium',
+    languages: ['js', 'py'],
+    pattern: /(?:\\x[0-9a-fA-F]{2}){8,}|(?:\\u[0-9a-fA-F]{4}){8,}|String\.fromCharCode\s*\((?:\s*\d+\s*,){8,}/,
+    message: 'Contains an obfuscated string (escape sequences or char codes)'
+  },
+  {
+    id: 'obfuscated-string',
+    severity: 'low',
+    languages: ['js', 'sh', 'py'],
+    pattern: /['"][A-Za-z0-9+/]{120,}={0,2}['"]/,
+    message: 'Contains a long base64-like string literal'
+  }
+];
+
+// Severity and message per rule id for AST findings
+const JS_RULES = {
+  'remote-script-pipe': { severity: 'critical', message: 'Downloads a remote script and pipes it into a shell' },
+  'base64-exec': { severity: 'critical', message: 'Executes a base64-decoded payload' },
+  'dynamic-eval': { severity: 'high', message: 'Evaluates dynamically built code (eval / new Function)' },
+  'shell-injection': { severity: 'high', message: 'Runs a child_process command built from interpolated strings' },
+  'sensitive-file-write': { severity: 'high', message: 'Writes to ~/.ssh or a shell startup file' },
+  'obfuscated-string': { severity: 'medium', message: 'Contains an obfuscated string (escape sequences or char codes)' },
+  'base64-string': { id: 'obfuscated-string', severity: 'low', message: 'Contains a long base64-like string literal' }
+};
+
+const CHILD_PROCESS = new Set(['child_process', 'node:child_process']);
+const PROCESS_FUNCTIONS = new Set(['exec', 'execSync', 'spawn', 'spawnSync', 'execFile', 'execFileSync']);
+// These always hand the command to a shell
+const SHELL_FUNCTIONS = new Set(['exec', 'execSync']);
+const SHELL_BINARY = /^(?:\/(?:usr\/)?bin\/)?(?:ba|z|da)?sh$/;
+const GLOBAL_OBJECTS = new Set(['globalThis', 'window', 'global', 'self']);
+const WRITE_FUNCTIONS = /^(?:writeFile|writeFileSync|appendFile|appendFileSync|createWriteStream|open|openSync)$/;
+
+const REMOTE_SCRIPT = /\b(?:curl|wget)\b[^\n|]*\|\s*(?:sudo\s+)?(?:ba|z)?sh\b/;
+const SHELL_WRITE = /(?:>>?|\btee\b)[^\n]*(?:\.ssh\/|\.(?:bashrc|zshrc|bash_profile|profile)\b)/;
+const SENSITIVE_PATH = /(?:^|\/)\.ssh(?:\/|$)|\.(?:bashrc|zshrc|bash_profile|profile)\b/;
+const ESCAPES = /(?:\\x[0-9a-fA-F]{2}){8,}|(?:\\u[0-9a-fA-F]{4}){8,}/;
+const BASE64_LITERAL = /^[A-Za-z0-9+/]{120,}={0,2}$/;
+
+// How far identifiers are followed back to their initializers
+const MAX_RESOLVE_DEPTH = 4;
+
+/**
+ * Name of a non-computed (or string-keyed) member property
+ * @param {object} node - MemberExpression
+ * @returns {string|null}
+ */
+function propertyName(node) {
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  return typeof node.property.value === 'string' ? node.property.value : null;
+}
+
+/**
+ * Name a callee is called by: `fn` for fn() and obj.fn()
+ * @param {object} callee
+ * @returns {string|null}
+ */
+function calleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  return callee.type === 'MemberExpression' ? propertyName(callee) : null;
+}
+
+/**
+ * Whether a node is require('child_process') or import('child_process')
+ * @param {object} node
+ * @returns {boolean}
+ */
+function isChildProcessLoad(node) {
+  if (node?.type === 'AwaitExpression') return isChildProcessLoad(node.argument);
+  if (node?.type === 'ImportExpression') return CHILD_PROCESS.has(node.source.value);
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+    CHILD_PROCESS.has(node.arguments[0]?.value);
+}
+
+/**
+ * The callee a call really invokes: `(0, eval)(x)` calls eval
+ * @param {object} callee
+ * @returns {object}
+ */
+function unwrapCallee(callee) {
+  return callee.type === 'SequenceExpression' ? callee.expressions[callee.expressions.length - 1] : callee;
+}
+
+/**
+ * Collect what a file binds: child_process module aliases, its functions
+ * under local names, and the initial value of every plain variable
+ * Bindings are tracked by name for the whole file, without scopes.
+ * @param {object} ast
+ * @returns {{values: Map<string, object>, processFunction: Function}} processFunction(callee)
+ *   gives the child_process function a callee refers to, or null
+ */
+function collectBindings(ast) {
+  const modules = new Set();
+  const functions = new Map();
+  const values = new Map();
+  const isModule = node => isChildProcessLoad(node) || (node?.type === 'Identifier' && modules.has(node.name));
+  const processFunction = node => {
+    if (node?.type === 'Identifier') return functions.get(node.name) ?? null;
+    if (node?.type === 'MemberExpression' && isModule(node.object)) {
+      const name = propertyName(node);
+      return PROCESS_FUNCTIONS.has(name) ? name : null;
+    }
+    return null;
+  };
+  const bindPattern = pattern => pattern.properties.forEach(property => {
+    const name = property.key?.name ?? property.key?.value;
+    const local = property.value?.type === 'AssignmentPattern' ? property.value.left : property.value;
+    if (PROCESS_FUNCTIONS.has(name) && local?.type === 'Identifier') functions.set(local.name, name);
+  });
+
+  walk(ast, node => {
+    if (node.type === 'ImportDeclaration' && CHILD_PROCESS.has(node.source.value)) {
+      node.specifiers.forEach(specifier => {
+        if (specifier.type === 'ImportSpecifier') {
+          const name = specifier.imported.name ?? specifier.imported.value;
+          if (PROCESS_FUNCTIONS.has(name)) functions.set(specifier.local.name, name);
+        } else {
+          modules.add(specifier.local.name);
+        }
+      });
+    }
+
+    if (node.type !== 'VariableDeclarator' || !node.init) return;
+    const { id, init } = node;
+    if (isModule(init)) {
+      if (id.type === 'Identifier') modules.add(id.name);
+      if (id.type === 'ObjectPattern') bindPattern(id);
+      return;
+    }
+    if (id.type !== 'Identifier') return;
+    // const run = cp.exec / promisify(exec) / util.promisify(cp.exec)
+    const promisified = init.type === 'CallExpression' && calleeName(init.callee) === 'promisify';
+    const bound = processFunction(promisified ? init.arguments[0] : init);
+    if (bound) functions.set(id.name, bound);
+    values.set(id.name, init);
+  });
+
+  return { values, processFunction };
+}
+
+/**
+ * Whether an expression builds a string from something other than literals
+ * Variables are followed to their initializers.
+ * @param {object} node
+ * @param {Map<string, object>} values
+ * @param {number} depth
+ * @returns {boolean}
+ */
+function isBuiltString(node, values, depth = 0) {
+  if (!node || depth > MAX_RESOLVE_DEPTH) return false;
+  switch (node.type) {
+    case 'TemplateLiteral':
+      return node.expressions.length > 0;
+    case 'BinaryExpression':
+      return node.operator === '+' && !(isStaticString(node.left) && isStaticString(node.right));
+    case 'Identifier':
+      return values.has(node.name) && isBuiltString(values.get(node.name), values, depth + 1);
+    case 'CallExpression': {
+      // 'ls '.concat(dir) and ['ls', dir].join(' ')
+      const callee = node.callee;
+      if (callee.type !== 'MemberExpression') return false;
+      const method = propertyName(callee);
+      if (method === 'concat') return node.arguments.some(arg => !isStaticString(arg));
+      if (method === 'join' && callee.object.type === 'ArrayExpression') {
+        return callee.object.elements.some(element => !isStaticString(element));
+      }
+      return false;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether an expression is a string known without running the code
+ * @param {object} node
+ * @returns {boolean}
+ */
+function isStaticString(node) {
+  if (!node) return false;
+  if (node.type === 'Literal') return typeof node.value === 'string';
+  if (node.type === 'TemplateLiteral') return node.expressions.length === 0;
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    return isStaticString(node.left) && isStaticString(node.right);
+  }
+  return false;
+}
+
+/**
+ * The literal text in an expression, in source order
+ * Paths join their parts with "/" so segments passed to join() read like a path.
+ * @param {object} node
+ * @param {string} separator
+ * @param {Map<string, object>} values - Variables to follow (none for plain strings)
+ * @param {number} depth
+ * @returns {string}
+ */
+function literalText(node, separator = '', values = new Map(), depth = 0) {
+  const parts = [];
+  walk(node, inner => {
+    if (inner.type === 'Literal' && typeof inner.value === 'string') parts.push(inner.value);
+    if (inner.type === 'TemplateElement') parts.push(inner.value.cooked ?? inner.value.raw);
+    if (inner.type === 'Identifier' && values.has(inner.name) && depth < MAX_RESOLVE_DEPTH) {
+      parts.push(literalText(values.get(inner.name), separator, values, depth + 1));
+    }
+  });
+  return parts.filter(Boolean).join(separator);
+}
+
+/**
+ * Whether an expression, or a variable it reads, decodes base64
+ * @param {object} node
+ * @param {Map<string, object>} values
+ * @param {number} depth
+ * @returns {boolean}
+ */
+function decodesBase64(node, values, depth = 0) {
+  let found = false;
+  walk(node, inner => {
+    if (found) return false;
+    if (inner.type === 'CallExpression' && calleeName(inner.callee) === 'atob') found = true;
+    if (inner.type === 'Literal' && inner.value === 'base64') found = true;
+    if (inner.type === 'Identifier' && values.has(inner.name) && depth < MAX_RESOLVE_DEPTH) {
+      found = decodesBase64(values.get(inner.name), values, depth + 1);
+    }
+    return !found;
+  });
+  return found;
+}
+
+/**
+ * Whether a call evaluates code: eval(), Function(), new Function(),
+ * (0, eval)(), globalThis.eval()
+ * @param {object} node - CallExpression or NewExpression
+ * @returns {boolean}
+ */
+function isEvalCall(node) {
+  const callee = unwrapCallee(node.callee);
+  if (callee.type === 'Identifier') return callee.name === 'eval' || callee.name === 'Function';
+  return callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+    GLOBAL_OBJECTS.has(callee.object.name) && ['eval', 'Function'].includes(propertyName(callee));
+}
+
+/**
+ * Whether a spawn/execFile call still runs its arguments through a shell:
+ * `{ shell: true }`, or `sh -c` with a built command
+ * @param {Array<object>} args
+ * @param {Map<string, object>} values
+ * @returns {boolean}
+ */
+function spawnsShell(args, values) {
+  const [command, list] = args;
+  const options = args.find(arg => arg.type === 'ObjectExpression');
+  const shellOption = options?.properties.some(property =>
+    (property.key?.name ?? property.key?.value) === 'shell' && property.value.type === 'Literal' && property.value.value);
+  const elements = list?.type === 'ArrayExpression' ? list.elements : [];
+  const shellBinary = command?.type === 'Literal' && SHELL_BINARY.test(String(command.value)) &&
+    elements.some(element => element?.value === '-c');
+  return (shellOption || shellBinary) && elements.some(element => isBuiltString(element, values));
+}
+
+/**
+ * Scan a JavaScript or TypeScript AST
+ * @param {object} ast
+ * @param {string} content - Source the AST was parsed from
+ * @param {Function} add - (ruleKey, node) => void
+ */
+function scanAst(ast, content, add) {
+  const { values, processFunction } = collectBindings(ast);
+
+  walk(ast, (node, parent) => {
+    if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+      if (isEvalCall(node)) {
+        add('dynamic-eval', node);
+        if (node.arguments.some(arg => decodesBase64(arg, values))) add('base64-exec', node);
+      }
+
+      const fn = node.type === 'CallExpression' ? processFunction(unwrapCallee(node.callee)) : null;
+      if (fn && (isBuiltString(node.arguments[0], values) ||
+          (!SHELL_FUNCTIONS.has(fn) && spawnsShell(node.arguments, values)))) {
+        add('shell-injection', node);
+      }
+
+      const name = calleeName(unwrapCallee(node.callee));
+      if (WRITE_FUNCTIONS.test(name ?? '') && node.arguments[0] &&
+          SENSITIVE_PATH.test(literalText(node.arguments[0], '/', values))) {
+        add('sensitive-file-write', node);
+      }
+
+      if (name === 'fromCharCode' && node.arguments.length >= 8 &&
+          node.arguments.every(arg => arg.type === 'Literal' && typeof arg.value === 'number')) {
+        add('obfuscated-string', node);
+      }
+    }
+
+    // Whole string expressions, so "curl " + url + " | sh" is read as one
+    const inString = parent && (parent.type === 'TemplateLiteral' ||
+      (parent.type === 'BinaryExpression' && parent.operator === '+'));
+    const stringNode = (node.type === 'Literal' && typeof node.value === 'string') || node.type === 'TemplateLiteral' ||
+      (node.type === 'BinaryExpression' && node.operator === '+');
+    if (stringNode && !inString) {
+      const text = literalText(node);
+      if (REMOTE_SCRIPT.test(text)) add('remote-script-pipe', node);
+      if (SHELL_WRITE.test(text)) add('sensitive-file-write', node);
+      if (ESCAPES.test(content.slice(node.start, node.end))) add('obfuscated-string', node);
+      if (node.type === 'Literal' && BASE64_LITERAL.test(node.value)) add('base64-string', node);
+    }
+  });
+}
+
+/**
+ * Match the line rules for a language
+ * @param {string} content
+ * @param {string} language
+ * @param {Function} add - (rule, lineIndex, column) => void
+ */
+function scanLines(content, language, add) {
+  const rules = LINE_RULES.filter(rule => rule.languages.includes(language));
+  content.split('\n').forEach((line, index) => {
+    for (const rule of rules) {
+      const match = rule.pattern.exec(line);
+      if (match) add(rule, index, match.index);
+    }
+  });
+}
+
+/**
+ * Scan file content against the rules for its language
+ * @param {string} content
+ * @param {string} language
+ * @param {string} file - File path relative to the skill root
+ * @returns {Array<object>}
+ */
+export function scanContent(content, language, file) {
+  const lines = content.split('\n');
+  const findings = [];
+  // Report each rule id once per line
+  const seen = new Set();
+  const add = (rule, index, column) => {
+    const id = rule.id;
+    if (seen.has(`${id}:${index}`)) return;
+    seen.add(`${id}:${index}`);
+    findings.push({
+      rule: id,
+      severity: rule.severity,
+      message: rule.message,
+      file,
+      line: index + 1,
+      column: column + 1,
+      snippet: lines[index].trim().slice(0, 120)
+    });
+  };
+
+  let ast = null;
+  if (language === 'js') {
+    try {
+      ({ ast } = parse(content, /\.ts$/i.test(file)));
+    } catch {
+      // Fall back to the line rules below
+    }
+  }
+
+  if (ast) {
+    scanAst(ast, content, (key, node) => {
+      const { id = key, ...rule } = JS_RULES[key];
+      add({ id, ...rule }, node.loc.start.line - 1, node.loc.start.column);
+    });
+  } else {
+    scanLines(content, language, add);
+  }
+
+  // Line order, most severe first within a line
+  const rank = severity => ['critical', 'high', 'medium', 'low'].indexOf(severity);
+  return findings.sort((a, b) => a.line - b.line || rank(a.severity) - rank(b.severity));
+}
+
+/**
+ * Run the built-in static scanner over a skill directory
+ * @param {string} skillPath - Path to skill directory
+ * @param {Array<string>} ignore - Paths to skip
+ * @returns {Promise<{issues: object, findings: Array<object>, filesScanned: number}>}
+ */
+export async function runStaticScanner(skillPath, ignore) {
+  const files = await getAllFiles(skillPath, ignore);
+  const findings = [];
+  let filesScanned = 0;
+
+  for (const filePath of files) {
+    const language = languageOf(filePath);
+    if (!language) continue;
+
+    try {
+      const content = await readFile(filePath, 'utf-8');
+      filesScanned++;
+      findings.push(...scanContent(content, language, relative(skillPath, filePath)));
+    } catch (error) {
+      // Skip files we can't read
+    }
+  }
+
+  const issues = { critical: 0, high: 0, medium: 0, low: 0 };
+  findings.forEach(finding => {
+    issues[finding.severity]++;
+  });
+
+  return { issues, findings, filesScanned };
+}
+
+export default { runStaticScanner, scanContent };
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Batch Scanner
+ * Scores many skills with bounded concurrency and aggregates the results
+ */
+
+import { readdir } from 'fs/promises';
+import { join } from 'path';
+import { scoreSkill } from './scorer.js';
+import { GRADES } from './config.js';
+import { VERDICTS, worstVerdict } from './policy.js';
+
+/**
+ * Find skill subdirectories inside a skills directory
+ * @param {string} dir - Directory containing one skill per subdirectory
+ * @returns {Promise<Array<string>>}
+ */
+export async function findSkillDirs(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+
+  return entries
+    .filter(entry => entry.isDirectory())
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+    .map(entry => join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    () => worker()
+  );
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Pick the worst of a list of grades
+ * @param {Array<string>} grades
+ * @returns {string|null}
+ */
+export function worstGrade(grades) {
+  let worst = null;
+  for (const grade of grades) {
+    if (worst === null || GRADES.indexOf(grade) > GRADES.indexOf(worst)) {
+      worst = grade;
+    }
+  }
+  return worst;
+}
+
+/**
+ * Score several skills and aggregate them into a leaderboard
+ * @param {Array<string|object>} skillPaths - Skill directories, or loaded skills
+ *   ({ path, name, source } from loadSkill)
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Maximum skills scanned at once
+ * @param {Array<object>} [options.analyzers] - Analyzers passed to scoreSkill
+ * @param {object} [options.weights] - Weights passed to scoreSkill
+ * @param {object} [options.config] - Effective config passed to scoreSkill
+ * @param {object} [options.cache] - Cache passed to scoreSkill
+ * @param {Array<object>} [options.failures] - Skills that already failed to load ({ path, error })
+ * @returns {Promise<object>}
+ */
+export async function scoreBatch(skillPaths, options = {}) {
+  const concurrency = options.concurrency || 4;
+  const scoreOptions = {
+    analyzers: options.analyzers,
+    weights: options.weights,
+    config: options.config,
+    cache: options.cache
+  };
+  const startTime = Date.now();
+
+  const outcomes = await mapWithConcurrency(skillPaths, concurrency, async item => {
+    const skill = typeof item === 'string' ? { path: item, name: null } : item;
+    try {
+      return {
+        result: await scoreSkill(skill.path, skill.name, { ...scoreOptions, source: skill.source, directory: skill.directory })
+      };
+    } catch (error) {
+      return { failure: { path: skill.source?.spec || skill.path, error: error.message } };
+    }
+  });
+
+  const results = outcomes
+    .filter(outcome => outcome.result)
+    .map(outcome => outcome.result)
+    .sort((a, b) => b.overallScore - a.overallScore || a.skill.localeCompare(b.skill));
+  const failures = [
+    ...(options.failures || []),
+    ...outcomes.filter(outcome => outcome.failure).map(outcome => outcome.failure)
+  ];
+
+  // Totals by grade
+  const totals = Object.fromEntries(GRADES.map(grade => [grade, 0]));
+  results.forEach(result => {
+    totals[result.grade]++;
+  });
+
+  // Totals by policy verdict; a skill that couldn't be scored fails
+  const verdicts = Object.fromEntries(VERDICTS.map(verdict => [verdict, 0]));
+  results.forEach(result => {
+    verdicts[result.policy.verdict]++;
+  });
+  verdicts.fail += failures.length;
+
+  const averageScore = results.length > 0 ?
+    Math.round(results.reduce((sum, r) => sum + r.overallScore, 0) / results.length) : 0;
+
+  return {
+    scannedAt: new Date().toISOString(),
+    scanDurationMs: Date.now() - startTime,
+    count: results.length,
+    averageScore,
+    worstGrade: failures.length > 0 ? 'F' : worstGrade(results.map(r => r.grade)),
+    totals,
+    verdict: worstVerdict(Object.keys(verdicts).filter(verdict => verdicts[verdict] > 0)),
+    verdicts,
+    results,
+    failures
+  };
+}
+
+export default { scoreBatch, findSkillDirs };
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Result Cache
+ * On-disk cache keyed by a hash of the skill's file tree, so unchanged
+ * skills skip re-reading files, re-running scanners and re-querying APIs
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readdir, readFile, readlink, rename, rm, writeFile } from 'fs/promises';
+import { homedir } from 'os';
+import { join, relative, sep } from 'path';
+import { TOOL_VERSION } from './version.js';
+
+// Never part of the tree hash: VCS metadata and installed dependencies
+const HASH_SKIP = ['.git', 'node_modules'];
+
+/**
+ * Default cache directory ($XDG_CACHE_HOME or ~/.cache)
+ * @returns {string}
+ */
+export function defaultCacheDir() {
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'skill-scorecard');
+}
+
+/**
+ * SHA-256 hex digest
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash every file path and content under a skill directory
+ * Symlinks are hashed by their target, as git stores them, so retargeting one
+ * changes the hash without following it out of the skill.
+ * @param {string} skillPath
+ * @returns {Promise<string>}
+ */
+export async function hashTree(skillPath) {
+  const files = [];
+  const symlinks = new Set();
+
+  async function walk(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (HASH_SKIP.includes(entry.name)) continue;
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      } else if (entry.isSymbolicLink()) {
+        files.push(fullPath);
+        symlinks.add(fullPath);
+      }
+    }
+  }
+
+  await walk(skillPath);
+  files.sort();
+
+  const hash = createHash('sha256');
+  for (const filePath of files) {
+    const isLink = symlinks.has(filePath);
+    hash.update(relative(skillPath, filePath).split(sep).join('/'));
+    hash.update(isLink ? '\0symlink\0' : '\0');
+    hash.update(isLink ? await readlink(filePath) : await readFile(filePath));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the parts of a config that can change analyzer output
+ * (grading, exit codes and run settings only affect what happens afterwards)
+ * @param {object} config
+ * @returns {string}
+ */
+export function hashConfig(config) {
+  const { source, cache, history, concurrency, server, registry, grades, minGrade, exitCodes, policy, ...relevant } = config;
+  return sha256(JSON.stringify(relevant)).slice(0, 16);
+}
+
+/**
+ * Create an on-disk cache
+ * @param {object} [options]
+ * @param {boolean} [options.enabled] - false turns every operation into a no-op
+ * @param {string|null} [options.dir] - Cache directory (defaults to defaultCacheDir())
+ * @param {boolean} [options.refresh] - Ignore existing entries but still write new ones
+ * @returns {object}
+ */
+export function createCache(options = {}) {
+  const enabled = options.enabled !== false;
+  const dir = options.dir || defaultCacheDir();
+  const refresh = Boolean(options.refresh);
+
+  // Keyed on the tool version so entries never outlive a scoring change
+  const entryPath = (namespace, key) =>
+    join(dir, namespace.replace(/[^a-zA-Z0-9._-]/g, '_'), `${sha256(`${TOOL_VERSION}:${key}`)}.json`);
+
+  const cache = {
+    enabled,
+    dir,
+    refresh,
+
+    /**
+     * Read an entry
+     * @param {string} namespace
+     * @param {string} key
+     * @param {object} [opts]
+     * @param {number} [opts.maxAgeMs] - Treat older entries as missing
+     * @returns {Promise<*|undefined>}
+     */
+    async get(namespace, key, opts = {}) {
+      if (!enabled || refresh) return undefined;
+      try {
+        const entry = JSON.parse(await readFile(entryPath(namespace, key), 'utf-8'));
+        if (opts.maxAgeMs !== undefined && Date.now() - entry.storedAt > opts.maxAgeMs) {
+          return undefined;
+        }
+        return entry.value;
+      } catch {
+        return undefined;
+      }
+    },
+
+    /**
+     * Write an entry (atomically, so concurrent batch workers never see partial files)
+     * @param {string} namespace
+     * @param {string} key
+     * @param {*} value
+     */
+    async set(namespace, key, value) {
+      if (!enabled) return;
+      const target = entryPath(namespace, key);
+      const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+      try {
+        await mkdir(join(target, '..'), { recursive: true });
+        await writeFile(temp, JSON.stringify({ storedAt: Date.now(), key, value }));
+        await rename(temp, target);
+      } catch {
+        // A cache that can't be written just means a slower next run
+        await rm(temp, { force: true });
+      }
+    },
+
+    /**
+     * Per-scan view that records which lookups hit
+     * @returns {object}
+     */
+    session() {
+      const hits = [];
+      const misses = [];
+      return {
+        enabled,
+        async get(namespace, key, opts) {
+          const value = await cache.get(namespace, key, opts);
+          (value === undefined ? misses : hits).push(namespace);
+          return value;
+        },
+        set: cache.set,
+        stats: () => ({ enabled, refresh, hits: [...hits], misses: [...misses] })
+      };
+    }
+  };
+
+  return cache;
+}
+
+export default { createCache, hashTree, hashConfig, defaultCacheDir };
@@ -5,7 +5,27 @@
  */
 
 import { scoreSkill } from './scorer.js';
-import { resolve } from 'path';
+import { scoreBatch, findSkillDirs } from './batch.js';
+import { createRegistry, resolveWeights } from './registry.js';
+import { loadConfig, exitCodeFor } from './config.js';
+import { loadSkill } from './loader.js';
+import { createCache } from './cache.js';
+import { readHistory, recordScans, compareWithPrevious, defaultHistoryFile } from './history.js';
+import { diffSkills } from './diff.js';
+import { policyExitCode } from './policy.js';
+import { isUrgent } from './recommendations.js';
+import { renderHtml, renderBatchHtml, skillPageName } from './renderers/html.js';
+import { renderMarkdown, renderBatchMarkdown, renderDiffMarkdown } from './renderers/markdown.js';
+import { renderSarif } from './renderers/sarif.js';
+import { renderScoreBadge } from './renderers/badge.js';
+import { createServer } from './server.js';
+import { generateSite } from './site.js';
+import { resolve, dirname, join, basename } from 'path';
+import { writeFile, mkdir, stat } from 'fs/promises';
+
+const FORMATS = ['console', 'json', 'html', 'markdown', 'sarif', 'badge'];
+const DIFF_FORMATS = ['console', 'json', 'markdown'];
+const COMMANDS = ['history', 'diff', 'serve', 'site'];
 
 /**
  * Format score with color
@@ -41,6 +61,32 @@ function formatGrade(grade) {
   return `${color}${grade}\x1b[0m`;
 }
 
+/**
+ * Format a score change with sign and color
+ * @param {number} delta
+ * @param {number} width - Pad the text to this width before coloring
+ * @returns {string}
+ */
+function formatDelta(delta, width = 0) {
+  if (delta > 0) return `\x1b[32m${`+${delta}`.padEnd(width)}\x1b[0m`;
+  if (delta < 0) return `\x1b[31m${String(delta).padEnd(width)}\x1b[0m`;
+  return '±0'.padEnd(width);
+}
+
+/**
+ * Format a policy verdict with color
+ * @param {string} verdict - pass, warn or fail
+ * @returns {string}
+ */
+function formatVerdict(verdict) {
+  const colors = {
+    pass: '\x1b[32m',        // Green
+    warn: '\x1b[33m',        // Yellow
+    fail: '\x1b[31m\x1b[1m' // Bold Red
+  };
+  return `${colors[verdict] || '\x1b[0m'}${String(verdict).toUpperCase()}\x1b[0m`;
+}
+
 /**
  * Print results to console
  * @param {object} result
@@ -52,28 +98,384 @@ function printResults(result) {
   console.log(`  Path: ${result.path}`);
   console.log(`  Scanned: ${new Date(result.scannedAt).toLocaleString()}`);
   console.log(`  Duration: ${result.scanDurationMs}ms`);
+  if (result.cache?.enabled) {
+    const hits = result.cache.hits.length > 0 ? result.cache.hits.join(', ') : 'none';
+    console.log(`  Cache: ${result.cache.refresh ? 'refreshed' : `hits: ${hits}`}`);
+  }
   console.log('='.repeat(60));
   
   console.log(`\n  Overall Score: ${formatScore(result.overallScore, result.maxScore)} (${result.overallScore}%)`);
-  console.log(`  Grade: ${formatGrade(result.grade)}\n`);
+  console.log(`  Grade: ${formatGrade(result.grade)}`);
+  if (result.history) {
+    const { delta, previousScore, previousScannedAt } = result.history;
+    const since = new Date(previousScannedAt).toLocaleString();
+    console.log(`  Change: ${formatDelta(delta)} since last scan (${previousScore} on ${since})` +
+      (result.history.regressed ? '  \x1b[31m\x1b[1mREGRESSION\x1b[0m' : ''));
+  }
+  if (result.policy) {
+    console.log(`  Policy: ${formatVerdict(result.policy.verdict)}`);
+    result.policy.fired.forEach(rule => {
+      console.log(`    ${rule.verdict === 'fail' ? '✗' : '!'} ${rule.id}: ${rule.description} — ${rule.detail}`);
+    });
+  }
+  console.log('');
   
   console.log('  Breakdown:');
-  console.log(`    Security:       ${formatScore(result.breakdown.security.score, 40)}`);
-  console.log(`    Documentation:  ${formatScore(result.breakdown.documentation.score, 20)}`);
-  console.log(`    Code Quality:   ${formatScore(result.breakdown.codeQuality.score, 20)}`);
-  console.log(`    Maintenance:    ${formatScore(result.breakdown.maintenance.score, 20)}`);
+  const entries = Object.entries(result.breakdown);
+  const labelWidth = Math.max(15, ...entries.map(([name, entry]) => (entry.label || name).length + 1));
+  entries.forEach(([name, entry]) => {
+    const label = `${entry.label || name}:`.padEnd(labelWidth);
+    const weight = entry.weight !== undefined && entry.weight !== entry.max ?
+      ` (weight ${entry.weight})` : '';
+    console.log(`    ${label} ${formatScore(entry.score, entry.max)}${weight}`);
+  });
+
+  const reputation = result.breakdown.security?.details?.reputation;
+  if (reputation) {
+    const providers = reputation.providers
+      .map(p => p.answered ? `${p.name}: ${p.status}${p.cached ? ' (cached)' : ''}` : `${p.name}: no answer${p.error ? ` (${p.error})` : ''}`)
+      .join(', ');
+    console.log(`\n  Reputation: ${reputation.status}${providers ? ` — ${providers}` : ''}`);
+  }
   
   if (result.recommendations.length > 0) {
-    console.log('\n  Recommendations:');
+    console.log('\n  Recommendations (most points first):');
     result.recommendations.forEach(rec => {
-      const icon = rec.startsWith('⚠️') ? '' : '  •';
-      console.log(`    ${icon} ${rec}`);
+      const icon = isUrgent(rec) ? '⚠️ ' : '  •';
+      const points = rec.pointsRecoverable > 0 ? `  \x1b[32m+${rec.pointsRecoverable}\x1b[0m` : '';
+      console.log(`    ${icon} ${rec.message}${points}`);
     });
   }
   
   console.log('\n' + '='.repeat(60) + '\n');
 }
 
+/**
+ * Print batch leaderboard to console
+ * @param {object} batch - Aggregate result from scoreBatch
+ */
+function printLeaderboard(batch) {
+  const nameWidth = Math.max(5, ...batch.results.map(r => r.skill.length));
+  const pad = (value, width) => String(value).padEnd(width);
+  const padStart = (value, width) => String(value).padStart(width);
+
+  // Category columns come from the first result's breakdown
+  const columns = Object.entries(batch.results[0]?.breakdown || {})
+    .map(([name, entry]) => ({ name, label: entry.label || name }));
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`  SKILL LEADERBOARD (${batch.count} skills)`);
+  console.log('='.repeat(60));
+  console.log(`  Scanned: ${new Date(batch.scannedAt).toLocaleString()}`);
+  console.log(`  Duration: ${batch.scanDurationMs}ms`);
+  console.log('='.repeat(60) + '\n');
+
+  console.log(
+    `  ${padStart('#', 3)}  ${pad('Skill', nameWidth)}  Score  Grade  ` +
+    columns.map(column => column.label).join('  ') + '  Policy'
+  );
+  batch.results.forEach((result, index) => {
+    const categories = columns
+      .map(column => padStart(result.breakdown[column.name]?.score ?? '-', column.label.length))
+      .join('  ');
+    const verdict = result.policy ? `  ${formatVerdict(result.policy.verdict)}` : '';
+    console.log(
+      `  ${padStart(index + 1, 3)}  ${pad(result.skill, nameWidth)}  ` +
+      `${padStart(result.overallScore, 5)}  ${pad('', 2)}${formatGrade(result.grade)}    ` +
+      categories + verdict
+    );
+  });
+
+  const totals = Object.entries(batch.totals)
+    .map(([grade, count]) => `${formatGrade(grade)}: ${count}`)
+    .join('  ');
+  console.log(`\n  Average Score: ${batch.averageScore}`);
+  console.log(`  Grades: ${totals}`);
+  if (batch.verdicts) {
+    const verdicts = Object.entries(batch.verdicts)
+      .map(([verdict, count]) => `${formatVerdict(verdict)}: ${count}`)
+      .join('  ');
+    console.log(`  Policy: ${verdicts}`);
+  }
+
+  if (batch.failures.length > 0) {
+    console.log('\n  Failed:');
+    batch.failures.forEach(failure => {
+      console.log(`    ❌ ${failure.path}: ${failure.error}`);
+    });
+  }
+
+  console.log('\n' + '='.repeat(60) + '\n');
+}
+
+/**
+ * Print a skill's score history to console
+ * @param {string} skill
+ * @param {Array<object>} entries - History entries, oldest first
+ */
+function printHistory(skill, entries) {
+  const pad = (value, width) => String(value).padEnd(width);
+  const padStart = (value, width) => String(value).padStart(width);
+
+  // Category columns from every entry, in first-seen order
+  const columns = new Map();
+  entries.forEach(entry => Object.entries(entry.categories || {}).forEach(([name, category]) => {
+    if (!columns.has(name)) columns.set(name, category.label || name);
+  }));
+  const versionWidth = Math.max(7, ...entries.map(entry => String(entry.version ?? '-').length));
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`  SCORE HISTORY: ${skill} (${entries.length} scans)`);
+  console.log('='.repeat(60) + '\n');
+
+  console.log(
+    `  ${pad('Scanned', 19)}  ${pad('Version', versionWidth)}  Score  Grade  Change  ` +
+    [...columns.values()].join('  ')
+  );
+  entries.forEach((entry, index) => {
+    const scannedAt = entry.scannedAt.slice(0, 19).replace('T', ' ');
+    const delta = index > 0 ? entry.overallScore - entries[index - 1].overallScore : null;
+    const change = delta === null ? pad('', 6) : formatDelta(delta, 6);
+    const categories = [...columns].map(([name, label]) => {
+      const category = entry.categories?.[name];
+      return padStart(category ? `${category.score}/${category.max}` : '-', label.length);
+    }).join('  ');
+    console.log(
+      `  ${scannedAt}  ${pad(entry.version ?? '-', versionWidth)}  ` +
+      `${padStart(entry.overallScore, 5)}  ${pad('', 2)}${formatGrade(entry.grade)}    ${change}  ` +
+      categories
+    );
+  });
+
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  console.log(`\n  Trend: ${first.overallScore} → ${last.overallScore} (${formatDelta(last.overallScore - first.overallScore)})`);
+  console.log('\n' + '='.repeat(60) + '\n');
+}
+
+/**
+ * Print a comparison of two versions of a skill to console
+ * @param {object} diff - diffSkills result
+ */
+function printDiff(diff) {
+  const label = side => side.source?.spec || side.path;
+  const location = item => `${item.file}${item.line ? `:${item.line}` : ''}`;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`  SKILL DIFF: ${diff.after.skill}`);
+  console.log('='.repeat(60));
+  console.log(`  Old: ${label(diff.before)}`);
+  console.log(`  New: ${label(diff.after)}`);
+  console.log('='.repeat(60));
+
+  console.log(`\n  Overall Score: ${diff.overall.before} → ${diff.overall.after} (${formatDelta(diff.overall.delta)})`);
+  console.log(`  Grade: ${formatGrade(diff.before.grade)} → ${formatGrade(diff.after.grade)}`);
+  if (diff.after.policy) {
+    const before = diff.before.policy ? `${formatVerdict(diff.before.policy.verdict)} → ` : '';
+    console.log(`  Policy: ${before}${formatVerdict(diff.after.policy.verdict)}`);
+  }
+  console.log('');
+
+  console.log('  Breakdown:');
+  const entries = Object.entries(diff.categories);
+  const labelWidth = Math.max(15, ...entries.map(([name, category]) => (category.label || name).length + 1));
+  entries.forEach(([name, category]) => {
+    const side = score => score === null ? '-' : `${score}/${category.max}`;
+    const change = category.delta === null ? 'n/a' : formatDelta(category.delta);
+    console.log(`    ${`${category.label || name}:`.padEnd(labelWidth)} ${side(category.before)} → ${side(category.after)}  ${change}`);
+  });
+  if (diff.excluded?.length > 0) {
+    console.log(`    Not compared: ${diff.excluded.join(', ')} (only one side is a git checkout)`);
+  }
+
+  const added = diff.capabilities.added;
+  const newCapabilities = [
+    ...added.network.map(item => ['network', item, item.snippet]),
+    ...added.exec.map(item => ['exec', item, item.snippet]),
+    ...added.secrets.map(item => ['secret', item, item.message])
+  ];
+  if (newCapabilities.length > 0) {
+    console.log('\n  \x1b[31m\x1b[1mNew capabilities:\x1b[0m');
+    newCapabilities.forEach(([kind, item, text]) => {
+      console.log(`    ⚠️  ${kind.padEnd(8)} ${location(item)}  ${text}`);
+    });
+  }
+
+  const { added: newFindings, resolved, unchanged } = diff.findings;
+  console.log(`\n  Findings: ${newFindings.length} new, ${resolved.length} resolved, ${unchanged.length} unchanged`);
+  newFindings.forEach(finding => {
+    console.log(`    \x1b[31m+\x1b[0m [${finding.severity}] ${finding.file ? `${location(finding)} ` : ''}${finding.message}`);
+  });
+  resolved.forEach(finding => {
+    console.log(`    \x1b[32m-\x1b[0m [${finding.severity}] ${finding.file ? `${location(finding)} ` : ''}${finding.message}`);
+  });
+
+  const { added: newRecs, removed: goneRecs } = diff.recommendations;
+  if (newRecs.length > 0 || goneRecs.length > 0) {
+    console.log('\n  Recommendations:');
+    newRecs.forEach(rec => console.log(`    \x1b[31m+\x1b[0m ${rec.message}`));
+    goneRecs.forEach(rec => console.log(`    \x1b[32m-\x1b[0m ${rec.message}`));
+  }
+
+  console.log('\n' + '='.repeat(60) + '\n');
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args
+ * @returns {{paths: Array<string>, options: object}}
+ */
+function parseArgs(args) {
+  const paths = [];
+  const options = {
+    format: 'console',
+    name: null,
+    batch: null,
+    output: null,
+    out: null,
+    config: null,
+    registry: null,
+    offline: false,
+    reputationLists: [],
+    cache: true,
+    refresh: false,
+    cacheDir: null,
+    history: true,
+    historyFile: null,
+    failOnRegression: false,
+    badgeCategories: false,
+    limit: null,
+    concurrency: null,
+    port: null,
+    host: null,
+    roots: [],
+    analyzers: [],
+    weights: {}
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--json') {
+      options.format = 'json';
+    } else if (arg === '--format' || arg === '-f') {
+      options.format = args[++i];
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+      }
+    } else if (arg === '--name') {
+      options.name = args[++i] || null;
+    } else if (arg === '--batch') {
+      options.batch = args[++i] || null;
+    } else if (arg === '--output' || arg === '-o') {
+      options.output = args[++i] || null;
+    } else if (arg === '--out') {
+      options.out = args[++i] || null;
+      if (!options.out) {
+        throw new Error('--out requires a directory');
+      }
+    } else if (arg === '--registry') {
+      options.registry = args[++i] || null;
+      if (!options.registry) {
+        throw new Error('--registry requires a URL');
+      }
+    } else if (arg === '--offline') {
+      options.offline = true;
+    } else if (arg === '--reputation-list') {
+      const listPath = args[++i];
+      if (!listPath) {
+        throw new Error('--reputation-list requires a JSON or CSV file');
+      }
+      options.reputationLists.push(listPath);
+    } else if (arg === '--no-cache') {
+      options.cache = false;
+    } else if (arg === '--refresh') {
+      options.refresh = true;
+    } else if (arg === '--cache-dir') {
+      options.cacheDir = args[++i] || null;
+      if (!options.cacheDir) {
+        throw new Error('--cache-dir requires a directory');
+      }
+    } else if (arg === '--no-history') {
+      options.history = false;
+    } else if (arg === '--history-file') {
+      options.historyFile = args[++i] || null;
+      if (!options.historyFile) {
+        throw new Error('--history-file requires a file path');
+      }
+    } else if (arg === '--fail-on-regression') {
+      options.failOnRegression = true;
+    } else if (arg === '--badge-categories') {
+      options.badgeCategories = true;
+    } else if (arg === '--advisory-db') {
+      options.advisoryDb = args[++i] || null;
+      if (!options.advisoryDb) {
+        throw new Error('--advisory-db requires a file path');
+      }
+    } else if (arg === '--secret-history') {
+      const value = args[++i];
+      const depth = parseInt(value, 10);
+      if (value !== 'all' && !(String(depth) === value && depth > 0)) {
+        throw new Error('--secret-history must be "all" or a positive number of commits');
+      }
+      options.secretHistory = value === 'all' ? true : depth;
+    } else if (arg === '--limit') {
+      const value = parseInt(args[++i], 10);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error('--limit must be a positive integer');
+      }
+      options.limit = value;
+    } else if (arg === '--config') {
+      options.config = args[++i] || null;
+      if (!options.config) {
+        throw new Error('--config requires a file path');
+      }
+    } else if (arg === '--concurrency') {
+      const value = parseInt(args[++i], 10);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error('--concurrency must be a positive integer');
+      }
+      options.concurrency = value;
+    } else if (arg === '--port') {
+      const value = parseInt(args[++i], 10);
+      if (!Number.isInteger(value) || value < 0 || value > 65535) {
+        throw new Error('--port must be a port number (0-65535)');
+      }
+      options.port = value;
+    } else if (arg === '--host') {
+      options.host = args[++i] || null;
+      if (!options.host) {
+        throw new Error('--host requires an address');
+      }
+    } else if (arg === '--root') {
+      const root = args[++i];
+      if (!root) {
+        throw new Error('--root requires a directory');
+      }
+      options.roots.push(root);
+    } else if (arg === '--analyzer') {
+      const modulePath = args[++i];
+      if (!modulePath) {
+        throw new Error('--analyzer requires a module path');
+      }
+      options.analyzers.push(modulePath);
+    } else if (arg === '--weight') {
+      const [name, value] = (args[++i] || '').split('=');
+      const weight = Number(value);
+      if (!name || value === undefined || !Number.isFinite(weight)) {
+        throw new Error('--weight must look like <analyzer>=<points>, e.g. security=60');
+      }
+      options.weights[name] = weight;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      paths.push(arg);
+    }
+  }
+
+  return { paths, options };
+}
+
 /**
  * Print usage help
  */
@@ -82,28 +484,128 @@ function printHelp() {
 Skill Scorecard - Quality and security assessment for OpenClaw skills
 
 USAGE:
-  skill-scorecard <path-to-skill> [options]
+  skill-scorecard <skill> [options]
+  skill-scorecard <skill> <skill> ... [options]
+  skill-scorecard --batch <skills-dir> [options]
+  skill-scorecard history <skill> [--limit <n>] [--json]
+  skill-scorecard diff <old> <new> [options]
+  skill-scorecard serve [--port <n>] [--host <addr>] [--root <dir>] [options]
+  skill-scorecard site <results-dir> --out <dir>
+
+SKILL SOURCES:
+  ./path/to/skill                      Local directory
+  ./skill.tar.gz, ./skill.zip          Local or https:// archive
+  https://github.com/org/repo.git#ref  Git URL with optional branch/tag/commit
+  clawhub:<name>[@<version>]           ClawHub registry
+  ./path/to/skill#<ref>                Local git work tree at a branch/tag/commit
 
 OPTIONS:
-  --json          Output results as JSON
-  --name <name>   Override skill name
-  --help          Show this help message
+  --json               Output results as JSON (same as --format json)
+  -f, --format <fmt>   Output format: console (default), json, html, markdown, sarif, badge
+  --badge-categories   Add a mini badge per category (badge format)
+  --name <name>        Override skill name (single skill only)
+  --batch <dir>        Scan every skill subdirectory of <dir>
+  --config <file>      Config file (default: .scorecardrc or scorecard.config.js in cwd)
+  --concurrency <n>    Skills scanned at once in batch mode or by serve (default: 4)
+  --registry <url>     ClawHub registry base URL (default: $CLAWHUB_REGISTRY or clawhub.ai)
+  --offline            Skip network reputation lookups (Clawdex)
+  --reputation-list <file>  Local JSON/CSV allow/deny list (repeatable)
+  --no-cache           Don't read or write cached results
+  --refresh            Re-run everything and overwrite cached results
+  --cache-dir <dir>    Cache directory (default: ~/.cache/skill-scorecard)
+  --no-history         Don't record this scan in the score history
+  --history-file <file>  History file (default: ~/.local/share/skill-scorecard/history.jsonl)
+  --fail-on-regression Exit non-zero if a score dropped more than history.regressionDelta
+  --secret-history <all|n>  Also scan every commit (or the last <n>) for secrets
+  --advisory-db <file> Offline advisory database to match dependency versions against
+  --limit <n>          Show only the last <n> scans (history command)
+  --port <n>           Port the API server listens on (serve command, default: 8080)
+  --host <addr>        Address the API server binds (serve command, default: 127.0.0.1)
+  --root <dir>         Directory POST /scan may read skill paths from (serve command, repeatable)
+  --analyzer <path>    Load extra analyzer(s) from a module (repeatable)
+  --weight <name=pts>  Points an analyzer counts for, e.g. security=60 (repeatable)
+  -o, --output <file>  Write the report to <file> (JSON for console format)
+  --out <dir>          Directory to write the static site to (site command)
+  --help               Show this help message
 
 EXAMPLES:
   skill-scorecard ./my-skill
   skill-scorecard ~/.openclaw/workspace/skills/weather --json
   skill-scorecard ./skill-dir --name "Custom Name"
+  skill-scorecard clawhub:weather@1.2.0
+  skill-scorecard https://github.com/org/my-skill.git#v1.0.0
+  skill-scorecard --batch ~/.openclaw/workspace/skills -o results.json
+  skill-scorecard ./skills/* --concurrency 8
+  skill-scorecard ./my-skill --format html --output report.html
+  skill-scorecard ./my-skill --format markdown > SCORECARD.md
+  skill-scorecard ./my-skill --format sarif -o scorecard.sarif
+  skill-scorecard ./my-skill --format badge -o scorecard.svg
+  skill-scorecard --batch ./skills --format html --output reports/index.html
+  skill-scorecard ./my-skill --fail-on-regression
+  skill-scorecard ./my-skill --secret-history 50
+  skill-scorecard history my-skill --limit 10
+  skill-scorecard diff clawhub:weather@1.2.0 clawhub:weather@1.3.0
+  skill-scorecard diff ./my-skill#v1.0.0 ./my-skill --format markdown
+  skill-scorecard serve --port 8080 --root ~/.openclaw/workspace/skills
+  skill-scorecard site ./results --out ./public
 
 SCORING:
-  Security (40 pts):     Clawdex API + Cisco scanner
+  Security (40 pts):     Reputation (Clawdex / local lists) + Cisco or built-in scanner
   Documentation (20 pts): SKILL.md, README.md, examples
   Code Quality (20 pts):  No secrets, error handling, comments
-  Maintenance (20 pts):   Git repo, recent commits, versioning
+  Maintenance (20 pts):   Recency, cadence, contributors, tags, changelog, signing
+  Dependencies (10 pts):  Install scripts, remote/unpinned deps, typosquats, advisories
 
+  The overall score is normalized to 0-100 from the configured weights.
   Grade: A (90+), B (80-89), C (70-79), D (60-69), F (<60)
+
+  Thresholds, grade cutoffs and the minimum passing grade (default: C) can be
+  changed in the config file.
+
+POLICY:
+  After scoring, policy rules give a pass/warn/fail verdict that sets the exit
+  code. Built-in rules fail on a grade below the minimum, critical findings, a
+  malicious reputation or hardcoded secrets, and warn on undeclared network
+  access. Add or override rules under "policy" in the config file. In batch
+  mode the exit code reflects the worst verdict found.
   `);
 }
 
+/**
+ * Write content to a file, or to stdout when no file is given
+ * @param {string} content
+ * @param {string|null} output
+ */
+async function emit(content, output) {
+  if (!output) {
+    console.log(content);
+    return;
+  }
+  await mkdir(dirname(resolve(output)), { recursive: true });
+  await writeFile(output, content.endsWith('\n') ? content : content + '\n');
+}
+
+/**
+ * Write a batch HTML index plus one page per skill next to it
+ * @param {object} batch
+ * @param {string|null} output - Index file path
+ */
+async function writeBatchHtml(batch, output) {
+  if (!output) {
+    throw new Error('--format html in batch mode requires --output <index.html>');
+  }
+
+  const indexPath = resolve(output);
+  const indexName = basename(indexPath);
+  await emit(renderBatchHtml(batch), indexPath);
+
+  for (const [index, result] of batch.results.entries()) {
+    const pagePath = join(dirname(indexPath), skillPageName(result, index));
+    await emit(renderHtml(result, { backLink: indexName }), pagePath);
+  }
+  console.error(`[Scorecard] Wrote ${batch.results.length + 1} HTML page(s) to ${dirname(indexPath)}`);
+}
+
 /**
  * Main CLI entry point
  */
@@ -115,30 +617,123 @@ async function main() {
     process.exit(0);
   }
 
-  const skillPath = args[0];
-  const options = {
-    json: args.includes('--json'),
-    name: null
-  };
+  try {
+    // A skill directory named like a command ("history", "site"…) is scanned, not run as the command
+    const isDirectory = await stat(args[0]).then(info => info.isDirectory(), () => false);
+    const command = COMMANDS.includes(args[0]) && !isDirectory ? args[0] : null;
+    const { paths, options } = parseArgs(command ? args.slice(1) : args);
+    const config = await loadConfig({ configPath: options.config });
 
-  const nameIndex = args.indexOf('--name');
-  if (nameIndex !== -1 && args[nameIndex + 1]) {
-    options.name = args[nameIndex + 1];
-  }
+    config.history = {
+      ...config.history,
+      enabled: options.history && config.history.enabled,
+      file: options.historyFile ? resolve(options.historyFile) : config.history.file
+    };
+    if (command === 'history') {
+      process.exit(await runHistory(paths, options, config));
+    }
+    if (command === 'site') {
+      if (paths.length !== 1 || !options.out) {
+        throw new Error('Usage: skill-scorecard site <results-dir> --out <dir>');
+      }
+      await generateSite(paths[0], options.out);
+      process.exit(0);
+    }
 
-  try {
-    const fullPath = resolve(skillPath);
-    const result = await scoreSkill(fullPath, options.name);
-    
-    if (options.json) {
-      console.log(JSON.stringify(result, null, 2));
-    } else {
-      printResults(result);
+    // Command-line flags extend or override the config file
+    config.analyzers = {
+      ...config.analyzers,
+      plugins: [...config.analyzers.plugins, ...options.analyzers.map(p => resolve(p))],
+      weights: { ...config.analyzers.weights, ...options.weights }
+    };
+    if (options.concurrency) {
+      config.concurrency = options.concurrency;
     }
-    
-    // Exit code based on grade
-    const exitCodes = { 'A': 0, 'B': 0, 'C': 0, 'D': 1, 'F': 1 };
-    process.exit(exitCodes[result.grade] || 1);
+    if (options.registry) {
+      config.registry = options.registry;
+    }
+    config.reputation = {
+      ...config.reputation,
+      offline: options.offline || config.reputation.offline,
+      lists: [...config.reputation.lists, ...options.reputationLists.map(p => resolve(p))]
+    };
+    if (options.advisoryDb) {
+      config.dependencies = { ...config.dependencies, advisoryDb: resolve(options.advisoryDb) };
+    }
+    if (options.secretHistory) {
+      config.secrets = { ...config.secrets, history: options.secretHistory };
+    }
+    config.server = {
+      ...config.server,
+      port: options.port ?? config.server.port,
+      host: options.host ?? config.server.host,
+      roots: [...config.server.roots, ...options.roots.map(p => resolve(p))]
+    };
+    config.cache = {
+      ...config.cache,
+      enabled: options.cache && config.cache.enabled,
+      dir: options.cacheDir ? resolve(options.cacheDir) : config.cache.dir
+    };
+
+    const registry = createRegistry();
+    for (const modulePath of config.analyzers.plugins) {
+      await registry.load(modulePath);
+    }
+    const scoreOptions = {
+      analyzers: registry.select(config.analyzers.enabled),
+      weights: config.analyzers.weights,
+      config,
+      cache: createCache({ ...config.cache, refresh: options.refresh })
+    };
+    resolveWeights(scoreOptions.analyzers, scoreOptions.weights); // Fail fast on bad weights
+
+    if (command === 'serve') {
+      if (paths.length > 0 || options.batch) {
+        throw new Error('Usage: skill-scorecard serve [--port <n>] [--host <addr>] [--root <dir>]');
+      }
+      await runServe(scoreOptions);
+      return;
+    }
+
+    if (command === 'diff') {
+      if (paths.length !== 2 || options.batch) {
+        throw new Error('Usage: skill-scorecard diff <old> <new>');
+      }
+      if (!DIFF_FORMATS.includes(options.format)) {
+        throw new Error(`diff supports --format ${DIFF_FORMATS.join(', ')}`);
+      }
+    }
+
+    if (options.batch) {
+      paths.push(...await findSkillDirs(resolve(options.batch)));
+    }
+
+    if (paths.length === 0) {
+      throw new Error('No skills to scan');
+    }
+
+    // Stage every source locally; staged copies are removed on exit. In a
+    // batch a skill that can't be loaded is reported like one that can't be scored.
+    const batchMode = command !== 'diff' && (paths.length > 1 || Boolean(options.batch));
+    const skills = [];
+    const loadFailures = [];
+    let exitCode;
+    try {
+      for (const spec of paths) {
+        try {
+          skills.push(await loadSkill(spec, { registry: config.registry }));
+        } catch (error) {
+          if (!batchMode) throw error;
+          loadFailures.push({ path: spec, error: error.message });
+        }
+      }
+      exitCode = command === 'diff' ?
+        await runDiff(skills, options, scoreOptions) :
+        await runScan(skills, options, scoreOptions, loadFailures);
+    } finally {
+      await Promise.all(skills.map(skill => skill.cleanup()));
+    }
+    process.exit(exitCode);
     
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}\n`);
@@ -146,9 +741,228 @@ async function main() {
   }
 }
 
+/**
+ * Start the API server; it runs until SIGINT/SIGTERM
+ * @param {object} scoreOptions - Analyzers, weights, config and cache for scoreSkill
+ */
+async function runServe(scoreOptions) {
+  const { config } = scoreOptions;
+  const server = createServer({
+    scoreOptions,
+    roots: config.server.roots,
+    maxBodyBytes: config.server.maxBodyBytes,
+    maxExtractedBytes: config.server.maxExtractedBytes,
+    maxArchiveEntries: config.server.maxArchiveEntries,
+    maxQueue: config.server.maxQueue,
+    concurrency: config.concurrency
+  });
+
+  await new Promise((resolveListen, reject) => {
+    server.once('error', reject);
+    server.listen(config.server.port, config.server.host ?? undefined, () => resolveListen());
+  });
+
+  const { address, port } = /** @type {import('net').AddressInfo} */ (server.address());
+  const roots = config.server.roots.length > 0 ? config.server.roots.join(', ') : 'none (uploads only)';
+  console.error(`[Scorecard] API listening on http://${address.includes(':') ? `[${address}]` : address}:${port}`);
+  console.error(`[Scorecard] Allowed roots: ${roots}; ${config.concurrency} scan(s) at once`);
+
+  const stop = () => server.close(() => process.exit(0));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+/**
+ * Show the recorded score history for a skill
+ * @param {Array<string>} names - Positional arguments (one skill name)
+ * @param {object} options - Parsed CLI options
+ * @param {object} config - Effective config
+ * @returns {Promise<number>} Process exit code
+ */
+async function runHistory(names, options, config) {
+  if (names.length !== 1) {
+    throw new Error('Usage: skill-scorecard history <skill>');
+  }
+
+  const [skill] = names;
+  const file = config.history.file || defaultHistoryFile();
+  let entries = await readHistory(file, skill);
+  if (options.limit) {
+    entries = entries.slice(-options.limit);
+  }
+
+  if (options.format === 'json') {
+    await emit(JSON.stringify({ skill, file, entries }, null, 2), options.output);
+    return 0;
+  }
+  if (entries.length === 0) {
+    throw new Error(`No recorded scans for "${skill}" in ${file}`);
+  }
+  printHistory(skill, entries);
+  return 0;
+}
+
+/**
+ * Compare results with their last recorded scan, then record them
+ * Sets `history` on each result that has an earlier scan.
+ * @param {Array<object>} results - scoreSkill results
+ * @param {object} config - Effective config
+ * @returns {Promise<Array<object>>} Results whose score regressed
+ */
+async function trackHistory(results, config) {
+  const file = config.history.file || defaultHistoryFile();
+  const entries = await readHistory(file);
+
+  results.forEach(result => {
+    const previous = entries.filter(entry => entry.skill === result.skill);
+    const comparison = compareWithPrevious(result, previous, config.history.regressionDelta);
+    if (comparison) {
+      result.history = comparison;
+    }
+  });
+
+  if (config.history.enabled) {
+    await recordScans(file, results);
+  }
+  return results.filter(result => result.history?.regressed);
+}
+
+/**
+ * Exit code after regression checks
+ * @param {number} exitCode - Exit code from the grade
+ * @param {Array<object>} regressions - Results whose score regressed
+ * @param {object} options - Parsed CLI options
+ * @param {object} config - Effective config
+ * @returns {number}
+ */
+function regressionExitCode(exitCode, regressions, options, config) {
+  if (!options.failOnRegression || regressions.length === 0) {
+    return exitCode;
+  }
+  regressions.forEach(result => {
+    console.error(
+      `[Scorecard] ${result.skill} regressed: ${result.history.previousScore} → ${result.overallScore} ` +
+      `(more than ${config.history.regressionDelta} points)`
+    );
+  });
+  return exitCode || 1;
+}
+
+/**
+ * Compare two loaded skills and render the diff
+ * The exit code follows the new version's grade, and --fail-on-regression
+ * applies to the score change between the two.
+ * @param {Array<object>} skills - [old, new] loaded skills
+ * @param {object} options - Parsed CLI options
+ * @param {object} scoreOptions - Analyzers, weights, config and cache for scoreSkill
+ * @returns {Promise<number>} Process exit code
+ */
+async function runDiff(skills, options, scoreOptions) {
+  const { config } = scoreOptions;
+  const [before, after] = skills;
+  const diff = await diffSkills(before, after, { ...scoreOptions, name: options.name });
+
+  if (options.format === 'markdown') {
+    await emit(renderDiffMarkdown(diff), options.output);
+  } else if (options.format === 'json') {
+    await emit(JSON.stringify(diff, null, 2), options.output);
+  } else {
+    if (options.output) {
+      await emit(JSON.stringify(diff, null, 2), options.output);
+    }
+    printDiff(diff);
+  }
+
+  const exitCode = policyExitCode(diff.after, config);
+  if (options.failOnRegression && -diff.overall.delta > config.history.regressionDelta) {
+    console.error(
+      `[Scorecard] ${diff.after.skill} regressed: ${diff.overall.before} → ${diff.overall.after} ` +
+      `(more than ${config.history.regressionDelta} points)`
+    );
+    return exitCode || 1;
+  }
+  return exitCode;
+}
+
+/**
+ * Score loaded skills and render the report
+ * @param {Array<object>} skills - Loaded skills from loadSkill
+ * @param {object} options - Parsed CLI options
+ * @param {object} scoreOptions - Analyzers, weights, config and cache for scoreSkill
+ * @param {Array<object>} [loadFailures] - Batch skills that could not be loaded ({ path, error })
+ * @returns {Promise<number>} Process exit code
+ */
+async function runScan(skills, options, scoreOptions, loadFailures = []) {
+  const { config } = scoreOptions;
+
+  if (skills.length + loadFailures.length > 1 || options.batch) {
+    if (options.format === 'badge') {
+      throw new Error('--format badge renders a single skill');
+    }
+    const batch = await scoreBatch(skills, {
+      ...scoreOptions,
+      concurrency: config.concurrency,
+      failures: loadFailures
+    });
+    const regressions = await trackHistory(batch.results, config);
+
+    if (options.format === 'html') {
+      await writeBatchHtml(batch, options.output);
+    } else if (options.format === 'markdown') {
+      await emit(renderBatchMarkdown(batch), options.output);
+    } else if (options.format === 'sarif') {
+      await emit(JSON.stringify(renderSarif(batch), null, 2), options.output);
+    } else if (options.format === 'json') {
+      await emit(JSON.stringify(batch, null, 2), options.output);
+    } else {
+      if (options.output) {
+        await emit(JSON.stringify(batch, null, 2), options.output);
+      }
+      printLeaderboard(batch);
+    }
+
+    // The exit code comes from the skills with the worst verdict; skills that
+    // couldn't be scored count as an F
+    const exitCodes = batch.results
+      .filter(result => result.policy.verdict === batch.verdict)
+      .map(result => policyExitCode(result, config));
+    if (batch.failures.length > 0 || batch.results.length === 0) {
+      exitCodes.push(exitCodeFor('F', config));
+    }
+    return regressionExitCode(Math.max(...exitCodes), regressions, options, config);
+  }
+
+  const [skill] = skills;
+  const result = await scoreSkill(skill.path, options.name || skill.name, {
+    ...scoreOptions,
+    source: skill.source,
+    directory: skill.directory
+  });
+  const regressions = await trackHistory([result], config);
+
+  if (options.format === 'html') {
+    await emit(renderHtml(result), options.output);
+  } else if (options.format === 'markdown') {
+    await emit(renderMarkdown(result), options.output);
+  } else if (options.format === 'sarif') {
+    await emit(JSON.stringify(renderSarif(result), null, 2), options.output);
+  } else if (options.format === 'badge') {
+    await emit(renderScoreBadge(result, { categories: options.badgeCategories }), options.output);
+  } else if (options.format === 'json') {
+    await emit(JSON.stringify(result, null, 2), options.output);
+  } else {
+    if (options.output) {
+      await emit(JSON.stringify(result, null, 2), options.output);
+    }
+    printResults(result);
+  }
+  
+  return regressionExitCode(policyExitCode(result, config), regressions, options, config);
+}
+
 // Run if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { main, printResults };
+export { main, printResults, printLeaderboard };
@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+/**
+ * Config Loader
+ * Discovers, validates and merges .scorecardrc / scorecard.config.js
+ */
+
+import { readFile, access } from 'fs/promises';
+import { join, resolve, dirname } from 'path';
+import { pathToFileURL } from 'url';
+
+// Files looked up in the working directory, in order
+export const CONFIG_FILES = [
+  '.scorecardrc',
+  '.scorecardrc.json',
+  'scorecard.config.js',
+  'scorecard.config.mjs'
+];
+
+export const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+// Config keys holding credentials, blanked before the config is attached to results
+const SECRET_KEY = /auth|token|secret|password|api[-_]?key/i;
+
+export const DEFAULT_CONFIG = {
+  analyzers: {
+    enabled: null, // null = every registered analyzer
+    plugins: [],
+    weights: {}
+  },
+  thresholds: {
+    documentation: {
+      descriptionMinLength: 20,
+      readmeMinLength: 300
+    },
+    codeQuality: {
+      maxComplexity: 10,  // cyclomatic complexity per function
+      commentDensity: 10, // average % of comment lines
+      docCoverage: 50,    // % of top-level functions and methods with doc comments
+      namingRatio: 80     // % of declared identifiers following conventions
+    },
+    maintenance: {
+      staleDays: 180
+    }
+  },
+  grades: { A: 90, B: 80, C: 70, D: 60 },
+  minGrade: 'C',
+  exitCodes: {},
+  policy: {
+    defaults: true, // built-in rules: min-grade, critical-findings, malicious-reputation, hardcoded-secrets, undeclared-network
+    disabled: [],   // built-in rule ids to skip
+    rules: [],      // { id, verdict: 'fail' | 'warn', description, when }; see src/policy.js
+    exitCodes: { pass: 0, warn: 0, fail: 1 }
+  },
+  ignore: ['node_modules', '.git', '.vscode', 'dist', 'build'],
+  secrets: {
+    entropy: true,          // report high-entropy strings, not just known key formats
+    entropyThreshold: 4.5,  // bits per character
+    minLength: 20,          // shortest string checked for entropy
+    allowlist: [],          // fingerprints/regexes, or { rule, path, pattern, fingerprint, reason }
+    history: false          // scan git history too: true = every commit, N = the last N commits
+  },
+  dependencies: {
+    advisoryDb: null, // offline advisory database JSON (null = no vulnerability matching)
+    allowlist: []     // package names never reported as typosquats
+  },
+  concurrency: 4, // skills scanned at once in batch mode and by the API server
+  server: {
+    port: 8080,
+    host: '127.0.0.1',                    // null = every interface
+    roots: [],                            // directories POST /scan may read paths from (none = uploads only)
+    maxBodyBytes: 50 * 1024 * 1024,       // largest accepted request body
+    maxExtractedBytes: 200 * 1024 * 1024, // largest total size an uploaded archive may unpack to
+    maxArchiveEntries: 10000,             // most files and directories an uploaded archive may hold
+    maxQueue: 100                         // scans waiting to run before new ones are refused
+  },
+  registry: null, // ClawHub base URL (null = $CLAWHUB_REGISTRY or the public registry)
+  reputation: {
+    offline: false, // skip network providers
+    clawdex: {
+      enabled: true,
+      baseUrl: 'https://clawdex.koi.security/api/skill/',
+      timeoutMs: 5000,
+      retries: 2,
+      authHeader: null // Authorization header value (or $CLAWDEX_AUTH)
+    },
+    lists: [] // JSON/CSV allow/deny lists
+  },
+  cache: {
+    enabled: true,
+    dir: null, // null = $XDG_CACHE_HOME/skill-scorecard or ~/.cache/skill-scorecard
+    reputationTtlHours: 24
+  },
+  history: {
+    enabled: true,
+    file: null, // null = $XDG_DATA_HOME/skill-scorecard/history.jsonl or ~/.local/share/...
+    regressionDelta: 5 // points the overall score may drop before --fail-on-regression fails
+  }
+};
+
+// Validators return an error message, or null when the value is fine. For
+// arrays and objects they can point at the part that failed instead:
+// { at, message, value }, where `at` is appended to the option's path and
+// `value` is just that part.
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const CONDITION_OPERATORS = ['equals', 'in', 'gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Error pointing at the part of a value that failed
+ * @param {string} at - Path below the option, e.g. "[2].verdict"
+ * @param {string} message
+ * @param {*} value - The failing part
+ * @returns {{at: string, message: string, value: *}}
+ */
+const invalid = (at, message, value) => ({ at, message, value });
+
+/**
+ * Check a policy rule condition
+ * @param {*} condition
+ * @param {string} path - Where the condition sits, for error messages
+ * @returns {object|null} invalid() error, or null when the condition is fine
+ */
+function conditionError(condition, path = '.when') {
+  const fail = (message, at = '', value = condition[at.slice(1)]) => invalid(`${path}${at}`, message, value);
+  if (!isPlainObject(condition)) return invalid(path, 'must be a condition object', condition);
+
+  const kinds = ['all', 'any', 'findings', 'value', 'grade'].filter(kind => condition[kind] !== undefined);
+  if (kinds.length !== 1) {
+    return fail('must have exactly one of all, any, findings, value or grade', '', Object.keys(condition));
+  }
+  const [kind] = kinds;
+
+  if (kind === 'all' || kind === 'any') {
+    if (!Array.isArray(condition[kind]) || condition[kind].length === 0) {
+      return fail('must be a non-empty array of conditions', `.${kind}`);
+    }
+    for (const [index, inner] of condition[kind].entries()) {
+      const error = conditionError(inner, `${path}.${kind}[${index}]`);
+      if (error) return error;
+    }
+    return Object.keys(condition).length === 1 ? null : fail(`has fields besides "${kind}"`, '', Object.keys(condition));
+  }
+
+  if (kind === 'findings') {
+    const selector = condition.findings;
+    const fieldOk = field => typeof field === 'string' ||
+      (Array.isArray(field) && field.length > 0 && field.every(item => typeof item === 'string'));
+    if (!isPlainObject(selector) || !Object.entries(selector).every(([key, field]) =>
+      ['severity', 'rule', 'category'].includes(key) && fieldOk(field))) {
+      return fail('must select on severity, rule or category (a string or array of strings)', '.findings');
+    }
+    if (condition.atLeast !== undefined && !(Number.isInteger(condition.atLeast) && condition.atLeast > 0)) {
+      return fail('must be a positive integer', '.atLeast');
+    }
+    return Object.keys(condition).every(key => ['findings', 'atLeast'].includes(key)) ?
+      null : fail('has fields besides "findings" and "atLeast"', '', Object.keys(condition));
+  }
+
+  if (kind === 'value') {
+    if (typeof condition.value !== 'string' || condition.value.length === 0) {
+      return fail('must be a dot path into the result, e.g. "breakdown.security.score"', '.value');
+    }
+    const operators = Object.keys(condition).filter(key => key !== 'value');
+    if (operators.length !== 1 || !CONDITION_OPERATORS.includes(operators[0])) {
+      return fail(`needs exactly one of ${CONDITION_OPERATORS.join(', ')}`, '', Object.keys(condition));
+    }
+    const [operator] = operators;
+    if (operator === 'in' && !Array.isArray(condition.in)) return fail('must be an array', '.in');
+    if (['gt', 'gte', 'lt', 'lte'].includes(operator) && typeof condition[operator] !== 'number') {
+      return fail('must be a number', `.${operator}`);
+    }
+    return null;
+  }
+
+  if (Object.keys(condition).length !== 1) return fail('has fields besides "grade"', '', Object.keys(condition));
+  return condition.grade === 'failing' ? null : fail('must be "failing"', '.grade');
+}
+
+const TYPES = {
+  count: value => Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer',
+  positiveInt: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  percent: value => typeof value === 'number' && value >= 0 && value <= 100 ? null : 'must be a number from 0 to 100',
+  grade: value => GRADES.includes(value) ? null : `must be one of ${GRADES.join(', ')}`,
+  exitCode: value => Number.isInteger(value) && value >= 0 && value <= 255 ? null : 'must be an integer exit code (0-255)',
+  stringArray: value => Array.isArray(value) && value.every(item => typeof item === 'string') ?
+    null : 'must be an array of strings',
+  nullableStringArray: value => value === null ? null : TYPES.stringArray(value),
+  boolean: value => typeof value === 'boolean' ? null : 'must be true or false',
+  nullableString: value => value === null || typeof value === 'string' ? null : 'must be a string',
+  url: value => {
+    if (value === null) return null;
+    try {
+      return /^https?:$/.test(new URL(value).protocol) ? null : 'must be an http(s) URL';
+    } catch {
+      return 'must be an http(s) URL';
+    }
+  },
+  port: value => Number.isInteger(value) && value >= 0 && value <= 65535 ? null : 'must be a port number (0-65535)',
+  entropy: value => typeof value === 'number' && value > 0 && value <= 8 ? null : 'must be a number of bits per character (0-8)',
+  historyDepth: value => typeof value === 'boolean' || (Number.isInteger(value) && value > 0) ?
+    null : 'must be false, true (every commit) or a positive number of commits',
+  secretAllowlist: value => {
+    if (!Array.isArray(value)) return 'must be an array of patterns or { rule, path, pattern, fingerprint, reason } entries';
+    for (const [index, entry] of value.entries()) {
+      const fields = isPlainObject(entry) ? Object.entries(entry) : [];
+      if (typeof entry !== 'string' && !(fields.length > 0 && fields.every(([key, field]) =>
+        ['rule', 'path', 'pattern', 'fingerprint', 'reason'].includes(key) && typeof field === 'string'))) {
+        return invalid(`[${index}]`, 'must be a string or an object of rule, path, pattern, fingerprint and reason strings', entry);
+      }
+      const pattern = typeof entry === 'string' ? entry : entry.pattern;
+      try {
+        if (pattern !== undefined) new RegExp(pattern);
+      } catch {
+        return invalid(typeof entry === 'string' ? `[${index}]` : `[${index}].pattern`, 'is not a valid regular expression', pattern);
+      }
+    }
+    return null;
+  },
+  policyRules: value => {
+    if (!Array.isArray(value)) return 'must be an array of { id, verdict, description, when } rules';
+    for (const [index, rule] of value.entries()) {
+      const at = `[${index}]`;
+      if (!isPlainObject(rule)) return invalid(at, 'must be a rule object', rule);
+      if (typeof rule.id !== 'string' || rule.id.length === 0) return invalid(`${at}.id`, 'must be a non-empty string', rule.id);
+      const unknown = Object.keys(rule).find(key => !['id', 'verdict', 'description', 'when'].includes(key));
+      if (unknown) return invalid(`${at}.${unknown}`, 'is not a known rule field', rule[unknown]);
+      if (!['fail', 'warn'].includes(rule.verdict)) return invalid(`${at}.verdict`, 'must be "fail" or "warn"', rule.verdict);
+      if (rule.description !== undefined && typeof rule.description !== 'string') {
+        return invalid(`${at}.description`, 'must be a string', rule.description);
+      }
+      const error = conditionError(rule.when, `${at}.when`);
+      if (error) return error;
+    }
+    return null;
+  },
+  weights: value => {
+    if (!isPlainObject(value)) return 'must be an object of analyzer name to points';
+    const bad = Object.entries(value).find(([, weight]) =>
+      typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0);
+    return bad ? invalid(`.${bad[0]}`, 'must be a non-negative number', bad[1]) : null;
+  }
+};
+
+const gradeMap = type => Object.fromEntries(GRADES.map(grade => [grade, type]));
+
+const SCHEMA = {
+  analyzers: {
+    enabled: 'nullableStringArray',
+    plugins: 'stringArray',
+    weights: 'weights'
+  },
+  thresholds: {
+    documentation: {
+      descriptionMinLength: 'count',
+      readmeMinLength: 'count'
+    },
+    codeQuality: {
+      maxComplexity: 'positiveInt',
+      commentDensity: 'percent',
+      docCoverage: 'percent',
+      namingRatio: 'percent'
+    },
+    maintenance: {
+      staleDays: 'count'
+    }
+  },
+  grades: { A: 'percent', B: 'percent', C: 'percent', D: 'percent' },
+  minGrade: 'grade',
+  exitCodes: gradeMap('exitCode'),
+  policy: {
+    defaults: 'boolean',
+    disabled: 'stringArray',
+    rules: 'policyRules',
+    exitCodes: { pass: 'exitCode', warn: 'exitCode', fail: 'exitCode' }
+  },
+  ignore: 'stringArray',
+  secrets: {
+    entropy: 'boolean',
+    entropyThreshold: 'entropy',
+    minLength: 'positiveInt',
+    allowlist: 'secretAllowlist',
+    history: 'historyDepth'
+  },
+  dependencies: {
+    advisoryDb: 'nullableString',
+    allowlist: 'stringArray'
+  },
+  concurrency: 'positiveInt',
+  server: {
+    port: 'port',
+    host: 'nullableString',
+    roots: 'stringArray',
+    maxBodyBytes: 'positiveInt',
+    maxExtractedBytes: 'positiveInt',
+    maxArchiveEntries: 'positiveInt',
+    maxQueue: 'positiveInt'
+  },
+  registry: 'url',
+  reputation: {
+    offline: 'boolean',
+    clawdex: {
+      enabled: 'boolean',
+      baseUrl: 'url',
+      timeoutMs: 'positiveInt',
+      retries: 'count',
+      authHeader: 'nullableString'
+    },
+    lists: 'stringArray'
+  },
+  cache: {
+    enabled: 'boolean',
+    dir: 'nullableString',
+    reputationTtlHours: 'count'
+  },
+  history: {
+    enabled: 'boolean',
+    file: 'nullableString',
+    regressionDelta: 'count'
+  }
+};
+
+/**
+ * Validate a (partial) config object against the schema
+ * @param {object} config
+ * @param {object} schema
+ * @param {string} prefix - Key path for error messages
+ * @returns {Array<string>} Error messages
+ */
+function validateAgainst(config, schema, prefix = '') {
+  if (!isPlainObject(config)) {
+    return [`${prefix || 'config'} must be an object`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(config)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key];
+
+    if (rule === undefined) {
+      errors.push(`${path} is not a known option`);
+    } else if (typeof rule === 'string') {
+      const error = TYPES[rule](value);
+      if (typeof error === 'string') {
+        errors.push(`${path} ${error} (got ${JSON.stringify(value)})`);
+      } else if (error) {
+        errors.push(`${path}${error.at} ${error.message} (got ${JSON.stringify(error.value)})`);
+      }
+    } else {
+      errors.push(...validateAgainst(value, rule, path));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a config object, throwing with every problem found
+ * @param {object} config
+ * @param {string} source - Config file path, for error messages
+ * @returns {object} The config
+ */
+export function validateConfig(config, source = 'config') {
+  const errors = validateAgainst(config, SCHEMA);
+
+  // Grade cutoffs must be strictly descending
+  const cutoffs = { ...DEFAULT_CONFIG.grades, ...(isPlainObject(config.grades) ? config.grades : {}) };
+  const ordered = ['A', 'B', 'C', 'D'];
+  const numeric = ordered.every(grade => typeof cutoffs[grade] === 'number');
+  for (let i = 1; numeric && i < ordered.length; i++) {
+    if (!(cutoffs[ordered[i - 1]] > cutoffs[ordered[i]])) {
+      errors.push(`grades.${ordered[i - 1]} (${cutoffs[ordered[i - 1]]}) must be higher than grades.${ordered[i]} (${cutoffs[ordered[i]]})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * Deep-merge config overrides onto a copy of a base config (arrays replace)
+ * @param {object} base
+ * @param {object} [override]
+ * @returns {object}
+ */
+export function mergeConfig(base, override = {}) {
+  const merged = {};
+  for (const [key, value] of Object.entries(base)) {
+    merged[key] = isPlainObject(value) ? mergeConfig(value) : value;
+  }
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ?
+      mergeConfig(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Copy of a config with credential values replaced, safe to write into results
+ * @param {object} config
+ * @returns {object}
+ */
+export function redactConfig(config) {
+  return Object.fromEntries(Object.entries(config).map(([key, value]) => [
+    key,
+    isPlainObject(value) ? redactConfig(value) :
+      typeof value === 'string' && value !== '' && SECRET_KEY.test(key) ? '[redacted]' : value
+  ]));
+}
+
+/**
+ * Find a config file in a directory
+ * @param {string} dir
+ * @returns {Promise<string|null>}
+ */
+export async function findConfigFile(dir) {
+  for (const file of CONFIG_FILES) {
+    const candidate = join(dir, file);
+    try {
+      await access(candidate);
+      return candidate;
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Read a config file (JSON or ES module)
+ * @param {string} configPath
+ * @returns {Promise<object>}
+ */
+async function readConfigFile(configPath) {
+  if (/\.m?js$/.test(configPath)) {
+    try {
+      const mod = await import(pathToFileURL(configPath).href);
+      return mod.default ?? {};
+    } catch (error) {
+      throw new Error(`Failed to load config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  let content;
+  try {
+    content = await readFile(configPath, 'utf-8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Config file ${configPath} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Load the effective config
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Explicit config file (--config)
+ * @param {string} [options.cwd] - Directory to discover a config file in
+ * @returns {Promise<object>} Effective config with `source` set to the file used
+ */
+export async function loadConfig(options = {}) {
+  const configPath = options.configPath ?
+    resolve(options.configPath) :
+    await findConfigFile(options.cwd || process.cwd());
+
+  if (!configPath) {
+    return { ...mergeConfig(DEFAULT_CONFIG), source: null };
+  }
+
+  const userConfig = validateConfig(await readConfigFile(configPath), configPath);
+
+  // User ignores extend the defaults; plugin, list, advisory, server root, cache and history paths are relative to the config file
+  const config = mergeConfig(DEFAULT_CONFIG, userConfig);
+  config.ignore = [...new Set([...DEFAULT_CONFIG.ignore, ...(userConfig.ignore || [])])];
+  config.analyzers.plugins = config.analyzers.plugins.map(p => resolve(dirname(configPath), p));
+  config.reputation.lists = config.reputation.lists.map(p => resolve(dirname(configPath), p));
+  config.server.roots = config.server.roots.map(p => resolve(dirname(configPath), p));
+  if (config.dependencies.advisoryDb) {
+    config.dependencies.advisoryDb = resolve(dirname(configPath), config.dependencies.advisoryDb);
+  }
+  if (config.cache.dir) {
+    config.cache.dir = resolve(dirname(configPath), config.cache.dir);
+  }
+  if (config.history.file) {
+    config.history.file = resolve(dirname(configPath), config.history.file);
+  }
+  config.source = configPath;
+
+  return config;
+}
+
+/**
+ * Calculate letter grade from score using configured cutoffs
+ * @param {number} score
+ * @param {object} grades - Cutoffs for A-D
+ * @returns {string}
+ */
+export function calculateGrade(score, grades = DEFAULT_CONFIG.grades) {
+  if (score >= grades.A) return 'A';
+  if (score >= grades.B) return 'B';
+  if (score >= grades.C) return 'C';
+  if (score >= grades.D) return 'D';
+  return 'F';
+}
+
+/**
+ * Exit code for a grade: 0 at or above minGrade, 1 below, unless overridden
+ * @param {string} grade
+ * @param {object} config
+ * @returns {number}
+ */
+export function exitCodeFor(grade, config = DEFAULT_CONFIG) {
+  if (config.exitCodes?.[grade] !== undefined) {
+    return config.exitCodes[grade];
+  }
+  const minGrade = config.minGrade || DEFAULT_CONFIG.minGrade;
+  return GRADES.indexOf(grade) !== -1 && GRADES.indexOf(grade) <= GRADES.indexOf(minGrade) ? 0 : 1;
+}
+
+export default { loadConfig, validateConfig, mergeConfig, redactConfig, calculateGrade, exitCodeFor, DEFAULT_CONFIG };
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Skill Diff
+ * Compares two scans of a skill: score deltas, findings, new capabilities
+ */
+
+import { scoreSkill } from './scorer.js';
+import { collectFindings } from './findings.js';
+import { inferCapabilities } from './analyzers/capabilities.js';
+import { BUILTIN_ANALYZERS } from './registry.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { git } from './git.js';
+
+// Capability evidence types worth a look when they appear in an upgrade
+const CAPABILITY_KINDS = { network: 'network', subprocess: 'exec' };
+
+/**
+ * Find lines that make network calls or run subprocesses
+ * @param {string} skillPath
+ * @param {Array<string>} ignore
+ * @returns {Promise<Array<{kind: string, file: string, line: number, snippet: string}>>}
+ */
+export async function scanCapabilities(skillPath, ignore) {
+  const { evidence } = await inferCapabilities(skillPath, ignore);
+  const seen = new Set();
+  const capabilities = [];
+
+  // One entry per kind and line, however many hosts or commands it names
+  evidence.forEach(({ type, file, line, snippet }) => {
+    const kind = CAPABILITY_KINDS[type];
+    const key = `${kind}:${file}:${line}`;
+    if (!kind || seen.has(key)) return;
+    seen.add(key);
+    capabilities.push({ kind, file, line, snippet });
+  });
+
+  return capabilities;
+}
+
+/**
+ * Whether a skill directory is in a git work tree with at least one commit
+ * @param {string} skillPath
+ * @returns {Promise<boolean>}
+ */
+async function hasGitHistory(skillPath) {
+  try {
+    await git(['rev-parse', '--verify', '--quiet', 'HEAD'], { cwd: skillPath });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Score options with git-history analyzers and the history secret scan left out
+ * @param {object} scoreOptions
+ * @returns {{scoreOptions: object, excluded: Array<string>}}
+ */
+function withoutGitHistory(scoreOptions) {
+  const config = scoreOptions.config || DEFAULT_CONFIG;
+  const all = scoreOptions.analyzers || BUILTIN_ANALYZERS;
+  const analyzers = all.filter(analyzer => !analyzer.gitHistory);
+  const weights = Object.fromEntries(Object.entries(scoreOptions.weights ?? config.analyzers.weights)
+    .filter(([name]) => analyzers.some(analyzer => analyzer.name === name)));
+
+  return {
+    scoreOptions: {
+      ...scoreOptions,
+      analyzers,
+      weights,
+      config: { ...config, secrets: { ...config.secrets, history: false } }
+    },
+    excluded: all.filter(analyzer => analyzer.gitHistory).map(analyzer => analyzer.name)
+  };
+}
+
+/**
+ * Split two lists into added / removed / unchanged by a key
+ * Line numbers are not part of the key, so code that only moved matches.
+ * Duplicates are matched one for one.
+ * @param {Array<object>} before
+ * @param {Array<object>} after
+ * @param {Function} keyOf
+ * @returns {{added: Array<object>, removed: Array<object>, unchanged: Array<object>}}
+ */
+function matchBy(before, after, keyOf) {
+  const remaining = new Map();
+  before.forEach(item => {
+    const key = keyOf(item);
+    remaining.set(key, [...(remaining.get(key) || []), item]);
+  });
+
+  const added = [];
+  const unchanged = [];
+  after.forEach(item => {
+    const matches = remaining.get(keyOf(item));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      unchanged.push(item);
+    } else {
+      added.push(item);
+    }
+  });
+
+  return { added, removed: [...remaining.values()].flat(), unchanged };
+}
+
+const findingKey = finding =>
+  [finding.category, finding.rule, finding.file, finding.snippet || finding.message].join('\0');
+
+const capabilityKey = capability => [capability.kind, capability.file, capability.snippet].join('\0');
+
+/**
+ * Summarize a scan for the diff header
+ * @param {object} result
+ * @returns {object}
+ */
+function summarize(result) {
+  return {
+    skill: result.skill,
+    path: result.path,
+    ...(result.source ? { source: result.source } : {}),
+    overallScore: result.overallScore,
+    grade: result.grade,
+    policy: result.policy
+  };
+}
+
+/**
+ * Compare two scoreSkill results
+ * @param {object} before - Result for the old version
+ * @param {object} after - Result for the new version
+ * @param {object} capabilities - { before, after } from scanCapabilities
+ * @param {Array<string>} excluded - Analyzers left out of both scans
+ * @returns {object}
+ */
+export function diffResults(before, after, capabilities = { before: [], after: [] }, excluded = []) {
+  const names = [...new Set([...Object.keys(before.breakdown), ...Object.keys(after.breakdown)])];
+  const categories = Object.fromEntries(names.map(name => {
+    const old = before.breakdown[name];
+    const current = after.breakdown[name];
+    return [name, {
+      label: (current || old).label || name,
+      before: old ? old.score : null,
+      after: current ? current.score : null,
+      max: (current || old).max,
+      delta: old && current ? current.score - old.score : null
+    }];
+  }));
+
+  const findings = matchBy(collectFindings(before), collectFindings(after), findingKey);
+  const capabilityChanges = matchBy(capabilities.before, capabilities.after, capabilityKey);
+  const byKind = (list, kind) => list.filter(item => item.kind === kind);
+  const secrets = list => list.filter(finding => String(finding.rule).startsWith('secret-'));
+  // Matched by id, so a recommendation whose count changed is the same one
+  const recommendations = matchBy(before.recommendations, after.recommendations, rec => `${rec.category}:${rec.id}`);
+
+  return {
+    before: summarize(before),
+    after: summarize(after),
+    overall: {
+      before: before.overallScore,
+      after: after.overallScore,
+      delta: after.overallScore - before.overallScore
+    },
+    categories,
+    findings: {
+      added: findings.added,
+      resolved: findings.removed,
+      unchanged: findings.unchanged
+    },
+    capabilities: {
+      added: {
+        network: byKind(capabilityChanges.added, 'network'),
+        exec: byKind(capabilityChanges.added, 'exec'),
+        secrets: secrets(findings.added)
+      },
+      removed: {
+        network: byKind(capabilityChanges.removed, 'network'),
+        exec: byKind(capabilityChanges.removed, 'exec'),
+        secrets: secrets(findings.removed)
+      }
+    },
+    recommendations: {
+      added: recommendations.added,
+      removed: recommendations.removed
+    },
+    excluded
+  };
+}
+
+/**
+ * Score two loaded skills and compare them
+ * Both sides are scored under the same name so reputation lookups match.
+ * When only one side is a git checkout (e.g. a `#ref` export against the
+ * work tree), git-history analyzers are left out of both scans so the diff
+ * doesn't report the missing history as a change.
+ * @param {object} before - Loaded skill ({ path, name, directory, source })
+ * @param {object} after - Loaded skill
+ * @param {object} [options] - scoreSkill options, plus `name`
+ * @returns {Promise<object>}
+ */
+export async function diffSkills(before, after, options = {}) {
+  const { name, ...baseOptions } = options;
+  const skillName = name || after.name;
+  const ignore = baseOptions.config?.ignore;
+  const [oldHistory, newHistory] = await Promise.all([hasGitHistory(before.path), hasGitHistory(after.path)]);
+  const { scoreOptions, excluded } = oldHistory === newHistory ?
+    { scoreOptions: baseOptions, excluded: [] } :
+    withoutGitHistory(baseOptions);
+
+  // Sequential, so the two scans don't fight over the CPU or the cache
+  const beforeResult = await scoreSkill(before.path, skillName, {
+    ...scoreOptions, source: before.source, directory: before.directory
+  });
+  const afterResult = await scoreSkill(after.path, skillName, {
+    ...scoreOptions, source: after.source, directory: after.directory
+  });
+
+  return diffResults(beforeResult, afterResult, {
+    before: await scanCapabilities(before.path, ignore),
+    after: await scanCapabilities(after.path, ignore)
+  }, excluded);
+}
+
+export default { diffSkills, diffResults, scanCapabilities };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Findings Collector
+ * Gathers per-location findings from every analyzer in a result
+ */
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Recursively collect `findings` arrays from analyzer details
+ * @param {object} details
+ * @param {string} source - Key path of the current object
+ * @param {Array<object>} found
+ * @returns {Array<object>}
+ */
+function walk(details, source, found) {
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return found;
+  }
+
+  for (const [key, value] of Object.entries(details)) {
+    const path = source ? `${source}.${key}` : key;
+    if (key === 'findings' && Array.isArray(value)) {
+      value.forEach(finding => found.push({ ...finding, source }));
+    } else {
+      walk(value, path, found);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Collect all findings in a scoreSkill result, most severe first
+ * Each finding gains `category` (analyzer name) and `source` (details key path).
+ * @param {object} result - scoreSkill result
+ * @returns {Array<object>}
+ */
+export function collectFindings(result) {
+  const findings = [];
+
+  for (const [category, entry] of Object.entries(result.breakdown || {})) {
+    walk(entry.details, '', []).forEach(finding => {
+      findings.push({ category, ...finding });
+    });
+  }
+
+  const rank = severity => {
+    const index = SEVERITY_ORDER.indexOf(severity);
+    return index === -1 ? SEVERITY_ORDER.length : index;
+  };
+
+  return findings.sort((a, b) =>
+    rank(a.severity) - rank(b.severity) ||
+    String(a.file).localeCompare(String(b.file)) ||
+    (a.line || 0) - (b.line || 0)
+  );
+}
+
+export default { collectFindings };
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Git
+ * Runs git against repositories the scorecard does not trust. A scanned
+ * skill can ship a .git/config whose gpg.program, core.fsmonitor or hooks
+ * run arbitrary commands, so every call overrides the settings that start
+ * programs and, by default, ignores system and global config too.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Settings that make git run a program; -c beats every config file
+const SAFE_CONFIG = [
+  'core.fsmonitor=false',
+  'core.hooksPath=/dev/null',
+  'core.pager=cat',
+  'gpg.program=false',
+  'gpg.ssh.program=false',
+  'gpg.x509.program=false',
+  'diff.external=',
+  'protocol.ext.allow=never',
+  // Don't pick up bare repositories planted inside the skill
+  'safe.bareRepository=explicit'
+].flatMap(setting => ['-c', setting]);
+
+/**
+ * Run git with program-running settings disabled
+ * @param {Array<string>} args - Arguments after `git`
+ * @param {object} [options]
+ * @param {string} [options.cwd]
+ * @param {number} [options.maxBuffer]
+ * @param {boolean} [options.userConfig] - Keep the user's global config (credentials, url rewrites) for clones
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export function git(args, { cwd, maxBuffer = 10 * 1024 * 1024, userConfig = false } = {}) {
+  const env = {
+    ...process.env,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_TERMINAL_PROMPT: '0',
+    ...(userConfig ? {} : { GIT_CONFIG_GLOBAL: '/dev/null' })
+  };
+  return execFileAsync('git', [...SAFE_CONFIG, ...args], { cwd, maxBuffer, env });
+}
+
+export default { git };
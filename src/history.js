@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Score History
+ * Append-only JSONL log of every scan, for trends and regression checks
+ */
+
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+/**
+ * Default history file ($XDG_DATA_HOME or ~/.local/share)
+ * @returns {string}
+ */
+export function defaultHistoryFile() {
+  const dataHome = process.env.XDG_DATA_HOME || join(homedir(), '.local', 'share');
+  return join(dataHome, 'skill-scorecard', 'history.jsonl');
+}
+
+/**
+ * Best available version for a scanned skill
+ * Registry versions win, then the skill's own version file, then the git commit.
+ * @param {object} result - scoreSkill result
+ * @returns {string|null}
+ */
+export function skillVersion(result) {
+  const source = result.source || {};
+  if (source.type === 'clawhub' && source.resolved) {
+    return source.resolved;
+  }
+
+  const declared = result.breakdown?.maintenance?.details?.version?.version;
+  if (declared) {
+    return declared;
+  }
+
+  if ((source.type === 'git' || source.type === 'git-ref') && source.resolved) {
+    return source.resolved.slice(0, 12);
+  }
+  return null;
+}
+
+/**
+ * Condense a scoreSkill result into a history entry
+ * @param {object} result
+ * @returns {object}
+ */
+export function toHistoryEntry(result) {
+  return {
+    skill: result.skill,
+    version: skillVersion(result),
+    scannedAt: result.scannedAt,
+    overallScore: result.overallScore,
+    grade: result.grade,
+    categories: Object.fromEntries(Object.entries(result.breakdown).map(([name, entry]) => [
+      name,
+      { label: entry.label, score: entry.score, max: entry.max }
+    ])),
+    ...(result.source ? { source: result.source.spec } : {}),
+    ...(result.cache?.treeHash ? { treeHash: result.cache.treeHash } : {})
+  };
+}
+
+/**
+ * Read every entry for a skill, oldest first
+ * @param {string} file - History file path
+ * @param {string|null} skill - Skill name (null = all skills)
+ * @returns {Promise<Array<object>>}
+ */
+export async function readHistory(file, skill = null) {
+  let content;
+  try {
+    content = await readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Cannot read history file ${file}: ${error.message}`);
+  }
+
+  const entries = [];
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (skill === null || entry.skill === skill) {
+        entries.push(entry);
+      }
+    } catch {
+      // A torn write from an interrupted run; skip the line
+    }
+  });
+
+  return entries.sort((a, b) => a.scannedAt.localeCompare(b.scannedAt));
+}
+
+/**
+ * Record scans in the history file
+ * @param {string} file - History file path
+ * @param {Array<object>} results - scoreSkill results
+ */
+export async function recordScans(file, results) {
+  if (results.length === 0) return;
+  try {
+    await mkdir(dirname(file), { recursive: true });
+    await appendFile(file, results.map(result => JSON.stringify(toHistoryEntry(result)) + '\n').join(''));
+  } catch (error) {
+    throw new Error(`Cannot write history file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Compare a result with the last recorded scan of the same skill
+ * @param {object} result - scoreSkill result
+ * @param {Array<object>} entries - History for that skill, oldest first
+ * @param {number} maxDrop - Largest score drop that isn't a regression
+ * @returns {object|null} null when there is no earlier scan
+ */
+export function compareWithPrevious(result, entries, maxDrop) {
+  const previous = entries[entries.length - 1];
+  if (!previous) return null;
+
+  const delta = result.overallScore - previous.overallScore;
+  return {
+    previousScore: previous.overallScore,
+    previousGrade: previous.grade,
+    previousVersion: previous.version,
+    previousScannedAt: previous.scannedAt,
+    delta,
+    regressed: -delta > maxDrop
+  };
+}
+
+export default { readHistory, recordScans, compareWithPrevious, skillVersion, defaultHistoryFile };
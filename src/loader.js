@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+/**
+ * Skill Loader
+ * Resolves a skill source (directory, archive, git URL, ClawHub spec)
+ * into a local directory ready for scoreSkill
+ */
+
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { mkdir, mkdtemp, readdir, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, join, resolve } from 'path';
+import { git as runGit } from './git.js';
+
+const execFileAsync = promisify(execFile);
+
+export const DEFAULT_REGISTRY = 'https://clawhub.ai';
+
+const ARCHIVE_PATTERN = /\.(tar\.gz|tgz|zip)$/i;
+// Archives that unpack past these are refused before anything is written
+export const DEFAULT_MAX_EXTRACTED_BYTES = 200 * 1024 * 1024;
+export const DEFAULT_MAX_ARCHIVE_ENTRIES = 10000;
+
+// Fixed name an archive's top-level folder is moved to
+const UNWRAPPED_DIR = 'skill';
+const KNOWN_GIT_HOSTS = /^https?:\/\/(?:www\.)?(?:github\.com|gitlab\.com|bitbucket\.org|codeberg\.org)\//i;
+
+/**
+ * Work out what kind of source a spec is
+ * An existing directory is always local, whatever its name looks like.
+ * @param {string} spec
+ * @returns {Promise<'clawhub'|'git'|'remote-archive'|'git-ref'|'local'>}
+ */
+export async function detectSourceType(spec) {
+  if (await stat(spec).then(info => info.isDirectory(), () => false)) return 'local';
+  if (spec.startsWith('clawhub:')) return 'clawhub';
+
+  const [location] = spec.split('#');
+  if (location.startsWith('git+') || location.startsWith('git@') ||
+      /^(?:git|ssh|file):\/\//.test(location) || /\.git\/?$/.test(location) ||
+      KNOWN_GIT_HOSTS.test(location)) {
+    return 'git';
+  }
+
+  if (/^https?:\/\//.test(location)) {
+    if (ARCHIVE_PATTERN.test(new URL(location).pathname)) return 'remote-archive';
+    throw new Error(`Unsupported URL (expected a git repository or .tar.gz/.zip archive): ${spec}`);
+  }
+
+  // ./skill#v1.2.0 is a directory in a local git work tree at another ref
+  if (spec.includes('#')) return 'git-ref';
+
+  return 'local';
+}
+
+/**
+ * Parse a clawhub:<name>@<version> spec
+ * @param {string} spec
+ * @returns {{name: string, version: string|null}}
+ */
+export function parseClawhubSpec(spec) {
+  const body = spec.slice('clawhub:'.length);
+  // Allow scoped names like @org/skill@1.0.0
+  const at = body.lastIndexOf('@');
+  const name = at > 0 ? body.slice(0, at) : body;
+  const version = at > 0 ? body.slice(at + 1) : null;
+
+  if (!name || !/^[@a-zA-Z0-9._/-]+$/.test(name)) {
+    throw new Error(`Invalid ClawHub spec "${spec}" (expected clawhub:<name>[@<version>])`);
+  }
+  return { name, version: version || null };
+}
+
+/**
+ * Fetch with a timeout, throwing on HTTP errors
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @returns {Promise<Response>}
+ */
+async function fetchOk(url, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    throw new Error(`Request to ${url} failed: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed: HTTP ${response.status}`);
+  }
+  return response;
+}
+
+/**
+ * Run a command and stop it as soon as its output passes a limit
+ * @param {string} command
+ * @param {Array<string>} args
+ * @param {number} limit
+ * @param {Function} measure - (chunk) => how much a chunk of stdout counts for
+ * @returns {Promise<boolean>} false when the limit was passed
+ */
+function withinLimit(command, args, limit, measure) {
+  return new Promise((resolvePromise, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let total = 0;
+    let stderr = '';
+    child.stdout.on('data', chunk => {
+      total += measure(chunk);
+      if (total > limit) {
+        child.kill();
+        resolvePromise(false);
+      }
+    });
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (total > limit) return;
+      if (code === 0) {
+        resolvePromise(true);
+      } else {
+        reject(Object.assign(new Error(`${command} exited with code ${code}`), { stderr }));
+      }
+    });
+  });
+}
+
+/**
+ * Extract an archive into a directory, detecting zip vs gzip by magic bytes
+ * The entry list and the unpacked contents are streamed and counted first, so
+ * an archive bomb is refused before it reaches the disk. Any .git or symlink
+ * inside the archive is removed.
+ * @param {string} archivePath
+ * @param {string} dest
+ * @param {object} [limits]
+ * @param {number} [limits.maxBytes] - Largest total size of the unpacked files
+ * @param {number} [limits.maxEntries] - Most files and directories in the archive
+ */
+async function extractArchive(archivePath, dest, limits = {}) {
+  const { maxBytes = DEFAULT_MAX_EXTRACTED_BYTES, maxEntries = DEFAULT_MAX_ARCHIVE_ENTRIES } = limits;
+  const header = (await readFile(archivePath)).subarray(0, 4);
+  const isZip = header[0] === 0x50 && header[1] === 0x4b; // "PK"
+  const tool = isZip ? 'unzip' : 'tar';
+  const countLines = chunk => chunk.reduce((lines, byte) => lines + (byte === 0x0a ? 1 : 0), 0);
+
+  let tooBig;
+  try {
+    if (!await withinLimit(tool, isZip ? ['-Z1', archivePath] : ['-tzf', archivePath], maxEntries, countLines)) {
+      tooBig = `more than ${maxEntries} entries`;
+    } else if (!await withinLimit(tool, isZip ? ['-p', archivePath] : ['-xzOf', archivePath], maxBytes, chunk => chunk.length)) {
+      tooBig = `more than ${maxBytes} bytes`;
+    } else if (isZip) {
+      await execFileAsync('unzip', ['-q', '-o', archivePath, '-d', dest]);
+    } else {
+      await execFileAsync('tar', ['-xzf', archivePath, '-C', dest]);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${tool} is required to extract ${basename(archivePath)}`);
+    }
+    throw new Error(`Failed to extract ${basename(archivePath)}: ${error.stderr?.trim() || error.message}`);
+  }
+  if (tooBig) {
+    throw new Error(`${basename(archivePath)} unpacks to ${tooBig}; refusing to extract it`);
+  }
+  await sanitizeExtracted(dest);
+}
+
+/**
+ * Remove git metadata and symlinks shipped inside an extracted archive
+ * A packed .git carries its own config (gpg.program, hooks, fsmonitor) and
+ * history nobody can vouch for, and a symlink can point the analyzers at
+ * files outside the skill, so archives are always scanned as plain files.
+ * @param {string} dir
+ */
+async function sanitizeExtracted(dir) {
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.name === '.git' || entry.isSymbolicLink()) {
+      await rm(path, { recursive: true, force: true });
+    } else if (entry.isDirectory()) {
+      await sanitizeExtracted(path);
+    }
+  }
+}
+
+/**
+ * Archives usually wrap everything in one top-level directory; descend into it
+ * The folder is renamed to a fixed name first: its real name is chosen by
+ * whoever built the archive, so it is only kept as display metadata and never
+ * ends up in a path handed to other tools.
+ * @param {string} dir
+ * @returns {Promise<{path: string, directory: string|null}>} directory is the original folder name
+ */
+async function unwrapSingleDirectory(dir) {
+  const entries = (await readdir(dir, { withFileTypes: true }))
+    .filter(entry => entry.name !== '__MACOSX');
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    const path = join(dir, UNWRAPPED_DIR);
+    await rename(join(dir, entries[0].name), path);
+    return { path, directory: entries[0].name };
+  }
+  return { path: dir, directory: null };
+}
+
+/**
+ * Run git, keeping the user's config so clones can use their credentials
+ * @param {Array<string>} args
+ * @param {string} [cwd]
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function git(args, cwd) {
+  return runGit(args, { cwd, userConfig: true });
+}
+
+/**
+ * Refuse a ref git would read as an option
+ * @param {string} ref - Ref from a spec's #fragment
+ * @param {string} spec
+ * @returns {string} The ref
+ */
+function checkRef(ref, spec) {
+  if (ref.startsWith('-')) {
+    throw new Error(`Invalid git ref "${ref}" in ${spec}: refs cannot start with "-"`);
+  }
+  return ref;
+}
+
+/**
+ * Clone a git repository at an optional ref
+ * @param {string} url
+ * @param {string|null} ref
+ * @param {string} dest
+ * @returns {Promise<string>} Resolved commit hash
+ */
+async function cloneGit(url, ref, dest) {
+  try {
+    try {
+      // Fast path: shallow clone of a branch or tag
+      await git(['clone', '--quiet', '--depth', '1', ...(ref ? ['--branch', ref] : []), '--', url, dest]);
+    } catch (error) {
+      if (!ref) throw error;
+      // Refs like commit hashes need a full clone + checkout
+      await rm(dest, { recursive: true, force: true });
+      await git(['clone', '--quiet', '--', url, dest]);
+      await git(['checkout', '--quiet', ref], dest);
+    }
+    const { stdout } = await git(['rev-parse', 'HEAD'], dest);
+    return stdout.trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('git is required to load skills from git URLs');
+    }
+    throw new Error(`Failed to clone ${url}${ref ? `#${ref}` : ''}: ${error.stderr?.trim() || error.message}`);
+  }
+}
+
+/**
+ * Export a directory of a local git work tree as it was at a ref
+ * Works for skills in a subdirectory of a larger repository.
+ * @param {string} dir - Directory inside the work tree
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} dest - Directory to extract into
+ * @param {string} workspace - Scratch directory for the archive
+ * @returns {Promise<string>} Resolved commit hash
+ */
+async function exportGitRef(dir, ref, dest, workspace) {
+  let root;
+  let prefix;
+  try {
+    [root, prefix = ''] = (await git(['rev-parse', '--show-toplevel', '--show-prefix'], dir)).stdout.split('\n');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('git is required to load skills at a git ref');
+    }
+    throw new Error(`${dir} is not inside a git work tree`);
+  }
+
+  let commit;
+  try {
+    commit = (await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], dir)).stdout.trim();
+  } catch {
+    throw new Error(`Unknown git ref "${ref}" in ${dir}`);
+  }
+
+  const archivePath = join(workspace, 'export.tar');
+  try {
+    // Archive from the top level: inside a subdirectory git limits the archive to it
+    await git(['archive', '--format=tar', '-o', archivePath, `${commit}:${prefix}`], root);
+  } catch (error) {
+    throw new Error(`${prefix || dir} does not exist at ${ref}: ${error.stderr?.trim() || error.message}`);
+  }
+  await mkdir(dest);
+  await execFileAsync('tar', ['-xf', archivePath, '-C', dest]);
+  return commit;
+}
+
+/**
+ * Download a URL to a file
+ * @param {string} url
+ * @param {string} dest
+ * @param {number} timeoutMs
+ */
+async function download(url, dest, timeoutMs) {
+  const response = await fetchOk(url, timeoutMs);
+  await writeFile(dest, Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Load a skill from any supported source
+ *
+ * Supported specs:
+ *   ./path/to/skill                     local directory (used in place)
+ *   ./skill.tar.gz | ./skill.zip        local archive
+ *   ./path/to/skill#ref                 local git work tree at a branch/tag/commit
+ *   https://host/skill.tar.gz           remote archive
+ *   https://github.com/org/repo.git#ref git URL with optional ref
+ *   clawhub:<name>[@<version>]          ClawHub registry
+ *
+ * `name` is the display name (from the spec); `directory` is the name of the
+ * skill's own directory (the archive's top-level folder, the repository or
+ * the ClawHub name), or null when an archive has no top-level folder.
+ *
+ * @param {string} spec
+ * @param {object} [options]
+ * @param {string} [options.registry] - ClawHub registry base URL
+ * @param {number} [options.timeoutMs] - Network timeout
+ * @param {number} [options.maxExtractedBytes] - Largest total size an archive may unpack to
+ * @param {number} [options.maxArchiveEntries] - Most entries an archive may hold
+ * @returns {Promise<{path: string, name: string, directory: string|null, source: object, cleanup: Function}>}
+ */
+export async function loadSkill(spec, options = {}) {
+  const registry = (options.registry || process.env.CLAWHUB_REGISTRY || DEFAULT_REGISTRY).replace(/\/+$/, '');
+  const timeoutMs = options.timeoutMs || 30000;
+  const limits = { maxBytes: options.maxExtractedBytes, maxEntries: options.maxArchiveEntries };
+  const type = await detectSourceType(spec);
+
+  // Local directories are scanned in place
+  if (type === 'local') {
+    const fullPath = resolve(spec);
+    let info;
+    try {
+      info = await stat(fullPath);
+    } catch {
+      throw new Error(`Skill path not found: ${fullPath}`);
+    }
+
+    if (info.isDirectory()) {
+      return {
+        path: fullPath,
+        name: basename(fullPath),
+        directory: basename(fullPath),
+        source: { type: 'directory', spec, resolved: null },
+        cleanup: async () => {}
+      };
+    }
+    if (!ARCHIVE_PATTERN.test(fullPath)) {
+      throw new Error(`Not a skill directory or .tar.gz/.zip archive: ${fullPath}`);
+    }
+  }
+
+  // Everything else is staged into a temp workspace
+  const workspace = await mkdtemp(join(tmpdir(), 'skill-scorecard-'));
+  const cleanup = () => rm(workspace, { recursive: true, force: true });
+  const stage = join(workspace, 'skill');
+
+  try {
+    if (type === 'local') {
+      const fullPath = resolve(spec);
+      await mkdir(stage);
+      await extractArchive(fullPath, stage, limits);
+      const { path, directory } = await unwrapSingleDirectory(stage);
+      return {
+        path,
+        name: basename(fullPath).replace(ARCHIVE_PATTERN, ''),
+        directory,
+        source: { type: 'archive', spec, resolved: null },
+        cleanup
+      };
+    }
+
+    if (type === 'remote-archive') {
+      const archivePath = join(workspace, 'download');
+      await download(spec, archivePath, timeoutMs);
+      await mkdir(stage);
+      await extractArchive(archivePath, stage, limits);
+      const { path, directory } = await unwrapSingleDirectory(stage);
+      return {
+        path,
+        name: basename(new URL(spec).pathname).replace(ARCHIVE_PATTERN, ''),
+        directory,
+        source: { type: 'archive', spec, resolved: null },
+        cleanup
+      };
+    }
+
+    if (type === 'git-ref') {
+      const at = spec.lastIndexOf('#');
+      const dir = resolve(spec.slice(0, at));
+      const ref = spec.slice(at + 1);
+      if (!ref) {
+        throw new Error(`Missing git ref after "#" in ${spec}`);
+      }
+      const commit = await exportGitRef(dir, checkRef(ref, spec), stage, workspace);
+      return {
+        path: stage,
+        name: basename(dir),
+        directory: basename(dir),
+        source: { type: 'git-ref', spec, path: dir, ref, resolved: commit },
+        cleanup
+      };
+    }
+
+    if (type === 'git') {
+      const [location, ref = null] = spec.split('#');
+      const url = location.replace(/^git\+/, '');
+      const commit = await cloneGit(url, ref && checkRef(ref, spec), stage);
+      const repoName = basename(url.replace(/\/+$/, '')).replace(/\.git$/, '');
+      return {
+        path: stage,
+        name: repoName,
+        directory: repoName,
+        source: { type: 'git', spec, url, ref, resolved: commit },
+        cleanup
+      };
+    }
+
+    // ClawHub: resolve the version, then download its archive
+    const { name, version: requested } = parseClawhubSpec(spec);
+    let version = requested;
+    if (!version) {
+      const response = await fetchOk(`${registry}/api/skills/${encodeURIComponent(name)}`, timeoutMs);
+      const metadata = await response.json();
+      version = metadata.version || metadata.latestVersion;
+      if (!version) {
+        throw new Error(`ClawHub has no published version for "${name}"`);
+      }
+    }
+
+    const archivePath = join(workspace, 'download');
+    await download(
+      `${registry}/api/skills/${encodeURIComponent(name)}/${encodeURIComponent(version)}/download`,
+      archivePath,
+      timeoutMs
+    );
+    await mkdir(stage);
+    await extractArchive(archivePath, stage, limits);
+    const { path, directory } = await unwrapSingleDirectory(stage);
+
+    return {
+      path,
+      name: name.split('/').pop(),
+      directory: directory ?? name.split('/').pop(),
+      source: { type: 'clawhub', spec, registry, name, resolved: version },
+      cleanup
+    };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+export default { loadSkill, detectSourceType, parseClawhubSpec, DEFAULT_REGISTRY, DEFAULT_MAX_EXTRACTED_BYTES, DEFAULT_MAX_ARCHIVE_ENTRIES };
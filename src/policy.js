@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Policy Engine
+ * Declarative pass/warn/fail gates evaluated on a scored result
+ *
+ * A rule is { id, verdict: 'fail' | 'warn', description, when }, where
+ * `when` is one condition:
+ *   { findings: { severity, rule, category }, atLeast } - at least `atLeast`
+ *       (default 1) findings match; each field is a string or array of strings,
+ *       and a trailing "*" matches a prefix
+ *   { value: 'dot.path', equals | in | gt | gte | lt | lte: x } - a value in the result
+ *   { grade: 'failing' } - the grade misses minGrade (or exitCodes gives it a non-zero code)
+ *   { all: [conditions] } / { any: [conditions] }
+ */
+
+import { collectFindings } from './findings.js';
+import { DEFAULT_CONFIG, exitCodeFor } from './config.js';
+
+export const VERDICTS = ['pass', 'warn', 'fail'];
+
+// The grade gate keeps minGrade and exitCodes working as before
+const GRADE_RULE = 'min-grade';
+
+export const BUILTIN_RULES = [
+  {
+    id: GRADE_RULE,
+    verdict: 'fail',
+    description: 'Grade is below the minimum passing grade',
+    when: { grade: 'failing' }
+  },
+  {
+    id: 'critical-findings',
+    verdict: 'fail',
+    description: 'Critical findings',
+    when: { findings: { severity: 'critical' } }
+  },
+  {
+    id: 'malicious-reputation',
+    verdict: 'fail',
+    description: 'A reputation provider flags the skill as malicious',
+    when: { value: 'breakdown.security.details.reputation.status', equals: 'malicious' }
+  },
+  {
+    id: 'hardcoded-secrets',
+    verdict: 'fail',
+    description: 'Secrets in the skill or its git history',
+    when: { findings: { rule: 'secret-*', severity: ['critical', 'high'] } }
+  },
+  {
+    id: 'undeclared-network',
+    verdict: 'warn',
+    description: 'Network access not declared in SKILL.md permissions',
+    when: { findings: { rule: 'undeclared-network' } }
+  }
+];
+
+const OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  in: (actual, expected) => expected.includes(actual),
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected
+};
+
+/**
+ * Pick the most severe of a list of verdicts
+ * @param {Array<string>} verdicts
+ * @returns {string}
+ */
+export function worstVerdict(verdicts) {
+  return verdicts.reduce((worst, verdict) =>
+    VERDICTS.indexOf(verdict) > VERDICTS.indexOf(worst) ? verdict : worst, 'pass');
+}
+
+/**
+ * Check a value against a selector field (string, "prefix*" or array of those)
+ * @param {string|Array<string>|undefined} expected
+ * @param {*} actual
+ * @returns {boolean}
+ */
+function matchesField(expected, actual) {
+  if (expected === undefined) return true;
+  return [].concat(expected).some(pattern => pattern.endsWith('*') ?
+    String(actual ?? '').startsWith(pattern.slice(0, -1)) :
+    actual === pattern);
+}
+
+/**
+ * Read a dot path from an object
+ * @param {object} object
+ * @param {string} path
+ * @returns {*}
+ */
+function valueAt(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Evaluate a condition
+ * @param {object} condition
+ * @param {object} context - { result, findings, config }
+ * @returns {string|null} What matched, or null when the condition doesn't hold
+ */
+function evaluateCondition(condition, context) {
+  if (condition.all) {
+    const details = condition.all.map(inner => evaluateCondition(inner, context));
+    return details.every(detail => detail !== null) ? details.join('; ') : null;
+  }
+
+  if (condition.any) {
+    for (const inner of condition.any) {
+      const detail = evaluateCondition(inner, context);
+      if (detail !== null) return detail;
+    }
+    return null;
+  }
+
+  if (condition.findings) {
+    const selector = condition.findings;
+    const matches = context.findings.filter(finding =>
+      matchesField(selector.severity, finding.severity) &&
+      matchesField(selector.rule, finding.rule) &&
+      matchesField(selector.category, finding.category));
+    if (matches.length < (condition.atLeast ?? 1)) return null;
+
+    const shown = matches.slice(0, 3).map(finding =>
+      finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}` : finding.rule);
+    const more = matches.length > shown.length ? `, +${matches.length - shown.length} more` : '';
+    return `${matches.length} finding(s): ${shown.join(', ')}${more}`;
+  }
+
+  if (condition.value) {
+    const actual = valueAt(context.result, condition.value);
+    const [operator, expected] = Object.entries(condition).find(([key]) => OPERATORS[key]) || [];
+    if (!operator || actual === undefined || !OPERATORS[operator](actual, expected)) return null;
+    return `${condition.value} is ${JSON.stringify(actual)}`;
+  }
+
+  if (condition.grade === 'failing') {
+    const { result, config } = context;
+    if (exitCodeFor(result.grade, config) === 0) return null;
+    return `grade ${result.grade} (minimum ${config.minGrade || DEFAULT_CONFIG.minGrade})`;
+  }
+
+  return null;
+}
+
+/**
+ * Rules in effect: built-ins (unless turned off) followed by configured rules
+ * A configured rule with a built-in's id replaces it.
+ * @param {object} policyConfig - config.policy
+ * @returns {Array<object>}
+ */
+export function resolveRules(policyConfig = DEFAULT_CONFIG.policy) {
+  const custom = policyConfig.rules || [];
+  const builtins = policyConfig.defaults === false ? [] : BUILTIN_RULES
+    .filter(rule => !(policyConfig.disabled || []).includes(rule.id))
+    .filter(rule => !custom.some(other => other.id === rule.id));
+  return [...builtins, ...custom];
+}
+
+/**
+ * Evaluate the policy against a scored result
+ * @param {object} result - scoreSkill result
+ * @param {object} config - Effective config
+ * @returns {{verdict: string, fired: Array<object>, evaluated: Array<string>}}
+ */
+export function evaluatePolicy(result, config = DEFAULT_CONFIG) {
+  const rules = resolveRules(config.policy);
+  const context = { result, findings: collectFindings(result), config };
+  const fired = [];
+
+  rules.forEach(rule => {
+    const detail = evaluateCondition(rule.when, context);
+    if (detail !== null) {
+      fired.push({
+        id: rule.id,
+        verdict: rule.verdict,
+        description: rule.description || rule.id,
+        detail
+      });
+    }
+  });
+
+  // Failures first so reports lead with what blocks the skill
+  fired.sort((a, b) => VERDICTS.indexOf(b.verdict) - VERDICTS.indexOf(a.verdict));
+
+  return {
+    verdict: worstVerdict(fired.map(rule => rule.verdict)),
+    fired,
+    evaluated: rules.map(rule => rule.id)
+  };
+}
+
+/**
+ * Exit code for a scored result, from its verdict and policy.exitCodes
+ * A failure from the grade gate alone keeps the code exitCodes gives the
+ * grade, so minGrade and exitCodes work as they did before policies.
+ * @param {object} result - scoreSkill result (or diff summary) with `grade` and `policy`
+ * @param {object} config - Effective config
+ * @returns {number}
+ */
+export function policyExitCode(result, config = DEFAULT_CONFIG) {
+  if (!result.policy) {
+    return exitCodeFor(result.grade, config);
+  }
+
+  const codes = { ...DEFAULT_CONFIG.policy.exitCodes, ...config.policy?.exitCodes };
+  const { verdict, fired } = result.policy;
+  const gradeGateOnly = verdict === 'fail' && fired
+    .filter(rule => rule.verdict === 'fail')
+    .every(rule => rule.id === GRADE_RULE);
+
+  return gradeGateOnly ? exitCodeFor(result.grade, config) : codes[verdict];
+}
+
+export default { evaluatePolicy, policyExitCode, resolveRules, worstVerdict, BUILTIN_RULES, VERDICTS };
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Recommendations
+ * Shared shape for the fixes analyzers suggest, and remediation text per rule
+ *
+ * Analyzers return `recommendations` next to score/max/details, each built
+ * with recommend(): { id, severity, message, pointsRecoverable, findings,
+ * files, remediation }, with pointsRecoverable in the analyzer's own points.
+ * The scorer adds `category`, rescales pointsRecoverable to overall score
+ * points and sorts the list so the most valuable fixes come first.
+ */
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Remediation guidance per rule id; unknown rules fall back to the category
+export const RULE_REMEDIATION = {
+  'remote-script-pipe': 'Do not pipe downloaded scripts into a shell. Vendor the script or verify a pinned checksum before running it.',
+  'base64-exec': 'Remove the encoded payload and ship the code in readable form.',
+  'dynamic-eval': 'Replace eval/new Function/exec with explicit logic or a safe parser.',
+  'shell-injection': 'Pass arguments as an array (execFile/spawn without a shell) instead of interpolating them into a command string.',
+  'sensitive-file-write': 'Skills must not modify ~/.ssh or shell startup files.',
+  'obfuscated-string': 'Replace obfuscated strings with plain literals so the code can be reviewed.',
+  'instruction-override': 'Remove phrasing that tells the agent to ignore earlier instructions or hide actions from the user.',
+  'hidden-comment': 'Remove hidden HTML comments; everything the agent reads should be visible to reviewers.',
+  'hidden-unicode': 'Strip zero-width, bidirectional and Unicode tag characters from SKILL.md.',
+  'credential-exfiltration': 'Remove instructions that send credentials or environment variables anywhere.',
+  'remote-script': 'Remove instructions to download and run remote scripts; declare required binaries instead.',
+  'suspicious-link': 'Link to the canonical project site instead of paste sites or raw IP addresses.',
+  'undeclared-network': 'List every host the skill contacts under permissions.network in the SKILL.md frontmatter.',
+  'undeclared-filesystem': 'List paths outside the skill directory under permissions.filesystem.read or .write.',
+  'undeclared-exec': 'List the commands the skill runs under permissions.exec or metadata.openclaw.requires.bins.',
+  'undeclared-env': 'List the environment variables the skill reads under permissions.env or requires.env.',
+  'permissions-missing': 'Add a permissions block to the SKILL.md frontmatter declaring network, filesystem, exec and env use.',
+  'install-script': 'Remove the install script; do setup in code the user runs explicitly.',
+  'dependency-install-script': 'Check what the dependency\'s install script does, or install with --ignore-scripts.',
+  'remote-dependency': 'Depend on a published registry version instead of a git, URL or tarball source.',
+  'custom-index': 'Install from the default package index, or document why another index is needed.',
+  'unpinned-dependency': 'Pin an exact version or a bounded range, and commit a lockfile.',
+  'lockfile-missing': 'Commit the lockfile so installs are reproducible.',
+  'typosquat': 'Check the package name against the one you meant to install; add it to dependencies.allowlist if it is intended.',
+  'vulnerable-dependency': 'Upgrade the dependency to a version outside the advisory\'s affected range.',
+  'frontmatter-missing': 'Start SKILL.md with a --- block holding at least name and description.',
+  'frontmatter-invalid': 'Fix the YAML syntax of the frontmatter; quote values that contain colons or start with special characters.',
+  'name-missing': 'Add a name to the frontmatter matching the skill directory.',
+  'name-invalid': 'Use lowercase letters, digits and single hyphens for the name.',
+  'name-mismatch': 'Rename the skill directory or the frontmatter name so they match.',
+  'description-missing': 'Add a description saying what the skill does and when the agent should use it.',
+  'description-invalid': 'Make the description a single string.',
+  'description-placeholder': 'Replace the template description with what the skill does and when to use it.',
+  'description-short': 'Expand the description: what the skill does, and the requests it should be used for.',
+  'description-long': 'Shorten the description and move detail into the body of SKILL.md.',
+  'field-invalid': 'Fix the field\'s type: user-invocable and disable-model-invocation are true/false, homepage is an http(s) URL.',
+  'metadata-invalid': 'Fix metadata.openclaw to match the OpenClaw schema (requires.bins, requires.env, install[].kind, os).',
+  'body-empty': 'Add instructions after the frontmatter telling the agent how to use the skill.'
+};
+
+// Deleting a committed secret doesn't remove it from clones of the history
+const HISTORY_REMEDIATION = 'Rotate the exposed value, then rewrite the history (git filter-repo or BFG) and force-push.';
+
+const CATEGORY_REMEDIATION = {
+  security: 'Review this code and remove or justify the flagged behavior.',
+  documentation: 'Fix the SKILL.md frontmatter: it needs a name matching the skill directory and a description of what the skill does and when to use it.',
+  codeQuality: 'Move secrets to environment variables or a secret store and rotate the exposed value.'
+};
+
+/**
+ * Remediation text for a finding
+ * @param {object} finding
+ * @returns {string}
+ */
+export function remediationFor(finding) {
+  if (finding.remediation) return finding.remediation;
+  if (RULE_REMEDIATION[finding.rule]) return RULE_REMEDIATION[finding.rule];
+  if (String(finding.rule).startsWith('secret-') && finding.commit) return HISTORY_REMEDIATION;
+  if (String(finding.rule).startsWith('secret-')) return CATEGORY_REMEDIATION.codeQuality;
+  return CATEGORY_REMEDIATION[finding.category] || 'Review and address this finding.';
+}
+
+/**
+ * Rank of a severity, most severe first (unknown severities sort last)
+ * @param {string} severity
+ * @returns {number}
+ */
+function severityRank(severity) {
+  const index = SEVERITIES.indexOf(severity);
+  return index === -1 ? SEVERITIES.length : index;
+}
+
+/**
+ * Most severe severity among findings
+ * @param {Array<object>} findings
+ * @param {string} fallback - Used when there are no findings
+ * @returns {string}
+ */
+export function highestSeverity(findings, fallback = 'low') {
+  return findings.reduce((worst, finding) =>
+    severityRank(finding.severity) < severityRank(worst) ? finding.severity : worst, fallback);
+}
+
+/**
+ * Build a recommendation
+ * @param {object} fields
+ * @param {string} fields.id - Stable id; the finding rule when the fix maps to one
+ * @param {string} fields.severity - critical, high, medium or low
+ * @param {string} fields.message - One-line instruction
+ * @param {number} [fields.points] - Analyzer points the fix recovers
+ * @param {Array<object>} [fields.findings] - Findings the fix addresses
+ * @param {string|null} [fields.remediation] - Longer how-to, may hold a snippet to paste
+ * @returns {object}
+ */
+export function recommend({ id, severity, message, points = 0, findings = [], remediation = null }) {
+  return {
+    id,
+    severity,
+    message,
+    pointsRecoverable: points,
+    findings: findings.map(finding => ({
+      rule: finding.rule,
+      severity: finding.severity,
+      file: finding.file ?? null,
+      line: finding.line ?? null
+    })),
+    files: [...new Set(findings.map(finding => finding.file).filter(Boolean))],
+    remediation
+  };
+}
+
+/**
+ * One recommendation per rule that has findings
+ * @param {Array<object>} findings
+ * @param {object} messages - Map of rule id to (matches) => message
+ * @param {Function} pointsFor - (matches) => analyzer points recovered by fixing them
+ * @returns {Array<object>}
+ */
+export function recommendPerRule(findings, messages, pointsFor) {
+  return Object.entries(messages).flatMap(([rule, message]) => {
+    const matches = findings.filter(finding => finding.rule === rule);
+    if (matches.length === 0) return [];
+    return [recommend({
+      id: rule,
+      severity: highestSeverity(matches),
+      message: message(matches),
+      points: pointsFor(matches),
+      findings: matches,
+      remediation: remediationFor(matches[0])
+    })];
+  });
+}
+
+/**
+ * Analyzer points a recommendation claims, capped at the analyzer's gap
+ * @param {object|string} rec
+ * @param {number} gap - Points the analyzer is short of its max
+ * @returns {number}
+ */
+export function claimedPoints(rec, gap) {
+  const points = typeof rec === 'string' ? 0 : Number(rec.pointsRecoverable) || 0;
+  return Math.min(Math.max(points, 0), gap);
+}
+
+/**
+ * Bring an analyzer's recommendation into the result shape
+ * Plain strings (from older analyzer modules) become medium-severity
+ * recommendations with no points attached.
+ * @param {object|string} rec
+ * @param {string} category - Analyzer name
+ * @param {object} scale
+ * @param {number} scale.gap - Points the analyzer is short of its max
+ * @param {number} scale.factor - Overall score points per analyzer point
+ * @param {number} scale.share - Fraction of the capped points this one gets
+ *   when the analyzer's recommendations together claim more than the gap
+ * @returns {object}
+ */
+export function normalizeRecommendation(rec, category, { gap, factor, share = 1 }) {
+  const fields = typeof rec === 'string' ?
+    recommend({ id: rec.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60), severity: 'medium', message: rec }) :
+    rec;
+  const points = claimedPoints(fields, gap) * share;
+
+  return {
+    id: String(fields.id),
+    severity: fields.severity || 'medium',
+    category,
+    message: fields.message,
+    // Rounded down so the shares never add up to more than the gap
+    pointsRecoverable: Math.floor(points * factor * 10 + 1e-9) / 10,
+    findings: fields.findings || [],
+    files: fields.files || [],
+    remediation: fields.remediation ?? null
+  };
+}
+
+/**
+ * Sort recommendations: most points recoverable first, then by severity
+ * @param {Array<object>} recommendations
+ * @returns {Array<object>} A sorted copy
+ */
+export function sortRecommendations(recommendations) {
+  return [...recommendations].sort((a, b) =>
+    b.pointsRecoverable - a.pointsRecoverable || severityRank(a.severity) - severityRank(b.severity));
+}
+
+/**
+ * Whether a recommendation needs attention before the skill is used
+ * @param {object} rec
+ * @returns {boolean}
+ */
+export function isUrgent(rec) {
+  return rec.severity === 'critical' || rec.severity === 'high';
+}
+
+export default { recommend, recommendPerRule, claimedPoints, normalizeRecommendation, sortRecommendations, remediationFor, highestSeverity, isUrgent, SEVERITIES };
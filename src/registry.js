@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * Analyzer Registry
+ * Built-in analyzers plus third-party analyzer modules loaded by path
+ *
+ * An analyzer is an object with:
+ *   name     - key in the result breakdown (e.g. "security")
+ *   label    - display name (optional, defaults to name)
+ *   max      - maximum raw score the analyzer returns
+ *   analyze  - async (context) => ({ score, max, details, recommendations })
+ *   cacheable - result depends only on the skill's files and config (optional)
+ *   version  - bump to invalidate cached results (optional)
+ *   gitHistory - result depends on the skill's git history (optional); diff
+ *                leaves these out when only one side is a git checkout
+ *
+ * `recommendations` is optional; see recommendations.js for their shape.
+ *
+ * The context passed to analyze() is { skillName, directoryName, skillPath, config,
+ * cache, cacheKey }: skillName is the display name, directoryName the name of
+ * the skill's own directory (null when unknown).
+ * Cacheable analyzers are reused whole by the scorer; others may use
+ * context.cache (null when caching is off) for finer-grained reuse.
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { analyzeSecurity } from './analyzers/security.js';
+import { analyzeDocs } from './analyzers/docs.js';
+import { analyzeCode } from './analyzers/code.js';
+import { analyzeMaintenance } from './analyzers/maintenance.js';
+import { analyzeDependencies } from './analyzers/dependencies.js';
+
+/**
+ * Built-in analyzer options from the run config
+ * @param {object} context
+ * @param {string} name - Analyzer name (key under config.thresholds)
+ * @returns {{thresholds: object, ignore: Array<string>|undefined}}
+ */
+function optionsFor(context, name) {
+  return {
+    thresholds: context.config?.thresholds?.[name] || {},
+    ignore: context.config?.ignore
+  };
+}
+
+export const BUILTIN_ANALYZERS = [
+  {
+    name: 'security',
+    label: 'Security',
+    max: 40,
+    analyze: context => analyzeSecurity(context.skillName, context.skillPath, {
+      ...optionsFor(context, 'security'),
+      reputation: context.config?.reputation,
+      secrets: context.config?.secrets,
+      cache: context.cache,
+      cacheKey: context.cacheKey,
+      reputationTtlMs: (context.config?.cache?.reputationTtlHours ?? 24) * 60 * 60 * 1000
+    })
+  },
+  {
+    name: 'documentation',
+    label: 'Documentation',
+    max: 20,
+    cacheable: true,
+    version: 1,
+    analyze: context => analyzeDocs(context.skillPath, {
+      ...optionsFor(context, 'documentation'),
+      directoryName: context.directoryName
+    })
+  },
+  {
+    name: 'codeQuality',
+    label: 'Code Quality',
+    max: 20,
+    cacheable: true,
+    version: 4,
+    analyze: context => analyzeCode(context.skillPath, {
+      ...optionsFor(context, 'codeQuality'),
+      secrets: context.config?.secrets
+    })
+  },
+  {
+    name: 'maintenance',
+    label: 'Maintenance',
+    max: 20,
+    gitHistory: true,
+    // Depends on git history and today's date, so never cached
+    analyze: context => analyzeMaintenance(context.skillPath, optionsFor(context, 'maintenance'))
+  },
+  {
+    name: 'dependencies',
+    label: 'Dependencies',
+    max: 10,
+    // The advisory database can change between runs without the config changing
+    analyze: context => analyzeDependencies(context.skillPath, {
+      ignore: context.config?.ignore,
+      advisoryDb: context.config?.dependencies?.advisoryDb,
+      allowlist: context.config?.dependencies?.allowlist
+    })
+  }
+];
+
+/**
+ * Check that an object implements the analyzer interface
+ * @param {object} analyzer
+ * @param {string} source - Where the analyzer came from, for error messages
+ * @returns {object} The analyzer
+ */
+export function validateAnalyzer(analyzer, source = 'analyzer') {
+  if (!analyzer || typeof analyzer !== 'object') {
+    throw new Error(`${source}: analyzer must be an object`);
+  }
+  if (typeof analyzer.name !== 'string' || analyzer.name.length === 0) {
+    throw new Error(`${source}: analyzer "name" must be a non-empty string`);
+  }
+  if (typeof analyzer.max !== 'number' || !(analyzer.max > 0)) {
+    throw new Error(`${source}: analyzer "${analyzer.name}" must have a positive numeric "max"`);
+  }
+  if (typeof analyzer.analyze !== 'function') {
+    throw new Error(`${source}: analyzer "${analyzer.name}" must have an analyze(context) function`);
+  }
+  return analyzer;
+}
+
+/**
+ * Load analyzers from a module path
+ * The module's default export (or named `analyzers` / `analyzer` export)
+ * may be a single analyzer or an array of analyzers.
+ * @param {string} modulePath
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadAnalyzerModule(modulePath) {
+  const fullPath = resolve(modulePath);
+
+  let mod;
+  try {
+    mod = await import(pathToFileURL(fullPath).href);
+  } catch (error) {
+    throw new Error(`Failed to load analyzer module ${fullPath}: ${error.message}`);
+  }
+
+  const exported = mod.default ?? mod.analyzers ?? mod.analyzer;
+  const analyzers = Array.isArray(exported) ? exported : [exported];
+
+  return analyzers.map(analyzer => validateAnalyzer(analyzer, fullPath));
+}
+
+/**
+ * Create an analyzer registry
+ * @param {Array<object>} analyzers - Initial analyzers (defaults to built-ins)
+ * @returns {object}
+ */
+export function createRegistry(analyzers = BUILTIN_ANALYZERS) {
+  const entries = new Map();
+
+  const registry = {
+    /**
+     * Add an analyzer, replacing any with the same name
+     * @param {object} analyzer
+     */
+    register(analyzer) {
+      validateAnalyzer(analyzer);
+      entries.set(analyzer.name, analyzer);
+      return registry;
+    },
+
+    /**
+     * Load and register analyzers from a module path
+     * @param {string} modulePath
+     */
+    async load(modulePath) {
+      const loaded = await loadAnalyzerModule(modulePath);
+      loaded.forEach(analyzer => entries.set(analyzer.name, analyzer));
+      return registry;
+    },
+
+    get(name) {
+      return entries.get(name);
+    },
+
+    list() {
+      return [...entries.values()];
+    },
+
+    /**
+     * List analyzers, limited to the enabled names when given
+     * @param {Array<string>|null} enabled
+     * @returns {Array<object>}
+     */
+    select(enabled) {
+      if (!enabled) return registry.list();
+      const unknown = enabled.filter(name => !entries.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown analyzer(s) enabled: ${unknown.join(', ')} (available: ${[...entries.keys()].join(', ')})`);
+      }
+      return enabled.map(name => entries.get(name));
+    }
+  };
+
+  analyzers.forEach(analyzer => registry.register(analyzer));
+  return registry;
+}
+
+/**
+ * Resolve the weight of each analyzer, defaulting to its max
+ * @param {Array<object>} analyzers
+ * @param {object} [weights] - Map of analyzer name to points
+ * @returns {object} Map of analyzer name to weight
+ */
+export function resolveWeights(analyzers, weights = {}) {
+  const names = analyzers.map(analyzer => analyzer.name);
+
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!names.includes(name)) {
+      throw new Error(`Unknown analyzer in weights: "${name}" (available: ${names.join(', ')})`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Weight for "${name}" must be a non-negative number`);
+    }
+  }
+
+  const resolved = Object.fromEntries(
+    analyzers.map(analyzer => [analyzer.name, weights[analyzer.name] ?? analyzer.max])
+  );
+
+  if (Object.values(resolved).every(weight => weight === 0)) {
+    throw new Error('At least one analyzer must have a non-zero weight');
+  }
+
+  return resolved;
+}
+
+export default { createRegistry, loadAnalyzerModule, resolveWeights, BUILTIN_ANALYZERS };
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Badge Renderer
+ * Flat shields-style SVG badges showing a skill's score and grade
+ */
+
+// Same hues as the console grades: A green, B cyan, C yellow, D red, F dark red
+export const GRADE_COLORS = {
+  A: '#4c1',
+  B: '#1ba1c5',
+  C: '#dfb317',
+  D: '#e05d44',
+  F: '#b60205'
+};
+
+const UNKNOWN_COLOR = '#9f9f9f';
+
+// Space between badges rendered side by side
+const BADGE_GAP = 4;
+
+// Verdana 11px advance widths are close to 7px, narrower for thin glyphs
+const NARROW = /[ iIl.,:;!|'()[\]/-]/;
+const WIDE = /[mwMW@%]/;
+
+/**
+ * Approximate the rendered width of badge text
+ * @param {string} text
+ * @returns {number} Pixels
+ */
+function textWidth(text) {
+  return [...text].reduce((width, char) => {
+    if (NARROW.test(char)) return width + 3.5;
+    if (WIDE.test(char)) return width + 10;
+    return width + 7;
+  }, 0);
+}
+
+/**
+ * Escape text for SVG content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Lay out one two-part badge
+ * @param {object} badge - { label, message, color }
+ * @param {number} x - Left edge
+ * @param {number} index - Position, for unique clip path ids
+ * @returns {{width: number, svg: string}}
+ */
+function badgeGroup({ label, message, color = UNKNOWN_COLOR }, x, index) {
+  const labelWidth = Math.round(textWidth(label) + 10);
+  const messageWidth = Math.round(textWidth(message) + 10);
+  const width = labelWidth + messageWidth;
+  const text = (value, center) =>
+    `<text x="${center}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text>` +
+    `<text x="${center}" y="14">${escapeXml(value)}</text>`;
+
+  return {
+    width,
+    svg: `  <g transform="translate(${x})">
+    <clipPath id="r${index}"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+    <g clip-path="url(#r${index})">
+      <rect width="${labelWidth}" height="20" fill="#555"/>
+      <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${escapeXml(color)}"/>
+      <rect width="${width}" height="20" fill="url(#s)"/>
+    </g>
+    <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+      ${text(label, labelWidth / 2)}
+      ${text(message, labelWidth + messageWidth / 2)}
+    </g>
+  </g>`
+  };
+}
+
+/**
+ * Render badges side by side in one SVG
+ * @param {Array<object>} badges - { label, message, color } each
+ * @returns {string} SVG document
+ */
+export function renderBadges(badges) {
+  const groups = [];
+  let x = 0;
+  badges.forEach((badge, index) => {
+    const group = badgeGroup(badge, x, index);
+    groups.push(group.svg);
+    x += group.width + BADGE_GAP;
+  });
+  const width = x - BADGE_GAP;
+  const title = escapeXml(badges.map(badge => `${badge.label}: ${badge.message}`).join(', '));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+${groups.join('\n')}
+</svg>
+`;
+}
+
+/**
+ * Render a two-part badge
+ * @param {object} badge
+ * @param {string} badge.label - Left-hand text
+ * @param {string} badge.message - Right-hand text
+ * @param {string} badge.color - Right-hand background color
+ * @returns {string} SVG document
+ */
+export function renderBadge(badge) {
+  return renderBadges([badge]);
+}
+
+/**
+ * Color for a category score, matching the console score thresholds
+ * @param {number} score
+ * @param {number} max
+ * @returns {string}
+ */
+function scoreColor(score, max) {
+  const percentage = max > 0 ? (score / max) * 100 : 0;
+  if (percentage >= 80) return GRADE_COLORS.A;
+  if (percentage >= 60) return GRADE_COLORS.C;
+  return GRADE_COLORS.D;
+}
+
+/**
+ * Render the score badge for a result (or history entry)
+ * @param {object|null} result - Needs overallScore and grade; null renders "unknown"
+ * @param {object} [options]
+ * @param {string} [options.label] - Left-hand text of the main badge
+ * @param {boolean} [options.categories] - Add a mini badge per category
+ * @returns {string} SVG document
+ */
+export function renderScoreBadge(result, { label = 'scorecard', categories = false } = {}) {
+  if (!result) {
+    return renderBadge({ label, message: 'unknown', color: UNKNOWN_COLOR });
+  }
+
+  const badges = [{
+    label,
+    message: `${result.grade} ${result.overallScore}`,
+    color: GRADE_COLORS[result.grade] || UNKNOWN_COLOR
+  }];
+  if (categories) {
+    // Full results have a breakdown; history entries only keep categories
+    Object.entries(result.breakdown || result.categories || {}).forEach(([name, entry]) => {
+      badges.push({
+        label: entry.label || name,
+        message: entry.error ? 'error' : `${entry.score}/${entry.max}`,
+        color: entry.error ? UNKNOWN_COLOR : scoreColor(entry.score, entry.max)
+      });
+    });
+  }
+  return renderBadges(badges);
+}
+
+export default { renderBadge, renderBadges, renderScoreBadge, GRADE_COLORS };
@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+/**
+ * HTML Renderer
+ * Self-contained single-file HTML reports for sharing scorecards
+ */
+
+import { collectFindings } from '../findings.js';
+
+// Same palette as the console grade colors
+const GRADE_COLORS = {
+  'A': '#2e7d32',
+  'B': '#00838f',
+  'C': '#f9a825',
+  'D': '#c62828',
+  'F': '#8e0000'
+};
+
+const VERDICT_COLORS = {
+  pass: GRADE_COLORS.A,
+  warn: GRADE_COLORS.C,
+  fail: GRADE_COLORS.F
+};
+
+const SEVERITY_COLORS = {
+  critical: '#8e0000',
+  high: '#c62828',
+  medium: '#ef6c00',
+  low: '#607d8b'
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+         margin: 0 auto; max-width: 960px; padding: 24px; color: #222; background: #fafafa; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #666; font-size: 14px; margin-bottom: 24px; }
+  .summary { display: flex; align-items: center; gap: 24px; margin-bottom: 32px; }
+  .badge { width: 96px; height: 96px; border-radius: 12px; color: #fff; font-size: 56px;
+           font-weight: bold; display: flex; align-items: center; justify-content: center; }
+  .overall { font-size: 32px; font-weight: bold; }
+  section { background: #fff; border: 1px solid #e0e0e0; border-radius: 8px; padding: 16px 20px; margin-bottom: 20px; }
+  .bar-row { display: grid; grid-template-columns: 160px 1fr 80px; align-items: center; gap: 12px; margin: 8px 0; }
+  .bar { background: #eee; border-radius: 4px; height: 14px; overflow: hidden; }
+  .bar > div { height: 100%; }
+  details { margin: 8px 0; }
+  summary { cursor: pointer; font-weight: 600; }
+  pre { background: #f5f5f5; padding: 12px; overflow-x: auto; font-size: 12px; border-radius: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  .sev { color: #fff; border-radius: 4px; padding: 1px 6px; font-size: 12px; text-transform: uppercase; }
+  code { font-size: 12px; }
+  a { color: #00838f; }
+  .notice { background: #fff8e1; border: 1px solid #ffe082; border-radius: 8px; padding: 12px 16px; margin-bottom: 20px; }
+  .filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin-bottom: 12px; font-size: 14px; }
+  .filters input, .filters select { font: inherit; padding: 4px 6px; }
+  th[data-key] { cursor: pointer; user-select: none; white-space: nowrap; }
+  th[aria-sort="ascending"]::after { content: " \\25B2"; font-size: 10px; }
+  th[aria-sort="descending"]::after { content: " \\25BC"; font-size: 10px; }
+  .spark { vertical-align: middle; }
+`;
+
+// Sorting and filtering for the site index; rows stay server-rendered so it reads without JS
+const SITE_SCRIPT = `
+const table = document.getElementById('skills');
+const rows = [...table.tBodies[0].rows];
+const controls = ['search', 'grade', 'category', 'minimum'].map(id => document.getElementById(id));
+const [search, grade, category, minimum] = controls;
+const cell = (row, key) => row.querySelector('[data-key="' + key + '"]');
+
+function applyFilters() {
+  const text = search.value.trim().toLowerCase();
+  const floor = Number(minimum.value) || 0;
+  let shown = 0;
+  rows.forEach(row => {
+    const value = category.value ? Number(cell(row, 'category:' + category.value)?.dataset.value ?? -1) : 100;
+    const visible = cell(row, 'skill').dataset.value.toLowerCase().includes(text) &&
+      (!grade.value || cell(row, 'grade').dataset.value === grade.value) &&
+      value >= floor;
+    row.hidden = !visible;
+    if (visible) shown++;
+  });
+  document.getElementById('shown').textContent = shown;
+}
+
+table.tHead.querySelectorAll('th[data-key]').forEach(th => th.addEventListener('click', () => {
+  const ascending = th.getAttribute('aria-sort') !== 'ascending';
+  table.tHead.querySelectorAll('th').forEach(other => other.removeAttribute('aria-sort'));
+  th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+  const key = th.dataset.key;
+  rows.sort((a, b) => {
+    const x = cell(a, key)?.dataset.value ?? '';
+    const y = cell(b, key)?.dataset.value ?? '';
+    const order = x !== '' && y !== '' && !isNaN(x) && !isNaN(y) ? Number(x) - Number(y) : x.localeCompare(y);
+    return ascending ? order : -order;
+  });
+  rows.forEach(row => table.tBodies[0].appendChild(row));
+}));
+
+controls.forEach(control => control.addEventListener('input', applyFilters));
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Color for a percentage, matching the console thresholds
+ * @param {number} percentage
+ * @returns {string}
+ */
+function scoreColor(percentage) {
+  if (percentage >= 80) return GRADE_COLORS.A;
+  if (percentage >= 60) return GRADE_COLORS.C;
+  return GRADE_COLORS.D;
+}
+
+/**
+ * Wrap a body in a complete HTML document
+ * @param {string} title
+ * @param {string} body
+ * @returns {string}
+ */
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a grade badge
+ * @param {string} grade
+ * @returns {string}
+ */
+function gradeBadge(grade) {
+  const color = GRADE_COLORS[grade] || '#555';
+  return `<div class="badge" style="background:${color}">${escapeHtml(grade)}</div>`;
+}
+
+/**
+ * Render per-category bars
+ * @param {object} breakdown
+ * @returns {string}
+ */
+function renderBreakdown(breakdown) {
+  const rows = Object.entries(breakdown).map(([name, entry]) => {
+    const percentage = entry.max > 0 ? Math.round((entry.score / entry.max) * 100) : 0;
+    const weight = entry.weight !== undefined && entry.weight !== entry.max ?
+      ` <small>(weight ${escapeHtml(entry.weight)})</small>` : '';
+    return `<div class="bar-row">
+  <div>${escapeHtml(entry.label || name)}${weight}</div>
+  <div class="bar"><div style="width:${percentage}%;background:${scoreColor(percentage)}"></div></div>
+  <div>${escapeHtml(entry.score)}/${escapeHtml(entry.max)}</div>
+</div>`;
+  });
+
+  return `<section>
+<h2>Breakdown</h2>
+${rows.join('\n')}
+</section>`;
+}
+
+/**
+ * Render expandable analyzer details
+ * @param {object} breakdown
+ * @returns {string}
+ */
+function renderDetails(breakdown) {
+  const blocks = Object.entries(breakdown).map(([name, entry]) => {
+    const error = entry.error ? `<p><strong>Error:</strong> ${escapeHtml(entry.error)}</p>` : '';
+    return `<details>
+<summary>${escapeHtml(entry.label || name)} — ${escapeHtml(entry.score)}/${escapeHtml(entry.max)}</summary>
+${error}<pre>${escapeHtml(JSON.stringify(entry.details ?? {}, null, 2))}</pre>
+</details>`;
+  });
+
+  return `<section>
+<h2>Analyzer Details</h2>
+${blocks.join('\n')}
+</section>`;
+}
+
+/**
+ * Render a score trend as an inline SVG line
+ * @param {Array<number>} scores - Overall scores (0-100), oldest first
+ * @param {object} [options]
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @returns {string} Empty when there are fewer than two scores
+ */
+export function renderSparkline(scores, { width = 100, height = 24 } = {}) {
+  if (scores.length < 2) return '';
+
+  const step = (width - 4) / (scores.length - 1);
+  const points = scores.map((score, index) => [
+    2 + index * step,
+    2 + (height - 4) * (1 - Math.max(0, Math.min(100, score)) / 100)
+  ]);
+  const [lastX, lastY] = points[points.length - 1];
+  const first = scores[0];
+  const last = scores[scores.length - 1];
+  const color = last > first ? GRADE_COLORS.A : last < first ? GRADE_COLORS.D : '#607d8b';
+
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(`Score trend: ${scores.join(', ')}`)}">` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}"/>` +
+    `<circle cx="${lastX.toFixed(1)}" cy="${lastY.toFixed(1)}" r="2" fill="${color}"/></svg>`;
+}
+
+/**
+ * Render a skill's score history: trend line plus one row per scan
+ * @param {Array<object>} entries - History entries, oldest first
+ * @returns {string}
+ */
+function renderHistory(entries) {
+  const rows = [...entries].reverse().map((entry, index, newestFirst) => {
+    const previous = newestFirst[index + 1];
+    const delta = previous ? entry.overallScore - previous.overallScore : null;
+    const change = delta === null ? '' : delta > 0 ? `+${delta}` : delta === 0 ? '±0' : String(delta);
+    return `<tr>
+  <td>${escapeHtml(entry.scannedAt)}</td>
+  <td>${escapeHtml(entry.version ?? '-')}</td>
+  <td>${escapeHtml(entry.overallScore)}</td>
+  <td>${escapeHtml(entry.grade)}</td>
+  <td>${escapeHtml(change)}</td>
+</tr>`;
+  });
+
+  return `<section>
+<h2>Score History (${entries.length} scans)</h2>
+<p>${renderSparkline(entries.map(entry => entry.overallScore), { width: 300, height: 60 })}</p>
+<table>
+<thead><tr><th>Scanned</th><th>Version</th><th>Score</th><th>Grade</th><th>Change</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</section>`;
+}
+
+/**
+ * Render the policy verdict and the rules that fired
+ * @param {object} policy - result.policy
+ * @returns {string}
+ */
+function renderPolicy(policy) {
+  const color = VERDICT_COLORS[policy.verdict] || '#555';
+  const rows = policy.fired.map(rule => `<tr>
+  <td><span class="sev" style="background:${VERDICT_COLORS[rule.verdict] || '#555'}">${escapeHtml(rule.verdict)}</span></td>
+  <td><code>${escapeHtml(rule.id)}</code> ${escapeHtml(rule.description)}</td>
+  <td>${escapeHtml(rule.detail)}</td>
+</tr>`);
+  const table = rows.length > 0 ? `
+<table>
+<thead><tr><th>Verdict</th><th>Rule</th><th>Detail</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>` : `\n<p>No policy rules fired (${escapeHtml(policy.evaluated.length)} evaluated).</p>`;
+
+  return `<section>
+<h2>Policy: <span class="sev" style="background:${color};font-size:16px">${escapeHtml(policy.verdict)}</span></h2>${table}
+</section>`;
+}
+
+/**
+ * Render the findings table
+ * @param {Array<object>} findings
+ * @returns {string}
+ */
+function renderFindings(findings) {
+  if (findings.length === 0) {
+    return `<section>
+<h2>Findings</h2>
+<p>No findings.</p>
+</section>`;
+  }
+
+  const rows = findings.map(finding => {
+    const color = SEVERITY_COLORS[finding.severity] || '#555';
+    const location = finding.file ?
+      `${escapeHtml(finding.file)}${finding.line ? `:${escapeHtml(finding.line)}` : ''}` : '';
+    const snippet = finding.snippet ? `<br><code>${escapeHtml(finding.snippet)}</code>` : '';
+    return `<tr>
+  <td><span class="sev" style="background:${color}">${escapeHtml(finding.severity)}</span></td>
+  <td>${escapeHtml(finding.category)}</td>
+  <td><code>${location}</code></td>
+  <td>${escapeHtml(finding.message)}${snippet}</td>
+</tr>`;
+  });
+
+  return `<section>
+<h2>Findings (${findings.length})</h2>
+<table>
+<thead><tr><th>Severity</th><th>Category</th><th>Location</th><th>Finding</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</section>`;
+}
+
+/**
+ * Render one recommendation with its severity, points and remediation
+ * Results saved by older versions hold plain strings; those render as-is.
+ * @param {object|string} rec
+ * @returns {string}
+ */
+function renderRecommendation(rec) {
+  if (typeof rec === 'string') return `<li>${escapeHtml(rec)}</li>`;
+  const color = SEVERITY_COLORS[rec.severity] || '#555';
+  const points = rec.pointsRecoverable > 0 ? ` <strong>+${rec.pointsRecoverable} pts</strong>` : '';
+  const files = rec.files.length > 0 ?
+    `<br><code>${rec.files.map(escapeHtml).join('</code>, <code>')}</code>` : '';
+  const remediation = rec.remediation ?
+    `\n<details><summary>How to fix</summary><pre>${escapeHtml(rec.remediation)}</pre></details>` : '';
+  return `<li><span class="sev" style="background:${color}">${escapeHtml(rec.severity)}</span> ` +
+    `${escapeHtml(rec.message)}${points}${files}${remediation}</li>`;
+}
+
+/**
+ * Render the recommendations list, most points recoverable first
+ * @param {Array<object>} recommendations
+ * @returns {string}
+ */
+function renderRecommendations(recommendations) {
+  const items = recommendations.length > 0 ?
+    `<ul>\n${recommendations.map(renderRecommendation).join('\n')}\n</ul>` :
+    '<p>No recommendations — nice work.</p>';
+
+  return `<section>
+<h2>Recommendations</h2>
+${items}
+</section>`;
+}
+
+/**
+ * Render a single skill report
+ * A history entry can stand in for the result; only its scores are shown.
+ * @param {object} result - scoreSkill result or history entry
+ * @param {object} [options]
+ * @param {string} [options.backLink] - Optional href back to a batch index
+ * @param {Array<object>} [options.history] - History entries to chart, oldest first
+ * @returns {string}
+ */
+export function renderHtml(result, options = {}) {
+  const back = options.backLink ?
+    `<p><a href="${escapeHtml(options.backLink)}">&larr; All skills</a></p>\n` : '';
+  const summaryOnly = !result.breakdown;
+  const breakdown = result.breakdown || result.categories || {};
+  const location = result.path ?
+    `Path: <code>${escapeHtml(result.path)}</code><br>` :
+    result.source ? `Source: <code>${escapeHtml(result.source)}</code><br>` : '';
+  const duration = result.scanDurationMs !== undefined ?
+    ` &middot; Duration: ${escapeHtml(result.scanDurationMs)}ms` : '';
+  const history = options.history?.length > 1 ? `${renderHistory(options.history)}\n` : '';
+  const sections = summaryOnly ?
+    `<p class="notice">Only summary scores were recorded for this scan, so findings and recommendations aren't available.</p>` :
+    `${renderRecommendations(result.recommendations)}
+${renderFindings(collectFindings(result))}
+${renderDetails(breakdown)}`;
+
+  const body = `${back}<h1>Skill Scorecard: ${escapeHtml(result.skill)}</h1>
+<div class="meta">
+  ${location}
+  Scanned: ${escapeHtml(result.scannedAt)}${duration}
+</div>
+<div class="summary">
+  ${gradeBadge(result.grade)}
+  <div class="overall">${escapeHtml(result.overallScore)}/${escapeHtml(result.maxScore ?? 100)}</div>
+</div>
+${result.policy ? `${renderPolicy(result.policy)}\n` : ''}${renderBreakdown(breakdown)}
+${history}${sections}`;
+
+  return page(`Skill Scorecard: ${result.skill}`, body);
+}
+
+/**
+ * File name for a skill's page in a batch report
+ * @param {object} result
+ * @param {number} index - Position in the batch, to keep names unique
+ * @returns {string}
+ */
+export function skillPageName(result, index) {
+  const slug = result.skill.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${String(index + 1).padStart(3, '0')}-${slug || 'skill'}.html`;
+}
+
+/**
+ * Render a batch index page linking every skill page
+ * @param {object} batch - scoreBatch result
+ * @returns {string}
+ */
+export function renderBatchHtml(batch) {
+  const columns = Object.entries(batch.results[0]?.breakdown || {})
+    .map(([name, entry]) => ({ name, label: entry.label || name }));
+
+  const rows = batch.results.map((result, index) => {
+    const cells = columns
+      .map(column => `<td>${escapeHtml(result.breakdown[column.name]?.score ?? '-')}</td>`)
+      .join('');
+    const color = GRADE_COLORS[result.grade] || '#555';
+    return `<tr>
+  <td>${index + 1}</td>
+  <td><a href="${escapeHtml(skillPageName(result, index))}">${escapeHtml(result.skill)}</a></td>
+  <td>${escapeHtml(result.overallScore)}</td>
+  <td><span class="sev" style="background:${color}">${escapeHtml(result.grade)}</span></td>
+  ${cells}
+</tr>`;
+  });
+
+  const totals = Object.entries(batch.totals)
+    .map(([grade, count]) => `${escapeHtml(grade)}: ${escapeHtml(count)}`)
+    .join(' &middot; ');
+
+  const failures = batch.failures.length > 0 ?
+    `<section>
+<h2>Failed</h2>
+<ul>
+${batch.failures.map(f => `<li><code>${escapeHtml(f.path)}</code>: ${escapeHtml(f.error)}</li>`).join('\n')}
+</ul>
+</section>` : '';
+
+  const body = `<h1>Skill Leaderboard (${escapeHtml(batch.count)} skills)</h1>
+<div class="meta">
+  Scanned: ${escapeHtml(batch.scannedAt)} &middot; Duration: ${escapeHtml(batch.scanDurationMs)}ms<br>
+  Average score: ${escapeHtml(batch.averageScore)} &middot; ${totals}
+</div>
+<section>
+<table>
+<thead><tr><th>#</th><th>Skill</th><th>Score</th><th>Grade</th>${columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</section>
+${failures}`;
+
+  return page('Skill Leaderboard', body);
+}
+
+/**
+ * Render the static site index: a sortable, filterable table of skills
+ * @param {object} site - Site catalog (the contents of index.json)
+ * @returns {string}
+ */
+export function renderSiteIndex(site) {
+  const rows = site.skills.map(skill => {
+    const cells = site.categories.map(column => {
+      const category = skill.categories[column.name];
+      const percentage = category && category.max > 0 ? Math.round((category.score / category.max) * 100) : '';
+      return `<td data-key="category:${escapeHtml(column.name)}" data-value="${percentage}">` +
+        `${category ? `${escapeHtml(category.score)}/${escapeHtml(category.max)}` : '-'}</td>`;
+    }).join('');
+    const color = GRADE_COLORS[skill.grade] || '#555';
+    return `<tr>
+  <td data-key="skill" data-value="${escapeHtml(skill.skill)}"><a href="${escapeHtml(skill.page)}">${escapeHtml(skill.skill)}</a></td>
+  <td data-key="score" data-value="${escapeHtml(skill.overallScore)}">${escapeHtml(skill.overallScore)}</td>
+  <td data-key="grade" data-value="${escapeHtml(skill.grade)}"><span class="sev" style="background:${color}">${escapeHtml(skill.grade)}</span></td>
+  ${cells}
+  <td data-key="findings" data-value="${escapeHtml(skill.findings?.total ?? '')}">${escapeHtml(skill.findings?.total ?? '-')}</td>
+  <td>${renderSparkline(skill.history.map(entry => entry.overallScore))}</td>
+  <td data-key="scanned" data-value="${escapeHtml(skill.scannedAt)}">${escapeHtml(skill.scannedAt.slice(0, 10))}</td>
+</tr>`;
+  });
+
+  const totals = Object.entries(site.totals)
+    .map(([grade, count]) => `${escapeHtml(grade)}: ${escapeHtml(count)}`)
+    .join(' &middot; ');
+  const gradeOptions = Object.keys(site.totals)
+    .map(grade => `<option value="${escapeHtml(grade)}">${escapeHtml(grade)}</option>`).join('');
+  const categoryOptions = site.categories
+    .map(column => `<option value="${escapeHtml(column.name)}">${escapeHtml(column.label)}</option>`).join('');
+
+  const body = `<h1>Skill Catalog</h1>
+<div class="meta">
+  ${escapeHtml(site.count)} skills &middot; Average score: ${escapeHtml(site.averageScore)} &middot; ${totals}<br>
+  Generated: ${escapeHtml(site.generatedAt)} &middot; <a href="index.json">index.json</a>
+</div>
+<section>
+<div class="filters">
+  <label>Search <input id="search" type="search" placeholder="Skill name"></label>
+  <label>Grade <select id="grade"><option value="">Any</option>${gradeOptions}</select></label>
+  <label>Category <select id="category"><option value="">Any</option>${categoryOptions}</select></label>
+  <label>at least <input id="minimum" type="number" min="0" max="100" step="5" value="0" style="width:4em">%</label>
+  <span><span id="shown">${escapeHtml(site.count)}</span> shown</span>
+</div>
+<table id="skills">
+<thead><tr><th data-key="skill">Skill</th><th data-key="score" aria-sort="descending">Score</th><th data-key="grade">Grade</th>${site.categories.map(c => `<th data-key="category:${escapeHtml(c.name)}">${escapeHtml(c.label)}</th>`).join('')}<th data-key="findings">Findings</th><th>Trend</th><th data-key="scanned">Scanned</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</section>
+<script>${SITE_SCRIPT}</script>`;
+
+  return page('Skill Catalog', body);
+}
+
+export default { renderHtml, renderBatchHtml, renderSiteIndex, renderSparkline, skillPageName };
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Markdown Renderer
+ * GitHub-flavored markdown for PR comments and README/CHANGELOG embedding
+ */
+
+import { collectFindings } from '../findings.js';
+
+const GRADE_EMOJI = {
+  'A': '🟢',
+  'B': '🔵',
+  'C': '🟡',
+  'D': '🔴',
+  'F': '⛔'
+};
+
+/**
+ * Escape text for use inside a table cell
+ * @param {*} value
+ * @returns {string}
+ */
+function cell(value) {
+  return String(value ?? '')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the breakdown table
+ * @param {object} breakdown
+ * @returns {string}
+ */
+function renderBreakdown(breakdown) {
+  const rows = Object.entries(breakdown).map(([name, entry]) => {
+    const percentage = entry.max > 0 ? Math.round((entry.score / entry.max) * 100) : 0;
+    const weight = entry.weight ?? entry.max;
+    return `| ${cell(entry.label || name)} | ${entry.score}/${entry.max} | ${percentage}% | ${weight} |`;
+  });
+
+  return [
+    '| Category | Score | % | Weight |',
+    '| --- | ---: | ---: | ---: |',
+    ...rows
+  ].join('\n');
+}
+
+/**
+ * Render one collapsible section per analyzer
+ * @param {object} result
+ * @returns {string}
+ */
+function renderAnalyzerSections(result) {
+  const findings = collectFindings(result);
+
+  return Object.entries(result.breakdown).map(([name, entry]) => {
+    const lines = [
+      '<details>',
+      `<summary><strong>${cell(entry.label || name)}</strong> — ${entry.score}/${entry.max}</summary>`,
+      ''
+    ];
+
+    if (entry.error) {
+      lines.push(`> ⚠️ Analyzer error: ${entry.error}`, '');
+    }
+
+    const categoryFindings = findings.filter(finding => finding.category === name);
+    if (categoryFindings.length > 0) {
+      lines.push(
+        '| Severity | Location | Finding |',
+        '| --- | --- | --- |',
+        ...categoryFindings.map(finding => {
+          const location = finding.file ?
+            `\`${cell(finding.file)}${finding.line ? `:${finding.line}` : ''}\`` : '';
+          return `| ${cell(finding.severity)} | ${location} | ${cell(finding.message)} |`;
+        }),
+        ''
+      );
+    }
+
+    lines.push(
+      '```json',
+      JSON.stringify(entry.details ?? {}, null, 2),
+      '```',
+      '',
+      '</details>'
+    );
+
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+const VERDICT_EMOJI = {
+  pass: '✅',
+  warn: '⚠️',
+  fail: '❌'
+};
+
+/**
+ * Render the policy verdict and the rules that fired
+ * @param {object} policy - result.policy
+ * @returns {string}
+ */
+function renderPolicy(policy) {
+  const lines = [`**Policy:** ${VERDICT_EMOJI[policy.verdict] || ''} ${policy.verdict.toUpperCase()}`];
+  if (policy.fired.length > 0) {
+    lines.push(
+      '',
+      '| Verdict | Rule | Detail |',
+      '| --- | --- | --- |',
+      ...policy.fired.map(rule =>
+        `| ${rule.verdict} | \`${cell(rule.id)}\` ${cell(rule.description)} | ${cell(rule.detail)} |`)
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render one recommendation as a checklist item, its remediation nested underneath
+ * @param {object} rec
+ * @returns {string}
+ */
+function renderRecommendation(rec) {
+  const points = rec.pointsRecoverable > 0 ? ` _(+${rec.pointsRecoverable} pts)_` : '';
+  const files = rec.files.length > 0 ? ` — ${rec.files.slice(0, 3).map(file => `\`${file}\``).join(', ')}` +
+    (rec.files.length > 3 ? `, +${rec.files.length - 3} more` : '') : '';
+  const lines = [`- [ ] **${rec.severity}** ${rec.message}${points}${files}`];
+  if (rec.remediation?.includes('\n')) {
+    // Multi-line remediation carries a snippet, so keep its layout
+    lines.push('  - How to fix:', '', '    ```', ...rec.remediation.split('\n').map(line => `    ${line}`.trimEnd()), '    ```');
+  } else if (rec.remediation) {
+    lines.push(`  - ${rec.remediation}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a single skill scorecard
+ * @param {object} result - scoreSkill result
+ * @returns {string}
+ */
+export function renderMarkdown(result) {
+  const emoji = GRADE_EMOJI[result.grade] || '';
+  const checklist = result.recommendations.length > 0 ?
+    result.recommendations.map(renderRecommendation).join('\n') :
+    '_No recommendations._';
+
+  return [
+    `## Skill Scorecard: ${result.skill}`,
+    '',
+    `**Grade:** ${emoji} ${result.grade} &nbsp; **Score:** ${result.overallScore}/${result.maxScore}`,
+    '',
+    ...(result.policy ? [renderPolicy(result.policy), ''] : []),
+    renderBreakdown(result.breakdown),
+    '',
+    '### Recommendations',
+    '',
+    checklist,
+    '',
+    '### Details',
+    '',
+    renderAnalyzerSections(result),
+    '',
+    `<sub>Scanned ${result.scannedAt} in ${result.scanDurationMs}ms</sub>`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a batch leaderboard
+ * @param {object} batch - scoreBatch result
+ * @returns {string}
+ */
+export function renderBatchMarkdown(batch) {
+  const columns = Object.entries(batch.results[0]?.breakdown || {})
+    .map(([name, entry]) => ({ name, label: entry.label || name }));
+
+  const header = ['#', 'Skill', 'Score', 'Grade', ...columns.map(column => cell(column.label)), 'Policy'];
+  const rows = batch.results.map((result, index) => [
+    index + 1,
+    cell(result.skill),
+    result.overallScore,
+    `${GRADE_EMOJI[result.grade] || ''} ${result.grade}`,
+    ...columns.map(column => result.breakdown[column.name]?.score ?? '-'),
+    result.policy ? `${VERDICT_EMOJI[result.policy.verdict] || ''} ${result.policy.verdict}` : '-'
+  ]);
+
+  const totals = Object.entries(batch.totals)
+    .map(([grade, count]) => `${grade}: ${count}`)
+    .join(' · ');
+
+  const lines = [
+    `## Skill Leaderboard (${batch.count} skills)`,
+    '',
+    `**Average score:** ${batch.averageScore} &nbsp; **Grades:** ${totals}` +
+      (batch.verdicts ? ` &nbsp; **Policy:** ${Object.entries(batch.verdicts).map(([verdict, count]) => `${verdict}: ${count}`).join(' · ')}` : ''),
+    '',
+    `| ${header.join(' | ')} |`,
+    `| ${header.map((_, i) => (i === 1 ? '---' : '---:')).join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ];
+
+  if (batch.failures.length > 0) {
+    lines.push('', '### Failed', '', ...batch.failures.map(f => `- \`${f.path}\`: ${f.error}`));
+  }
+
+  lines.push('', `<sub>Scanned ${batch.scannedAt} in ${batch.scanDurationMs}ms</sub>`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Inline code span that survives backticks in the text
+ * @param {string} text
+ * @returns {string}
+ */
+function code(text) {
+  return text.includes('`') ? `\`\` ${cell(text)} \`\`` : `\`${cell(text)}\``;
+}
+
+/**
+ * Format a signed score change
+ * @param {number|null} delta
+ * @returns {string}
+ */
+function signed(delta) {
+  if (delta === null || delta === undefined) return 'n/a';
+  return delta > 0 ? `+${delta}` : delta === 0 ? '±0' : String(delta);
+}
+
+/**
+ * Format a finding or capability location
+ * @param {object} item
+ * @returns {string}
+ */
+function location(item) {
+  return item.file ? `\`${cell(item.file)}${item.line ? `:${item.line}` : ''}\`` : '';
+}
+
+/**
+ * Render a comparison of two versions of a skill
+ * @param {object} diff - diffSkills result
+ * @returns {string}
+ */
+export function renderDiffMarkdown(diff) {
+  const label = side => cell(side.source?.spec || side.path);
+  const lines = [
+    `## Skill Diff: ${diff.after.skill}`,
+    '',
+    `**Old:** ${label(diff.before)} &nbsp; **New:** ${label(diff.after)}`,
+    '',
+    `**Score:** ${diff.overall.before} → ${diff.overall.after} (${signed(diff.overall.delta)}) &nbsp; ` +
+      `**Grade:** ${GRADE_EMOJI[diff.before.grade] || ''} ${diff.before.grade} → ${GRADE_EMOJI[diff.after.grade] || ''} ${diff.after.grade}` +
+      (diff.after.policy ? ` &nbsp; **Policy:** ${diff.before.policy?.verdict ?? '-'} → ${diff.after.policy.verdict}` : ''),
+    '',
+    '| Category | Old | New | Change |',
+    '| --- | ---: | ---: | ---: |',
+    ...Object.entries(diff.categories).map(([name, category]) =>
+      `| ${cell(category.label || name)} | ${category.before ?? '-'}/${category.max} | ` +
+      `${category.after ?? '-'}/${category.max} | ${signed(category.delta)} |`)
+  ];
+  if (diff.excluded?.length > 0) {
+    lines.push('', `_Not compared: ${cell(diff.excluded.join(', '))} (only one side is a git checkout)._`);
+  }
+
+  const added = diff.capabilities.added;
+  const newCapabilities = [
+    ...added.network.map(item => ['Network call', item]),
+    ...added.exec.map(item => ['Subprocess', item]),
+    ...added.secrets.map(item => ['Secret', item])
+  ];
+  if (newCapabilities.length > 0) {
+    lines.push(
+      '',
+      '### ⚠️ New capabilities',
+      '',
+      '| Kind | Location | Code |',
+      '| --- | --- | --- |',
+      ...newCapabilities.map(([kind, item]) =>
+        `| ${kind} | ${location(item)} | ${item.snippet ? code(item.snippet) : cell(item.message)} |`)
+    );
+  }
+
+  const findingRows = [
+    ...diff.findings.added.map(finding => ['🆕 new', finding]),
+    ...diff.findings.resolved.map(finding => ['✅ resolved', finding])
+  ];
+  lines.push(
+    '',
+    `### Findings (${diff.findings.added.length} new, ${diff.findings.resolved.length} resolved, ` +
+      `${diff.findings.unchanged.length} unchanged)`,
+    ''
+  );
+  if (findingRows.length > 0) {
+    lines.push(
+      '| Change | Severity | Location | Finding |',
+      '| --- | --- | --- | --- |',
+      ...findingRows.map(([change, finding]) =>
+        `| ${change} | ${cell(finding.severity)} | ${location(finding)} | ${cell(finding.message)} |`)
+    );
+  } else {
+    lines.push('_No finding changes._');
+  }
+
+  const { added: newRecs, removed: goneRecs } = diff.recommendations;
+  if (newRecs.length > 0 || goneRecs.length > 0) {
+    lines.push(
+      '',
+      '### Recommendations',
+      '',
+      ...newRecs.map(rec => `- 🆕 ${rec.message}`),
+      ...goneRecs.map(rec => `- ~~${rec.message}~~`)
+    );
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+export default { renderMarkdown, renderBatchMarkdown, renderDiffMarkdown };
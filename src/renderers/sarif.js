@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * SARIF Renderer
+ * SARIF 2.1.0 output so findings annotate lines in code-scanning UIs
+ */
+
+import { pathToFileURL } from 'url';
+import { collectFindings } from '../findings.js';
+import { remediationFor } from '../recommendations.js';
+import { TOOL_VERSION } from '../version.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF only has error/warning/note
+const LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+/**
+ * Build a SARIF run for one scoreSkill result
+ * @param {object} result
+ * @returns {object}
+ */
+function buildRun(result) {
+  const findings = collectFindings(result);
+  const rules = new Map();
+
+  const results = findings.map(finding => {
+    const ruleId = String(finding.rule || `${finding.category}-finding`);
+    const level = LEVELS[finding.severity] || 'warning';
+    const remediation = remediationFor(finding);
+
+    if (!rules.has(ruleId)) {
+      rules.set(ruleId, {
+        id: ruleId,
+        name: ruleId,
+        shortDescription: { text: finding.message || ruleId },
+        help: { text: remediation },
+        defaultConfiguration: { level },
+        properties: { category: finding.category }
+      });
+    }
+
+    const sarifResult = {
+      ruleId,
+      level,
+      message: { text: `${finding.message || ruleId}. ${remediation}` },
+      properties: {
+        severity: finding.severity,
+        category: finding.category,
+        source: finding.source,
+        ...(finding.commit ? { commit: finding.commit, commitDate: finding.date } : {})
+      }
+    };
+
+    if (finding.file) {
+      const region = {};
+      if (finding.line) region.startLine = finding.line;
+      if (finding.line && finding.column) region.startColumn = finding.column;
+      if (finding.snippet) region.snippet = { text: finding.snippet };
+
+      sarifResult.locations = [{
+        physicalLocation: {
+          artifactLocation: { uri: encodeURI(finding.file), uriBaseId: 'SKILLROOT' },
+          ...(Object.keys(region).length > 0 ? { region } : {})
+        }
+      }];
+    }
+
+    return sarifResult;
+  });
+
+  return {
+    tool: {
+      driver: {
+        name: 'skill-scorecard',
+        version: TOOL_VERSION,
+        rules: [...rules.values()]
+      }
+    },
+    originalUriBaseIds: {
+      SKILLROOT: { uri: pathToFileURL(result.path).href.replace(/\/?$/, '/') }
+    },
+    automationDetails: { id: `skill-scorecard/${result.skill}` },
+    properties: {
+      skill: result.skill,
+      overallScore: result.overallScore,
+      grade: result.grade,
+      ...(result.policy ? { verdict: result.policy.verdict, policyRules: result.policy.fired.map(rule => rule.id) } : {})
+    },
+    results
+  };
+}
+
+/**
+ * Render a scoreSkill result, or a scoreBatch result (one run per skill), as SARIF
+ * @param {object} resultOrBatch
+ * @returns {object} SARIF log
+ */
+export function renderSarif(resultOrBatch) {
+  const results = Array.isArray(resultOrBatch.results) ? resultOrBatch.results : [resultOrBatch];
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: results.map(buildRun)
+  };
+}
+
+export default { renderSarif };
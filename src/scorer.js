@@ -4,140 +4,159 @@
  * Orchestrates all analyzers and produces unified score
  */
 
-import { analyzeSecurity } from './analyzers/security.js';
-import { analyzeDocs } from './analyzers/docs.js';
-import { analyzeCode } from './analyzers/code.js';
-import { analyzeMaintenance } from './analyzers/maintenance.js';
+import { BUILTIN_ANALYZERS, resolveWeights } from './registry.js';
+import { DEFAULT_CONFIG, calculateGrade, redactConfig } from './config.js';
+import { hashTree, hashConfig } from './cache.js';
+import { evaluatePolicy } from './policy.js';
+import { claimedPoints, normalizeRecommendation, sortRecommendations } from './recommendations.js';
 import { basename } from 'path';
 
 /**
- * Calculate letter grade from score
- * @param {number} score
- * @returns {string}
- */
-function calculateGrade(score) {
-  if (score >= 90) return 'A';
-  if (score >= 80) return 'B';
-  if (score >= 70) return 'C';
-  if (score >= 60) return 'D';
-  return 'F';
-}
-
-/**
- * Generate recommendations based on analysis
+ * Collect the analyzers' recommendations, most points recoverable first
+ * Each analyzer reports points in its own scale; they are capped at what
+ * the analyzer is missing and converted to overall score points. When an
+ * analyzer's recommendations claim more than that between them, the gap is
+ * shared out in proportion, so their sum is what fixing all of them gives.
  * @param {object} breakdown
- * @returns {Array<string>}
+ * @param {object} recommendationsByAnalyzer - Map of analyzer name to its recommendations
+ * @param {number} weightTotal - Sum of analyzer weights
+ * @returns {Array<object>}
  */
-function generateRecommendations(breakdown) {
-  const recommendations = [];
-
-  // Security recommendations
-  if (breakdown.security.details.clawdex.status === 'malicious') {
-    recommendations.push('⚠️ CRITICAL: Skill flagged as malicious by Clawdex - DO NOT USE');
-  }
-  if (breakdown.security.details.cisco.issues.critical > 0) {
-    recommendations.push(`Fix ${breakdown.security.details.cisco.issues.critical} critical security issue(s)`);
-  }
-  if (breakdown.security.details.cisco.issues.high > 0) {
-    recommendations.push(`Address ${breakdown.security.details.cisco.issues.high} high-severity issue(s)`);
-  }
-
-  // Documentation recommendations
-  if (!breakdown.documentation.details.skillMd?.exists) {
-    recommendations.push('Add SKILL.md file with usage documentation');
-  } else if (!breakdown.documentation.details.skillMd?.sufficient) {
-    recommendations.push('Expand SKILL.md content (currently < 500 characters)');
-  }
-  
-  if (!breakdown.documentation.details.examples) {
-    recommendations.push('Add examples or usage section to documentation');
-  }
-  
-  if (!breakdown.documentation.details.references) {
-    recommendations.push('Add references section with related links/resources');
-  }
-
-  // Code quality recommendations
-  if (breakdown.codeQuality.details.secrets?.found > 0) {
-    recommendations.push(`⚠️ Remove ${breakdown.codeQuality.details.secrets.found} hardcoded secret(s)`);
-  }
-  
-  if (breakdown.codeQuality.details.errorHandling?.ratio < 30) {
-    recommendations.push('Improve error handling coverage in code');
-  }
-  
-  if (breakdown.codeQuality.details.comments?.averageDensity < 10) {
-    recommendations.push('Add more code comments and documentation');
-  }
-
-  // Maintenance recommendations
-  if (!breakdown.maintenance.details.git?.exists) {
-    recommendations.push('Initialize git repository for version control');
-  }
-  
-  if (breakdown.maintenance.details.lastCommit?.daysAgo > 180) {
-    recommendations.push(`Update repository (last commit ${breakdown.maintenance.details.lastCommit.daysAgo} days ago)`);
-  }
-  
-  if (!breakdown.maintenance.details.version?.exists) {
-    recommendations.push('Add version information (package.json, CHANGELOG, or VERSION file)');
-  }
-
-  return recommendations;
+function generateRecommendations(breakdown, recommendationsByAnalyzer, weightTotal) {
+  const recommendations = Object.entries(breakdown).flatMap(([name, entry]) => {
+    const recs = recommendationsByAnalyzer[name] || [];
+    const gap = entry.max - entry.score;
+    const claimed = recs.reduce((sum, rec) => sum + claimedPoints(rec, gap), 0);
+    const scale = {
+      gap,
+      factor: (entry.weight / entry.max / weightTotal) * 100,
+      share: claimed > gap ? gap / claimed : 1
+    };
+    return recs.map(rec => normalizeRecommendation(rec, name, scale));
+  });
+  return sortRecommendations(recommendations);
 }
 
 /**
  * Score a skill
  * @param {string} skillPath - Path to skill directory
  * @param {string} skillName - Name of skill (optional, defaults to directory name)
+ * @param {object} [options]
+ * @param {Array<object>} [options.analyzers] - Analyzers to run (defaults to built-ins)
+ * @param {object} [options.weights] - Points per analyzer name (defaults to config, then each analyzer's max)
+ * @param {object} [options.config] - Effective config from loadConfig (defaults to DEFAULT_CONFIG)
+ * @param {object} [options.source] - Where the skill was loaded from (see loader.js)
+ * @param {string|null} [options.directory] - Name of the skill's own directory, checked against the
+ *   frontmatter name (defaults to the path's basename; null skips the check)
+ * @param {object} [options.cache] - Cache from createCache() (optional)
  * @returns {Promise<object>}
  */
-export async function scoreSkill(skillPath, skillName = null) {
+export async function scoreSkill(skillPath, skillName = null, options = {}) {
   const name = skillName || basename(skillPath);
+  const config = options.config || DEFAULT_CONFIG;
+  const analyzers = options.analyzers || BUILTIN_ANALYZERS;
+  const weights = resolveWeights(analyzers, options.weights ?? config.analyzers.weights);
   const startTime = Date.now();
 
   console.error(`[Scorecard] Analyzing ${name}...`);
 
+  // Cache entries are keyed on the file tree plus everything in the config
+  // that can change analyzer output
+  const cache = options.cache?.enabled ? options.cache.session() : null;
+  const treeHash = cache ? await hashTree(skillPath) : null;
+  const cacheKey = cache ? `${treeHash}:${hashConfig(config)}` : null;
+  const directoryName = options.directory === undefined ? basename(skillPath) : options.directory;
+  const context = { skillName: name, directoryName, skillPath, config, cache, cacheKey };
+
+  /**
+   * Run one analyzer, reusing its cached result when it is cacheable
+   * @param {object} analyzer
+   * @returns {Promise<object>}
+   */
+  async function runAnalyzer(analyzer) {
+    const useCache = Boolean(cache && analyzer.cacheable);
+    // Names are part of the key because analyzers may check them (e.g. against the frontmatter)
+    const key = `${cacheKey}:${name}:${directoryName}:${analyzer.version ?? 0}`;
+    if (useCache) {
+      const cached = await cache.get(`analyzer-${analyzer.name}`, key);
+      if (cached) return cached;
+    }
+
+    const result = await analyzer.analyze(context);
+    if (useCache) {
+      await cache.set(`analyzer-${analyzer.name}`, key, result);
+    }
+    return result;
+  }
+
   // Run all analyzers in parallel
-  const [security, documentation, codeQuality, maintenance] = await Promise.all([
-    analyzeSecurity(name, skillPath).catch(err => ({
-      score: 0, max: 40, error: err.message
-    })),
-    analyzeDocs(skillPath).catch(err => ({
-      score: 0, max: 20, error: err.message
-    })),
-    analyzeCode(skillPath).catch(err => ({
-      score: 0, max: 20, error: err.message
-    })),
-    analyzeMaintenance(skillPath).catch(err => ({
-      score: 0, max: 20, error: err.message
-    }))
-  ]);
-
-  const overallScore = security.score + documentation.score + 
-                       codeQuality.score + maintenance.score;
+  const results = await Promise.all(analyzers.map(analyzer =>
+    runAnalyzer(analyzer)
+      .catch(err => ({ score: 0, max: analyzer.max, error: err.message }))
+  ));
+
+  // Scale each analyzer to its weight and normalize to 0-100
+  const breakdown = {};
+  const analyzerRecommendations = {};
+  let weightedTotal = 0;
+  let weightTotal = 0;
+
+  analyzers.forEach((analyzer, index) => {
+    const { recommendations = [], ...result } = results[index];
+    const max = result.max || analyzer.max;
+    const score = Math.min(Math.max(result.score || 0, 0), max);
+    const weight = weights[analyzer.name];
+    const weightedScore = (score / max) * weight;
+
+    breakdown[analyzer.name] = {
+      ...result,
+      score,
+      max,
+      label: analyzer.label || analyzer.name,
+      weight,
+      weightedScore: Math.round(weightedScore * 10) / 10
+    };
+
+    analyzerRecommendations[analyzer.name] = Array.isArray(recommendations) ? recommendations : [];
+    weightedTotal += weightedScore;
+    weightTotal += weight;
+  });
+
+  const overallScore = Math.round((weightedTotal / weightTotal) * 100);
   const maxScore = 100;
 
-  const breakdown = {
-    security,
-    documentation,
-    codeQuality,
-    maintenance
-  };
+  const recommendations = generateRecommendations(breakdown, analyzerRecommendations, weightTotal);
+  const grade = calculateGrade(overallScore, config.grades);
 
-  const recommendations = generateRecommendations(breakdown);
+  // Policy gates run on the finished score, so rules can look at any of it
+  const policy = evaluatePolicy({
+    skill: name,
+    path: skillPath,
+    ...(options.source ? { source: options.source } : {}),
+    overallScore,
+    maxScore,
+    grade,
+    breakdown,
+    recommendations
+  }, config);
   const elapsedMs = Date.now() - startTime;
 
   return {
     skill: name,
     path: skillPath,
+    ...(options.source ? { source: options.source } : {}),
     scannedAt: new Date().toISOString(),
     scanDurationMs: elapsedMs,
     overallScore,
     maxScore,
-    grade: calculateGrade(overallScore),
+    grade,
+    policy,
     breakdown,
-    recommendations
+    recommendations,
+    ...(options.cache ? {
+      cache: cache ? { ...cache.stats(), treeHash } : { enabled: false, hits: [], misses: [] }
+    } : {}),
+    config: redactConfig({ ...config, analyzers: { ...config.analyzers, weights } })
   };
 }
 
@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * API Server
+ * HTTP API over scoreSkill: queued scans of uploaded archives or paths under
+ * allowed roots, job status, latest results and score badges
+ */
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { mkdtemp, writeFile, rm, realpath } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve, relative, isAbsolute, basename } from 'path';
+import { scoreSkill } from './scorer.js';
+import { loadSkill } from './loader.js';
+import { readHistory, recordScans, defaultHistoryFile } from './history.js';
+import { renderScoreBadge } from './renderers/badge.js';
+
+// Skill names appear in URLs and upload file names
+const SKILL_NAME = /^[A-Za-z0-9][\w.-]{0,99}$/;
+
+const UPLOAD_TYPES = ['application/gzip', 'application/x-gzip', 'application/zip', 'application/octet-stream'];
+
+// Finished jobs kept for GET /scans/:id before the oldest are dropped
+const MAX_FINISHED_JOBS = 500;
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {number} status
+ * @param {string} message
+ * @param {object|null} [headers] - Extra response headers
+ * @returns {Error & {status: number, headers: object|null}}
+ */
+function httpError(status, message, headers = null) {
+  return Object.assign(new Error(message), { status, headers });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {object} [headers]
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+/**
+ * Send an error as { error: { status, message } }
+ * @param {http.ServerResponse} res
+ * @param {Error & {status?: number, headers?: object|null}} error
+ */
+function sendError(res, error) {
+  const status = error.status || 500;
+  const headers = error.headers || {};
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  sendJson(res, status, { error: { status, message: error.message } }, headers);
+}
+
+/**
+ * Read a request body, rejecting bodies over the size limit
+ * @param {http.IncomingMessage} req
+ * @param {number} limit - Maximum bytes
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolveBody, reject) => {
+    const tooLarge = () => httpError(413, `Request body is larger than ${limit} bytes`, { Connection: 'close' });
+
+    if (Number(req.headers['content-length']) > limit) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolveBody(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Check a skill name taken from a request
+ * @param {string} name
+ * @param {string} where - Parameter description for the error message
+ * @returns {string}
+ */
+function checkName(name, where) {
+  if (typeof name !== 'string' || !SKILL_NAME.test(name)) {
+    throw httpError(400, `${where} must be a skill name of letters, digits, ".", "_" and "-"`);
+  }
+  return name;
+}
+
+/**
+ * Resolve a requested path and check it lies inside an allowed root
+ * Symlinks are resolved first so they can't point outside the roots.
+ * @param {string} requested - Absolute, or relative to the first root
+ * @param {Array<string>} roots
+ * @returns {Promise<string>} Real path
+ */
+async function resolveAllowedPath(requested, roots) {
+  if (roots.length === 0) {
+    throw httpError(403, 'Path scans are disabled; start the server with --root <dir> or set server.roots');
+  }
+
+  let target;
+  try {
+    target = await realpath(isAbsolute(requested) ? requested : resolve(roots[0], requested));
+  } catch {
+    throw httpError(404, `Skill path not found: ${requested}`);
+  }
+
+  for (const root of roots) {
+    const realRoot = await realpath(root).catch(() => null);
+    const rel = realRoot === null ? null : relative(realRoot, target);
+    if (rel !== null && !rel.startsWith('..') && !isAbsolute(rel)) {
+      return target;
+    }
+  }
+  throw httpError(403, `Path is outside the allowed roots: ${requested}`);
+}
+
+/**
+ * Create a FIFO job queue that runs at most `concurrency` jobs at once
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Jobs run at once
+ * @param {number} [options.maxQueue] - Jobs waiting to run before submit() refuses more
+ * @returns {object}
+ */
+export function createJobQueue({ concurrency = 4, maxQueue = 100 } = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  const finished = [];
+  let running = 0;
+
+  /**
+   * Start waiting jobs while there is capacity
+   */
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      const { job, task } = waiting.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      task(job)
+        .then(result => {
+          job.status = 'done';
+          job.result = result;
+        })
+        .catch(error => {
+          job.status = 'failed';
+          job.error = error.message;
+        })
+        .finally(() => {
+          running--;
+          job.finishedAt = new Date().toISOString();
+          finished.push(job.id);
+          while (finished.length > MAX_FINISHED_JOBS) {
+            jobs.delete(finished.shift());
+          }
+          drain();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Queue a task
+     * @param {Function} task - async (job) => result
+     * @param {object} [fields] - Extra job fields (e.g. skill)
+     * @returns {object} The job
+     */
+    submit(task, fields = {}) {
+      if (waiting.length >= maxQueue) {
+        throw httpError(503, `Scan queue is full (${maxQueue} waiting); try again later`);
+      }
+      const job = {
+        id: randomUUID(),
+        status: 'queued',
+        ...fields,
+        submittedAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+      };
+      jobs.set(job.id, job);
+      waiting.push({ job, task });
+      drain();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id);
+    }
+  };
+}
+
+/**
+ * Result as served by the API
+ * The effective config holds server settings and provider credentials, so
+ * it never leaves the process.
+ * @param {object} result - scoreSkill result or history entry
+ * @returns {object}
+ */
+function resultView(result) {
+  const { config, ...view } = result;
+  return view;
+}
+
+/**
+ * Public view of a job
+ * @param {object} job
+ * @returns {object}
+ */
+function jobView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    skill: job.skill,
+    submittedAt: job.submittedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.error ? { error: job.error } : {}),
+    ...(job.result ? { result: resultView(job.result) } : {}),
+    links: { self: `/scans/${job.id}` }
+  };
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @param {object} options
+ * @param {object} options.scoreOptions - Analyzers, weights, config and cache for scoreSkill
+ * @param {Array<string>} options.roots - Directories path scans may read from
+ * @param {number} options.maxBodyBytes - Largest accepted request body
+ * @param {number} [options.maxExtractedBytes] - Largest total size an archive may unpack to
+ * @param {number} [options.maxArchiveEntries] - Most entries an archive may hold
+ * @param {number} options.maxQueue - Scans waiting to run before new ones get 503
+ * @param {number} options.concurrency - Scans run at once
+ * @returns {http.Server & {queue: object}}
+ */
+export function createServer(options) {
+  const { scoreOptions, roots = [], maxBodyBytes = 50 * 1024 * 1024 } = options;
+  const { config } = scoreOptions;
+  const historyFile = config.history.file || defaultHistoryFile();
+  const queue = createJobQueue({ concurrency: options.concurrency, maxQueue: options.maxQueue });
+  const latest = new Map();
+  const loadOptions = { maxExtractedBytes: options.maxExtractedBytes, maxArchiveEntries: options.maxArchiveEntries };
+
+  /**
+   * Stage, score and record one skill
+   * @param {object} job - Queue job, updated with the final skill name
+   * @param {Function} load - async () => loaded skill ({ path, name, source, cleanup })
+   * @param {string|null} name - Skill name override
+   * @returns {Promise<object>} scoreSkill result
+   */
+  async function scan(job, load, name) {
+    const skill = await load();
+    try {
+      const result = await scoreSkill(skill.path, name || skill.name, {
+        ...scoreOptions,
+        source: skill.source,
+        directory: skill.directory
+      });
+      job.skill = result.skill;
+      if (config.history.enabled) {
+        await recordScans(historyFile, [result]);
+      }
+      const previous = latest.get(result.skill);
+      if (!previous || previous.scannedAt <= result.scannedAt) {
+        latest.set(result.skill, result);
+      }
+      return result;
+    } finally {
+      await skill.cleanup();
+    }
+  }
+
+  /**
+   * Most recent result for a skill: this server's scans, then the history file
+   * @param {string} name
+   * @returns {Promise<{origin: string, result: object}|null>}
+   */
+  async function findLatest(name) {
+    if (latest.has(name)) {
+      return { origin: 'scan', result: latest.get(name) };
+    }
+    const entries = await readHistory(historyFile, name);
+    return entries.length > 0 ? { origin: 'history', result: entries[entries.length - 1] } : null;
+  }
+
+  /**
+   * POST /scan: a JSON { path, name } body or an uploaded .tar.gz/.zip (?name=)
+   * @param {http.IncomingMessage} req
+   * @param {URL} url
+   * @returns {Promise<object>} The queued job
+   */
+  async function submitScan(req, url) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+    if (type === 'application/json') {
+      let body;
+      try {
+        body = JSON.parse((await readBody(req, maxBodyBytes)).toString('utf-8'));
+      } catch (error) {
+        if (error.status) throw error;
+        throw httpError(400, `Request body is not valid JSON: ${error.message}`);
+      }
+      if (typeof body?.path !== 'string' || body.path.length === 0) {
+        throw httpError(400, 'JSON body must have a "path" string');
+      }
+      const name = body.name === undefined ? null : checkName(body.name, '"name"');
+      const skillPath = await resolveAllowedPath(body.path, roots);
+      return queue.submit(job => scan(job, () => loadSkill(skillPath, loadOptions), name), { skill: name || basename(skillPath) });
+    }
+
+    if (UPLOAD_TYPES.includes(type)) {
+      const name = checkName(url.searchParams.get('name'), 'Uploads need a ?name= query parameter that');
+      const data = await readBody(req, maxBodyBytes);
+      const isGzip = data[0] === 0x1f && data[1] === 0x8b;
+      const isZip = data[0] === 0x50 && data[1] === 0x4b;
+      if (!isGzip && !isZip) {
+        throw httpError(415, 'Upload must be a .tar.gz or .zip archive');
+      }
+
+      // The archive waits on disk, not in memory, until its job runs
+      const dir = await mkdtemp(join(tmpdir(), 'skill-scorecard-upload-'));
+      const archive = join(dir, `${name}${isZip ? '.zip' : '.tar.gz'}`);
+      await writeFile(archive, data);
+      const removeUpload = () => rm(dir, { recursive: true, force: true });
+
+      const load = async () => {
+        const skill = await loadSkill(archive, loadOptions).catch(async error => {
+          await removeUpload();
+          throw error;
+        });
+        return { ...skill, cleanup: () => Promise.all([skill.cleanup(), removeUpload()]) };
+      };
+      try {
+        return queue.submit(job => scan(job, load, name), { skill: name });
+      } catch (error) {
+        await removeUpload();
+        throw error;
+      }
+    }
+
+    throw httpError(415, `Unsupported Content-Type "${type}"; send application/json or a gzip/zip archive`);
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = (pattern, methods) => {
+      const match = url.pathname.match(pattern);
+      if (match && !methods.includes(req.method)) {
+        throw httpError(405, `${req.method} is not allowed on ${url.pathname}`, { Allow: methods.join(', ') });
+      }
+      if (!match) return null;
+      try {
+        return match.slice(1).map(decodeURIComponent);
+      } catch {
+        throw httpError(400, `Malformed URL: ${url.pathname}`);
+      }
+    };
+
+    if (route(/^\/scan$/, ['POST'])) {
+      const job = await submitScan(req, url);
+      sendJson(res, 202, jobView(job), { Location: `/scans/${job.id}` });
+      return;
+    }
+
+    const scanId = route(/^\/scans\/([^/]+)$/, ['GET']);
+    if (scanId) {
+      const job = queue.get(scanId[0]);
+      if (!job) {
+        throw httpError(404, `No scan with id ${scanId[0]}`);
+      }
+      sendJson(res, 200, jobView(job));
+      return;
+    }
+
+    const latestName = route(/^\/skills\/([^/]+)\/latest$/, ['GET']);
+    if (latestName) {
+      const [name] = latestName;
+      const found = await findLatest(name);
+      if (!found) {
+        throw httpError(404, `No scans recorded for "${name}"`);
+      }
+      sendJson(res, 200, { skill: name, origin: found.origin, result: resultView(found.result) });
+      return;
+    }
+
+    // Badges are embedded as images, so unknown skills still get an SVG
+    const badgeName = route(/^\/badge\/([^/]+)\.svg$/, ['GET']);
+    if (badgeName) {
+      const found = await findLatest(badgeName[0]);
+      res.writeHead(found ? 200 : 404, {
+        'Content-Type': 'image/svg+xml; charset=utf-8',
+        'Cache-Control': 'no-cache'
+      });
+      const categories = url.searchParams.has('categories') && !['0', 'false'].includes(url.searchParams.get('categories'));
+      res.end(renderScoreBadge(found?.result, { categories }));
+      return;
+    }
+
+    throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!error.status) {
+        console.error(`[Scorecard] ${req.method} ${req.url} failed: ${error.message}`);
+      }
+      sendError(res, error);
+    });
+  });
+  return Object.assign(server, { queue });
+}
+
+export default { createServer, createJobQueue };
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * Static Site Generator
+ * Builds a browsable catalog from saved batch, single-skill and history results
+ */
+
+import { readFile, readdir, stat, mkdir, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { toHistoryEntry } from './history.js';
+import { collectFindings } from './findings.js';
+import { GRADES } from './config.js';
+import { renderHtml, renderSiteIndex } from './renderers/html.js';
+import { TOOL_VERSION } from './version.js';
+
+const RESULT_FILE = /\.jsonl?$/;
+
+/**
+ * Sort out what a parsed JSON value holds
+ * Accepts scoreSkill results, scoreBatch results, `history --json` output,
+ * history entries, and arrays of any of those.
+ * @param {*} data
+ * @returns {{results: Array<object>, entries: Array<object>}}
+ */
+export function classifyResults(data) {
+  const found = { results: [], entries: [] };
+  const add = other => {
+    found.results.push(...other.results);
+    found.entries.push(...other.entries);
+  };
+
+  if (Array.isArray(data)) {
+    data.forEach(item => add(classifyResults(item)));
+  } else if (data && typeof data === 'object') {
+    if (Array.isArray(data.results)) {
+      add(classifyResults(data.results));
+    } else if (Array.isArray(data.entries)) {
+      add(classifyResults(data.entries));
+    } else if (typeof data.skill === 'string' && typeof data.overallScore === 'number') {
+      if (data.breakdown) {
+        found.results.push(data);
+      } else if (data.scannedAt) {
+        found.entries.push(data);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * List result files in a directory, recursively
+ * @param {string} dir
+ * @returns {Promise<Array<string>>}
+ */
+async function listResultFiles(dir) {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+      files.push(...await listResultFiles(fullPath));
+    } else if (entry.isFile() && RESULT_FILE.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Read every result in a results directory (or a single results file)
+ * JSONL files are read a line at a time, so history files can be used as-is.
+ * @param {string} input
+ * @returns {Promise<{results: Array<object>, entries: Array<object>, files: Array<string>}>}
+ */
+export async function loadResults(input) {
+  const fullPath = resolve(input);
+  let info;
+  try {
+    info = await stat(fullPath);
+  } catch {
+    throw new Error(`Results path not found: ${fullPath}`);
+  }
+
+  const files = info.isDirectory() ? await listResultFiles(fullPath) : [fullPath];
+  const loaded = { results: [], entries: [], files: [] };
+
+  for (const file of files) {
+    const content = await readFile(file, 'utf-8');
+    let values;
+    try {
+      values = file.endsWith('.jsonl') ?
+        content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)) :
+        [JSON.parse(content)];
+    } catch (error) {
+      console.error(`[Scorecard] Skipping ${file}: not valid JSON (${error.message})`);
+      continue;
+    }
+
+    const found = classifyResults(values);
+    if (found.results.length === 0 && found.entries.length === 0) {
+      console.error(`[Scorecard] Skipping ${file}: no scorecard results`);
+      continue;
+    }
+    loaded.results.push(...found.results);
+    loaded.entries.push(...found.entries);
+    loaded.files.push(file);
+  }
+
+  if (loaded.files.length === 0) {
+    throw new Error(`No scorecard results found in ${fullPath}`);
+  }
+  return loaded;
+}
+
+/**
+ * URL-safe page name for a skill, unique within the site
+ * @param {string} skill
+ * @param {Set<string>} taken - Names already used
+ * @returns {string}
+ */
+function pageSlug(skill, taken) {
+  const base = skill.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'skill';
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  taken.add(slug);
+  return slug;
+}
+
+/**
+ * Count findings by severity
+ * @param {object} result - scoreSkill result
+ * @returns {object}
+ */
+function findingCounts(result) {
+  const counts = { total: 0, critical: 0, high: 0, medium: 0, low: 0 };
+  collectFindings(result).forEach(finding => {
+    counts.total++;
+    if (counts[finding.severity] !== undefined) counts[finding.severity]++;
+  });
+  return counts;
+}
+
+/**
+ * Group results and history by skill into the site catalog
+ * Each skill shows its newest full result, or its newest history entry when
+ * no full result was saved; every scan of the skill feeds its trend.
+ * @param {{results: Array<object>, entries: Array<object>}} loaded
+ * @returns {{site: object, pages: Array<{file: string, result: object, history: Array<object>}>}}
+ */
+export function buildCatalog(loaded) {
+  const skills = new Map();
+  const skillFor = name => {
+    if (!skills.has(name)) skills.set(name, { result: null, scans: new Map() });
+    return skills.get(name);
+  };
+
+  loaded.results.forEach(result => {
+    const skill = skillFor(result.skill);
+    if (!skill.result || skill.result.scannedAt < result.scannedAt) {
+      skill.result = result;
+    }
+    skill.scans.set(result.scannedAt, toHistoryEntry(result));
+  });
+  // A scan saved as JSON and recorded in history is the same scan
+  loaded.entries.forEach(entry => {
+    const skill = skillFor(entry.skill);
+    if (!skill.scans.has(entry.scannedAt)) {
+      skill.scans.set(entry.scannedAt, entry);
+    }
+  });
+
+  const taken = new Set();
+  const categories = new Map();
+  const pages = [];
+  const entries = [...skills].map(([name, skill]) => {
+    const history = [...skill.scans.values()].sort((a, b) => a.scannedAt.localeCompare(b.scannedAt));
+    const current = skill.result || history[history.length - 1];
+    const summary = skill.result ? toHistoryEntry(skill.result) : current;
+    const file = `skills/${pageSlug(name, taken)}.html`;
+
+    Object.entries(summary.categories || {}).forEach(([key, category]) => {
+      if (!categories.has(key)) {
+        categories.set(key, { name: key, label: category.label || key, max: category.max });
+      }
+    });
+    pages.push({ file, result: current, history });
+
+    return {
+      skill: name,
+      page: file,
+      overallScore: current.overallScore,
+      grade: current.grade,
+      scannedAt: current.scannedAt,
+      version: summary.version ?? null,
+      source: summary.source ?? null,
+      categories: summary.categories || {},
+      findings: skill.result ? findingCounts(skill.result) : null,
+      history: history.map(entry => ({
+        scannedAt: entry.scannedAt,
+        overallScore: entry.overallScore,
+        grade: entry.grade,
+        version: entry.version ?? null
+      }))
+    };
+  });
+
+  entries.sort((a, b) => b.overallScore - a.overallScore || a.skill.localeCompare(b.skill));
+  const totals = Object.fromEntries(GRADES.map(grade => [
+    grade,
+    entries.filter(entry => entry.grade === grade).length
+  ]));
+  const averageScore = entries.length > 0 ?
+    Math.round(entries.reduce((sum, entry) => sum + entry.overallScore, 0) / entries.length) : 0;
+
+  return {
+    site: {
+      generatedAt: new Date().toISOString(),
+      tool: { name: 'skill-scorecard', version: TOOL_VERSION },
+      count: entries.length,
+      averageScore,
+      totals,
+      categories: [...categories.values()],
+      skills: entries
+    },
+    pages
+  };
+}
+
+/**
+ * Generate the static site
+ * Writes index.html, index.json and skills/<name>.html under the output directory.
+ * @param {string} input - Results directory or file
+ * @param {string} outDir - Output directory
+ * @returns {Promise<object>} The site catalog written to index.json
+ */
+export async function generateSite(input, outDir) {
+  const loaded = await loadResults(input);
+  const { site, pages } = buildCatalog(loaded);
+  const out = resolve(outDir);
+
+  await mkdir(join(out, 'skills'), { recursive: true });
+  for (const { file, result, history } of pages) {
+    await writeFile(join(out, file), renderHtml(result, { backLink: '../index.html', history }));
+  }
+  await writeFile(join(out, 'index.html'), renderSiteIndex(site));
+  await writeFile(join(out, 'index.json'), JSON.stringify(site, null, 2) + '\n');
+
+  console.error(`[Scorecard] Wrote ${pages.length} skill page(s) from ${loaded.files.length} result file(s) to ${out}`);
+  return site;
+}
+
+export default { generateSite, loadResults, buildCatalog, classifyResults };
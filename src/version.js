@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * Tool Version
+ * The package version, for cache keys and report metadata
+ */
+
+import { readFileSync } from 'fs';
+
+export const TOOL_VERSION = JSON.parse(
+  readFileSync(new URL('../package.json', import.meta.url), 'utf-8')
+).version;
+
+export default { TOOL_VERSION };
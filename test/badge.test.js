@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { renderBadge, renderScoreBadge, GRADE_COLORS } from '../src/renderers/badge.js';
+import { tempDir, makeSkill, skillMd, runCli } from './helpers.js';
+
+/**
+ * Fill colors of a badge's right-hand (message) rects
+ * @param {string} svg
+ * @returns {Array<string>}
+ */
+function messageColors(svg) {
+  return [...svg.matchAll(/<rect x="\d+" width="\d+" height="20" fill="([^"]+)"\/>/g)].map(match => match[1]);
+}
+
+test('renderScoreBadge shows the grade and score in the grade color', () => {
+  const svg = renderScoreBadge({ grade: 'B', overallScore: 84 });
+
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="\d+" height="20" role="img" aria-label="scorecard: B 84">/);
+  assert.deepEqual(messageColors(svg), [GRADE_COLORS.B]);
+  assert.match(renderScoreBadge(null), /aria-label="scorecard: unknown"/);
+  assert.match(renderScoreBadge({ grade: 'A', overallScore: 95 }, { label: 'weather' }), /<title>weather: A 95<\/title>/);
+});
+
+test('category badges follow the score thresholds and mark failed analyzers', () => {
+  const svg = renderScoreBadge({
+    grade: 'C',
+    overallScore: 72,
+    breakdown: {
+      security: { label: 'Security', score: 25, max: 30 },
+      documentation: { label: 'Documentation', score: 13, max: 20 },
+      codeQuality: { label: 'Code Quality', score: 4, max: 20 },
+      maintenance: { label: 'Maintenance', score: 0, max: 15, error: 'git failed' }
+    }
+  }, { categories: true });
+
+  assert.deepEqual(messageColors(svg), [GRADE_COLORS.C, GRADE_COLORS.A, GRADE_COLORS.C, GRADE_COLORS.D, '#9f9f9f']);
+  assert.match(svg, /aria-label="scorecard: C 72, Security: 25\/30, Documentation: 13\/20, Code Quality: 4\/20, Maintenance: error"/);
+  assert.equal((svg.match(/<clipPath id="r\d"/g) || []).length, 5);
+});
+
+test('badge text is escaped and wider text makes a wider badge', () => {
+  const svg = renderBadge({ label: '<x>', message: 'a & "b"' });
+  assert.ok(!svg.includes('<x>'));
+  assert.match(svg, /&lt;x&gt;: a &amp; &quot;b&quot;/);
+
+  const width = text => Number(/width="(\d+)"/.exec(renderBadge({ label: 'l', message: text }))[1]);
+  assert.ok(width('WWWW') > width('iiii'));
+});
+
+test('--format badge writes an SVG for one skill and refuses batches', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill') });
+  const file = join(await tempDir(t), 'scorecard.svg');
+  await runCli([skill, '--offline', '--no-cache', '--no-history', '--format', 'badge', '--badge-categories', '-o', file]);
+  const svg = await readFile(file, 'utf-8');
+
+  assert.match(svg, /aria-label="scorecard: [A-F] \d+, Security: /);
+
+  const batch = await runCli(['--batch', join(skill, '..'), '--offline', '--format', 'badge']);
+  assert.notEqual(batch.code, 0);
+  assert.match(batch.stderr, /--format badge renders a single skill/);
+});
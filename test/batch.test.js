@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { scoreBatch, findSkillDirs, worstGrade } from '../src/batch.js';
+import { tempDir, writeFiles, skillMd, offlineConfig, runCli } from './helpers.js';
+
+/**
+ * A skills directory with a documented skill, a bare one and entries to skip
+ * @param {object} t
+ * @returns {Promise<string>}
+ */
+async function skillsDir(t) {
+  const dir = await tempDir(t);
+  await writeFiles(dir, {
+    'good/SKILL.md': skillMd('good', '## Usage\n\n```\nweather London\n```\n\n## References\n\n- https://example.com\n'),
+    'good/README.md': 'A weather skill. '.repeat(30),
+    'bare/notes.txt': 'nothing here',
+    '.hidden/SKILL.md': skillMd('hidden'),
+    'node_modules/dep/SKILL.md': skillMd('dep')
+  });
+  return dir;
+}
+
+test('findSkillDirs lists skill subdirectories, skipping hidden ones and node_modules', async t => {
+  const dir = await skillsDir(t);
+  assert.deepEqual(await findSkillDirs(dir), [join(dir, 'bare'), join(dir, 'good')]);
+});
+
+test('worstGrade picks the lowest grade', () => {
+  assert.equal(worstGrade(['B', 'D', 'A']), 'D');
+  assert.equal(worstGrade([]), null);
+});
+
+test('scoreBatch ranks skills by score and aggregates totals', async t => {
+  const dir = await skillsDir(t);
+  const batch = await scoreBatch(await findSkillDirs(dir), { config: offlineConfig(), concurrency: 2 });
+
+  assert.equal(batch.count, 2);
+  assert.deepEqual(batch.results.map(result => result.skill), ['good', 'bare']);
+  assert.ok(batch.results[0].overallScore > batch.results[1].overallScore);
+  assert.equal(Object.values(batch.totals).reduce((sum, count) => sum + count, 0), 2);
+  assert.equal(batch.averageScore,
+    Math.round((batch.results[0].overallScore + batch.results[1].overallScore) / 2));
+  assert.equal(batch.worstGrade, worstGrade(batch.results.map(result => result.grade)));
+  assert.deepEqual(batch.failures, []);
+});
+
+test('scoreBatch records skills that fail to score instead of aborting', async t => {
+  const dir = await skillsDir(t);
+  const failing = { name: 'broken', max: 10, analyze: async () => { throw new Error('boom'); } };
+  const batch = await scoreBatch([join(dir, 'good')], { config: offlineConfig(), analyzers: [failing] });
+
+  // Analyzer errors are contained in the result; the skill still scores
+  assert.equal(batch.count, 1);
+  assert.equal(batch.results[0].breakdown.broken.error, 'boom');
+});
+
+test('--batch prints aggregate JSON and exits non-zero when a skill is below the minimum grade', async t => {
+  const dir = await skillsDir(t);
+  const { code, stdout } = await runCli(['--batch', dir, '--offline', '--no-cache', '--no-history', '--format', 'json']);
+  const batch = JSON.parse(stdout);
+
+  assert.equal(batch.count, 2);
+  assert.ok(Array.isArray(batch.results));
+  assert.equal(code, batch.verdict === 'fail' ? 1 : 0);
+});
+
+test('--batch reports skills that fail to load as failures and scans the rest', async t => {
+  const dir = await skillsDir(t);
+  await writeFiles(dir, { 'tool.git/SKILL.md': skillMd('tool') });
+  const missing = join(dir, 'missing');
+  const { code, stdout } = await runCli(['--batch', dir, missing, '--offline', '--no-cache', '--no-history', '--format', 'json']);
+  const batch = JSON.parse(stdout);
+
+  assert.deepEqual(batch.results.map(result => result.skill).sort(), ['bare', 'good', 'tool.git']);
+  assert.deepEqual(batch.failures.map(failure => failure.path), [missing]);
+  assert.match(batch.failures[0].error, /Skill path not found/);
+  assert.equal(batch.worstGrade, 'F');
+  assert.equal(code, 1);
+});
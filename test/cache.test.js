@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rm, symlink } from 'fs/promises';
+import { join } from 'path';
+import { createCache, hashTree, hashConfig } from '../src/cache.js';
+import { scoreSkill } from '../src/scorer.js';
+import { tempDir, writeFiles, makeSkill, skillMd, offlineConfig } from './helpers.js';
+
+test('hashTree changes with file content, names and symlink targets but not with .git or node_modules', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill'), 'index.js': 'export {};\n' });
+  const first = await hashTree(skill);
+
+  await writeFiles(skill, { '.git/HEAD': 'ref: refs/heads/main\n', 'node_modules/x/index.js': 'x' });
+  assert.equal(await hashTree(skill), first);
+  await writeFiles(skill, { 'index.js': 'export const a = 1;\n' });
+  assert.notEqual(await hashTree(skill), first);
+
+  const unlinked = await hashTree(skill);
+  await symlink('index.js', join(skill, 'main.js'));
+  const linked = await hashTree(skill);
+  assert.notEqual(linked, unlinked);
+  await rm(join(skill, 'main.js'));
+  await symlink('SKILL.md', join(skill, 'main.js'));
+  assert.notEqual(await hashTree(skill), linked);
+
+  const config = offlineConfig();
+  assert.equal(hashConfig({ ...config, minGrade: 'A', concurrency: 9 }), hashConfig(config));
+  assert.notEqual(hashConfig({ ...config, ignore: ['fixtures'] }), hashConfig(config));
+});
+
+test('cache entries expire, can be refreshed and do nothing when disabled', async t => {
+  const dir = await tempDir(t);
+  const cache = createCache({ dir });
+  await cache.set('ns', 'key', { answer: 42 });
+
+  assert.deepEqual(await cache.get('ns', 'key'), { answer: 42 });
+  assert.equal(await cache.get('ns', 'key', { maxAgeMs: -1 }), undefined);
+  assert.equal(await createCache({ dir, refresh: true }).get('ns', 'key'), undefined);
+
+  const disabled = createCache({ dir, enabled: false });
+  await disabled.set('ns', 'other', 1);
+  assert.equal(await cache.get('ns', 'other'), undefined);
+});
+
+test('a second scan of an unchanged skill reuses cached analyzer results', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill'), 'index.js': 'export const a = 1;\n' });
+  const config = offlineConfig({ cache: { enabled: true } });
+  const cache = createCache({ dir: await tempDir(t) });
+
+  const first = await scoreSkill(skill, null, { config, cache });
+  const second = await scoreSkill(skill, null, { config, cache });
+  assert.equal(first.cache.hits.length, 0);
+  assert.deepEqual(second.cache.hits.sort(), ['analyzer-codeQuality', 'analyzer-documentation', 'security-scanners']);
+  assert.equal(second.overallScore, first.overallScore);
+  assert.equal(second.cache.treeHash, first.cache.treeHash);
+
+  await writeFiles(skill, { 'index.js': 'export const a = 2;\n' });
+  const changed = await scoreSkill(skill, null, { config, cache });
+  assert.equal(changed.cache.hits.length, 0);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCapabilities, inferCapabilities, declaredPermissions, compareCapabilities, hostAllowed } from '../src/analyzers/capabilities.js';
+import { makeSkill, skillMd } from './helpers.js';
+
+const FETCH_SCRIPT = [
+  "import { writeFileSync } from 'fs';",
+  "import { execSync } from 'child_process';",
+  'const { WEATHER_TOKEN } = process.env;',
+  "const res = await fetch('https://api.weather.gov/points', { headers: { key: process.env.WEATHER_API_KEY } });",
+  "writeFileSync('~/.cache/weather/last.json', await res.text());",
+  "execSync('jq . ~/.cache/weather/last.json');",
+  '// fetch("https://commented.example.com")'
+].join('\n');
+
+const SHELL_SCRIPT = [
+  '#!/bin/sh',
+  'LIMIT=3',
+  'notify() { echo "$1"; }',
+  'curl -s "https://wttr.in/$CITY?n=$LIMIT" > /tmp/weather.txt',
+  'notify done | grep done > /dev/null'
+].join('\n');
+
+test('inferCapabilities collects hosts, paths, commands and env vars with evidence', async t => {
+  const skill = await makeSkill(t, {
+    'SKILL.md': skillMd('demo-skill', '```bash\n$ gh issue list\nexport X=1\n```\n', 'metadata: {"openclaw": {"requires": {"bins": ["node"]}}}\n'),
+    'fetch.js': FETCH_SCRIPT,
+    'run.sh': SHELL_SCRIPT
+  });
+  const { manifest, evidence } = await inferCapabilities(skill, []);
+
+  assert.deepEqual(manifest.network, ['api.weather.gov', 'wttr.in']);
+  assert.deepEqual(manifest.filesystem, { read: [], write: ['/tmp/weather.txt', '~/.cache/weather/last.json'] });
+  assert.deepEqual(manifest.subprocess, ['curl', 'grep', 'jq']);
+  assert.deepEqual(manifest.env, ['CITY', 'WEATHER_API_KEY', 'WEATHER_TOKEN']);
+  assert.deepEqual(manifest.bins, ['gh', 'node']);
+
+  const host = evidence.find(item => item.value === 'api.weather.gov');
+  assert.deepEqual([host.file, host.line], ['fetch.js', 4]);
+  assert.equal(evidence.find(item => item.value === 'gh').line, 10);
+});
+
+test('a computed address or command is recorded as "*"', async t => {
+  const skill = await makeSkill(t, {
+    'SKILL.md': skillMd('demo-skill'),
+    'client.js': "import { spawn } from 'child_process';\nexport const get = url => fetch(url);\nexport const run = cmd => spawn(cmd);\n",
+    'client.py': 'import requests\nrequests.get(target)\n'
+  });
+  const { manifest } = await inferCapabilities(skill, []);
+  assert.deepEqual(manifest.network, ['*']);
+  assert.deepEqual(manifest.subprocess, ['*']);
+});
+
+test('declaredPermissions merges the permissions block with requires and install', () => {
+  const declared = declaredPermissions({
+    permissions: { network: ['API.Example.com'], filesystem: { write: ['$HOME/.cache/x/'] }, env: 'TOKEN' },
+    metadata: { openclaw: { requires: { bins: ['curl'], env: ['KEY'] }, install: [{ bins: ['jq'] }], primaryEnv: 'KEY' } }
+  });
+
+  assert.equal(declared.block, true);
+  assert.deepEqual(declared.network, ['api.example.com']);
+  assert.deepEqual(declared.filesystem, { read: [], write: ['~/.cache/x'] });
+  assert.deepEqual(declared.exec, ['curl', 'jq']);
+  assert.deepEqual(declared.env, ['TOKEN', 'KEY']);
+  assert.deepEqual(declaredPermissions({ permissions: { filesystem: ['~/data'] } }).filesystem, { read: ['~/data'], write: ['~/data'] });
+  assert.equal(declaredPermissions().block, false);
+});
+
+test('hostAllowed matches subdomains and wildcards', () => {
+  assert.equal(hostAllowed('api.example.com', ['example.com']), true);
+  assert.equal(hostAllowed('badexample.com', ['example.com']), false);
+  assert.equal(hostAllowed('example.com', ['*.example.com']), false);
+  assert.equal(hostAllowed('a.example.com', ['*.example.com']), true);
+  assert.equal(hostAllowed('anything.io', ['*']), true);
+  assert.equal(hostAllowed('*', []), false);
+  assert.equal(hostAllowed('*', ['example.com']), true);
+});
+
+test('compareCapabilities reports each undeclared capability once, stricter with a permissions block', () => {
+  const item = (type, value, extra = {}) => ({ type, value, file: 'a.js', line: 1, column: 1, snippet: '', ...extra });
+  const inferred = {
+    manifest: { network: ['evil.io'], filesystem: { read: ['~/.ssh/id_rsa'], write: [] } },
+    evidence: [
+      item('network', 'evil.io'), item('network', 'evil.io', { line: 2 }),
+      item('filesystem', '~/.ssh/id_rsa', { access: 'read' }),
+      item('subprocess', 'curl'), item('subprocess', 'grep'), item('env', 'HOME'), item('env', 'API_KEY')
+    ]
+  };
+
+  const loose = compareCapabilities(inferred, declaredPermissions({}));
+  assert.deepEqual(loose.map(finding => [finding.rule, finding.severity]), [
+    ['undeclared-exec', 'medium'], ['undeclared-env', 'medium'], ['permissions-missing', 'low']
+  ]);
+
+  const strict = compareCapabilities(inferred, declaredPermissions({ permissions: { exec: ['curl'] } }));
+  assert.deepEqual(strict.map(finding => [finding.rule, finding.severity]), [
+    ['undeclared-network', 'high'], ['undeclared-filesystem', 'medium'], ['undeclared-env', 'medium']
+  ]);
+  assert.equal(strict[0].message, 'Contacts evil.io but does not declare it in the permissions block');
+});
+
+test('analyzeCapabilities is clean when the permissions block covers everything', async t => {
+  const permissions = [
+    'permissions:',
+    '  network: [api.weather.gov, wttr.in]',
+    '  filesystem: { write: [~/.cache/weather, /tmp] }',
+    '  exec: [jq, curl]',
+    '  env: [WEATHER_API_KEY, WEATHER_TOKEN, CITY]',
+    ''
+  ].join('\n');
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill', 'Run it.\n', permissions), 'fetch.js': FETCH_SCRIPT, 'run.sh': SHELL_SCRIPT });
+  const result = await analyzeCapabilities(skill, []);
+
+  assert.deepEqual(result.findings, []);
+  assert.deepEqual(result.issues, { critical: 0, high: 0, medium: 0, low: 0 });
+  assert.equal(result.declared.block, true);
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCode } from '../src/analyzers/code.js';
+import { analyzeFile as analyzeJavaScript } from '../src/analyzers/quality/javascript.js';
+import { analyzeFile as analyzePython } from '../src/analyzers/quality/python.js';
+import { analyzeFile as analyzeShell } from '../src/analyzers/quality/shell.js';
+import { makeSkill, skillMd } from './helpers.js';
+
+/**
+ * Rule ids of a handler's findings, with their lines
+ * @param {object} metrics - analyzeFile result
+ * @returns {Array<string>}
+ */
+function rules(metrics) {
+  return metrics.findings.map(finding => `${finding.rule}:${finding.line}`);
+}
+
+const BRANCHY_JS = `/**
+ * Classify a value
+ * @param {*} value
+ * @returns {string}
+ */
+export function classify(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return value && value.kind ? value.kind : value ?? 'other';
+}
+`;
+
+test('the JavaScript handler measures complexity and doc comments per function', () => {
+  const metrics = analyzeJavaScript(BRANCHY_JS, { maxComplexity: 3 });
+
+  assert.equal(metrics.parsed, true);
+  assert.deepEqual(metrics.functions, [{ name: 'classify', line: 6, complexity: 6, documentable: true, documented: true }]);
+  assert.deepEqual(rules(metrics), ['complex-function:6']);
+  assert.deepEqual(metrics.lines, { code: 5, comment: 5, total: 11 });
+  assert.deepEqual(analyzeJavaScript(BRANCHY_JS).findings, []);
+});
+
+test('the JavaScript handler flags swallowed errors, floating promises, dead code and poor names', () => {
+  const metrics = analyzeJavaScript([
+    "import { readFile } from 'fs/promises';",
+    'const unused = 1;',
+    'async function load() {',
+    '  return readFile("a");',
+    '  console.log("never");',
+    '}',
+    'try { load(); } catch (e) {}',
+    'load().then(() => {});',
+    'fetch("https://example.com").catch(() => {});',
+    '[1].forEach(async n => n);',
+    'export const foo = 2;',
+    'export const items = [1].map(v => v);'
+  ].join('\n'));
+
+  assert.deepEqual(rules(metrics), [
+    'unreachable-code:5', 'unhandled-promise:7', 'empty-catch:7', 'unhandled-promise:8',
+    'empty-catch:9', 'unhandled-promise:10', 'unused-declaration:2'
+  ]);
+  assert.deepEqual(metrics.identifiers.poor.map(item => `${item.name}:${item.reason}`), ['foo:meaningless']);
+  assert.equal(metrics.functions.find(fn => fn.name === 'load').documented, false);
+});
+
+test('the JavaScript handler parses TypeScript and reports syntax errors with a location', () => {
+  const metrics = analyzeJavaScript('interface Point { x: number }\nexport const origin: Point = { x: 0 };\n', { typescript: true });
+  assert.equal(metrics.parsed, true);
+  assert.deepEqual(metrics.findings, []);
+
+  const broken = analyzeJavaScript('export const a = ;\n');
+  assert.equal(broken.parsed, false);
+  assert.deepEqual([broken.findings[0].rule, broken.findings[0].line], ['parse-error', 1]);
+});
+
+test('the Python handler reads docstrings, except blocks and coroutines', () => {
+  const metrics = analyzePython([
+    'import asyncio',
+    '',
+    'async def fetch_data(url):',
+    '    """Fetch a URL."""',
+    '    return url',
+    '',
+    'def helper(x, BadName):',
+    '    try:',
+    '        fetch_data("a")',
+    '    except:',
+    '        pass',
+    '    if x and x > 1:',
+    '        return 1',
+    '        print("dead")',
+    '    asyncio.create_task(fetch_data("b"))',
+    '',
+    'class badClass:',
+    '    pass'
+  ].join('\n'));
+
+  assert.deepEqual(metrics.functions.map(fn => [fn.name, fn.complexity, fn.documented]), [
+    ['fetch_data', 1, true], ['helper', 4, false]
+  ]);
+  assert.deepEqual(rules(metrics), [
+    'unhandled-promise:9', 'bare-except:10', 'empty-catch:10', 'unreachable-code:14', 'unhandled-promise:15'
+  ]);
+  assert.deepEqual(metrics.identifiers.poor.map(item => `${item.name}:${item.reason}`), ['BadName:not snake_case', 'badClass:not PascalCase']);
+  assert.deepEqual(metrics.unusedCandidates.map(item => item.name), ['helper', 'badClass']);
+});
+
+test('the shell handler checks errexit, background jobs, heredocs and unused functions', () => {
+  const loose = analyzeShell([
+    '#!/bin/bash',
+    '# Print a greeting',
+    'greet() {',
+    '  if [ -n "$1" ] && [ "$1" != "#" ]; then echo "hi $1"; fi',
+    '}',
+    'cleanup() { rm -rf "$TMP"; }',
+    'cat <<EOF',
+    'exit 0',
+    'EOF',
+    'greet world &',
+    'exit 0',
+    'echo never'
+  ].join('\n'));
+
+  assert.deepEqual(loose.functions.map(fn => [fn.name, fn.complexity, fn.documented]), [['greet', 3, true], ['cleanup', 1, false]]);
+  assert.deepEqual(rules(loose), ['missing-errexit:1', 'unhandled-background-job:10', 'unreachable-code:12']);
+  assert.deepEqual(loose.unusedCandidates.map(item => item.name), ['cleanup']);
+  assert.equal(loose.lines.comment, 1);
+
+  const strict = analyzeShell('#!/bin/sh\nset -eu\nsleep 1 &\nwait\n');
+  assert.deepEqual(strict.findings, []);
+});
+
+test('analyzeCode scores measured metrics and confirms unused names across files', async t => {
+  const skill = await makeSkill(t, {
+    'SKILL.md': skillMd('demo-skill'),
+    'index.js': BRANCHY_JS,
+    'lib/util.py': 'def shared():\n    """Shared helper."""\n    return 1\n\ndef orphan():\n    """Nobody calls this."""\n    return 2\n',
+    'main.py': 'from lib.util import shared\n\n# Entry point\nshared()\n',
+    'vendor/skip.js': 'try { x(); } catch (e) {}\n'
+  });
+  const result = await analyzeCode(skill, { ignore: ['vendor'] });
+  const { details } = result;
+
+  assert.equal(result.max, 20);
+  assert.equal(details.analyzedFiles, 3);
+  assert.deepEqual(details.languages, { javascript: 1, python: 2 });
+  assert.deepEqual(details.deadCode.findings.map(finding => `${finding.file}:${finding.message}`),
+    ["lib/util.py:Function 'orphan' is never used"]);
+  assert.equal(details.errorHandling.score, 4);
+  assert.equal(details.comments.docCoverage, 100);
+  assert.deepEqual(result.recommendations.map(rec => rec.id), ['dead-code']);
+  assert.equal(result.score, 19);
+});
+
+test('analyzeCode gives no metric points when no code could be parsed', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill'), 'broken.js': 'export const = 1;\n' });
+  const { score, details, recommendations } = await analyzeCode(skill);
+
+  assert.equal(score, 10);
+  assert.equal(details.parseErrors.files, 1);
+  assert.equal(details.errorHandling.score, 0);
+  assert.deepEqual(recommendations.map(rec => rec.id).filter(id => ['comment-density', 'doc-coverage'].includes(id)), []);
+
+  const docsOnly = await analyzeCode(await makeSkill(t, { 'SKILL.md': skillMd('demo-skill') }));
+  assert.deepEqual(docsOnly.recommendations, []);
+});
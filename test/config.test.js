@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { DEFAULT_CONFIG, loadConfig, mergeConfig, redactConfig, validateConfig, calculateGrade, exitCodeFor } from '../src/config.js';
+import { tempDir, writeFiles, makeSkill, skillMd, runCli } from './helpers.js';
+
+test('mergeConfig deep-merges objects, replaces arrays and leaves the base alone', () => {
+  const merged = mergeConfig(DEFAULT_CONFIG, { grades: { A: 95 }, ignore: ['dist'] });
+  assert.equal(merged.grades.A, 95);
+  assert.equal(merged.grades.B, DEFAULT_CONFIG.grades.B);
+  assert.deepEqual(merged.ignore, ['dist']);
+  assert.notEqual(DEFAULT_CONFIG.grades.A, 95);
+});
+
+test('loadConfig discovers .scorecardrc and resolves paths against it', async t => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, { '.scorecardrc': JSON.stringify({ minGrade: 'B', ignore: ['fixtures'], reputation: { lists: ['lists/allow.json'] } }) });
+  const config = await loadConfig({ cwd: dir });
+
+  assert.equal(config.source, join(dir, '.scorecardrc'));
+  assert.equal(config.minGrade, 'B');
+  assert.ok(config.ignore.includes('fixtures') && config.ignore.includes('node_modules'));
+  assert.deepEqual(config.reputation.lists, [join(dir, 'lists', 'allow.json')]);
+});
+
+test('scorecard.config.js is loaded as a module and --config points at any file', async t => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, {
+    'scorecard.config.js': "export default { grades: { A: 95 }, history: { file: 'out/history.jsonl' } };\n",
+    'other.json': JSON.stringify({ minGrade: 'A' })
+  });
+
+  const config = await loadConfig({ cwd: dir });
+  assert.equal(config.grades.A, 95);
+  assert.equal(config.history.file, join(dir, 'out', 'history.jsonl'));
+  assert.equal((await loadConfig({ configPath: join(dir, 'other.json') })).minGrade, 'A');
+
+  await writeFiles(dir, { 'bad.json': '{ "minGrade": ' });
+  await assert.rejects(loadConfig({ configPath: join(dir, 'bad.json') }), /is not valid JSON/);
+});
+
+test('the CLI exit code follows minGrade and exitCodes from the config', async t => {
+  const cwd = await tempDir(t);
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill') });
+  const args = [skill, '--offline', '--no-cache', '--no-history', '--json'];
+
+  await writeFiles(cwd, { '.scorecardrc': JSON.stringify({ minGrade: 'F' }) });
+  assert.equal((await runCli(args, { cwd })).code, 0);
+  await writeFiles(cwd, { '.scorecardrc': JSON.stringify({ minGrade: 'A', exitCodes: { A: 0, B: 4, C: 4, D: 4, F: 4 } }) });
+  assert.equal((await runCli(args, { cwd })).code, 4);
+  await writeFiles(cwd, { '.scorecardrc': JSON.stringify({ minGrade: 'Z' }) });
+  const invalid = await runCli(args, { cwd });
+  assert.notEqual(invalid.code, 0);
+  assert.match(invalid.stderr, /minGrade must be one of A, B, C, D, F \(got "Z"\)/);
+});
+
+test('validateConfig rejects unknown keys and wrong types', () => {
+  assert.throws(() => validateConfig({ grade: {} }, 'rc'), /grade is not a known option/);
+  assert.throws(() => validateConfig({ minGrade: 'Z' }, 'rc'), /minGrade/);
+});
+
+test('grades and exit codes follow the configured cutoffs', () => {
+  assert.equal(calculateGrade(85), 'B');
+  assert.equal(calculateGrade(85, { A: 80, B: 70, C: 60, D: 50 }), 'A');
+  assert.equal(exitCodeFor('C'), 0);
+  assert.equal(exitCodeFor('D'), 1);
+});
+
+test('redactConfig blanks credential values and keeps everything else', () => {
+  const config = mergeConfig(DEFAULT_CONFIG, { reputation: { clawdex: { authHeader: 'Bearer SUPERSECRET' } } });
+  const redacted = redactConfig(config);
+
+  assert.equal(redacted.reputation.clawdex.authHeader, '[redacted]');
+  assert.equal(redacted.reputation.clawdex.baseUrl, config.reputation.clawdex.baseUrl);
+  assert.deepEqual(redacted.secrets, config.secrets);
+  assert.equal(config.reputation.clawdex.authHeader, 'Bearer SUPERSECRET');
+  assert.equal(redactConfig(DEFAULT_CONFIG).reputation.clawdex.authHeader, null);
+});
+
+test('results never echo the Clawdex auth header', async t => {
+  const cwd = await tempDir(t);
+  await writeFiles(cwd, { '.scorecardrc': JSON.stringify({ reputation: { clawdex: { authHeader: 'Bearer SUPERSECRET' } } }) });
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill') });
+
+  for (const format of ['json', 'sarif', 'html']) {
+    const { stdout } = await runCli([skill, '--offline', '--no-cache', '--no-history', '--format', format], { cwd });
+    assert.ok(stdout.length > 0, `${format} output`);
+    assert.doesNotMatch(stdout, /SUPERSECRET/, format);
+  }
+});
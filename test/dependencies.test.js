@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { typosquatTarget, versionInRange, analyzeDependencies } from '../src/analyzers/dependencies.js';
+import { makeSkill, writeFiles } from './helpers.js';
+
+test('typosquatTarget flags lookalikes of popular packages', () => {
+  assert.equal(typosquatTarget('axois', 'npm'), 'axios');
+  assert.equal(typosquatTarget('crossenv', 'npm'), 'cross-env');
+  assert.equal(typosquatTarget('mongose', 'npm'), 'mongoose');
+  assert.equal(typosquatTarget('electorn', 'npm'), 'electron');
+  assert.equal(typosquatTarget('reqeusts', 'pypi'), 'requests');
+  assert.equal(typosquatTarget('djanga', 'pypi'), 'django');
+});
+
+test('typosquatTarget leaves popular, established and scoped packages alone', () => {
+  for (const name of ['preact', 'args', 'mssql', 'react', 'yargs', '@types/react', 'left-pad']) {
+    assert.equal(typosquatTarget(name, 'npm'), null, name);
+  }
+  for (const name of ['scapy', 'boto', 'pyaml', 'markdown2', 'Requests', 'python_dateutil']) {
+    assert.equal(typosquatTarget(name, 'pypi'), null, name);
+  }
+});
+
+test('versionInRange supports comparators and alternatives', () => {
+  assert.equal(versionInRange('1.4.1', '>=1.0.0 <1.4.2'), true);
+  assert.equal(versionInRange('1.4.2', '>=1.0.0 <1.4.2'), false);
+  assert.equal(versionInRange('2.0.0', '<1.0.0 || >=2.0.0'), true);
+  assert.equal(versionInRange('1.0.0-beta', '<1.0.0'), true);
+});
+
+test('analyzeDependencies reports install scripts, remote and unpinned deps and typosquats', async t => {
+  const skill = await makeSkill(t, {
+    'package.json': JSON.stringify({
+      name: 'weather',
+      scripts: { postinstall: 'node setup.js' },
+      dependencies: { preact: '10.19.0', args: '5.0.3', axois: '1.6.0', tool: 'github:org/tool', lodash: '*' }
+    })
+  });
+  const result = await analyzeDependencies(skill);
+  const rules = result.details.findings.map(finding => `${finding.rule}:${finding.package ?? ''}`);
+
+  assert.ok(rules.includes('install-script:'), rules.join());
+  assert.ok(rules.some(rule => rule.startsWith('remote-dependency')), rules.join());
+  assert.ok(rules.some(rule => rule.startsWith('typosquat')), rules.join());
+  assert.equal(result.details.findings.filter(finding => finding.rule === 'typosquat').length, 1);
+  assert.ok(result.score < result.max);
+
+  const allowed = await analyzeDependencies(skill, { allowlist: ['axois'] });
+  assert.equal(allowed.details.findings.filter(finding => finding.rule === 'typosquat').length, 0);
+});
+
+test('a skill without manifests keeps full dependency points', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': '# Weather\n' });
+  await writeFiles(skill, { 'notes.txt': 'none' });
+  const result = await analyzeDependencies(skill);
+  assert.equal(result.score, result.max);
+  assert.deepEqual(result.details.findings, []);
+});
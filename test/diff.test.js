@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { diffSkills, diffResults } from '../src/diff.js';
+import { loadSkill } from '../src/loader.js';
+import { tempDir, writeFiles, makeSkill, skillMd, offlineConfig, git } from './helpers.js';
+
+const FETCH = "export async function forecast(city) {\n  return fetch(`https://api.example.net/${city}`);\n}\n";
+
+/**
+ * Minimal scoreSkill result for diffResults
+ * @param {number} score
+ * @param {Array<object>} findings - Security findings
+ * @returns {object}
+ */
+function result(score, findings = []) {
+  return {
+    skill: 'weather',
+    path: '/skills/weather',
+    overallScore: score,
+    grade: score >= 70 ? 'C' : 'D',
+    breakdown: { security: { label: 'Security', score, max: 100, details: { static: { findings } } } },
+    recommendations: []
+  };
+}
+
+test('diffResults matches findings that only moved lines', () => {
+  const finding = { rule: 'dynamic-eval', severity: 'high', message: 'eval', file: 'a.js', snippet: 'eval(x)' };
+  const diff = diffResults(
+    result(80, [{ ...finding, line: 3 }]),
+    result(70, [{ ...finding, line: 9 }, { ...finding, rule: 'shell-injection', line: 12, snippet: 'exec(cmd)' }])
+  );
+
+  assert.equal(diff.overall.delta, -10);
+  assert.equal(diff.categories.security.delta, -10);
+  assert.deepEqual(diff.findings.unchanged.map(item => item.line), [9]);
+  assert.deepEqual(diff.findings.added.map(item => item.rule), ['shell-injection']);
+  assert.deepEqual(diff.findings.resolved, []);
+  assert.deepEqual(diff.excluded, []);
+});
+
+test('a #ref export is compared with the work tree without git-history analyzers', async t => {
+  const repo = await tempDir(t);
+  const skillDir = join(repo, 'weather');
+  await writeFiles(skillDir, { 'SKILL.md': skillMd('weather'), 'CHANGELOG.md': '## 1.0.0\n- First\n' });
+  await git(repo, ['init', '--quiet']);
+  await git(repo, ['add', '-A']);
+  await git(repo, ['commit', '--quiet', '-m', 'v1']);
+  await git(repo, ['tag', 'v1']);
+  await writeFiles(skillDir, { 'index.js': FETCH });
+
+  const before = await loadSkill(`${skillDir}#v1`);
+  const after = await loadSkill(skillDir);
+  t.after(before.cleanup);
+  const diff = await diffSkills(before, after, { config: offlineConfig() });
+
+  assert.deepEqual(diff.excluded, ['maintenance']);
+  assert.equal(diff.categories.maintenance, undefined);
+  assert.ok(![...diff.findings.resolved, ...diff.recommendations.removed]
+    .some(item => item.category === 'maintenance'));
+  assert.deepEqual(diff.capabilities.added.network.map(item => item.file), ['index.js']);
+});
+
+test('two sides without git history are compared in full', async t => {
+  const before = await makeSkill(t, { 'SKILL.md': skillMd('weather') }, 'weather');
+  const after = await makeSkill(t, { 'SKILL.md': skillMd('weather'), 'index.js': FETCH }, 'weather');
+  const load = async path => ({ path, name: 'weather', directory: 'weather', source: null });
+  const diff = await diffSkills(await load(before), await load(after), { config: offlineConfig() });
+
+  assert.deepEqual(diff.excluded, []);
+  assert.equal(diff.categories.maintenance.delta, 0);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { join } from 'path';
+import { promisify } from 'util';
+import { parseFrontmatter, parseYaml, openclawMetadata } from '../src/analyzers/frontmatter.js';
+import { validateFrontmatter, analyzeDocs } from '../src/analyzers/docs.js';
+import { tempDir, writeFiles, makeSkill, skillMd, runCli } from './helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Rule ids validateFrontmatter reports
+ * @param {string} content
+ * @param {string|null} directoryName
+ * @returns {Array<string>}
+ */
+function rules(content, directoryName = 'weather') {
+  return validateFrontmatter(content, directoryName).findings.map(finding => finding.rule);
+}
+
+test('parseYaml handles nested mappings, sequences, flow collections and block scalars', () => {
+  const data = parseYaml([
+    'name: weather',
+    'tags: [forecast, "rain"]',
+    'permissions:',
+    '  network:',
+    '    - api.example.com',
+    'metadata: {',
+    '  "openclaw": { "requires": { "bins": ["curl"], }, },',
+    '}',
+    'description: >',
+    '  Fetches the',
+    '  forecast'
+  ].join('\n'));
+
+  assert.equal(data.name, 'weather');
+  assert.deepEqual(data.tags, ['forecast', 'rain']);
+  assert.deepEqual(data.permissions.network, ['api.example.com']);
+  assert.deepEqual(openclawMetadata(data).requires.bins, ['curl']);
+  assert.equal(data.description, 'Fetches the forecast\n');
+});
+
+test('parseFrontmatter reports unclosed and invalid blocks with a line', () => {
+  assert.equal(parseFrontmatter('# No frontmatter\n').present, false);
+  assert.equal(parseFrontmatter('---\nname: weather\n').error.line, 1);
+  const invalid = parseFrontmatter('---\nname: weather\n  bad: indent\n---\nBody\n');
+  assert.ok(invalid.error);
+  assert.equal(invalid.bodyLine, 5);
+});
+
+test('validateFrontmatter checks the OpenClaw schema', () => {
+  assert.deepEqual(rules(skillMd('weather')), []);
+  assert.deepEqual(rules('# Weather\n\nUse it.\n'), ['frontmatter-missing']);
+  assert.deepEqual(rules('---\nname: Weather_Skill\ndescription: TODO\n---\n\nUse it.\n', null),
+    ['name-invalid', 'description-placeholder']);
+  assert.deepEqual(rules(skillMd('weather', 'Use it.\n', 'homepage: example.com\nuser-invocable: "sometimes"\n')),
+    ['field-invalid', 'field-invalid']);
+  assert.deepEqual(rules(skillMd('weather', 'Use it.\n', 'metadata: {"openclaw": {"install": [{"kind": "apt"}]}}\n')),
+    ['metadata-invalid']);
+  assert.deepEqual(rules(skillMd('weather', '# Heading only\n')), ['body-empty']);
+});
+
+test('the frontmatter name is compared with the directory, not a display name', async t => {
+  assert.deepEqual(rules(skillMd('weather'), 'forecast'), ['name-mismatch']);
+  assert.deepEqual(rules(skillMd('weather'), null), []);
+
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('weather') }, 'weather');
+  const plain = await runCli([skill, '--offline', '--no-cache', '--no-history', '--json']);
+  const renamed = await runCli([skill, '--offline', '--no-cache', '--no-history', '--json', '--name', 'Custom']);
+  const [before, after] = [plain, renamed].map(({ stdout }) => JSON.parse(stdout));
+
+  assert.equal(after.skill, 'Custom');
+  assert.equal(after.breakdown.documentation.score, before.breakdown.documentation.score);
+  assert.deepEqual(after.breakdown.documentation.details.skillMd.findings, []);
+});
+
+test('versioned archive names do not count as the skill directory', async t => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, { 'src/two/SKILL.md': skillMd('two') });
+  const archive = join(dir, 'two-1.2.0.tgz');
+  await execFileAsync('tar', ['-czf', archive, '-C', join(dir, 'src'), 'two']);
+
+  const { stdout } = await runCli([archive, '--offline', '--no-cache', '--no-history', '--json']);
+  const result = JSON.parse(stdout);
+  assert.equal(result.skill, 'two-1.2.0');
+  assert.deepEqual(result.breakdown.documentation.details.skillMd.findings.map(finding => finding.rule), []);
+});
+
+test('analyzeDocs scores SKILL.md, README, examples and references', async t => {
+  const skill = await makeSkill(t, {
+    'SKILL.md': skillMd('weather', '## Usage\n\n```\nweather London\n```\n\n## References\n\n- https://example.com\n'),
+    'README.md': 'A weather skill. '.repeat(30)
+  }, 'weather');
+  const result = await analyzeDocs(skill, { directoryName: 'weather' });
+
+  assert.equal(result.score, result.max);
+  assert.deepEqual(result.recommendations, []);
+
+  const bare = await analyzeDocs(await makeSkill(t, { 'notes.txt': 'x' }, 'bare'), { directoryName: 'bare' });
+  assert.equal(bare.details.skillMd.exists, false);
+  assert.ok(bare.recommendations.length > 0);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrontmatter, parseYaml, readFrontmatter, openclawMetadata } from '../src/analyzers/frontmatter.js';
+import { makeSkill, skillMd } from './helpers.js';
+
+test('parseYaml converts scalars, quoted strings and comments', () => {
+  const data = parseYaml([
+    'count: 3',
+    'ratio: -1.5',
+    'enabled: yes',
+    'disabled: off',
+    'nothing: ~',
+    'version: "1.0"',
+    "quote: 'it''s'",
+    'escaped: "a\\tb"',
+    'url: https://example.com/a#b',
+    'note: plain text # trailing comment',
+    '"spaced key": 1',
+    '# a full-line comment'
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    count: 3, ratio: -1.5, enabled: true, disabled: false, nothing: null, version: '1.0',
+    quote: "it's", escaped: 'a\tb', url: 'https://example.com/a#b', note: 'plain text', 'spaced key': 1
+  });
+});
+
+test('parseYaml keeps literal block scalars and nested sequences of mappings', () => {
+  const data = parseYaml([
+    'script: |',
+    '  echo one',
+    '    indented',
+    '  echo two',
+    'install:',
+    '  - kind: brew',
+    '    bins: [jq]',
+    '  - kind: node',
+    '    bins:',
+    '      - tsx'
+  ].join('\n'));
+
+  assert.equal(data.script, 'echo one\n  indented\necho two\n');
+  assert.deepEqual(data.install, [{ kind: 'brew', bins: ['jq'] }, { kind: 'node', bins: ['tsx'] }]);
+});
+
+test('parseYaml reports the line of unterminated and unbalanced flow collections', () => {
+  assert.throws(() => parseYaml('name: weather\ntags: [a, "b\n', 5), /line 6/);
+  assert.throws(() => parseYaml('metadata: {\n  "a": 1\n  "b": 2\n}', 2), /Expected "," or "}" in flow mapping \(line 4\)/);
+});
+
+test('parseFrontmatter accepts a BOM, CRLF line endings and a "..." terminator', () => {
+  const parsed = parseFrontmatter('\uFEFF---\r\nname: weather\r\n...\r\n# Weather\r\n');
+  assert.deepEqual([parsed.present, parsed.error, parsed.data.name], [true, null, 'weather']);
+  assert.equal(parsed.body, '# Weather\n');
+  assert.equal(parsed.bodyLine, 4);
+  assert.equal(parseFrontmatter('---\n- a\n- b\n---\n').error.message, 'Frontmatter must be a mapping of keys to values');
+});
+
+test('openclawMetadata reads JSON strings and legacy namespaces', () => {
+  assert.deepEqual(openclawMetadata({ metadata: '{"clawdbot": {"emoji": "☀"}}' }), { emoji: '☀' });
+  assert.deepEqual(openclawMetadata({ metadata: { clawdis: { a: 1 }, openclaw: { b: 2 } } }), { b: 2 });
+  assert.deepEqual(openclawMetadata({ metadata: 'not json' }), {});
+  assert.deepEqual(openclawMetadata(undefined), {});
+});
+
+test('readFrontmatter returns the file content, or null without SKILL.md', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill'), 'README.md': '# x\n' });
+  const frontmatter = await readFrontmatter(skill);
+  assert.equal(frontmatter.data.name, 'demo-skill');
+  assert.ok(frontmatter.content.startsWith('---\n'));
+  assert.equal(await readFrontmatter(`${skill}/missing`), null);
+});
@@ -0,0 +1,110 @@
+/**
+ * Test Helpers
+ * Temporary skill fixtures, an offline config and a CLI runner
+ */
+
+import { execFile } from 'child_process';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CONFIG, mergeConfig } from '../src/config.js';
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const CLI = join(ROOT, 'src', 'cli.js');
+
+/**
+ * Create a temporary directory removed when the test finishes
+ * @param {object} t - node:test context
+ * @returns {Promise<string>}
+ */
+export async function tempDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), 'scorecard-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write files under a directory
+ * @param {string} dir
+ * @param {object} files - Map of relative path to content
+ * @returns {Promise<string>} The directory
+ */
+export async function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await mkdir(dirname(join(dir, file)), { recursive: true });
+    await writeFile(join(dir, file), content);
+  }
+  return dir;
+}
+
+/**
+ * Create a skill directory from a map of files
+ * @param {object} t - node:test context
+ * @param {object} files - Map of relative path to content
+ * @param {string} name - Skill directory name
+ * @returns {Promise<string>} Skill path
+ */
+export async function makeSkill(t, files, name = 'demo-skill') {
+  return writeFiles(join(await tempDir(t), name), files);
+}
+
+/**
+ * SKILL.md with frontmatter
+ * @param {string} name
+ * @param {string} body
+ * @param {string} extra - Extra frontmatter lines
+ * @returns {string}
+ */
+export function skillMd(name, body = '## Usage\n\nRun the script.\n', extra = '') {
+  return `---\nname: ${name}\ndescription: Fetches the weather forecast for a city when the user asks\n${extra}---\n\n# ${name}\n\n${body}`;
+}
+
+/**
+ * Config that never touches the network, cache or history
+ * @param {object} overrides
+ * @returns {object}
+ */
+export function offlineConfig(overrides = {}) {
+  return mergeConfig(DEFAULT_CONFIG, mergeConfig({
+    reputation: { offline: true },
+    cache: { enabled: false },
+    history: { enabled: false }
+  }, overrides));
+}
+
+/**
+ * Run git in a directory with a fixed identity
+ * @param {string} cwd
+ * @param {Array<string>} args
+ * @param {object} env
+ * @returns {Promise<string>} stdout
+ */
+export function git(cwd, args, env = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+      { cwd, env: { ...process.env, ...env } },
+      (error, stdout) => error ? reject(error) : resolve(stdout));
+  });
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args
+ * @param {object} options
+ * @param {string} options.cwd
+ * @param {object} options.env - Extra environment variables
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+export function runCli(args, { cwd = ROOT, env = {} } = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], {
+      cwd,
+      env: { ...process.env, NO_COLOR: '1', ...env },
+      maxBuffer: 32 * 1024 * 1024,
+      timeout: 120000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? (typeof error.code === 'number' ? error.code : 1) : 0, stdout, stderr });
+    });
+  });
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFile, readFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { readHistory, compareWithPrevious, skillVersion } from '../src/history.js';
+import { tempDir, writeFiles, makeSkill, skillMd, runCli } from './helpers.js';
+
+const RISKY = "import { exec } from 'child_process';\nexec(`open ${process.argv[2]}`);\neval(process.argv[3]);\n";
+
+test('readHistory filters by skill, sorts by time and skips torn lines', async t => {
+  const file = join(await tempDir(t), 'history.jsonl');
+  await appendFile(file, [
+    JSON.stringify({ skill: 'weather', scannedAt: '2026-02-01T00:00:00Z', overallScore: 70 }),
+    '{"skill": "weather", "scannedAt": "2026-0',
+    JSON.stringify({ skill: 'weather', scannedAt: '2026-01-01T00:00:00Z', overallScore: 80 }),
+    JSON.stringify({ skill: 'other', scannedAt: '2026-01-15T00:00:00Z', overallScore: 50 })
+  ].join('\n') + '\n');
+
+  assert.deepEqual((await readHistory(file, 'weather')).map(entry => entry.overallScore), [80, 70]);
+  assert.equal((await readHistory(file)).length, 3);
+  assert.deepEqual(await readHistory(join(file, '..', 'missing.jsonl')), []);
+});
+
+test('compareWithPrevious flags drops larger than the allowed delta', () => {
+  const entries = [{ overallScore: 90, grade: 'A', version: '1.0.0', scannedAt: 'x' }, { overallScore: 80, grade: 'B', version: '1.1.0', scannedAt: 'y' }];
+  assert.equal(compareWithPrevious({ overallScore: 70 }, [], 5), null);
+  assert.deepEqual(compareWithPrevious({ overallScore: 76 }, entries, 5),
+    { previousScore: 80, previousGrade: 'B', previousVersion: '1.1.0', previousScannedAt: 'y', delta: -4, regressed: false });
+  assert.equal(compareWithPrevious({ overallScore: 74 }, entries, 5).regressed, true);
+});
+
+test('skillVersion prefers the registry version, then the declared one, then the commit', () => {
+  const commit = 'a'.repeat(40);
+  assert.equal(skillVersion({ source: { type: 'clawhub', resolved: '2.0.0' } }), '2.0.0');
+  assert.equal(skillVersion({ source: { type: 'git', resolved: commit }, breakdown: { maintenance: { details: { version: { version: '1.2.0' } } } } }), '1.2.0');
+  assert.equal(skillVersion({ source: { type: 'git', resolved: commit } }), 'a'.repeat(12));
+  assert.equal(skillVersion({}), null);
+});
+
+test('scans are recorded and a later drop fails with --fail-on-regression', async t => {
+  const file = join(await tempDir(t), 'history.jsonl');
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill', '## Usage\n\nRun it.\n', 'version: 1.0.0\n') });
+  const scan = () => runCli([skill, '--offline', '--no-cache', '--json', '--history-file', file, '--fail-on-regression']);
+
+  const first = JSON.parse((await scan()).stdout);
+  assert.equal(first.history, undefined);
+  await writeFiles(skill, { 'index.js': RISKY });
+  const second = await scan();
+  const result = JSON.parse(second.stdout);
+
+  assert.equal(result.history.previousScore, first.overallScore);
+  assert.equal(result.history.regressed, true);
+  assert.notEqual(second.code, 0);
+
+  const lines = (await readFile(file, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(entry => entry.skill), ['demo-skill', 'demo-skill']);
+  const { stdout } = await runCli(['history', 'demo-skill', '--json', '--history-file', file, '--limit', '1']);
+  assert.deepEqual(JSON.parse(stdout).entries.map(entry => entry.overallScore), [result.overallScore]);
+});
+
+test('a skill directory named like a command is scanned, not run as the command', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('history') }, 'history');
+  const { stdout, stderr } = await runCli(['history', '--offline', '--no-cache', '--no-history', '--json'], { cwd: dirname(skill) });
+
+  const result = JSON.parse(stdout);
+  assert.equal(result.skill, 'history', stderr);
+  assert.ok(result.breakdown.security);
+});
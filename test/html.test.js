@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { renderHtml, renderSparkline, skillPageName } from '../src/renderers/html.js';
+import { scoreSkill } from '../src/scorer.js';
+import { tempDir, writeFiles, makeSkill, skillMd, offlineConfig, runCli } from './helpers.js';
+
+const RISKY = "import { exec } from 'child_process';\nexec(`open ${process.argv[2]}`);\n";
+
+test('renderHtml is one self-contained page with grade, bars, details, findings and recommendations', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill'), 'index.js': RISKY });
+  const result = await scoreSkill(skill, '<demo & skill>', { config: offlineConfig() });
+  const html = renderHtml(result);
+
+  assert.match(html, /^<!DOCTYPE html>/i);
+  assert.doesNotMatch(html, /<script[^>]+src=|<link[^>]+stylesheet/);
+  assert.match(html, /&lt;demo &amp; skill&gt;/);
+  assert.doesNotMatch(html, /<demo & skill>/);
+  assert.ok(html.includes(`>${result.grade}<`));
+  assert.match(html, /<details/);
+  assert.match(html, /index\.js:2/);
+  assert.ok(result.recommendations.every(rec => html.includes(rec.message.replace(/&/g, '&amp;'))));
+});
+
+test('history-only entries render their scores without findings', () => {
+  const html = renderHtml({ skill: 'weather', grade: 'B', overallScore: 81, scannedAt: '2026-01-01T00:00:00Z', categories: {} });
+  assert.match(html, /Only summary scores were recorded/);
+  assert.match(renderSparkline([50, 60, 80]), /<svg[^>]*>.*<\/svg>/s);
+  assert.equal(skillPageName({ skill: 'My Skill!' }, 0), '001-my-skill.html');
+});
+
+test('batch HTML writes an index linking one page per skill', async t => {
+  const skills = await tempDir(t);
+  await writeFiles(skills, {
+    'alpha/SKILL.md': skillMd('alpha'),
+    'beta/SKILL.md': skillMd('beta'),
+    'beta/index.js': RISKY
+  });
+  const out = await tempDir(t);
+  await runCli(['--batch', skills, '--offline', '--no-cache', '--no-history',
+    '--format', 'html', '--output', join(out, 'index.html')]);
+
+  const pages = (await readdir(out)).sort();
+  assert.equal(pages.length, 3);
+  const index = await readFile(join(out, 'index.html'), 'utf-8');
+  pages.filter(page => page !== 'index.html').forEach(page => assert.ok(index.includes(`href="${page}"`), page));
+  const page = await readFile(join(out, pages.find(name => name.endsWith('beta.html'))), 'utf-8');
+  assert.match(page, /href="index\.html"/);
+});
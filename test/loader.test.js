@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { createServer } from 'http';
+import { access, readFile, rm } from 'fs/promises';
+import { basename, join } from 'path';
+import { promisify } from 'util';
+import { loadSkill, detectSourceType, parseClawhubSpec } from '../src/loader.js';
+import { scoreSkill } from '../src/scorer.js';
+import { tempDir, writeFiles, skillMd, offlineConfig, git } from './helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Whether a path exists
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A .tar.gz of a weather skill wrapped in one directory, with .git metadata packed in
+ * @param {object} t
+ * @param {string} file - Archive file name
+ * @returns {Promise<string>} Archive path
+ */
+async function weatherArchive(t, file = 'weather-1.2.0.tgz') {
+  const dir = await tempDir(t);
+  await writeFiles(join(dir, 'src'), {
+    'weather/SKILL.md': skillMd('weather'),
+    'weather/.git/config': '[core]\n\tfsmonitor = /tmp/payload.sh\n',
+    'weather/.git/HEAD': 'ref: refs/heads/main\n',
+    'weather/scripts/.git': 'gitdir: /elsewhere\n',
+    'weather/scripts/run.sh': 'echo hi\n'
+  });
+  const archive = join(dir, file);
+  await execFileAsync('tar', ['-czf', archive, '-C', join(dir, 'src'), 'weather']);
+  return archive;
+}
+
+/**
+ * Serve a stand-in ClawHub registry and archive host on localhost
+ * @param {object} t
+ * @param {Buffer} archive - Body for every download
+ * @returns {Promise<{url: string, requests: Array<string>}>}
+ */
+async function registry(t, archive) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/api/skills/weather') {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ version: '1.2.0' }));
+    } else if (req.url.endsWith('/download') || req.url.endsWith('.tar.gz')) {
+      res.end(archive);
+    } else {
+      res.statusCode = 404;
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test('detectSourceType tells the supported specs apart', async () => {
+  assert.equal(await detectSourceType('clawhub:weather@1.0.0'), 'clawhub');
+  assert.equal(await detectSourceType('https://github.com/org/weather'), 'git');
+  assert.equal(await detectSourceType('git@github.com:org/weather.git#v1'), 'git');
+  assert.equal(await detectSourceType('https://example.com/weather.zip'), 'remote-archive');
+  assert.equal(await detectSourceType('./skills/weather#v1.2'), 'git-ref');
+  assert.equal(await detectSourceType('./skills/weather'), 'local');
+  await assert.rejects(detectSourceType('https://example.com/weather'), /Unsupported URL/);
+});
+
+test('an existing directory with # in its name is local, not a git ref', async t => {
+  const dir = join(await tempDir(t), 'c#-helper');
+  await writeFiles(dir, { 'SKILL.md': skillMd('c-helper') });
+
+  assert.equal(await detectSourceType(dir), 'local');
+  const skill = await loadSkill(dir);
+  assert.equal(skill.path, dir);
+  assert.equal(skill.source.type, 'directory');
+});
+
+test('an existing directory named like a git repository is local, not cloned', async t => {
+  const dir = join(await tempDir(t), 'tool.git');
+  await writeFiles(dir, { 'SKILL.md': skillMd('tool') });
+
+  assert.equal(await detectSourceType(dir), 'local');
+  assert.equal(await detectSourceType(`${dir}/`), 'local');
+  assert.equal((await loadSkill(dir)).source.type, 'directory');
+});
+
+test('parseClawhubSpec splits the name and version, allowing scopes', () => {
+  assert.deepEqual(parseClawhubSpec('clawhub:weather'), { name: 'weather', version: null });
+  assert.deepEqual(parseClawhubSpec('clawhub:@org/weather@1.2.0'), { name: '@org/weather', version: '1.2.0' });
+  assert.throws(() => parseClawhubSpec('clawhub:bad name'), /Invalid ClawHub spec/);
+});
+
+test('local archives are unwrapped and stripped of .git metadata', async t => {
+  const skill = await loadSkill(await weatherArchive(t));
+  t.after(skill.cleanup);
+
+  assert.equal(skill.name, 'weather-1.2.0');
+  assert.equal(skill.directory, 'weather');
+  assert.equal(skill.source.type, 'archive');
+  assert.match(await readFile(join(skill.path, 'SKILL.md'), 'utf-8'), /name: weather/);
+  assert.equal(await exists(join(skill.path, '.git')), false);
+  assert.equal(await exists(join(skill.path, 'scripts', '.git')), false);
+  assert.ok(await exists(join(skill.path, 'scripts', 'run.sh')));
+
+  await skill.cleanup();
+  assert.equal(await exists(skill.path), false);
+});
+
+test('an archive folder named with $(), quotes and ; is loaded under a fixed name', async t => {
+  const marker = `scorecard-pwned-${process.pid}`;
+  t.after(() => rm(join(process.cwd(), marker), { force: true }));
+  const dir = await tempDir(t);
+  const folder = `we'ather$(touch ${marker})";touch ${marker};"`;
+  await writeFiles(join(dir, 'src'), { [`${folder}/SKILL.md`]: skillMd('weather') });
+  const archive = join(dir, 'weather.tar.gz');
+  await execFileAsync('tar', ['-czf', archive, '-C', join(dir, 'src'), folder]);
+
+  const skill = await loadSkill(archive);
+  t.after(skill.cleanup);
+
+  assert.equal(skill.directory, folder);
+  assert.equal(basename(skill.path), 'skill');
+  assert.ok(await exists(join(skill.path, 'SKILL.md')));
+  await scoreSkill(skill.path, skill.name, { config: offlineConfig(), directory: skill.directory });
+  assert.equal(await exists(join(process.cwd(), marker)), false);
+});
+
+test('git refs export the skill directory as it was at that ref', async t => {
+  const repo = await tempDir(t);
+  await writeFiles(repo, { 'skills/weather/SKILL.md': skillMd('weather', 'Version one\n') });
+  await git(repo, ['init', '--quiet']);
+  await git(repo, ['add', '-A']);
+  await git(repo, ['commit', '--quiet', '-m', 'v1']);
+  await git(repo, ['tag', 'v1']);
+  await writeFiles(repo, { 'skills/weather/SKILL.md': skillMd('weather', 'Version two\n') });
+
+  const skill = await loadSkill(`${join(repo, 'skills', 'weather')}#v1`);
+  t.after(skill.cleanup);
+
+  assert.equal(skill.name, 'weather');
+  assert.equal(skill.directory, 'weather');
+  assert.equal(skill.source.type, 'git-ref');
+  assert.match(skill.source.resolved, /^[0-9a-f]{40}$/);
+  assert.match(await readFile(join(skill.path, 'SKILL.md'), 'utf-8'), /Version one/);
+  await assert.rejects(loadSkill(`${join(repo, 'skills', 'weather')}#nope`), /Unknown git ref "nope"/);
+  await assert.rejects(loadSkill(`${join(repo, 'skills', 'weather')}#--output=${join(repo, 'x')}`), /refs cannot start with "-"/);
+});
+
+test('git URLs with a ref that looks like an option are refused before cloning', async t => {
+  const repo = await tempDir(t);
+  await writeFiles(repo, { 'SKILL.md': skillMd('weather') });
+  await git(repo, ['init', '--quiet']);
+  await git(repo, ['add', '-A']);
+  await git(repo, ['commit', '--quiet', '-m', 'v1']);
+  const marker = join(repo, 'pwned');
+
+  await assert.rejects(loadSkill(`file://${repo}#--upload-pack=touch ${marker}`), /refs cannot start with "-"/);
+  await assert.rejects(loadSkill(`file://${repo}#-b`), /Invalid git ref "-b"/);
+  assert.equal(await exists(marker), false);
+
+  const skill = await loadSkill(`file://${repo}#HEAD`);
+  t.after(skill.cleanup);
+  assert.match(skill.source.resolved, /^[0-9a-f]{40}$/);
+});
+
+test('ClawHub specs resolve the latest version and download it from the registry', async t => {
+  const server = await registry(t, await readFile(await weatherArchive(t)));
+  const skill = await loadSkill('clawhub:weather', { registry: server.url });
+  t.after(skill.cleanup);
+
+  assert.equal(skill.name, 'weather');
+  assert.deepEqual(skill.source, { type: 'clawhub', spec: 'clawhub:weather', registry: server.url, name: 'weather', resolved: '1.2.0' });
+  assert.deepEqual(server.requests, ['/api/skills/weather', '/api/skills/weather/1.2.0/download']);
+  assert.equal(await exists(join(skill.path, '.git')), false);
+  await assert.rejects(loadSkill('clawhub:missing', { registry: server.url }), /HTTP 404/);
+});
+
+test('remote archives are downloaded and named after the file', async t => {
+  const server = await registry(t, await readFile(await weatherArchive(t)));
+  const skill = await loadSkill(`${server.url}/files/weather-2.0.0.tar.gz`);
+  t.after(skill.cleanup);
+
+  assert.equal(skill.name, 'weather-2.0.0');
+  assert.equal(skill.source.type, 'archive');
+  assert.ok(await exists(join(skill.path, 'SKILL.md')));
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { access, chmod } from 'fs/promises';
+import { join } from 'path';
+import { promisify } from 'util';
+import { analyzeMaintenance } from '../src/analyzers/maintenance.js';
+import { scanGitHistory } from '../src/analyzers/secrets.js';
+import { tempDir, writeFiles, skillMd, git } from './helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Whether a file exists
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A skill repository with one unsigned and one SSH-signed commit, whose
+ * .git/config points gpg and fsmonitor at a script that writes a marker file
+ * @param {object} t
+ * @returns {Promise<{skill: string, marker: string}>}
+ */
+async function hostileRepo(t) {
+  const dir = await tempDir(t);
+  const skill = join(dir, 'demo-skill');
+  const marker = join(dir, 'pwned');
+  const payload = join(dir, 'payload.sh');
+  await writeFiles(dir, { 'payload.sh': `#!/bin/sh\ntouch "${marker}"\nexit 1\n` });
+  await chmod(payload, 0o755);
+  await execFileAsync('ssh-keygen', ['-q', '-t', 'ed25519', '-N', '', '-f', join(dir, 'key')]);
+
+  await writeFiles(skill, { 'SKILL.md': skillMd('demo-skill'), 'CHANGELOG.md': '## 1.0.0\n- First\n' });
+  await git(skill, ['init', '--quiet']);
+  await git(skill, ['add', '-A']);
+  await git(skill, ['commit', '--quiet', '-m', 'Initial commit']);
+  await writeFiles(skill, { 'notes.md': 'More notes\n' });
+  await git(skill, ['add', '-A']);
+  await git(skill, ['-c', 'gpg.format=ssh', '-c', `user.signingkey=${join(dir, 'key.pub')}`,
+    'commit', '--quiet', '-S', '-m', 'Signed commit']);
+
+  for (const key of ['gpg.program', 'gpg.ssh.program', 'core.fsmonitor']) {
+    await git(skill, ['config', key, payload]);
+  }
+  await git(skill, ['config', 'gpg.ssh.allowedSignersFile', join(dir, 'key.pub')]);
+  return { skill, marker };
+}
+
+test('the hostile repository runs its payload under plain git', async t => {
+  const { skill, marker } = await hostileRepo(t);
+  await git(skill, ['log', '--format=%G?']).catch(() => {});
+  assert.ok(await exists(marker), 'fixture should trigger the payload when gpg is consulted');
+});
+
+test('maintenance counts signed commits without running programs from .git/config', async t => {
+  const { skill, marker } = await hostileRepo(t);
+  const result = await analyzeMaintenance(skill);
+
+  assert.equal(await exists(marker), false);
+  assert.equal(result.details.git.exists, true);
+  assert.equal(result.details.signals.signing.sampled, 2);
+  assert.equal(result.details.signals.signing.signed, 1);
+  assert.equal(result.details.signals.signing.score, 1);
+  assert.equal(result.details.signals.contributors.count, 1);
+});
+
+test('git history secret scan does not run programs from .git/config', async t => {
+  const { skill, marker } = await hostileRepo(t);
+  const history = await scanGitHistory(skill);
+
+  assert.equal(await exists(marker), false);
+  assert.equal(history.available, true);
+  assert.equal(history.commitsScanned, 2);
+});
+
+test('a directory outside git loses the history-based signals', async t => {
+  const skill = await writeFiles(join(await tempDir(t), 'demo-skill'), { 'SKILL.md': skillMd('demo-skill', '## Usage\n', 'version: 1.0.0\n') });
+  const result = await analyzeMaintenance(skill);
+
+  assert.equal(result.details.git.exists, false);
+  assert.equal(result.details.signals.versioning.score, 1);
+  assert.ok(result.recommendations.some(rec => rec.id === 'git-missing'));
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, renderBatchMarkdown } from '../src/renderers/markdown.js';
+import { scoreSkill } from '../src/scorer.js';
+import { scoreBatch } from '../src/batch.js';
+import { makeSkill, skillMd, offlineConfig } from './helpers.js';
+
+const RISKY = "import { exec } from 'child_process';\nexec(`open ${process.argv[2]}`);\n";
+
+test('renderMarkdown has a breakdown table, a recommendation checklist and a details section per analyzer', async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill'), 'index.js': RISKY });
+  const result = await scoreSkill(skill, 'demo|skill', { config: offlineConfig() });
+  const markdown = renderMarkdown(result);
+
+  assert.match(markdown, /^## Skill Scorecard: demo\|skill$/m);
+  assert.match(markdown, new RegExp(`\\*\\*Grade:\\*\\* \\S* ${result.grade}`));
+  for (const entry of Object.values(result.breakdown)) {
+    assert.match(markdown, new RegExp(`^\\| ${entry.label} \\|`, 'm'), entry.label);
+  }
+  assert.equal((markdown.match(/<details>/g) || []).length, Object.keys(result.breakdown).length);
+  assert.equal((markdown.match(/^- \[ \] /gm) || []).length, result.recommendations.length);
+  assert.match(markdown, /- \[ \] \*\*high\*\* .*`index\.js`/);
+});
+
+test('renderBatchMarkdown ranks skills in a table with escaped names', async t => {
+  const config = offlineConfig();
+  const clean = await makeSkill(t, { 'SKILL.md': skillMd('clean') }, 'clean');
+  const risky = await makeSkill(t, { 'SKILL.md': skillMd('risky'), 'index.js': RISKY }, 'risky');
+  const batch = await scoreBatch([risky, clean], { config });
+  const markdown = renderBatchMarkdown(batch);
+
+  assert.match(markdown, /^## Skill Leaderboard \(2 skills\)$/m);
+  const rows = markdown.split('\n').filter(line => /^\| \d+ \|/.test(line));
+  assert.deepEqual(rows.map(row => row.split(' | ')[1]), batch.results.map(result => result.skill));
+  assert.ok(batch.results[0].overallScore >= batch.results[1].overallScore);
+});
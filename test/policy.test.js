@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluatePolicy, policyExitCode, resolveRules, BUILTIN_RULES } from '../src/policy.js';
+import { mergeConfig, validateConfig, DEFAULT_CONFIG } from '../src/config.js';
+
+/**
+ * Minimal scoreSkill result with security findings
+ * @param {string} grade
+ * @param {Array<object>} findings
+ * @returns {object}
+ */
+function result(grade, findings = []) {
+  return {
+    grade,
+    breakdown: {
+      security: { score: 30, max: 40, details: { static: { findings } } },
+      documentation: { score: 8, max: 20, details: {} }
+    }
+  };
+}
+
+/**
+ * Config with extra policy settings
+ * @param {object} policy
+ * @returns {object}
+ */
+function withPolicy(policy) {
+  return mergeConfig(DEFAULT_CONFIG, { policy });
+}
+
+/**
+ * The single validateConfig error for a config
+ * @param {object} config
+ * @returns {string}
+ */
+function configError(config) {
+  try {
+    validateConfig(config, 'rc');
+  } catch (error) {
+    return error.message;
+  }
+  assert.fail('config was accepted');
+}
+
+test('built-in rules fail on critical findings and pass clean results', () => {
+  assert.equal(evaluatePolicy(result('B')).verdict, 'pass');
+
+  const policy = evaluatePolicy(result('B', [{ rule: 'dynamic-eval', severity: 'critical', file: 'a.js', line: 3 }]));
+  assert.equal(policy.verdict, 'fail');
+  assert.deepEqual(policy.fired.map(rule => rule.id), ['critical-findings']);
+  assert.match(policy.fired[0].detail, /a\.js:3/);
+  assert.deepEqual(policy.evaluated, BUILTIN_RULES.map(rule => rule.id));
+});
+
+test('configured rules replace built-ins by id and combine conditions', () => {
+  const config = withPolicy({
+    disabled: ['undeclared-network'],
+    rules: [
+      { id: 'critical-findings', verdict: 'warn', when: { findings: { severity: 'critical' } } },
+      { id: 'weak-docs', verdict: 'warn', when: { all: [
+        { value: 'breakdown.documentation.score', lt: 10 },
+        { findings: { rule: 'dynamic-*' }, atLeast: 2 }
+      ] } }
+    ]
+  });
+  const rules = resolveRules(config.policy).map(rule => rule.id);
+  assert.ok(!rules.includes('undeclared-network'));
+  assert.equal(rules.filter(id => id === 'critical-findings').length, 1);
+
+  const eval1 = { rule: 'dynamic-eval', severity: 'critical', file: 'a.js' };
+  const policy = evaluatePolicy(result('B', [eval1, { ...eval1, file: 'b.js' }]), config);
+  assert.equal(policy.verdict, 'warn');
+  assert.deepEqual(policy.fired.map(rule => rule.id).sort(), ['critical-findings', 'weak-docs']);
+  assert.equal(policyExitCode({ grade: 'B', policy }, config), 0);
+});
+
+test('a failing grade alone keeps the exit code of the grade', () => {
+  const config = mergeConfig(DEFAULT_CONFIG, { exitCodes: { F: 3 } });
+  const policy = evaluatePolicy(result('F'), config);
+  assert.deepEqual(policy.fired.map(rule => rule.id), ['min-grade']);
+  assert.equal(policyExitCode({ grade: 'F', policy }, config), 3);
+});
+
+test('invalid policy rules report the failing field and only its value', () => {
+  const valid = { id: 'ok', verdict: 'warn', description: 'A long description '.repeat(5), when: { grade: 'failing' } };
+
+  assert.equal(configError({ policy: { rules: [valid, { ...valid, id: 'bad', verdict: 'block' }] } }),
+    'Invalid config in rc:\n  - policy.rules[1].verdict must be "fail" or "warn" (got "block")');
+  const message = configError({ policy: { rules: [valid, { ...valid, when: { any: [{ value: 'x', gt: 'ten' }] } }] } });
+  assert.match(message, /policy\.rules\[1\]\.when\.any\[0\]\.gt must be a number \(got "ten"\)/);
+  assert.doesNotMatch(message, /long description/);
+  assert.match(configError({ policy: { rules: [{ ...valid, extra: 1 }] } }), /policy\.rules\[0\]\.extra is not a known rule field \(got 1\)/);
+  assert.match(configError({ secrets: { allowlist: ['ok', { pattern: '(' }] } }),
+    /secrets\.allowlist\[1\]\.pattern is not a valid regular expression \(got "\("\)/);
+  assert.match(configError({ analyzers: { weights: { security: -1 } } }), /analyzers\.weights\.security must be a non-negative number \(got -1\)/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recommend, normalizeRecommendation, sortRecommendations } from '../src/recommendations.js';
+import { scoreSkill } from '../src/scorer.js';
+import { makeSkill, skillMd, offlineConfig } from './helpers.js';
+
+/**
+ * Analyzer that returns a fixed score and recommendations
+ * @param {string} name
+ * @param {number} score - Out of 10
+ * @param {Array<object|string>} recommendations
+ * @returns {object}
+ */
+function fixed(name, score, recommendations) {
+  return { name, label: name, max: 10, analyze: async () => ({ score, max: 10, details: {}, recommendations }) };
+}
+
+test('normalizeRecommendation caps points at the gap and rescales them', () => {
+  const rec = recommend({ id: 'x', severity: 'high', message: 'Fix x', points: 8 });
+  assert.equal(normalizeRecommendation(rec, 'security', { gap: 5, factor: 2 }).pointsRecoverable, 10);
+  assert.equal(normalizeRecommendation(rec, 'security', { gap: 10, factor: 2, share: 0.5 }).pointsRecoverable, 8);
+
+  const plain = normalizeRecommendation('Add a README!', 'documentation', { gap: 5, factor: 2 });
+  assert.deepEqual([plain.id, plain.severity, plain.pointsRecoverable], ['add-a-readme', 'medium', 0]);
+});
+
+test('sortRecommendations puts the most points first, then the most severe', () => {
+  const sorted = sortRecommendations([
+    { id: 'a', severity: 'low', pointsRecoverable: 2 },
+    { id: 'b', severity: 'critical', pointsRecoverable: 2 },
+    { id: 'c', severity: 'low', pointsRecoverable: 5 }
+  ]);
+  assert.deepEqual(sorted.map(rec => rec.id), ['c', 'b', 'a']);
+});
+
+test("an analyzer's recommendations never add up to more than it is missing", async t => {
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('weather') }, 'weather');
+  const result = await scoreSkill(skill, 'weather', {
+    config: offlineConfig(),
+    analyzers: [
+      fixed('security', 6, [
+        recommend({ id: 'a', severity: 'critical', message: 'Fix a', points: 4 }),
+        recommend({ id: 'b', severity: 'high', message: 'Fix b', points: 3 }),
+        recommend({ id: 'c', severity: 'low', message: 'Fix c', points: 1 }),
+        'Read the docs'
+      ]),
+      fixed('documentation', 8, [recommend({ id: 'd', severity: 'low', message: 'Fix d', points: 1 })])
+    ]
+  });
+
+  const points = Object.fromEntries(result.recommendations.map(rec => [rec.id, rec.pointsRecoverable]));
+  const security = result.recommendations.filter(rec => rec.category === 'security');
+  const total = security.reduce((sum, rec) => sum + rec.pointsRecoverable, 0);
+
+  // security is 4 of 10 short, worth 20 overall points; the recs claim 8
+  assert.ok(total <= 20, `security recommendations add up to ${total}`);
+  assert.deepEqual([points.a, points.b, points.c, points['read-the-docs']], [10, 7.5, 2.5, 0]);
+  // documentation's single recommendation is under its gap and left alone
+  assert.equal(points.d, 5);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { createRegistry, loadAnalyzerModule, resolveWeights, validateAnalyzer, BUILTIN_ANALYZERS } from '../src/registry.js';
+import { tempDir, writeFiles, makeSkill, skillMd, runCli } from './helpers.js';
+
+const LICENSE_ANALYZER = `import { access } from 'fs/promises';
+import { join } from 'path';
+
+export default {
+  name: 'license',
+  label: 'License',
+  max: 5,
+  async analyze({ skillPath }) {
+    try {
+      await access(join(skillPath, 'LICENSE'));
+      return { score: 5, max: 5, details: { found: true } };
+    } catch {
+      return { score: 0, max: 5, details: { found: false }, recommendations: ['Add a LICENSE file'] };
+    }
+  }
+};
+`;
+
+test('the registry holds the built-ins and replaces analyzers by name', () => {
+  const registry = createRegistry();
+  assert.deepEqual(registry.list().map(analyzer => analyzer.name),
+    ['security', 'documentation', 'codeQuality', 'maintenance', 'dependencies']);
+
+  const custom = { name: 'security', max: 10, analyze: async () => ({ score: 10, max: 10 }) };
+  registry.register(custom);
+  assert.equal(registry.get('security'), custom);
+  assert.deepEqual(registry.select(['security', 'documentation']).map(analyzer => analyzer.max), [10, 20]);
+  assert.throws(() => registry.select(['nope']), /Unknown analyzer\(s\) enabled: nope/);
+});
+
+test('validateAnalyzer names what is wrong with a plugin', () => {
+  assert.throws(() => validateAnalyzer(null, 'plugin.js'), /plugin\.js: analyzer must be an object/);
+  assert.throws(() => validateAnalyzer({ name: 'x', max: 0, analyze() {} }), /positive numeric "max"/);
+  assert.throws(() => validateAnalyzer({ name: 'x', max: 5 }), /analyze\(context\) function/);
+});
+
+test('resolveWeights defaults to each max and rejects unknown or all-zero weights', () => {
+  assert.deepEqual(resolveWeights(BUILTIN_ANALYZERS, { security: 60 }),
+    { security: 60, documentation: 20, codeQuality: 20, maintenance: 20, dependencies: 10 });
+  assert.throws(() => resolveWeights(BUILTIN_ANALYZERS, { speed: 5 }), /Unknown analyzer in weights: "speed"/);
+  assert.throws(() => resolveWeights(BUILTIN_ANALYZERS.slice(0, 1), { security: 0 }), /non-zero weight/);
+});
+
+test('plugin modules load by path and are scored with their weight', async t => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, { 'license.js': LICENSE_ANALYZER, 'broken.js': 'export default { name: "x" };\n' });
+  const [plugin] = await loadAnalyzerModule(join(dir, 'license.js'));
+  assert.equal(plugin.name, 'license');
+  await assert.rejects(loadAnalyzerModule(join(dir, 'broken.js')), /positive numeric "max"/);
+
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('demo-skill') });
+  const { stdout } = await runCli([skill, '--offline', '--no-cache', '--no-history', '--json',
+    '--analyzer', join(dir, 'license.js'), '--weight', 'license=100']);
+  const result = JSON.parse(stdout);
+
+  assert.equal(result.breakdown.license.weight, 100);
+  assert.equal(result.breakdown.license.score, 0);
+  assert.ok(result.recommendations.some(rec => rec.category === 'license' && rec.message === 'Add a LICENSE file'));
+  assert.ok(result.overallScore < 50);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { join } from 'path';
+import { createProviders, createClawdexProvider, createListProvider, checkReputation } from '../src/analyzers/reputation.js';
+import { tempDir, writeFiles } from './helpers.js';
+
+/**
+ * Serve a stand-in Clawdex API on localhost
+ * @param {object} t
+ * @param {Function} answer - (name, attempt) => [status, body]
+ * @returns {Promise<{url: string, requests: Array<object>}>}
+ */
+async function clawdex(t, answer) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    const name = decodeURIComponent(req.url.split('/').pop());
+    requests.push({ name, authorization: req.headers.authorization });
+    const [status, body] = answer(name, requests.filter(request => request.name === name).length);
+    res.statusCode = status;
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/api/skill/`, requests };
+}
+
+test('local JSON and CSV lists answer offline, and deny wins', async t => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, {
+    'lists.json': JSON.stringify({ allow: ['Weather', 'both'], deny: ['both'] }),
+    'lists.csv': 'name,status\n# reviewed\nshady,block\nfine,allow\n'
+  });
+  const providers = await createProviders({
+    offline: true,
+    lists: [join(dir, 'lists.json'), join(dir, 'lists.csv')]
+  });
+
+  assert.equal(providers.length, 2);
+  assert.deepEqual(await checkReputation('weather', providers).then(r => [r.status, r.score]), ['benign', 20]);
+  assert.equal((await checkReputation('both', providers)).status, 'malicious');
+  assert.equal((await checkReputation('shady', providers)).status, 'malicious');
+
+  const unknown = await checkReputation('elsewhere', providers);
+  assert.deepEqual([unknown.assessed, unknown.score], [false, null]);
+  await assert.rejects(createListProvider(join(dir, 'missing.json')), /Cannot read reputation list/);
+});
+
+test('the Clawdex provider sends the auth header, treats 404 as unknown and retries 5xx', async t => {
+  const server = await clawdex(t, (name, attempt) => {
+    if (name === 'flaky') return attempt < 2 ? [503] : [200, { status: 'malicious' }];
+    if (name === 'missing') return [404];
+    return [200, { status: 'benign' }];
+  });
+  const provider = createClawdexProvider({ baseUrl: server.url, retries: 2, authHeader: 'Bearer t0ken' });
+
+  assert.deepEqual(await provider.lookup('weather').then(r => [r.answered, r.status]), [true, 'benign']);
+  assert.deepEqual(await provider.lookup('missing'), { answered: true, status: 'unknown' });
+  assert.equal((await provider.lookup('flaky')).status, 'malicious');
+  assert.equal(server.requests.filter(request => request.name === 'flaky').length, 2);
+  assert.ok(server.requests.every(request => request.authorization === 'Bearer t0ken'));
+});
+
+test('an unreachable Clawdex leaves the reputation not assessed', async t => {
+  const server = await clawdex(t, () => [500]);
+  const provider = createClawdexProvider({ baseUrl: server.url, retries: 0 });
+  const result = await checkReputation('weather', [provider]);
+
+  assert.equal(result.assessed, false);
+  assert.deepEqual(result.providers, [{ name: 'clawdex', answered: false, error: 'HTTP 500' }]);
+  assert.equal((await createProviders({ offline: true })).length, 0);
+});
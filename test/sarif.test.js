@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderSarif } from '../src/renderers/sarif.js';
+import { scoreSkill } from '../src/scorer.js';
+import { TOOL_VERSION } from '../src/version.js';
+import { makeSkill, skillMd, offlineConfig, runCli } from './helpers.js';
+
+const TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+
+test('every finding becomes a SARIF result with rule, level, location and remediation', async t => {
+  const skill = await makeSkill(t, {
+    'SKILL.md': skillMd('demo-skill'),
+    'lib/client.js': `export const key = '${TOKEN}';\nexport const run = code => eval(code);\n`
+  });
+  const result = await scoreSkill(skill, 'demo-skill', { config: offlineConfig() });
+  const sarif = renderSarif(result);
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.equal(run.tool.driver.version, TOOL_VERSION);
+  assert.equal(run.originalUriBaseIds.SKILLROOT.uri.endsWith('/demo-skill/'), true);
+
+  const secret = run.results.find(item => item.ruleId === 'secret-github-token');
+  assert.equal(secret.level, 'error');
+  assert.deepEqual(secret.locations[0].physicalLocation.artifactLocation, { uri: 'lib/client.js', uriBaseId: 'SKILLROOT' });
+  assert.equal(secret.locations[0].physicalLocation.region.startLine, 1);
+  assert.ok(!JSON.stringify(sarif).includes(TOKEN), 'the token itself stays redacted');
+
+  const evalResult = run.results.find(item => item.ruleId === 'dynamic-eval');
+  assert.equal(evalResult.locations[0].physicalLocation.region.startLine, 2);
+  assert.ok(evalResult.locations[0].physicalLocation.region.startColumn > 1);
+  assert.ok(run.tool.driver.rules.find(rule => rule.id === 'dynamic-eval').help.text.length > 0);
+  assert.equal(new Set(run.tool.driver.rules.map(rule => rule.id)).size, run.tool.driver.rules.length);
+});
+
+test('batch SARIF has one run per skill', async t => {
+  const skills = await makeSkill(t, { 'one/SKILL.md': skillMd('one'), 'two/SKILL.md': skillMd('two') }, 'skills');
+  const { stdout } = await runCli(['--batch', skills, '--offline', '--no-cache', '--no-history', '--format', 'sarif']);
+  const sarif = JSON.parse(stdout);
+
+  assert.deepEqual(sarif.runs.map(run => run.properties.skill).sort(), ['one', 'two']);
+  assert.ok(sarif.runs.every(run => run.automationDetails.id === `skill-scorecard/${run.properties.skill}`));
+});
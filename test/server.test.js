@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { access, readFile, rm, symlink } from 'fs/promises';
+import { join } from 'path';
+import { promisify } from 'util';
+import { setTimeout as sleep } from 'timers/promises';
+import { createServer, createJobQueue } from '../src/server.js';
+import { tempDir, writeFiles, skillMd, offlineConfig } from './helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+const TOKEN = `ghp_${'a1B2c3D4e5'.repeat(3)}a1B2c3`;
+
+/**
+ * Start an API server on a free port
+ * @param {object} t
+ * @param {object} options - createServer options besides scoreOptions
+ * @returns {Promise<string>} Base URL
+ */
+async function startServer(t, options = {}) {
+  const config = offlineConfig({ reputation: { clawdex: { authHeader: 'Bearer SUPERSECRET' } } });
+  const server = createServer({ scoreOptions: { config }, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Poll a scan until it finishes
+ * @param {string} base
+ * @param {string} location - Job URL path
+ * @returns {Promise<object>} Finished job
+ */
+async function waitForScan(base, location) {
+  for (let attempt = 0; attempt < 600; attempt++) {
+    const job = await (await fetch(base + location)).json();
+    if (job.status === 'done' || job.status === 'failed') return job;
+    await sleep(50);
+  }
+  throw new Error(`Scan ${location} did not finish`);
+}
+
+test('uploads are scanned without their .git, symlinks or the server config', async t => {
+  const dir = await tempDir(t);
+  await writeFiles(dir, {
+    'outside/token.js': `const token = '${TOKEN}';\n`,
+    'src/weather/SKILL.md': skillMd('weather'),
+    'src/weather/.git/config': '[core]\n\tfsmonitor = /tmp/payload.sh\n'
+  });
+  await symlink(join(dir, 'outside', 'token.js'), join(dir, 'src', 'weather', 'leak.js'));
+  const archive = join(dir, 'weather.tar.gz');
+  await execFileAsync('tar', ['-czf', archive, '-C', join(dir, 'src'), 'weather']);
+
+  const base = await startServer(t);
+  const response = await fetch(`${base}/scan?name=weather`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/gzip' },
+    body: await readFile(archive)
+  });
+  assert.equal(response.status, 202);
+  const job = await waitForScan(base, response.headers.get('location'));
+
+  assert.equal(job.status, 'done', job.error);
+  assert.equal(job.result.skill, 'weather');
+  assert.equal(job.result.config, undefined);
+  assert.equal(job.result.breakdown.maintenance.details.git.exists, false);
+  assert.doesNotMatch(JSON.stringify(job), /leak\.js|SUPERSECRET/);
+
+  const latest = await (await fetch(`${base}/skills/weather/latest`)).json();
+  assert.equal(latest.origin, 'scan');
+  assert.equal(latest.result.config, undefined);
+  assert.doesNotMatch(JSON.stringify(latest), /SUPERSECRET/);
+});
+
+test('a hostile top-level folder name in an upload runs no command', async t => {
+  const marker = `scorecard-pwned-${process.pid}`;
+  t.after(() => rm(join(process.cwd(), marker), { force: true }));
+  const dir = await tempDir(t);
+  const folder = `weather$(touch ${marker})";touch ${marker};"`;
+  await writeFiles(dir, { [`src/${folder}/SKILL.md`]: skillMd('weather') });
+  const archive = join(dir, 'weather.tar.gz');
+  await execFileAsync('tar', ['-czf', archive, '-C', join(dir, 'src'), folder]);
+
+  const base = await startServer(t);
+  const response = await fetch(`${base}/scan?name=weather`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/gzip' },
+    body: await readFile(archive)
+  });
+  const job = await waitForScan(base, response.headers.get('location'));
+
+  assert.equal(job.status, 'done', job.error);
+  await assert.rejects(access(join(process.cwd(), marker)), { code: 'ENOENT' });
+});
+
+test('uploads that unpack past the size or entry limits fail before extraction', async t => {
+  const dir = await tempDir(t);
+  await writeFiles(join(dir, 'src'), {
+    'weather/SKILL.md': skillMd('weather'),
+    'weather/data/forecast.txt': 'sunny '.repeat(50000),
+    'weather/data/cities.txt': 'London\n'
+  });
+  const tarball = join(dir, 'weather.tar.gz');
+  const zip = join(dir, 'weather.zip');
+  await execFileAsync('tar', ['-czf', tarball, '-C', join(dir, 'src'), 'weather']);
+  await execFileAsync('zip', ['-qr', zip, 'weather'], { cwd: join(dir, 'src') });
+
+  const upload = async (base, archive, type) => {
+    const response = await fetch(`${base}/scan?name=weather`, {
+      method: 'POST',
+      headers: { 'Content-Type': type },
+      body: await readFile(archive)
+    });
+    return waitForScan(base, response.headers.get('location'));
+  };
+
+  const bytes = await upload(await startServer(t, { maxExtractedBytes: 100000 }), tarball, 'application/gzip');
+  assert.equal(bytes.status, 'failed');
+  assert.match(bytes.error, /unpacks to more than 100000 bytes/);
+
+  const entries = await upload(await startServer(t, { maxArchiveEntries: 3 }), zip, 'application/zip');
+  assert.equal(entries.status, 'failed');
+  assert.match(entries.error, /unpacks to more than 3 entries/);
+
+  const fits = await upload(await startServer(t), zip, 'application/zip');
+  assert.equal(fits.status, 'done', fits.error);
+});
+
+test('path scans are limited to the allowed roots', async t => {
+  const root = await tempDir(t);
+  await writeFiles(root, { 'weather/SKILL.md': skillMd('weather') });
+  const base = await startServer(t, { roots: [root] });
+  const post = body => fetch(`${base}/scan`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const outside = await post({ path: '/etc' });
+  assert.equal(outside.status, 403);
+  assert.match((await outside.json()).error.message, /outside the allowed roots/);
+
+  const accepted = await post({ path: 'weather' });
+  assert.equal(accepted.status, 202);
+  const job = await waitForScan(base, accepted.headers.get('location'));
+  assert.equal(job.status, 'done', job.error);
+  assert.equal(job.result.config, undefined);
+});
+
+test('bad requests get JSON errors and unknown badges a 404 SVG', async t => {
+  const base = await startServer(t);
+
+  const upload = await fetch(`${base}/scan?name=weather`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/gzip' },
+    body: 'not an archive'
+  });
+  assert.equal(upload.status, 415);
+  assert.equal((await fetch(`${base}/scan`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"path":"x"}' })).status, 403);
+  assert.equal((await fetch(`${base}/scans/nope`)).status, 404);
+  assert.equal((await fetch(`${base}/scan`)).status, 405);
+
+  const badge = await fetch(`${base}/badge/unknown.svg`);
+  assert.equal(badge.status, 404);
+  assert.match(badge.headers.get('content-type'), /image\/svg\+xml/);
+});
+
+test('the job queue runs at most `concurrency` jobs and refuses work past maxQueue', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueue: 1 });
+  let release;
+  const first = queue.submit(() => new Promise(resolve => { release = resolve; }));
+  const second = queue.submit(async () => 'second');
+
+  assert.equal(first.status, 'running');
+  assert.equal(second.status, 'queued');
+  assert.throws(() => queue.submit(async () => {}), /queue is full/);
+
+  release('first');
+  while (queue.get(second.id).status !== 'done') await sleep(5);
+  assert.equal(queue.get(first.id).result, 'first');
+  assert.equal(queue.get(second.id).result, 'second');
+});
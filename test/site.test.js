@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import { classifyResults, buildCatalog, loadResults } from '../src/site.js';
+import { scoreSkill } from '../src/scorer.js';
+import { toHistoryEntry } from '../src/history.js';
+import { tempDir, writeFiles, makeSkill, skillMd, offlineConfig, runCli } from './helpers.js';
+
+/**
+ * A history entry for a skill that has no saved full result
+ * @param {string} skill
+ * @param {string} scannedAt
+ * @param {number} overallScore
+ * @returns {object}
+ */
+function entry(skill, scannedAt, overallScore) {
+  return { skill, scannedAt, overallScore, grade: overallScore >= 90 ? 'A' : 'C', version: null, categories: {} };
+}
+
+test('classifyResults sorts full results from history entries at any nesting', () => {
+  const result = { skill: 'weather', overallScore: 80, breakdown: {} };
+  const found = classifyResults([
+    { results: [result] },
+    { skill: 'weather', entries: [entry('weather', '2026-01-01T00:00:00Z', 70)] },
+    { skill: 'weather' },
+    'noise'
+  ]);
+
+  assert.deepEqual(found.results, [result]);
+  assert.deepEqual(found.entries.map(item => item.overallScore), [70]);
+});
+
+test('buildCatalog ranks skills, keeps the newest result and merges history without duplicates', async t => {
+  const config = offlineConfig();
+  const skill = await makeSkill(t, { 'SKILL.md': skillMd('weather') }, 'weather');
+  const older = { ...await scoreSkill(skill, 'weather', { config }), scannedAt: '2026-01-01T00:00:00.000Z' };
+  const newer = { ...await scoreSkill(skill, 'weather', { config }), scannedAt: '2026-02-01T00:00:00.000Z' };
+
+  const { site, pages } = buildCatalog({
+    results: [newer, older],
+    entries: [toHistoryEntry(newer), entry('Weather!', '2026-01-15T00:00:00.000Z', 95), entry('weather', '2025-12-01T00:00:00.000Z', 40)]
+  });
+
+  const scores = site.skills.map(item => item.overallScore);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  assert.deepEqual(new Set(site.skills.map(item => item.page)), new Set(['skills/weather.html', 'skills/weather-2.html']));
+  const weather = site.skills.find(item => item.skill === 'weather');
+  assert.equal(weather.scannedAt, newer.scannedAt);
+  assert.deepEqual(weather.history.map(item => item.scannedAt),
+    ['2025-12-01T00:00:00.000Z', older.scannedAt, newer.scannedAt]);
+  assert.equal(typeof weather.findings.total, 'number');
+  assert.equal(site.skills.find(item => item.skill === 'Weather!').findings, null);
+
+  assert.equal(site.count, 2);
+  assert.equal(site.totals.A, 1);
+  assert.ok(site.categories.some(category => category.name === 'security'));
+  assert.equal(pages.find(page => page.file === weather.page).result, newer);
+});
+
+test('the site command writes an index, a catalog and one page per skill', async t => {
+  const results = await tempDir(t);
+  const out = join(await tempDir(t), 'public');
+  const skills = await makeSkill(t, { 'one/SKILL.md': skillMd('one'), 'two/SKILL.md': skillMd('two') }, 'skills');
+  const batch = await runCli(['--batch', skills, '--offline', '--no-cache', '--no-history', '--json']);
+  await writeFiles(results, {
+    'batch.json': batch.stdout,
+    'nested/history.jsonl': JSON.stringify(entry('three', '2026-01-01T00:00:00.000Z', 50)) + '\n',
+    'broken.json': '{"results": [',
+    'other.json': '{"unrelated": true}'
+  });
+
+  const { code, stderr } = await runCli(['site', results, '--out', out]);
+  assert.equal(code, 0, stderr);
+  assert.match(stderr, /Skipping .*broken\.json: not valid JSON/);
+  assert.match(stderr, /Skipping .*other\.json: no scorecard results/);
+
+  const site = JSON.parse(await readFile(join(out, 'index.json'), 'utf-8'));
+  assert.deepEqual(site.skills.map(item => item.skill).sort(), ['one', 'three', 'two']);
+  assert.deepEqual((await readdir(join(out, 'skills'))).sort(), ['one.html', 'three.html', 'two.html']);
+  const index = await readFile(join(out, 'index.html'), 'utf-8');
+  assert.ok(site.skills.every(item => index.includes(`href="${item.page}"`)));
+  assert.match(await readFile(join(out, 'skills/one.html'), 'utf-8'), /href="\.\.\/index\.html"/);
+
+  await assert.rejects(loadResults(join(results, 'missing')), /Results path not found/);
+});
